@@ -13,18 +13,36 @@ function getCurrentPreferences() {
         return {
             coverLetter: false,
             coldEmail: true,
-            apollo: true
+            apollo: true,
+            ...getThemePreference()
         };
     } else {
         // Hot outreach mode: has cover letter and cold email, apollo disabled
         return {
             coverLetter: true,
             coldEmail: true,
-            apollo: false
+            apollo: false,
+            ...getThemePreference()
         };
     }
 }
 
+// CV theme chosen in the picker (omitted until themes have loaded, so the server default applies)
+function getThemePreference() {
+    const theme = UI.elements.themeSelect.value;
+    return theme ? { theme } : {};
+}
+
+// Load the CV themes into the picker, selecting the last one used
+async function loadThemes() {
+    const result = await API.fetchThemes();
+    if (result.success) {
+        const saved = State.getLastTheme();
+        const selected = result.themes.some(theme => theme.id === saved) ? saved : result.defaultTheme;
+        UI.displayThemes(result.themes, selected);
+    }
+}
+
 // Load chat history from server
 async function loadChatHistory() {
     const result = await API.loadChatHistory();
@@ -35,6 +53,20 @@ async function loadChatHistory() {
     } else {
         UI.elements.chatHistory.innerHTML = `<div class="loading-history">${result.message}</div>`;
     }
+    
+    const usageResult = await API.fetchMonthlyUsage();
+    if (usageResult.success) {
+        UI.updateMonthlyUsage(usageResult.usage);
+    }
+}
+
+// Refresh the token usage badge for a session
+async function refreshSessionUsage(sessionId) {
+    const result = await API.fetchSessionUsage(sessionId);
+    // Ignore late responses for a session the user has already navigated away from
+    if (State.getCurrentSessionId() === sessionId) {
+        UI.updateSessionUsage(result.success ? result.usage : null);
+    }
 }
 
 // Load a specific session
@@ -61,10 +93,17 @@ async function loadSession(sessionId) {
         UI.elements.modeToggle.checked = isColdOutreach;
         UI.updatePlaceholder(); // Update placeholder text based on mode
         
+        // Follow-up generations in this session keep its CV theme
+        if (session.theme && [...UI.elements.themeSelect.options].some(option => option.value === session.theme)) {
+            UI.elements.themeSelect.value = session.theme;
+        }
+        
         // Update chat title with session info
         const title = session.companyInfo || session.id || 'Session';
         UI.updateChatTitle(title);
         console.log(`[BROWSER] Chat title updated to: ${title}`);
+        refreshSessionUsage(sessionId);
+        UI.updateSessionOutcome(session);
         
         // Check if session is still generating and resume if needed
         if (session.status === 'processing') {
@@ -206,6 +245,8 @@ function startNewChat() {
     
     State.setCurrentSessionId(null);
     UI.updateChatTitle('New Conversation');
+    UI.updateSessionUsage(null);
+    UI.updateSessionOutcome(null);
     UI.displayWelcomeScreen();
     UI.elements.chatInput.value = '';
     
@@ -216,6 +257,12 @@ function startNewChat() {
     // Keep the current mode toggle state (it persists from last usage)
     // No need to change the mode toggle - it should stay as user left it
     
+    // Go back to the last theme picked (a loaded session may have switched to its own)
+    const lastTheme = State.getLastTheme();
+    if (lastTheme && [...UI.elements.themeSelect.options].some(option => option.value === lastTheme)) {
+        UI.elements.themeSelect.value = lastTheme;
+    }
+    
     loadChatHistory(); // Refresh to clear active state
 }
 
@@ -338,6 +385,10 @@ async function handleSSEStream(response, logsContainer) {
                 if (eventType === 'log') {
                     logs.push(data);
                     UI.appendLogToContainer(logsContainer, data);
+                } else if (eventType === 'queue') {
+                    UI.updateQueueStatus(logsContainer, data);
+                } else if (eventType === 'delta') {
+                    UI.appendDocumentDelta(logsContainer, data);
                 } else if (eventType === 'session') {
                     sessionIdFromStream = data.sessionId;
                     State.setCurrentSessionId(sessionIdFromStream);
@@ -380,6 +431,8 @@ async function handleSSEStream(response, logsContainer) {
             UI.updateChatTitle(title);
             const resultHtml = UI.formatResultsWithLogs(finalResults, logs);
             UI.addMessage('assistant', resultHtml, true);
+            refreshSessionUsage(sessionIdFromStream);
+            UI.updateSessionOutcome({ status: 'completed', outcome: null });
             await loadChatHistory();
         }
     } catch (error) {
@@ -416,6 +469,83 @@ async function handleCVSave(docType) {
     }
 }
 
+// Show settings and load the prompt editor
+function showSettings() {
+    UI.showSettings();
+    loadPromptEditor();
+}
+
+// Load the prompt list and open the selected (or first) prompt
+async function loadPromptEditor() {
+    const result = await API.fetchPrompts();
+    if (!result.success) {
+        UI.updatePromptStatus(false, `Failed to load prompts: ${result.error}`);
+        return;
+    }
+    const editing = State.getEditingPrompt();
+    const selectedKey = editing && result.prompts.some(prompt => prompt.key === editing.prompt.key)
+        ? editing.prompt.key
+        : result.prompts[0]?.key;
+    UI.renderPromptOptions(result.prompts, selectedKey);
+    if (selectedKey) {
+        await selectPrompt(selectedKey, editing?.variant || null);
+    }
+}
+
+// Open a prompt (and optionally one of its variants) in the editor
+async function selectPrompt(key, variant = null) {
+    const [promptResult, historyResult] = await Promise.all([API.fetchPrompt(key), API.fetchPromptHistory(key)]);
+    if (!promptResult.success) {
+        UI.updatePromptStatus(false, `Failed to load prompt: ${promptResult.error}`);
+        return;
+    }
+    const { prompt } = promptResult;
+    const selectedVariant = prompt.templates.some(entry => entry.variant === variant) ? variant : prompt.templates[0].variant;
+    State.setEditingPrompt({ prompt, variant: selectedVariant });
+    UI.renderPromptEditor(prompt, selectedVariant);
+    UI.renderPromptHistory(historyResult.success ? historyResult.history : []);
+}
+
+// Validate the edited prompt and show its diff
+async function handlePromptPreview() {
+    const { prompt, variant } = State.getEditingPrompt();
+    const result = await API.validatePrompt(prompt.key, UI.elements.promptTextarea.value, variant);
+    if (!result.success) {
+        UI.updatePromptStatus(false, `✗ ${result.error}`);
+        return;
+    }
+    UI.renderPromptDiff(result.diff);
+    if (result.valid) {
+        UI.updatePromptStatus(true, `✓ Valid (+${result.diff.added} / -${result.diff.removed} lines)`, result.warnings);
+    } else {
+        UI.updatePromptStatus(false, '✗ Prompt is not valid', [...result.errors, ...result.warnings]);
+    }
+}
+
+// Save the edited prompt
+async function handlePromptSave() {
+    const { prompt, variant } = State.getEditingPrompt();
+    const result = await API.savePrompt(prompt.key, UI.elements.promptTextarea.value, variant);
+    if (!result.success) {
+        UI.updatePromptStatus(false, `✗ ${result.error}`, result.errors);
+        return;
+    }
+    await selectPrompt(prompt.key, variant);
+    UI.updatePromptStatus(true, result.changed ? `✓ Saved as v${result.prompt.version}` : 'No changes to save', result.warnings);
+}
+
+// Restore a prompt from its history
+async function handlePromptRevert(historyId) {
+    const { prompt, variant } = State.getEditingPrompt();
+    const result = await API.revertPrompt(prompt.key, historyId);
+    if (!result.success) {
+        UI.updatePromptStatus(false, `✗ ${result.error}`, result.errors);
+        return;
+    }
+    await selectPrompt(prompt.key, variant);
+    UI.updatePromptStatus(true, result.changed ? `✓ Reverted as v${result.prompt.version}` : 'Prompt already matches that version');
+}
+
 // Auto-save editable content when clicking outside
 document.addEventListener('click', async (e) => {
     const editableAreas = document.querySelectorAll('.editable-content');
@@ -473,15 +603,279 @@ window.downloadColdEmail = async function(sessionId) {
     API.downloadColdEmail(sessionId);
 };
 
+// Editable textarea type of each document type used in download and revision routes
+const DOCUMENT_CONTENT_TYPES = { 'cover-letter': 'coverLetter', 'cold-email': 'coldEmail' };
+
+window.downloadDocument = async function(sessionId, docType, format) {
+    // First, auto-save if modified
+    const contentType = DOCUMENT_CONTENT_TYPES[docType];
+    const textarea = contentType && document.querySelector(`.editable-content[data-session="${sessionId}"][data-type="${contentType}"]`);
+    if (textarea && textarea.dataset.modified === 'true') {
+        await API.saveContent(sessionId, contentType, textarea.value);
+    }
+    
+    // Trigger download
+    API.downloadDocument(sessionId, docType, format);
+};
+
+// Reload the in-chat PDF viewers after the CV was recompiled
+function refreshCVPreview() {
+    document.querySelectorAll('.pdf-with-keywords embed').forEach(embed => {
+        embed.src = `${embed.src.split('?')[0]}?t=${Date.now()}`;
+    });
+}
+
+// Load the CV source again in open LaTeX editors after the CV was rewritten elsewhere
+async function reloadCVEditors(sessionId) {
+    for (const panel of document.querySelectorAll(`.cv-editor[data-session="${sessionId}"]`)) {
+        panel.dataset.loaded = 'false';
+        await window.loadCVEditor(panel);
+    }
+}
+
+// Refine the CV to work in the job keywords it is missing (called from inline onclick handlers)
+window.addressMissingKeywords = async function(sessionId, button) {
+    const report = await API.fetchKeywordReport(sessionId);
+    const missing = report ? report.keywords.filter(keyword => !keyword.matched) : [];
+    if (missing.length === 0) {
+        UI.showToast('No missing keywords to address', 'info');
+        return;
+    }
+    
+    const list = importance => missing.filter(keyword => keyword.importance === importance).map(keyword => keyword.keyword).join(', ');
+    const feedback = [
+        'Work these job keywords that the CV is missing into it, using the exact spelling, wherever my experience supports them.',
+        list('required') && `Required: ${list('required')}.`,
+        list('preferred') && `Preferred: ${list('preferred')}.`,
+        'Do not claim skills or experience I do not have, and keep the CV the same length.'
+    ].filter(Boolean).join(' ');
+    
+    button.disabled = true;
+    button.textContent = '⏳ Refining CV...';
+    const result = await API.refineContent(sessionId, 'cv', feedback);
+    button.disabled = false;
+    button.textContent = '✨ Address missing keywords';
+    if (!result.success) {
+        UI.showToast(`Failed to refine CV: ${result.error || 'Unknown error'}`, 'error');
+        return;
+    }
+    
+    // Show the recompiled PDF and the new match
+    refreshCVPreview();
+    await reloadCVEditors(sessionId);
+    if (result.keywordReport) {
+        document.querySelectorAll(`.keyword-panel[data-session="${sessionId}"]`).forEach(panel => {
+            panel.innerHTML = UI.formatKeywordReport(result.keywordReport, sessionId);
+        });
+        UI.showToast(`CV refined: keyword match ${report.score}% → ${result.keywordReport.score}%`, 'success');
+    } else {
+        UI.showToast('CV refined', 'success');
+    }
+};
+
+// Load a document's revision timeline when it is opened (called from inline ontoggle handlers)
+window.loadRevisions = async function(timeline) {
+    if (!timeline.open) return;
+    
+    const result = await API.fetchRevisions(timeline.dataset.session, timeline.dataset.docType);
+    if (result.success) {
+        UI.renderRevisions(timeline, result.revisions);
+    } else {
+        UI.showToast(`Failed to load revisions: ${result.error || 'Unknown error'}`, 'error');
+    }
+};
+
+// Show what changed between two revisions (called from inline onclick handlers)
+window.showRevisionDiff = async function(sessionId, docType, from, to) {
+    const result = await API.fetchRevisionDiff(sessionId, docType, from, to);
+    if (!result.success) {
+        UI.showToast(`Failed to compare revisions: ${result.error || 'Unknown error'}`, 'error');
+        return;
+    }
+    document.querySelectorAll(`.revision-timeline[data-session="${sessionId}"][data-doc-type="${docType}"]`).forEach(timeline => {
+        UI.renderRevisionDiff(timeline, result.diff);
+    });
+};
+
+// Restore a revision as the current document (called from inline onclick handlers)
+window.restoreRevision = async function(sessionId, docType, number) {
+    if (!confirm(`Restore revision #${number}? The current version stays in the history.`)) return;
+    
+    const result = await API.restoreRevision(sessionId, docType, number);
+    if (!result.success) {
+        UI.showToast(`Failed to restore revision: ${result.error || 'Unknown error'}`, 'error');
+        return;
+    }
+    
+    // Show the restored document: the letter text, or the recompiled CV
+    const contentType = DOCUMENT_CONTENT_TYPES[docType];
+    if (contentType) {
+        document.querySelectorAll(`.editable-content[data-session="${sessionId}"][data-type="${contentType}"]`).forEach(textarea => {
+            textarea.value = result.content;
+            textarea.dataset.modified = 'false';
+        });
+    } else {
+        refreshCVPreview();
+        await reloadCVEditors(sessionId);
+    }
+    for (const timeline of document.querySelectorAll(`.revision-timeline[data-session="${sessionId}"][data-doc-type="${docType}"]`)) {
+        await window.loadRevisions(timeline);
+    }
+    
+    if (result.compile && !result.compile.success) {
+        UI.showToast(`Revision #${number} restored, but the CV did not compile cleanly: ${result.compile.message}`, 'error');
+    } else {
+        UI.showToast(`Revision #${number} restored as #${result.revision.number}`, 'success');
+    }
+};
+
+// Load the comparison of the CV with the original when it is opened (called from inline ontoggle handlers)
+window.loadCVDiff = async function(panel) {
+    if (!panel.open) return;
+    
+    const result = await API.fetchCVDiff(panel.dataset.session);
+    if (result.success) {
+        UI.renderCVDiff(panel, result.diff);
+    } else {
+        UI.showToast(`Failed to compare the CV: ${result.error || 'Unknown error'}`, 'error');
+    }
+};
+
+// Reject the selected CV changes and recompile (called from inline onclick handlers)
+window.rejectCVChanges = async function(button) {
+    const panel = button.closest('.cv-diff');
+    const sessionId = panel.dataset.session;
+    const changeIds = [...panel.querySelectorAll('.cv-change-select:checked')].map(checkbox => checkbox.value);
+    if (changeIds.length === 0) {
+        UI.showToast('Select the changes to reject first', 'info');
+        return;
+    }
+    
+    button.disabled = true;
+    button.textContent = '⏳ Recompiling CV...';
+    const result = await API.rejectCVChanges(sessionId, changeIds);
+    button.disabled = false;
+    button.textContent = '↩ Reject selected changes and recompile';
+    if (!result.success) {
+        UI.showToast(`Failed to reject changes: ${result.error || 'Unknown error'}`, 'error');
+        return;
+    }
+    
+    // Show the recompiled CV, the remaining changes and the new revision
+    refreshCVPreview();
+    await reloadCVEditors(sessionId);
+    document.querySelectorAll(`.cv-diff[data-session="${sessionId}"]`).forEach(other => {
+        UI.renderCVDiff(other, result.diff);
+    });
+    for (const timeline of document.querySelectorAll(`.revision-timeline[data-session="${sessionId}"][data-doc-type="cv"]`)) {
+        await window.loadRevisions(timeline);
+    }
+    
+    if (!result.compile.success) {
+        UI.showToast(`${changeIds.length} change(s) rejected, but the CV did not compile cleanly: ${result.compile.message}`, 'error');
+    } else {
+        UI.showToast(`${changeIds.length} change(s) rejected, CV recompiled (${result.compile.pageCount} pages)`, 'success');
+    }
+};
+
+// Load the CV's LaTeX source into the editor when it is opened (called from inline ontoggle handlers)
+window.loadCVEditor = async function(panel) {
+    if (!panel.open || panel.dataset.loaded === 'true') return;
+    
+    const result = await API.fetchCVLatex(panel.dataset.session);
+    if (result.success) {
+        UI.renderCVEditor(panel, result);
+        panel.dataset.loaded = 'true';
+    } else {
+        UI.showToast(`Failed to load the CV source: ${result.error || 'Unknown error'}`, 'error');
+    }
+};
+
+// Editor events (called from inline oninput, onscroll and onclick handlers)
+window.updateCVEditor = function(textarea) {
+    UI.updateCVEditor(textarea.closest('.cv-editor'));
+};
+
+window.syncCVEditorScroll = function(textarea) {
+    UI.syncCVEditorScroll(textarea.closest('.cv-editor'));
+};
+
+window.goToCVEditorLine = function(button, line) {
+    UI.goToCVEditorLine(button.closest('.cv-editor'), line);
+};
+
+// Save the edited CV source and recompile it (called from inline onclick handlers)
+window.compileCVEditor = async function(button) {
+    const panel = button.closest('.cv-editor');
+    const sessionId = panel.dataset.session;
+    
+    button.disabled = true;
+    button.textContent = '⏳ Compiling...';
+    const result = await API.saveCVLatex(sessionId, panel.querySelector('.cv-editor-input').value);
+    button.disabled = false;
+    button.textContent = '▶ Save and compile';
+    if (!result.success) {
+        UI.showToast(`Failed to save the CV: ${result.error || 'Unknown error'}`, 'error');
+        return;
+    }
+    
+    // Show the recompiled CV, its page count and errors, and the new revision
+    if (result.compile.targetPageCount) {
+        panel.dataset.targetPageCount = result.compile.targetPageCount;
+    }
+    UI.renderCVCompileResult(panel, result.compile);
+    refreshCVPreview();
+    if (result.revision) {
+        for (const timeline of document.querySelectorAll(`.revision-timeline[data-session="${sessionId}"][data-doc-type="cv"]`)) {
+            await window.loadRevisions(timeline);
+        }
+    }
+    
+    if (!result.compile.success) {
+        UI.showToast(`CV did not compile cleanly: ${result.compile.message}`, 'error');
+    } else {
+        UI.showToast(`CV ${result.revision ? `saved as revision #${result.revision.number} and ` : ''}compiled (${result.compile.pageCount} pages)`, 'success');
+    }
+};
+
+// Resolve an unsupported claim (called from inline onclick handlers)
+window.resolveClaim = async function(sessionId, claimId, resolution) {
+    const result = await API.resolveClaim(sessionId, claimId, resolution);
+    if (result.success) {
+        document.querySelectorAll(`.claim-item[data-claim-id="${claimId}"] .claim-resolution`).forEach(label => {
+            label.textContent = resolution;
+        });
+        const remaining = result.claimVerification.summary.unresolved;
+        UI.showToast(remaining > 0 ? `Claim marked as ${resolution} (${remaining} left to check)` : 'All claims checked', 'success');
+    } else {
+        UI.showToast(`Failed to resolve claim: ${result.error || 'Unknown error'}`, 'error');
+    }
+};
+
+// Handle application outcome selection
+async function handleOutcomeChange() {
+    const sessionId = State.getCurrentSessionId();
+    if (!sessionId) return;
+    
+    const outcome = UI.elements.sessionOutcome.value || null;
+    const result = await API.setSessionOutcome(sessionId, outcome);
+    if (result.success) {
+        UI.showToast(outcome ? `Outcome marked as ${outcome}` : 'Outcome cleared', 'success');
+    } else {
+        UI.showToast(`Failed to save outcome: ${result.error || 'Unknown error'}`, 'error');
+    }
+}
+
 // Setup event listeners
 function setupEventListeners() {
     console.log('[BROWSER] Setting up event listeners');
     UI.elements.chatForm.addEventListener('submit', handleChatSubmit);
     UI.elements.chatInput.addEventListener('input', UI.adjustTextareaHeight);
     UI.elements.newChatBtn.addEventListener('click', startNewChat);
-    UI.elements.settingsBtn.addEventListener('click', UI.showSettings);
+    UI.elements.settingsBtn.addEventListener('click', showSettings);
     UI.elements.backToChatBtn.addEventListener('click', UI.showChat);
     UI.elements.collapseBtn.addEventListener('click', UI.toggleSidebar);
+    UI.elements.sessionOutcome.addEventListener('change', handleOutcomeChange);
     
     // Mode toggle listener - update placeholder and save preference
     UI.elements.modeToggle.addEventListener('change', () => {
@@ -492,10 +886,32 @@ function setupEventListeners() {
         console.log(`[BROWSER] Chat mode changed and saved: ${mode}`);
     });
     
+    UI.elements.themeSelect.addEventListener('change', () => {
+        State.setLastTheme(UI.elements.themeSelect.value);
+        console.log(`[BROWSER] CV theme changed and saved: ${UI.elements.themeSelect.value}`);
+    });
+    
     // Settings save buttons
     UI.elements.saveOriginalCVBtn.addEventListener('click', () => handleCVSave('original_cv'));
     UI.elements.saveExtensiveCVBtn.addEventListener('click', () => handleCVSave('extensive_cv'));
     
+    // Prompt editor
+    UI.elements.promptSelect.addEventListener('change', () => selectPrompt(UI.elements.promptSelect.value));
+    UI.elements.promptVariantSelect.addEventListener('change', () => {
+        const { prompt } = State.getEditingPrompt();
+        const variant = UI.elements.promptVariantSelect.value;
+        State.setEditingPrompt({ prompt, variant });
+        UI.renderPromptEditor(prompt, variant);
+    });
+    UI.elements.previewPromptBtn.addEventListener('click', handlePromptPreview);
+    UI.elements.savePromptBtn.addEventListener('click', handlePromptSave);
+    UI.elements.promptHistory.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-history-id]');
+        if (button) {
+            handlePromptRevert(button.dataset.historyId);
+        }
+    });
+    
     // Add click handlers for history items
     UI.elements.chatHistory.addEventListener('click', (e) => {
         const historyItem = e.target.closest('.history-item');
@@ -519,6 +935,7 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log(`[BROWSER] Loaded saved chat mode: ${isColdMode ? 'cold_outreach' : 'standard'}`);
     
     loadChatHistory();
+    loadThemes();
     setupEventListeners();
     UI.adjustTextareaHeight();
     UI.loadSidebarState();
@@ -112,6 +112,150 @@ export async function fetchSessionLogs(sessionId) {
     }
 }
 
+// Fetch AI token usage for a session
+export async function fetchSessionUsage(sessionId) {
+    console.log(`[BROWSER] [API] Fetching usage for session: ${sessionId}`);
+    try {
+        const response = await fetch(`/api/usage/${encodeURIComponent(sessionId)}`);
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return { success: true, usage: data.usage };
+        } else {
+            console.warn(`[BROWSER] [API] Failed to fetch session usage - ${data.error || 'Unknown error'}`);
+            return { success: false, usage: null };
+        }
+    } catch (error) {
+        console.error('[BROWSER] [API] Error fetching session usage:', error);
+        return { success: false, usage: null };
+    }
+}
+
+// Mark the outcome of an application (replied, interview, rejected, or null to clear)
+export async function setSessionOutcome(sessionId, outcome) {
+    console.log(`[BROWSER] [API] Setting outcome for session ${sessionId}: ${outcome}`);
+    try {
+        const response = await fetch(`/api/outcome/${encodeURIComponent(sessionId)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ outcome })
+        });
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return { success: true, outcome: data.outcome };
+        } else {
+            console.warn(`[BROWSER] [API] Failed to set outcome - ${data.error || 'Unknown error'}`);
+            return { success: false, error: data.error };
+        }
+    } catch (error) {
+        console.error('[BROWSER] [API] Error setting outcome:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Refine a generated document ('cv', 'cover_letter' or 'cold_email') with feedback
+export async function refineContent(sessionId, contentType, feedback) {
+    console.log(`[BROWSER] [API] Refining ${contentType} for session ${sessionId}`);
+    try {
+        const response = await fetch('/api/refine', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ sessionId, contentType, feedback })
+        });
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return { success: true, ...data };
+        } else {
+            console.warn(`[BROWSER] [API] Failed to refine ${contentType} - ${data.error || 'Unknown error'}`);
+            return { success: false, error: data.message || data.error };
+        }
+    } catch (error) {
+        console.error('[BROWSER] [API] Error refining content:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Fetch the ATS keyword report of a session's CV
+export async function fetchKeywordReport(sessionId) {
+    try {
+        const response = await fetch(`/api/keywords/${encodeURIComponent(sessionId)}`);
+        const data = await response.json();
+        return response.ok && data.success ? data.keywordReport : null;
+    } catch (error) {
+        console.error('[BROWSER] [API] Error fetching keyword report:', error);
+        return null;
+    }
+}
+
+// Resolve an unsupported claim ('confirmed', 'removed', or null to reopen it)
+export async function resolveClaim(sessionId, claimId, resolution) {
+    console.log(`[BROWSER] [API] Resolving claim ${claimId} in session ${sessionId}: ${resolution}`);
+    try {
+        const response = await fetch(`/api/claims/${encodeURIComponent(sessionId)}/${encodeURIComponent(claimId)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ resolution })
+        });
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return { success: true, claimVerification: data.claimVerification };
+        } else {
+            console.warn(`[BROWSER] [API] Failed to resolve claim - ${data.error || 'Unknown error'}`);
+            return { success: false, error: data.error };
+        }
+    } catch (error) {
+        console.error('[BROWSER] [API] Error resolving claim:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Fetch AI token usage totals for the current month
+export async function fetchMonthlyUsage() {
+    console.log('[BROWSER] [API] Fetching monthly usage');
+    try {
+        const response = await fetch('/api/usage');
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return { success: true, usage: data.usage };
+        } else {
+            console.warn(`[BROWSER] [API] Failed to fetch monthly usage - ${data.error || 'Unknown error'}`);
+            return { success: false, usage: null };
+        }
+    } catch (error) {
+        console.error('[BROWSER] [API] Error fetching monthly usage:', error);
+        return { success: false, usage: null };
+    }
+}
+
+// Fetch the CV themes that can be chosen for a generation
+export async function fetchThemes() {
+    console.log('[BROWSER] [API] Fetching CV themes');
+    try {
+        const response = await fetch('/api/themes');
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return { success: true, themes: data.themes, defaultTheme: data.defaultTheme };
+        } else {
+            console.warn(`[BROWSER] [API] Failed to fetch CV themes - ${data.error || 'Unknown error'}`);
+            return { success: false, themes: [], defaultTheme: null };
+        }
+    } catch (error) {
+        console.error('[BROWSER] [API] Error fetching CV themes:', error);
+        return { success: false, themes: [], defaultTheme: null };
+    }
+}
+
 // Generate documents (POST to /api/generate)
 export async function generateDocuments(userInput, sessionId, preferences, mode) {
     const requestBody = {
@@ -240,6 +384,11 @@ export async function saveContent(sessionId, contentType, content) {
     }
 }
 
+// Download a generated document ('cv', 'cover-letter' or 'cold-email') in a format
+export function downloadDocument(sessionId, docType, format) {
+    window.location.href = `/api/download/${encodeURIComponent(sessionId)}/${docType}/${format}`;
+}
+
 // Download cover letter
 export function downloadCoverLetter(sessionId) {
     window.location.href = `/api/download/cover-letter/${sessionId}`;
@@ -249,3 +398,182 @@ export function downloadCoverLetter(sessionId) {
 export function downloadColdEmail(sessionId) {
     window.location.href = `/api/download/cold-email/${sessionId}`;
 }
+
+// Revision requests for a generated document ('cv', 'cover-letter' or 'cold-email'): { success: true, ...data } or { success: false, error }
+async function revisionRequest(sessionId, docType, path = '', method = 'GET') {
+    const url = `/api/revisions/${encodeURIComponent(sessionId)}/${docType}${path}`;
+    try {
+        const response = await fetch(url, { method });
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return data;
+        } else {
+            console.warn(`[BROWSER] [API] Revision request ${method} ${url} failed - ${data.error || 'Unknown error'}`);
+            return { success: false, error: data.error || data.message };
+        }
+    } catch (error) {
+        console.error(`[BROWSER] [API] Error in revision request ${method} ${url}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Fetch a document's revisions (newest first)
+export async function fetchRevisions(sessionId, docType) {
+    return revisionRequest(sessionId, docType);
+}
+
+// Diff two revisions of a document
+export async function fetchRevisionDiff(sessionId, docType, from, to) {
+    return revisionRequest(sessionId, docType, `/diff?from=${from}&to=${to}`);
+}
+
+// Restore a revision as the current document
+export async function restoreRevision(sessionId, docType, number) {
+    console.log(`[BROWSER] [API] Restoring ${docType} revision ${number} in session ${sessionId}`);
+    return revisionRequest(sessionId, docType, `/${number}/restore`, 'POST');
+}
+
+// Diff the session's CV against the original CV
+export async function fetchCVDiff(sessionId) {
+    try {
+        const response = await fetch(`/api/cv-diff/${encodeURIComponent(sessionId)}`);
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return { success: true, diff: data.diff };
+        } else {
+            console.warn(`[BROWSER] [API] Failed to compare the CV - ${data.error || 'Unknown error'}`);
+            return { success: false, error: data.error || data.message };
+        }
+    } catch (error) {
+        console.error('[BROWSER] [API] Error comparing the CV:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Put the original back for some of the CV's changes and recompile it
+export async function rejectCVChanges(sessionId, changeIds) {
+    console.log(`[BROWSER] [API] Rejecting ${changeIds.length} CV change(s) in session ${sessionId}`);
+    try {
+        const response = await fetch(`/api/cv-diff/${encodeURIComponent(sessionId)}/reject`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ changeIds })
+        });
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return { success: true, diff: data.diff, revision: data.revision, compile: data.compile };
+        } else {
+            console.warn(`[BROWSER] [API] Failed to reject CV changes - ${data.error || 'Unknown error'}`);
+            return { success: false, error: data.error || data.message };
+        }
+    } catch (error) {
+        console.error('[BROWSER] [API] Error rejecting CV changes:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Load the session's CV source for the LaTeX editor, with the errors and page count of its last compile
+export async function fetchCVLatex(sessionId) {
+    try {
+        const response = await fetch(`/api/cv-latex/${encodeURIComponent(sessionId)}`);
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return data;
+        } else {
+            console.warn(`[BROWSER] [API] Failed to load the CV source - ${data.error || 'Unknown error'}`);
+            return { success: false, error: data.error || data.message };
+        }
+    } catch (error) {
+        console.error('[BROWSER] [API] Error loading the CV source:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Save the CV source from the LaTeX editor and recompile it
+export async function saveCVLatex(sessionId, content) {
+    console.log(`[BROWSER] [API] Saving and compiling the CV source of session ${sessionId}`);
+    try {
+        const response = await fetch('/api/save-content', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                sessionId,
+                contentType: 'cv',
+                content
+            })
+        });
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return { success: true, revision: data.revision, compile: data.compile };
+        } else {
+            console.warn(`[BROWSER] [API] Failed to save the CV source - ${data.error || 'Unknown error'}`);
+            return { success: false, error: data.error || data.message };
+        }
+    } catch (error) {
+        console.error('[BROWSER] [API] Error saving the CV source:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Prompt editor requests share the same response handling: { success: true, ...data } or { success: false, error, errors }
+async function promptRequest(path, method = 'GET', body = undefined) {
+    try {
+        const response = await fetch(`/api/prompts${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            return data;
+        } else {
+            console.warn(`[BROWSER] [API] Prompt request ${method} ${path} failed - ${data.error || 'Unknown error'}`);
+            return { success: false, error: data.error || data.message, errors: data.errors || [] };
+        }
+    } catch (error) {
+        console.error(`[BROWSER] [API] Error in prompt request ${method} ${path}:`, error);
+        return { success: false, error: error.message, errors: [] };
+    }
+}
+
+// List editable prompts
+export async function fetchPrompts() {
+    return promptRequest('');
+}
+
+// Fetch a prompt's templates and required placeholders
+export async function fetchPrompt(key) {
+    return promptRequest(`/${encodeURIComponent(key)}`);
+}
+
+// Validate an edited prompt and diff it against the saved one
+export async function validatePrompt(key, template, variant) {
+    return promptRequest(`/${encodeURIComponent(key)}/validate`, 'POST', { template, variant });
+}
+
+// Save an edited prompt
+export async function savePrompt(key, template, variant) {
+    console.log(`[BROWSER] [API] Saving prompt ${key}${variant ? ` (${variant})` : ''}`);
+    return promptRequest(`/${encodeURIComponent(key)}`, 'PUT', { template, variant });
+}
+
+// Fetch a prompt's edit history (newest first)
+export async function fetchPromptHistory(key) {
+    return promptRequest(`/${encodeURIComponent(key)}/history`);
+}
+
+// Restore a prompt from a history entry
+export async function revertPrompt(key, historyId) {
+    console.log(`[BROWSER] [API] Reverting prompt ${key} to ${historyId}`);
+    return promptRequest(`/${encodeURIComponent(key)}/revert`, 'POST', { historyId });
+}
@@ -3,7 +3,8 @@ export const state = {
     currentSessionId: null,
     sessions: [],
     isGenerating: false,
-    activePollInterval: null
+    activePollInterval: null,
+    editingPrompt: null // Prompt loaded in the settings prompt editor
 };
 
 // Constants
@@ -63,3 +64,20 @@ export function setLastChatMode(mode) {
 export function isColdOutreachMode() {
     return getLastChatMode() === 'cold_outreach';
 }
+
+// CV theme for new generations (null until the user picks one)
+export function getLastTheme() {
+    return localStorage.getItem('lastTheme');
+}
+
+export function setLastTheme(theme) {
+    localStorage.setItem('lastTheme', theme);
+}
+
+export function setEditingPrompt(prompt) {
+    state.editingPrompt = prompt;
+}
+
+export function getEditingPrompt() {
+    return state.editingPrompt;
+}
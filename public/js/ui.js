@@ -8,10 +8,14 @@ export const elements = {
     chatHistory: document.getElementById('chat-history'),
     chatMessages: document.getElementById('chat-messages'),
     chatTitle: document.getElementById('chat-title'),
+    sessionUsage: document.getElementById('session-usage'),
+    monthlyUsage: document.getElementById('monthly-usage'),
+    sessionOutcome: document.getElementById('session-outcome'),
     chatForm: document.getElementById('chat-form'),
     chatInput: document.getElementById('chat-input'),
     sendBtn: document.getElementById('send-btn'),
     modeToggle: document.getElementById('mode-toggle-checkbox'),
+    themeSelect: document.getElementById('theme-select'),
     newChatBtn: document.getElementById('new-chat-btn'),
     settingsBtn: document.getElementById('settings-btn'),
     chatView: document.getElementById('chat-view'),
@@ -22,7 +26,17 @@ export const elements = {
     saveOriginalCVBtn: document.getElementById('save-original-cv-btn'),
     saveExtensiveCVBtn: document.getElementById('save-extensive-cv-btn'),
     originalCVStatus: document.getElementById('original-cv-status'),
-    extensiveCVStatus: document.getElementById('extensive-cv-status')
+    extensiveCVStatus: document.getElementById('extensive-cv-status'),
+    promptSelect: document.getElementById('prompt-select'),
+    promptVariantSelect: document.getElementById('prompt-variant-select'),
+    promptVersion: document.getElementById('prompt-version'),
+    promptRequired: document.getElementById('prompt-required'),
+    promptTextarea: document.getElementById('prompt-textarea'),
+    previewPromptBtn: document.getElementById('preview-prompt-btn'),
+    savePromptBtn: document.getElementById('save-prompt-btn'),
+    promptStatus: document.getElementById('prompt-status'),
+    promptDiff: document.getElementById('prompt-diff'),
+    promptHistory: document.getElementById('prompt-history')
 };
 
 // Toggle sidebar collapse/expand
@@ -171,6 +185,62 @@ export function updateChatTitle(title = 'New Conversation') {
     }
 }
 
+// Format token counts and costs for usage displays
+function formatTokens(count) {
+    return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
+
+function formatCost(cost) {
+    return `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+// Update the session usage badge in the chat header (pass null to hide it)
+export function updateSessionUsage(usage) {
+    if (!elements.sessionUsage) return;
+    
+    if (!usage || usage.calls === 0) {
+        elements.sessionUsage.hidden = true;
+        elements.sessionUsage.textContent = '';
+        return;
+    }
+    
+    const totalTokens = usage.inputTokens + usage.outputTokens;
+    elements.sessionUsage.textContent = `${formatTokens(totalTokens)} tokens · ${formatCost(usage.cost)}`;
+    elements.sessionUsage.title = Object.entries(usage.byPromptKey)
+        .map(([promptKey, totals]) => `${promptKey}: ${totals.calls} call(s), ${formatTokens(totals.inputTokens)} in / ${formatTokens(totals.outputTokens)} out, ${formatCost(totals.cost)}`)
+        .join('\n');
+    elements.sessionUsage.hidden = false;
+}
+
+// Show the application outcome selector for finished sessions (hidden when session is null)
+export function updateSessionOutcome(session) {
+    if (!elements.sessionOutcome) return;
+    
+    const finished = session && ['completed', 'approved'].includes(session.status);
+    elements.sessionOutcome.hidden = !finished;
+    elements.sessionOutcome.value = finished && session.outcome ? session.outcome.status : '';
+}
+
+// Fill the CV theme picker (hidden until themes are loaded)
+export function displayThemes(themes, selectedTheme) {
+    if (!elements.themeSelect || themes.length === 0) return;
+    
+    elements.themeSelect.innerHTML = themes.map(theme => `
+        <option value="${escapeHtml(theme.id)}" title="${escapeHtml(theme.description)}">${escapeHtml(theme.name)} theme${theme.pageCount ? ` (${theme.pageCount} page)` : ''}</option>
+    `).join('');
+    elements.themeSelect.value = selectedTheme;
+    elements.themeSelect.hidden = false;
+}
+
+// Update the monthly usage summary in the sidebar footer
+export function updateMonthlyUsage(usage) {
+    if (!elements.monthlyUsage || !usage) return;
+    
+    const sessionCount = usage.sessions.filter(s => s.sessionId !== 'unassigned').length;
+    elements.monthlyUsage.textContent = `${usage.month}: ${formatCost(usage.cost)} across ${sessionCount} session(s)`;
+    elements.monthlyUsage.title = `${formatTokens(usage.inputTokens)} input / ${formatTokens(usage.outputTokens)} output tokens in ${usage.calls} AI call(s)`;
+}
+
 // Display session messages in chat window
 export function displaySessionMessages(session) {
     elements.chatMessages.innerHTML = '';
@@ -327,6 +397,53 @@ export function appendLogToContainer(container, logEntry) {
     container.scrollTop = container.scrollHeight;
 }
 
+// Show or clear the "waiting for an AI slot" line while a request is queued on the server
+export function updateQueueStatus(container, queueEntry) {
+    let statusLine = container.querySelector('.queue-status');
+    
+    if (queueEntry.position === 0) {
+        if (statusLine) statusLine.remove();
+        return;
+    }
+    
+    if (!statusLine) {
+        statusLine = document.createElement('div');
+        statusLine.className = 'queue-status';
+        statusLine.style.marginBottom = '2px';
+        statusLine.style.color = '#666';
+        container.appendChild(statusLine);
+    }
+    
+    statusLine.textContent = `⏳ Server busy, waiting for a ${queueEntry.modelType.toUpperCase()} model slot (position ${queueEntry.position} in queue)`;
+    container.scrollTop = container.scrollHeight;
+}
+
+// Show a document as the model writes it (cover letter or cold email); the final results replace it
+export function appendDocumentDelta(logsContainer, delta) {
+    const loadingElement = logsContainer.parentElement;
+    let preview = loadingElement.querySelector(`.live-document[data-document="${delta.document}"]`);
+    
+    if (!preview) {
+        const titles = { coverLetter: '📧 Cover Letter', coldEmail: '✉️ Cold Email' };
+        preview = document.createElement('div');
+        preview.className = 'live-document';
+        preview.dataset.document = delta.document;
+        preview.style.marginTop = '10px';
+        preview.innerHTML = `
+            <div style="font-weight: 600; margin-bottom: 4px;">${titles[delta.document] || escapeHtml(delta.document)} <span style="color: #666; font-weight: normal;">(writing...)</span></div>
+            <div class="live-document-text" style="white-space: pre-wrap; background: #f9fafb; padding: 8px; border-radius: 4px;"></div>
+        `;
+        loadingElement.appendChild(preview);
+    }
+    
+    const textElement = preview.querySelector('.live-document-text');
+    if (delta.reset) {
+        textElement.textContent = '';
+    }
+    textElement.textContent += delta.text;
+    scrollToBottom();
+}
+
 // Format results with logs as HTML
 export function formatResultsWithLogs(results, logs) {
     let html = '<div class="results-container">';
@@ -377,6 +494,14 @@ export function formatResults(results) {
             html += `<div class="result-status warning">⚠ Generated with warnings</div>`;
         }
         
+        // Downloads: the compiled PDF plus formats for portals that reject PDFs
+        html += '<div class="result-actions">';
+        html += formatDownloadButtons('cv', [['pdf', 'PDF'], ['docx', 'Word'], ['txt', 'Plain text (ATS)'], ['md', 'Markdown'], ['html', 'HTML']]);
+        html += '</div>';
+        html += formatRevisionTimeline('cv');
+        html += formatCVDiffPanel();
+        html += formatCVEditorPanel();
+        
         // Display change summary if available
         if (results.cv.changeSummary) {
             html += '<div class="cv-changes">';
@@ -384,13 +509,31 @@ export function formatResults(results) {
             html += `<div class="change-summary">${escapeHtml(results.cv.changeSummary).replace(/\n/g, '<br>')}</div>`;
             html += '</div>';
         }
+
+        // Display mechanical page-fit adjustments if any were needed
+        if (results.cv.pageFitAdjustments && results.cv.pageFitAdjustments.length > 0) {
+            html += '<div class="cv-changes">';
+            html += '<h4>Layout Adjustments:</h4>';
+            html += `<div class="change-summary">${results.cv.pageFitAdjustments.map(escapeHtml).join('<br>')}</div>`;
+            html += '</div>';
+        }
+
+        // Display where each bullet came from (source passage shown on hover)
+        if (results.cv.provenance && results.cv.provenance.bullets.length > 0) {
+            html += formatProvenance(results.cv.provenance);
+        }
         
-        // Embed PDF viewer if PDF path is available
+        // Embed PDF viewer if PDF path is available, with the ATS keyword match next to it
         if (results.cv.pdfPath) {
+            html += '<div class="pdf-with-keywords">';
             html += '<div class="pdf-viewer-container">';
             html += '<h4>Preview:</h4>';
             html += `<embed src="${results.cv.pdfPath}" type="application/pdf" width="100%" height="600px" />`;
             html += '</div>';
+            if (results.keywordReport) {
+                html += `<div class="keyword-panel" data-session="${getCurrentSessionId()}">${formatKeywordReport(results.keywordReport, getCurrentSessionId())}</div>`;
+            }
+            html += '</div>';
         }
         
         html += '</div>';
@@ -408,7 +551,9 @@ export function formatResults(results) {
         html += '<div class="result-status success">✓ Generated</div>';
         html += '<div class="result-actions">';
         html += `<button class="btn-download" onclick="window.downloadCoverLetter('${getCurrentSessionId()}')">📥 Download (.docx)</button>`;
+        html += formatDownloadButtons('cover-letter', [['txt', '.txt'], ['md', '.md'], ['html', '.html']]);
         html += '</div>';
+        html += formatRevisionTimeline('cover-letter');
         html += '<div class="result-content">';
         html += `<textarea class="editable-content" data-session="${getCurrentSessionId()}" data-type="coverLetter" rows="15">${escapeHtml(results.coverLetter.content)}</textarea>`;
         html += '</div>';
@@ -469,10 +614,12 @@ export function formatResults(results) {
         html += '<div class="result-status success">✓ Generated</div>';
         html += '<div class="result-actions">';
         html += `<button class="btn-download" onclick="window.downloadColdEmail('${getCurrentSessionId()}')">📥 Download (.txt)</button>`;
+        html += formatDownloadButtons('cold-email', [['docx', '.docx'], ['md', '.md']]);
         if (mailtoLink) {
             html += `<a href="${mailtoLink}" class="btn-mailto">📧 Open in Email Client</a>`;
         }
         html += '</div>';
+        html += formatRevisionTimeline('cold-email');
         if (emailAddresses.length > 0) {
             html += '<div class="email-addresses">';
             html += '<strong>Email(s) found:</strong> ';
@@ -490,6 +637,348 @@ export function formatResults(results) {
         html += '</div>';
     }
     
+    // Claims the source files don't support
+    if (results.claimVerification) {
+        html += formatClaims(results.claimVerification);
+    }
+    
+    return html;
+}
+
+// Download buttons for a document in the given [format, label] pairs
+function formatDownloadButtons(docType, formats) {
+    return formats
+        .map(([format, label]) => `<button class="btn-download" onclick="window.downloadDocument('${getCurrentSessionId()}', '${docType}', '${format}')">📥 ${label}</button>`)
+        .join('');
+}
+
+// Collapsed revision timeline of a document, loaded when it is opened
+function formatRevisionTimeline(docType) {
+    let html = `<details class="revision-timeline" data-session="${getCurrentSessionId()}" data-doc-type="${docType}" ontoggle="window.loadRevisions(this)">`;
+    html += '<summary>🕓 Revisions</summary>';
+    html += '<ol class="revision-list"></ol>';
+    html += '<div class="revision-diff" hidden></div>';
+    html += '</details>';
+    return html;
+}
+
+// List a document's revisions (newest first) with diff and restore buttons
+export function renderRevisions(timeline, revisions) {
+    const list = timeline.querySelector('.revision-list');
+    if (revisions.length === 0) {
+        list.innerHTML = '<li>No revisions yet</li>';
+        return;
+    }
+    const labels = { generate: 'Generated', refine: 'Refined', edit: 'Edited', reject: 'Changes rejected', restore: 'Restored' };
+    const { session, docType } = timeline.dataset;
+    list.innerHTML = revisions.map((revision, index) => {
+        const label = revision.restoredFrom ? `${labels.restore} from #${revision.restoredFrom}` : (labels[revision.source] || revision.source);
+        const previous = revisions[index + 1];
+        let html = `<li class="revision-item"><span>#${revision.number} · ${escapeHtml(label)} · ${new Date(revision.createdAt).toLocaleString()}</span>`;
+        if (previous) {
+            html += `<button class="btn-secondary" onclick="window.showRevisionDiff('${session}', '${docType}', ${previous.number}, ${revision.number})">Changes</button>`;
+        }
+        if (index > 0) {
+            html += `<button class="btn-secondary" onclick="window.restoreRevision('${session}', '${docType}', ${revision.number})">Restore</button>`;
+        }
+        return `${html}</li>`;
+    }).join('');
+}
+
+// Show the diff between two revisions below a document's timeline
+export function renderRevisionDiff(timeline, diff) {
+    const container = timeline.querySelector('.revision-diff');
+    container.hidden = false;
+    const heading = `<div class="revision-diff-title">#${diff.from} → #${diff.to}: ${diff.added} added, ${diff.removed} removed</div>`;
+    container.innerHTML = heading + (diff.added === 0 && diff.removed === 0 ? 'No changes' : formatDiffLines(diff));
+}
+
+// Collapsed comparison of the CV with the original CV, loaded when it is opened
+function formatCVDiffPanel() {
+    let html = `<details class="cv-diff" data-session="${getCurrentSessionId()}" ontoggle="window.loadCVDiff(this)">`;
+    html += '<summary>🔍 Compare with original CV</summary>';
+    html += '<div class="cv-diff-body">Loading...</div>';
+    html += '</details>';
+    return html;
+}
+
+// Collapsed LaTeX editor for the CV source, loaded when it is opened
+function formatCVEditorPanel() {
+    let html = `<details class="cv-editor" data-session="${getCurrentSessionId()}" ontoggle="window.loadCVEditor(this)">`;
+    html += '<summary>✏️ Edit LaTeX source</summary>';
+    html += '<div class="cv-editor-body">Loading...</div>';
+    html += '</details>';
+    return html;
+}
+
+// LaTeX tokens that get a color: comments, commands (and escaped characters), inline math and braces
+const LATEX_TOKENS = /(%.*$)|(\\(?:[a-zA-Z@]+\*?|.))|(\$[^$\n]*\$)|([{}[\]])/gm;
+
+// Highlight LaTeX source as HTML for the layer behind the editor's textarea
+export function highlightLatex(source) {
+    let html = '';
+    let last = 0;
+    for (const match of source.matchAll(LATEX_TOKENS)) {
+        const type = match[1] ? 'comment' : match[2] ? 'command' : match[3] ? 'math' : 'brace';
+        html += `${escapeHtml(source.slice(last, match.index))}<span class="tex-${type}">${escapeHtml(match[0])}</span>`;
+        last = match.index + match[0].length;
+    }
+    // A trailing newline keeps the layer as tall as the textarea
+    return `${html}${escapeHtml(source.slice(last))}\n`;
+}
+
+// Show the CV source in the editor, with the errors and page count of its last compile
+export function renderCVEditor(panel, source) {
+    const body = panel.querySelector('.cv-editor-body');
+    let html = '<div class="cv-editor-toolbar">';
+    if (source.locked) {
+        html += '<span class="cv-editor-note">This session is approved, so its CV is read-only</span>';
+    } else {
+        html += '<button class="btn-secondary cv-editor-compile" onclick="window.compileCVEditor(this)">▶ Save and compile</button>';
+    }
+    html += '<span class="cv-editor-pages"></span>';
+    html += '</div>';
+    if (source.structured) {
+        html += '<div class="cv-editor-note">Saving hand edits stops keeping this CV in sync with its structure: later refinements edit the LaTeX, and changes can no longer be rejected one by one</div>';
+    }
+    html += '<div class="cv-editor-frame">';
+    html += '<pre class="cv-editor-gutter" aria-hidden="true"></pre>';
+    html += '<div class="cv-editor-code">';
+    html += '<pre class="cv-editor-highlight" aria-hidden="true"></pre>';
+    html += `<textarea class="cv-editor-input" spellcheck="false" wrap="off" oninput="window.updateCVEditor(this)" onscroll="window.syncCVEditorScroll(this)"${source.locked ? ' readonly' : ''}></textarea>`;
+    html += '</div>';
+    html += '</div>';
+    html += '<ul class="cv-editor-errors"></ul>';
+    body.innerHTML = html;
+    
+    panel.querySelector('.cv-editor-input').value = source.content;
+    panel.dataset.targetPageCount = source.targetPageCount || '';
+    renderCVCompileResult(panel, { pageCount: source.pageCount, compileErrors: source.compileErrors });
+}
+
+// Redraw the highlighted source and the line numbers after an edit
+export function updateCVEditor(panel) {
+    const textarea = panel.querySelector('.cv-editor-input');
+    const errors = JSON.parse(panel.dataset.compileErrors || '[]');
+    panel.querySelector('.cv-editor-highlight').innerHTML = highlightLatex(textarea.value);
+    
+    // Lines with compile errors are marked in the gutter, with the error on hover
+    const lineCount = textarea.value.split('\n').length;
+    let gutter = '';
+    for (let line = 1; line <= lineCount; line++) {
+        const lineErrors = errors.filter(error => error.line === line);
+        if (lineErrors.length > 0) {
+            const title = lineErrors.map(error => error.hint ? `${error.message} (${error.hint})` : error.message).join('\n');
+            gutter += `<span class="cv-editor-error-line" title="${escapeHtml(title).replace(/"/g, '&quot;')}">${line}</span>\n`;
+        } else {
+            gutter += `${line}\n`;
+        }
+    }
+    panel.querySelector('.cv-editor-gutter').innerHTML = gutter;
+    syncCVEditorScroll(panel);
+}
+
+// Keep the highlight layer and the line numbers scrolled with the textarea
+export function syncCVEditorScroll(panel) {
+    const textarea = panel.querySelector('.cv-editor-input');
+    const highlight = panel.querySelector('.cv-editor-highlight');
+    highlight.scrollTop = textarea.scrollTop;
+    highlight.scrollLeft = textarea.scrollLeft;
+    panel.querySelector('.cv-editor-gutter').scrollTop = textarea.scrollTop;
+}
+
+// Show a compile's page count and errors in the editor (errors are listed and marked on their lines)
+export function renderCVCompileResult(panel, compile) {
+    const errors = compile.compileErrors || [];
+    const target = Number(panel.dataset.targetPageCount) || null;
+    const pages = panel.querySelector('.cv-editor-pages');
+    if (compile.pageCount) {
+        pages.textContent = target ? `${compile.pageCount} / ${target} pages` : `${compile.pageCount} pages`;
+        pages.classList.toggle('off-target', Boolean(target) && compile.pageCount !== target);
+    } else {
+        pages.textContent = '';
+    }
+    
+    panel.dataset.compileErrors = JSON.stringify(errors);
+    panel.querySelector('.cv-editor-errors').innerHTML = errors.map(error => {
+        const location = error.line ? `<button class="cv-editor-error-link" onclick="window.goToCVEditorLine(this, ${error.line})">Line ${error.line}</button> ` : '';
+        const hint = error.hint ? `<div class="cv-editor-error-hint">${escapeHtml(error.hint)}</div>` : '';
+        return `<li>${location}${escapeHtml(error.message)}${hint}</li>`;
+    }).join('');
+    updateCVEditor(panel);
+}
+
+// Put the cursor on a line of the editor and scroll it into view
+export function goToCVEditorLine(panel, line) {
+    const textarea = panel.querySelector('.cv-editor-input');
+    const lines = textarea.value.split('\n');
+    const start = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+    textarea.focus();
+    textarea.setSelectionRange(start, start + (lines[line - 1] || '').length);
+    textarea.scrollTop = Math.max(0, (line - 5) * parseFloat(getComputedStyle(textarea).lineHeight));
+    syncCVEditorScroll(panel);
+}
+
+// One change of the CV diff, with a checkbox to select it for rejection
+function formatCVChange(change, label, rejectable) {
+    let html = `<div class="cv-change cv-change-${change.type}">`;
+    if (rejectable && change.changeId) {
+        html += `<input type="checkbox" class="cv-change-select" value="${escapeHtml(change.changeId)}" title="Select to reject">`;
+    }
+    if (label) {
+        html += `<span class="cv-change-label">${escapeHtml(label)}</span>`;
+    }
+    if (change.type === 'reworded') {
+        html += `<span class="cv-change-text">${change.words.map(part => {
+            const tag = { added: 'ins', removed: 'del' }[part.type];
+            return tag ? `<${tag}>${escapeHtml(part.text)}</${tag}>` : escapeHtml(part.text);
+        }).join('')}</span>`;
+    } else {
+        html += `<span class="cv-change-text">${escapeHtml(change.type === 'removed' ? change.before : change.after)}</span>`;
+    }
+    return `${html}</div>`;
+}
+
+// Show what the CV changed from the original, by section, entry and bullet
+export function renderCVDiff(panel, diff) {
+    const body = panel.querySelector('.cv-diff-body');
+    if (!diff.structured) {
+        // The CV could not be parsed, so its LaTeX is compared line by line
+        body.innerHTML = `<div class="revision-diff">${diff.added === 0 && diff.removed === 0 ? 'No changes' : formatDiffLines(diff)}</div>`;
+        return;
+    }
+    
+    const { added, removed, reworded } = diff.totals;
+    if (added + removed + reworded === 0) {
+        body.innerHTML = 'No changes from the original CV';
+        return;
+    }
+    const rejectable = diff.rejectable;
+    let html = `<div class="cv-diff-totals">${added} added, ${removed} removed, ${reworded} reworded</div>`;
+    if (diff.summaryChange) {
+        html += `<div class="cv-diff-section"><h5>Summary</h5>${formatCVChange(diff.summaryChange, null, rejectable)}</div>`;
+    }
+    diff.sections.filter(section => section.status !== 'unchanged').forEach(section => {
+        html += `<div class="cv-diff-section"><h5>${escapeHtml(section.title)}</h5>`;
+        if (section.changeId) {
+            const change = { changeId: section.changeId, type: section.status, before: section.lines.join('\n'), after: section.lines.join('\n') };
+            html += formatCVChange(change, `Section ${section.status}`, rejectable);
+        }
+        section.blocks.filter(block => block.status !== 'unchanged').forEach(block => {
+            html += `<div class="cv-diff-block"><div class="cv-diff-heading">${escapeHtml(block.heading)}</div>`;
+            if (block.changeId) {
+                const text = block.lines.join('\n');
+                html += formatCVChange({ changeId: block.changeId, type: block.status, before: text, after: text }, null, rejectable);
+            }
+            block.fields.forEach(field => {
+                html += formatCVChange(field, field.field, rejectable);
+            });
+            block.items.forEach(item => {
+                html += formatCVChange(item, null, rejectable);
+            });
+            html += '</div>';
+        });
+        html += '</div>';
+    });
+    if (rejectable) {
+        html += '<button class="btn-secondary" onclick="window.rejectCVChanges(this)">↩ Reject selected changes and recompile</button>';
+    } else {
+        html += '<div class="cv-diff-note">This CV was edited as LaTeX, so its changes cannot be rejected one by one</div>';
+    }
+    body.innerHTML = html;
+}
+
+// Changed lines of a line diff, marked + and -
+function formatDiffLines(diff) {
+    return diff.lines
+        .filter(line => line.type !== 'equal')
+        .map(line => {
+            const marker = line.type === 'added' ? '+' : '-';
+            return `<span class="diff-${line.type}">${marker} ${escapeHtml(line.text)}</span>`;
+        }).join('');
+}
+
+// Format the ATS keyword report: score, matched keywords (with where they appear) and missing ones
+export function formatKeywordReport(report, sessionId) {
+    const chip = keyword => {
+        const details = keyword.matched
+            ? `${keyword.occurrences}× (${keyword.density}% density) in ${keyword.sections.join(', ') || 'the CV'}`
+            : 'Not found in the CV';
+        return `<span class="keyword-chip keyword-${keyword.matched ? 'matched' : 'missing'} keyword-${keyword.importance}" title="${escapeHtml(details).replace(/"/g, '&quot;')}">${escapeHtml(keyword.keyword)}</span>`;
+    };
+    const matched = report.keywords.filter(keyword => keyword.matched);
+    const missing = report.keywords.filter(keyword => !keyword.matched);
+    
+    let html = '<h4>ATS Keyword Match:</h4>';
+    html += `<div class="keyword-score">${report.score === null ? '–' : `${report.score}%`}</div>`;
+    html += `<div class="keyword-caption">${matched.length} of ${report.keywords.length} keywords found (required keywords count double)</div>`;
+    if (matched.length > 0) {
+        html += `<div class="keyword-group"><strong>Matched</strong><div>${matched.map(chip).join(' ')}</div></div>`;
+    }
+    if (missing.length > 0) {
+        html += `<div class="keyword-group"><strong>Missing</strong><div>${missing.map(chip).join(' ')}</div></div>`;
+        html += `<button class="btn-address-keywords" onclick="window.addressMissingKeywords('${sessionId}', this)">✨ Address missing keywords</button>`;
+    }
+    return html;
+}
+
+// Format CV bullets with their edit type; hovering a bullet shows the source passage
+function formatProvenance(provenance) {
+    const sourceNames = { original_cv: 'original CV', extensive_cv: 'extensive CV' };
+    const { kept, reworded, imported } = provenance.summary;
+    
+    let html = '<details class="provenance-details">';
+    html += `<summary>🧬 Bullet Sources: ${kept} kept, ${reworded} reworded, ${imported} imported, ${provenance.summary.new} new</summary>`;
+    html += '<ul class="provenance-list">';
+    provenance.bullets.forEach(bullet => {
+        const source = bullet.source
+            ? `From the ${sourceNames[bullet.source.file]}${bullet.editType === 'kept' ? '' : ` (${Math.round(bullet.similarity * 100)}% word overlap)`}: ${bullet.source.passage}`
+            : 'No matching passage in the source files';
+        html += '<li class="provenance-item">';
+        html += `<span class="provenance-badge provenance-${bullet.editType}">${bullet.editType}</span> ${escapeHtml(bullet.text)}`;
+        html += `<div class="provenance-source">${escapeHtml(source)}</div>`;
+        html += '</li>';
+    });
+    html += '</ul>';
+    html += '</details>';
+    return html;
+}
+
+// Format unsupported claims with their location and confirm/remove buttons
+function formatClaims(claimVerification) {
+    const documentNames = { cv: 'CV', coverLetter: 'Cover letter', coldEmail: 'Cold email' };
+    const unsupported = claimVerification.claims.filter(claim => !claim.supported);
+    const warnings = claimVerification.warnings || [];
+    if (unsupported.length === 0 && warnings.length === 0) {
+        return '';
+    }
+    
+    let html = '<div class="result-section claims-section">';
+    html += '<h3 class="result-section-title">🔎 Claims to Check</h3>';
+    html += `<div class="result-status">${unsupported.length} of ${claimVerification.summary.total} claim(s) not found in your source files</div>`;
+    warnings.forEach(warning => {
+        html += `<div class="claim-warning">⚠ ${escapeHtml(warning)}</div>`;
+    });
+    html += '<ul class="claim-list">';
+    unsupported.forEach(claim => {
+        const location = claim.location || {};
+        const where = location.section
+            ? [location.section, location.entry].filter(Boolean).join(' › ')
+            : (location.line ? `line ${location.line}` : 'location unknown');
+        html += `<li class="claim-item" data-claim-id="${escapeHtml(claim.id)}">`;
+        html += `<div class="claim-header"><strong>${escapeHtml(claim.value)}</strong> <span class="claim-meta">${escapeHtml(documentNames[claim.document] || claim.document)} · ${escapeHtml(where)} · ${escapeHtml(claim.type)}</span></div>`;
+        if (location.excerpt) {
+            html += `<div class="claim-excerpt">${escapeHtml(location.excerpt)}</div>`;
+        }
+        html += '<div class="claim-actions">';
+        html += `<button class="btn-claim" onclick="window.resolveClaim('${getCurrentSessionId()}', '${escapeHtml(claim.id)}', 'confirmed')">✓ It's true</button>`;
+        html += `<button class="btn-claim" onclick="window.resolveClaim('${getCurrentSessionId()}', '${escapeHtml(claim.id)}', 'removed')">✗ Removed it</button>`;
+        html += `<span class="claim-resolution">${claim.resolution ? escapeHtml(claim.resolution) : ''}</span>`;
+        html += '</div>';
+        html += '</li>';
+    });
+    html += '</ul>';
+    html += '</div>';
     return html;
 }
 
@@ -560,3 +1049,65 @@ export async function loadCVContent(docType) {
         statusDiv.textContent = `Failed to load ${docType}`;
     }
 }
+
+// Fill the prompt editor's prompt picker
+export function renderPromptOptions(prompts, selectedKey) {
+    elements.promptSelect.innerHTML = prompts.map(prompt => `
+        <option value="${escapeHtml(prompt.key)}" ${prompt.key === selectedKey ? 'selected' : ''}>${escapeHtml(prompt.key)}</option>
+    `).join('');
+}
+
+// Show a prompt (or one of its A/B variants) in the prompt editor
+export function renderPromptEditor(prompt, variant = null) {
+    const variants = prompt.templates.map(entry => entry.variant).filter(Boolean);
+    elements.promptVariantSelect.hidden = variants.length === 0;
+    elements.promptVariantSelect.innerHTML = variants.map(name => `
+        <option value="${escapeHtml(name)}" ${name === variant ? 'selected' : ''}>Variant ${escapeHtml(name)}</option>
+    `).join('');
+
+    const entry = prompt.templates.find(item => item.variant === variant) || prompt.templates[0];
+    elements.promptVersion.textContent = `v${prompt.version}`;
+    elements.promptRequired.textContent = entry.requiredVariables.length > 0
+        ? `Required placeholders: ${entry.requiredVariables.map(name => `{{${name}}}`).join(', ')}`
+        : 'No required placeholders';
+    elements.promptTextarea.value = entry.template;
+    elements.promptStatus.className = 'upload-status';
+    elements.promptStatus.textContent = '';
+    renderPromptDiff(null);
+}
+
+// Update the prompt editor status line (errors and warnings are listed below the message)
+export function updatePromptStatus(success, message, details = []) {
+    elements.promptStatus.className = success ? 'upload-status success' : 'upload-status error';
+    elements.promptStatus.innerHTML = [message, ...details].map(line => escapeHtml(line)).join('<br>');
+}
+
+// Show the line diff of an edited prompt (null hides it)
+export function renderPromptDiff(diff) {
+    if (!diff) {
+        elements.promptDiff.hidden = true;
+        elements.promptDiff.innerHTML = '';
+        return;
+    }
+    elements.promptDiff.hidden = false;
+    if (diff.added === 0 && diff.removed === 0) {
+        elements.promptDiff.textContent = 'No changes';
+        return;
+    }
+    elements.promptDiff.innerHTML = formatDiffLines(diff);
+}
+
+// List a prompt's edit history with revert buttons
+export function renderPromptHistory(history) {
+    if (history.length === 0) {
+        elements.promptHistory.innerHTML = '<li>No edits yet</li>';
+        return;
+    }
+    const labels = { original: 'Original', edit: 'Edited', revert: 'Reverted' };
+    elements.promptHistory.innerHTML = history.map(entry => `
+        <li>
+            <span>v${entry.version} · ${labels[entry.action] || entry.action}${entry.variant ? ` (variant ${escapeHtml(entry.variant)})` : ''} · ${new Date(entry.timestamp).toLocaleString()}</span>
+            <button class="btn-secondary" data-history-id="${escapeHtml(entry.id)}">Revert to this</button>
+        </li>
+    `).join('');
+}
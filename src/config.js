@@ -5,11 +5,64 @@
  */
 
 require('dotenv').config();
+const path = require('path');
+
+// OpenAI's own API, the default for the openai provider; other OpenAI-compatible servers may not need a key
+const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// Default model prices in USD per 1M tokens, used for usage cost accounting
+const DEFAULT_PRICING = {
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gpt-4o': { input: 2.50, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 }
+};
+
+// Default response cache TTLs in seconds per prompt key. Only parsing and research prompts are
+// cached; creative prompts (CV, cover letter, emails) are left out so regenerating gives a fresh draft.
+const DAY = 24 * 60 * 60;
+const DEFAULT_CACHE_TTLS = {
+  extractJobDescription: 7 * DAY,
+  extractJobDetails: 7 * DAY,
+  processJobText: 7 * DAY,
+  processJobURL: DAY, // Postings change or close
+  parseColdOutreachInput: 7 * DAY,
+  generateCompanyProfile: 7 * DAY,
+  researchCompanyAndIdentifyPeople: DAY, // Includes recent news and open roles
+  getIntelligence: 7 * DAY,
+  generateCVChangeSummary: 7 * DAY,
+  extractClaims: 7 * DAY,
+  extractJobKeywords: 7 * DAY
+};
+
+// Per-prompt retry policy overrides (any of maxRetries, initialDelay, maxDelay, factor, jitter).
+// getIntelligence has a built-in fallback list, so it should not hold up Apollo searches for long.
+const DEFAULT_RETRY_OVERRIDES = {
+  getIntelligence: { maxRetries: 2, maxDelay: 10000 }
+};
+
+/**
+ * Parse a JSON object from an environment variable
+ * @param {string} name - Environment variable name
+ * @returns {Object} Parsed object, or an empty object if unset or invalid
+ */
+function parseJsonEnv(name) {
+  if (!process.env[name]) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`[DEBUG] Config: Ignoring invalid JSON in ${name}: ${error.message}`);
+    return {};
+  }
+}
 
 const config = {
   // API Keys
   apiKeys: {
     gemini: process.env.GEMINI_API_KEY,
+    openai: process.env.OPENAI_API_KEY,
     apollo: process.env.APOLLO_API_KEY,
     browserless: process.env.BROWSERLESS_API_KEY
   },
@@ -27,19 +80,77 @@ const config = {
 
   // AI Model Configuration
   ai: {
+    provider: (process.env.AI_PROVIDER || 'gemini').toLowerCase(), // gemini, openai or ollama
     model: process.env.GEMINI_MODEL || 'gemini-2.5-pro', // Legacy single model config
     proModel: process.env.GEMINI_PRO_MODEL || 'gemini-2.5-pro', // Powerful model for complex tasks
     flashModel: process.env.GEMINI_FLASH_MODEL || 'gemini-2.5-flash', // Fast model for simple tasks
     maxRetries: parseInt(process.env.AI_MAX_RETRIES, 10) || 5,
-    initialRetryDelay: parseInt(process.env.AI_INITIAL_RETRY_DELAY, 10) || 5000
+    initialRetryDelay: parseInt(process.env.AI_INITIAL_RETRY_DELAY, 10) || 5000,
+    maxRetryDelay: parseInt(process.env.AI_MAX_RETRY_DELAY, 10) || 60000, // Backoff cap (server-requested delays are always honored)
+    retryBackoffFactor: parseFloat(process.env.AI_RETRY_BACKOFF_FACTOR) || 2,
+    retryJitter: process.env.AI_RETRY_JITTER !== undefined ? parseFloat(process.env.AI_RETRY_JITTER) : 0.2, // +/- fraction of the delay
+    retryOverrides: { ...DEFAULT_RETRY_OVERRIDES, ...parseJsonEnv('AI_RETRY_OVERRIDES') }, // AI_RETRY_OVERRIDES='{"promptKey":{"maxRetries":3}}'
+    requestTimeout: parseInt(process.env.AI_REQUEST_TIMEOUT, 10) || 300000,
+    // Maximum in-flight provider calls per model tier across the whole server; extra calls wait in a priority queue
+    concurrency: {
+      pro: parseInt(process.env.AI_MAX_CONCURRENT_PRO, 10) || 2,
+      flash: parseInt(process.env.AI_MAX_CONCURRENT_FLASH, 10) || 4
+    },
+    // How many times an invalid JSON response is sent back to the model for repair (0 disables repair)
+    jsonRepairAttempts: process.env.AI_JSON_REPAIR_ATTEMPTS !== undefined ? parseInt(process.env.AI_JSON_REPAIR_ATTEMPTS, 10) : 2,
+    // Any server implementing the OpenAI /chat/completions API
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || OPENAI_DEFAULT_BASE_URL,
+      proModel: process.env.OPENAI_PRO_MODEL || 'gpt-4o',
+      flashModel: process.env.OPENAI_FLASH_MODEL || 'gpt-4o-mini'
+    },
+    // Local Ollama server
+    ollama: {
+      baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      proModel: process.env.OLLAMA_PRO_MODEL || 'llama3.1:70b',
+      flashModel: process.env.OLLAMA_FLASH_MODEL || 'llama3.1:8b'
+    },
+    // Model prices (USD per 1M tokens); AI_PRICING='{"model":{"input":1,"output":2}}' adds or overrides entries.
+    // Models without a price (e.g. local Ollama models) are counted as free.
+    pricing: { ...DEFAULT_PRICING, ...parseJsonEnv('AI_PRICING') },
+    // Opt-in on-disk response cache; bypass per request with preferences.bypassCache on /api/generate
+    cache: {
+      enabled: process.env.AI_CACHE_ENABLED === 'true',
+      dir: process.env.AI_CACHE_DIR || path.join(__dirname, '..', 'cache', 'ai'),
+      ttls: { ...DEFAULT_CACHE_TTLS, ...parseJsonEnv('AI_CACHE_TTLS') }, // AI_CACHE_TTLS='{"promptKey":seconds}', 0 disables
+      defaultTtl: parseInt(process.env.AI_CACHE_DEFAULT_TTL, 10) || 0 // For prompt keys without a TTL (0 = not cached)
+    },
+    // Offline fixtures: "record" saves every response of the real provider, "replay" serves them back without any network
+    replay: {
+      mode: (process.env.AI_REPLAY_MODE || 'off').toLowerCase(), // off, record or replay
+      fixturesDir: process.env.AI_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'ai'),
+      strict: process.env.AI_REPLAY_STRICT === 'true' // Fail instead of falling back to the latest fixture for a prompt key
+    }
   },
 
   // Document Generation Configuration
   document: {
     targetPageCount: parseInt(process.env.TARGET_PAGE_COUNT, 10) || 2,
+    // Mechanical page-fit adjustments tried before asking the AI to cut or add content (0 disables)
+    maxFitSteps: process.env.PAGE_FIT_MAX_STEPS !== undefined ? parseInt(process.env.PAGE_FIT_MAX_STEPS, 10) : 6,
     maxContentLength: parseInt(process.env.MAX_CONTENT_LENGTH, 10) || 50000
   },
 
+  // LaTeX sandbox: every compile runs the CV's TeX engine (see latexEngines.js) in a fresh temporary directory under these limits
+  latex: {
+    timeoutMs: parseInt(process.env.LATEX_TIMEOUT_MS, 10) || 60000, // Wall-clock limit covering both passes
+    maxConcurrent: parseInt(process.env.LATEX_MAX_CONCURRENT, 10) || 2, // Extra compiles wait in a queue
+    maxOutputBytes: parseInt(process.env.LATEX_MAX_OUTPUT_BYTES, 10) || 5 * 1024 * 1024, // Terminal output and PDF size
+    // Packages a CV may load on top of the built-in allowlist (comma-separated)
+    extraPackages: (process.env.LATEX_EXTRA_PACKAGES || '').split(',').map(name => name.trim()).filter(Boolean)
+  },
+
+  // Claim verification: facts in generated documents are checked against extensive_cv and original_cv
+  claimVerification: {
+    enabled: process.env.CLAIM_VERIFICATION_ENABLED !== 'false',
+    blockApproval: process.env.CLAIM_VERIFICATION_BLOCK_APPROVAL === 'true' // Refuse approval while unsupported claims are unresolved
+  },
+
   // Timeouts
   timeouts: {
     scraping: parseInt(process.env.SCRAPING_TIMEOUT, 10) || 30000
@@ -52,15 +163,47 @@ const config = {
  */
 function validateConfig() {
   console.log('[DEBUG] Config: Validating configuration...');
-  if (!config.apiKeys.gemini) {
+  // Required here rather than at the top: the provider registry itself requires this module
+  const { SUPPORTED_PROVIDERS } = require('./services/providers');
+  if (!SUPPORTED_PROVIDERS.includes(config.ai.provider)) {
+    console.error(`[DEBUG] Config: Unknown AI_PROVIDER "${config.ai.provider}"`);
+    throw new Error(`AI_PROVIDER must be one of: ${SUPPORTED_PROVIDERS.join(', ')}`);
+  }
+  const replayModes = ['off', 'record', 'replay'];
+  if (!replayModes.includes(config.ai.replay.mode)) {
+    console.error(`[DEBUG] Config: Unknown AI_REPLAY_MODE "${config.ai.replay.mode}"`);
+    throw new Error(`AI_REPLAY_MODE must be one of: ${replayModes.join(', ')}`);
+  }
+  // Replay mode never calls the real provider, so its credentials are not needed
+  if (config.ai.replay.mode !== 'replay' && config.ai.provider === 'gemini' && !config.apiKeys.gemini) {
     console.error('[DEBUG] Config: GEMINI_API_KEY is missing');
     throw new Error('GEMINI_API_KEY environment variable is required');
   }
+  if (config.ai.replay.mode !== 'replay' && config.ai.provider === 'openai' && !config.apiKeys.openai
+    && config.ai.openai.baseUrl.replace(/\/+$/, '') === OPENAI_DEFAULT_BASE_URL) {
+    console.error('[DEBUG] Config: OPENAI_API_KEY is missing');
+    throw new Error('OPENAI_API_KEY environment variable is required when OPENAI_BASE_URL is the OpenAI API');
+  }
   console.log('[DEBUG] Config: Configuration validation passed');
   console.log(`[DEBUG] Config: Server port: ${config.server.port}`);
   console.log(`[DEBUG] Config: Node environment: ${config.server.nodeEnv}`);
-  console.log(`[DEBUG] Config: AI Pro model: ${config.ai.proModel}`);
-  console.log(`[DEBUG] Config: AI Flash model: ${config.ai.flashModel}`);
+  console.log(`[DEBUG] Config: AI provider: ${config.ai.provider}`);
+  if (config.ai.provider === 'gemini') {
+    console.log(`[DEBUG] Config: AI Pro model: ${config.ai.proModel}`);
+    console.log(`[DEBUG] Config: AI Flash model: ${config.ai.flashModel}`);
+  } else {
+    const providerConfig = config.ai[config.ai.provider];
+    console.log(`[DEBUG] Config: AI base URL: ${providerConfig.baseUrl}`);
+    console.log(`[DEBUG] Config: AI Pro model: ${providerConfig.proModel}`);
+    console.log(`[DEBUG] Config: AI Flash model: ${providerConfig.flashModel}`);
+  }
+  if (config.ai.cache.enabled) {
+    console.log(`[DEBUG] Config: AI response cache enabled (${config.ai.cache.dir})`);
+  }
+  if (config.ai.replay.mode !== 'off') {
+    console.log(`[DEBUG] Config: AI replay mode: ${config.ai.replay.mode} (fixtures: ${config.ai.replay.fixturesDir}, strict: ${config.ai.replay.strict})`);
+  }
+  console.log(`[DEBUG] Config: AI concurrency: pro ${config.ai.concurrency.pro}, flash ${config.ai.concurrency.flash}`);
   console.log(`[DEBUG] Config: Target page count: ${config.document.targetPageCount}`);
 }
 
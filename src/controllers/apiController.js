@@ -1,6 +1,8 @@
 const path = require('path');
 const { loadSourceFiles, EXTENSIVE_CV_EXTENSIONS, SOURCE_FILES } = require('../utils/fileHelpers');
 const GenerationService = require('../services/generationService');
+const { getAIContext, updateAIContext } = require('../utils/aiContext');
+const { getTheme, DEFAULT_THEME } = require('../utils/cvRenderer');
 
 // Constants
 const CHAT_MESSAGE_PREVIEW_LENGTH = 500; // Characters to show in chat message preview
@@ -22,6 +24,26 @@ async function handleSessionFailure(sessionId, sessionService, error) {
   }
 }
 
+/**
+ * CV theme chosen in the generation preferences
+ * @param {Object} preferences - Generation preferences
+ * @returns {string|null} Theme name, or null to keep the session's theme
+ * @throws {Error} If there is no such theme
+ */
+function getRequestedTheme(preferences) {
+  return preferences?.theme ? getTheme(preferences.theme).id : null;
+}
+
+/**
+ * Prompt versions and experiment variants collected in the AI context during generation,
+ * to be stamped into the session when it completes
+ * @returns {Object} { promptVersions, promptVariants }
+ */
+function getPromptMetadata() {
+  const { promptVersions, promptVariants } = getAIContext();
+  return { promptVersions, promptVariants };
+}
+
 
 
 /**
@@ -45,8 +67,9 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
   const failedLogs = []; // Store failed log writes for potential retry
   
   // Helper to log and send event - also writes to session logs.jsonl
-  const logAndSend = (message, level = 'info') => {
-    const logEntry = { message, level, timestamp: new Date().toISOString() };
+  // Optional details (e.g. AI retry events) are sent with the SSE log entry
+  const logAndSend = (message, level = 'info', details = null) => {
+    const logEntry = { message, level, timestamp: new Date().toISOString(), ...details };
     logs.push(logEntry);
     sendEvent('log', logEntry);
     // Write to session logs if session exists
@@ -59,6 +82,9 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
     }
   };
 
+  // Route AI service events (such as retries) into this request's log stream
+  updateAIContext({ log: logAndSend });
+
   try {
     const { input, sessionId: requestSessionId, preferences } = req.body;
     
@@ -76,6 +102,13 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
     const generateCoverLetterFlag = preferences?.coverLetter !== false;
     const generateColdEmailFlag = preferences?.coldEmail !== false;
     const generateApollo = preferences?.apollo === true;
+    let requestedTheme;
+    try {
+      requestedTheme = getRequestedTheme(preferences);
+    } catch (error) {
+      sendEvent('error', { error: error.message });
+      return res.end();
+    }
 
     // Check if session exists and is locked
     if (requestSessionId) {
@@ -112,6 +145,7 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
     }
     
     sessionId = session.id;
+    updateAIContext({ sessionId }); // Attribute AI token usage to this session
     
     // PART 2.2: Send session ID as first SSE event
     sendEvent('session', { sessionId: session.id });
@@ -153,11 +187,13 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
 
     // Update session with extracted job information
     console.log('[DEBUG] APIController: Updating session with extracted job information');
+    const theme = requestedTheme || session.theme || DEFAULT_THEME;
     await sessionService.updateSession(session.id, {
       jobDescription: jobData.jobDescription,
       companyName: jobData.companyName,
       jobTitle: jobData.jobTitle,
-      companyInfo: `${jobData.jobTitle} at ${jobData.companyName}`
+      companyInfo: `${jobData.jobTitle} at ${jobData.companyName}`,
+      theme
     });
     console.log(`[DEBUG] APIController: Session updated with job info`);
 
@@ -186,6 +222,7 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
         jobTitle: jobData.jobTitle,
         sourceFiles,
         sessionDir,
+        theme,
         logCallback: logAndSend
       });
       generatedDocuments.cv = cvResult;
@@ -206,6 +243,15 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
       generatedDocuments.cv?.cvContent || ''
     );
 
+    // Score the compiled CV against the job's ATS keywords
+    const keywordReport = generatedDocuments.cv ? await generationService.analyzeKeywords({
+      sessionId: session.id,
+      jobData,
+      cvText: validatedCVText,
+      cvResult: generatedDocuments.cv,
+      logCallback: logAndSend
+    }) : null;
+
     // Generate cover letter (conditional)
     if (generateCoverLetterFlag) {
       console.log('[DEBUG] APIController: Starting cover letter generation');
@@ -214,6 +260,7 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
           jobDescription: jobData.jobDescription,
           companyName: jobData.companyName,
           jobTitle: jobData.jobTitle,
+          keyQualifications: jobData.keyQualifications,
           validatedCVText,
           sourceFiles,
           sessionDir,
@@ -241,6 +288,7 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
           jobDescription: jobData.jobDescription,
           companyName: jobData.companyName,
           jobTitle: jobData.jobTitle,
+          keyQualifications: jobData.keyQualifications,
           validatedCVText,
           sourceFiles,
           sessionDir,
@@ -265,14 +313,26 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
       logAndSend('Apollo generation not yet implemented', 'info');
     }
 
+    // Check the generated documents for claims the source files don't support
+    const claimVerification = await generationService.verifyClaims({
+      sessionId: session.id,
+      generatedDocuments,
+      sourceFiles,
+      logCallback: logAndSend
+    });
+
     // Update session
     const generatedFiles = {};
     if (generatedDocuments.cv) {
       generatedFiles.cv = {
         texPath: generatedDocuments.cv.texPath,
         pdfPath: generatedDocuments.cv.pdfPath,
+        structurePath: generatedDocuments.cv.structurePath,
+        provenancePath: generatedDocuments.cv.provenancePath || null,
         pageCount: generatedDocuments.cv.pageCount,
         attempts: generatedDocuments.cv.attempts,
+        compileErrors: generatedDocuments.cv.compileErrors || [],
+        pageFitAdjustments: generatedDocuments.cv.pageFitAdjustments || [],
         success: generatedDocuments.cv.success
       };
     }
@@ -283,7 +343,8 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
       generatedFiles.coldEmail = { path: generatedDocuments.coldEmail.path };
     }
 
-    await sessionService.completeSession(session.id, generatedFiles);
+    await sessionService.completeSession(session.id, generatedFiles, getPromptMetadata());
+    await generationService.recordRevisions(session.id, generatedFiles);
     logAndSend('All documents generated successfully', 'success');
 
     // Build results
@@ -297,6 +358,8 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
         attempts: generatedDocuments.cv.attempts,
         error: generatedDocuments.cv.error,
         changeSummary: generatedDocuments.cv.changeSummary,
+        pageFitAdjustments: generatedDocuments.cv.pageFitAdjustments || [],
+        provenance: generatedDocuments.cv.provenance || null,
         pdfPath: generatedDocuments.cv.pdfPath ? `/documents/${sanitizedSessionId}/${path.basename(generatedDocuments.cv.pdfPath)}` : null
       } : null,
       coverLetter: generatedDocuments.coverLetter ? {
@@ -308,7 +371,9 @@ async function handleStreamingGeneration(req, res, sendEvent, services) {
       } : null,
       emailAddresses: emailAddresses,
       companyName: jobData.companyName,
-      jobTitle: jobData.jobTitle
+      jobTitle: jobData.jobTitle,
+      claimVerification,
+      keywordReport
     };
 
     // Add assistant response to chat history with logs and results
@@ -375,6 +440,12 @@ async function handleNonStreamingGeneration(req, res, services) {
     const generateCoverLetterFlag = preferences?.coverLetter !== false;
     const generateColdEmailFlag = preferences?.coldEmail !== false;
     const generateApollo = preferences?.apollo === true;
+    let requestedTheme;
+    try {
+      requestedTheme = getRequestedTheme(preferences);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     // Check if session exists and is locked
     if (requestSessionId) {
@@ -431,7 +502,8 @@ async function handleNonStreamingGeneration(req, res, services) {
         jobDescription: jobData.jobDescription,
         companyName: jobData.companyName,
         jobTitle: jobData.jobTitle,
-        emailAddresses
+        emailAddresses,
+        theme: requestedTheme
       });
       console.log(`✓ Session ready: ${session.id}`);
     } catch (error) {
@@ -440,6 +512,7 @@ async function handleNonStreamingGeneration(req, res, services) {
     }
 
     sessionId = session.id;
+    updateAIContext({ sessionId });
     const sessionDir = sessionService.getSessionDirectory(session.id);
 
     // Log to chat history
@@ -468,6 +541,7 @@ async function handleNonStreamingGeneration(req, res, services) {
         jobTitle: jobData.jobTitle,
         sourceFiles,
         sessionDir,
+        theme: session.theme,
         logCallback: (msg, level) => {
           const logMsg = level === 'error' ? `✗ ${msg}` : level === 'success' ? `✓ ${msg}` : msg;
           console.log(logMsg);
@@ -494,6 +568,15 @@ async function handleNonStreamingGeneration(req, res, services) {
       generatedDocuments.cv?.cvContent || ''
     );
 
+    // Score the compiled CV against the job's ATS keywords
+    const keywordReport = generatedDocuments.cv ? await generationService.analyzeKeywords({
+      sessionId: session.id,
+      jobData,
+      cvText: validatedCVText,
+      cvResult: generatedDocuments.cv,
+      logCallback: (message, level) => sessionService.logToChatHistory(session.id, message, level)
+    }) : null;
+
     // Generate cover letter (conditional)
     if (generateCoverLetterFlag) {
       console.log('\nStep 5: Generating cover letter...');
@@ -504,6 +587,7 @@ async function handleNonStreamingGeneration(req, res, services) {
           jobDescription: jobData.jobDescription,
           companyName: jobData.companyName,
           jobTitle: jobData.jobTitle,
+          keyQualifications: jobData.keyQualifications,
           validatedCVText,
           sourceFiles,
           sessionDir,
@@ -540,6 +624,7 @@ async function handleNonStreamingGeneration(req, res, services) {
           jobDescription: jobData.jobDescription,
           companyName: jobData.companyName,
           jobTitle: jobData.jobTitle,
+          keyQualifications: jobData.keyQualifications,
           validatedCVText,
           sourceFiles,
           sessionDir,
@@ -572,6 +657,14 @@ async function handleNonStreamingGeneration(req, res, services) {
       await sessionService.logToChatHistory(session.id, 'Apollo generation not yet implemented', 'info');
     }
 
+    // Check the generated documents for claims the source files don't support
+    const claimVerification = await generationService.verifyClaims({
+      sessionId: session.id,
+      generatedDocuments,
+      sourceFiles,
+      logCallback: (message, level) => sessionService.logToChatHistory(session.id, message, level)
+    });
+
     // Update session with generated files
     const generatedFiles = {};
     
@@ -579,8 +672,12 @@ async function handleNonStreamingGeneration(req, res, services) {
       generatedFiles.cv = {
         texPath: generatedDocuments.cv.texPath,
         pdfPath: generatedDocuments.cv.pdfPath,
+        structurePath: generatedDocuments.cv.structurePath,
+        provenancePath: generatedDocuments.cv.provenancePath || null,
         pageCount: generatedDocuments.cv.pageCount,
         attempts: generatedDocuments.cv.attempts,
+        compileErrors: generatedDocuments.cv.compileErrors || [],
+        pageFitAdjustments: generatedDocuments.cv.pageFitAdjustments || [],
         success: generatedDocuments.cv.success
       };
     }
@@ -597,7 +694,8 @@ async function handleNonStreamingGeneration(req, res, services) {
       };
     }
 
-    await sessionService.completeSession(session.id, generatedFiles);
+    await sessionService.completeSession(session.id, generatedFiles, getPromptMetadata());
+    await generationService.recordRevisions(session.id, generatedFiles);
     
     if (aiFailureOccurred) {
       await sessionService.logToChatHistory(session.id, '⚠ Generation completed with some failures', 'error');
@@ -619,6 +717,8 @@ async function handleNonStreamingGeneration(req, res, services) {
         attempts: generatedDocuments.cv.attempts,
         error: generatedDocuments.cv.error,
         changeSummary: generatedDocuments.cv.changeSummary,
+        pageFitAdjustments: generatedDocuments.cv.pageFitAdjustments || [],
+        provenance: generatedDocuments.cv.provenance || null,
         pdfPath: generatedDocuments.cv.pdfPath ? `/documents/${sanitizedSessionId}/${path.basename(generatedDocuments.cv.pdfPath)}` : null
       } : null,
       coverLetter: generatedDocuments.coverLetter ? {
@@ -630,7 +730,9 @@ async function handleNonStreamingGeneration(req, res, services) {
       } : null,
       emailAddresses: emailAddresses,
       companyName: jobData.companyName,
-      jobTitle: jobData.jobTitle
+      jobTitle: jobData.jobTitle,
+      claimVerification,
+      keywordReport
     };
 
     // Get logs from chat history file
@@ -692,8 +794,9 @@ async function handleColdOutreachPath(req, res, sendEvent, services) {
   const failedLogs = []; // Store failed log writes for potential retry
   
   // Helper to log and send event - also writes to session logs.jsonl
-  const logAndSend = (message, level = 'info') => {
-    const logEntry = { message, level, timestamp: new Date().toISOString() };
+  // Optional details (e.g. AI retry events) are sent with the SSE log entry
+  const logAndSend = (message, level = 'info', details = null) => {
+    const logEntry = { message, level, timestamp: new Date().toISOString(), ...details };
     logs.push(logEntry);
     if (sendEvent) {
       sendEvent('log', logEntry);
@@ -710,6 +813,9 @@ async function handleColdOutreachPath(req, res, sendEvent, services) {
     }
   };
 
+  // Route AI service events (such as retries) into this request's log stream
+  updateAIContext({ log: logAndSend });
+
   try {
     const { input: rawInput, sessionId: requestSessionId, preferences } = req.body;
     
@@ -722,6 +828,18 @@ async function handleColdOutreachPath(req, res, sendEvent, services) {
       return res.status(400).json(error);
     }
 
+    let requestedTheme;
+    try {
+      requestedTheme = getRequestedTheme(preferences);
+    } catch (themeError) {
+      const error = { error: themeError.message };
+      if (sendEvent) {
+        sendEvent('error', error);
+        return res.end();
+      }
+      return res.status(400).json(error);
+    }
+
     // Check if session exists and is locked
     if (requestSessionId) {
       const existingSession = await sessionService.getSession(requestSessionId);
@@ -761,6 +879,7 @@ async function handleColdOutreachPath(req, res, sendEvent, services) {
     }
     
     sessionId = session.id;
+    updateAIContext({ sessionId });
     
     // PART 2.2: Send session ID as first SSE event
     if (sendEvent) {
@@ -891,11 +1010,13 @@ async function handleColdOutreachPath(req, res, sendEvent, services) {
       : `${companyName} - Cold Outreach`;
     
     console.log('[DEBUG] Cold Outreach: Updating session with parsed information');
+    const theme = requestedTheme || session.theme || DEFAULT_THEME;
     await sessionService.updateSession(session.id, {
       companyName: companyName,
       jobTitle: roleContext || 'Cold Outreach',
       companyInfo: sessionTitle,
-      mode: 'cold_outreach'
+      mode: 'cold_outreach',
+      theme
     });
     console.log('[DEBUG] Cold Outreach: Session updated with company info');
 
@@ -923,6 +1044,7 @@ async function handleColdOutreachPath(req, res, sendEvent, services) {
         jobTitle: 'Cold Outreach',
         sourceFiles,
         sessionDir,
+        theme,
         logCallback: logAndSend
       });
       generatedDocuments.cv = cvResult;
@@ -1009,14 +1131,26 @@ async function handleColdOutreachPath(req, res, sendEvent, services) {
       }
     }
 
+    // Check the generated documents for claims the source files don't support
+    const claimVerification = await generationService.verifyClaims({
+      sessionId: session.id,
+      generatedDocuments,
+      sourceFiles,
+      logCallback: logAndSend
+    });
+
     // Update session with generated files
     const generatedFiles = {};
     if (generatedDocuments.cv) {
       generatedFiles.cv = {
         texPath: generatedDocuments.cv.texPath,
         pdfPath: generatedDocuments.cv.pdfPath,
+        structurePath: generatedDocuments.cv.structurePath,
+        provenancePath: generatedDocuments.cv.provenancePath || null,
         pageCount: generatedDocuments.cv.pageCount,
         attempts: generatedDocuments.cv.attempts,
+        compileErrors: generatedDocuments.cv.compileErrors || [],
+        pageFitAdjustments: generatedDocuments.cv.pageFitAdjustments || [],
         success: generatedDocuments.cv.success
       };
     }
@@ -1024,7 +1158,8 @@ async function handleColdOutreachPath(req, res, sendEvent, services) {
       generatedFiles.coldEmail = { path: generatedDocuments.coldEmail.path };
     }
 
-    await sessionService.completeSession(session.id, generatedFiles);
+    await sessionService.completeSession(session.id, generatedFiles, getPromptMetadata());
+    await generationService.recordRevisions(session.id, generatedFiles);
     logAndSend('✓ Cold outreach workflow completed', 'success');
 
     // Build results
@@ -1037,6 +1172,8 @@ async function handleColdOutreachPath(req, res, sendEvent, services) {
         attempts: generatedDocuments.cv.attempts,
         error: generatedDocuments.cv.error,
         changeSummary: generatedDocuments.cv.changeSummary,
+        pageFitAdjustments: generatedDocuments.cv.pageFitAdjustments || [],
+        provenance: generatedDocuments.cv.provenance || null,
         pdfPath: generatedDocuments.cv.pdfPath ? `/documents/${sanitizedSessionId}/${path.basename(generatedDocuments.cv.pdfPath)}` : null
       } : null,
       coldEmail: generatedDocuments.coldEmail ? {
@@ -1054,7 +1191,8 @@ async function handleColdOutreachPath(req, res, sendEvent, services) {
         title: apolloContact.title,
         email: apolloContact.email
       } : null,
-      apolloError: apolloError
+      apolloError: apolloError,
+      claimVerification
     };
 
     // Add assistant response to chat history
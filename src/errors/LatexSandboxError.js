@@ -0,0 +1,17 @@
+/**
+ * Custom error class for LaTeX compilations stopped by the sandbox (forbidden commands,
+ * timeouts and output limits)
+ */
+class LatexSandboxError extends Error {
+  constructor(message, reason, { line = null, snippet = null, hint = null } = {}) {
+    super(message);
+    this.name = 'LatexSandboxError';
+    this.reason = reason; // 'forbidden', 'timeout' or 'output-limit'
+    this.line = line;
+    this.snippet = snippet;
+    this.hint = hint;
+    this.isLatexSandbox = true;
+  }
+}
+
+module.exports = LatexSandboxError;
@@ -0,0 +1,13 @@
+/**
+ * Custom error class for prompt edits that fail validation
+ */
+class PromptValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'PromptValidationError';
+    this.errors = errors;
+    this.isPromptValidation = true;
+  }
+}
+
+module.exports = PromptValidationError;
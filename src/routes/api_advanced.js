@@ -2,8 +2,16 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const { Document, Paragraph, TextRun, AlignmentType, Packer } = require('docx');
 const { handleStreamingGeneration, handleNonStreamingGeneration, handleColdOutreachPath, EXTENSIVE_CV_EXTENSIONS } = require('../controllers/apiController');
+const { runWithAIContext } = require('../utils/aiContext');
+const { getEditableCV, applyCVEdits, parseCV } = require('../utils/cvStructure');
+const { renderCV, getCVEngine, getTheme, listThemes, DEFAULT_THEME } = require('../utils/cvRenderer');
+const { buildProvenance } = require('../utils/cvProvenance');
+const { diffCV, rejectCVChanges } = require('../utils/cvDiff');
+const { diffLines } = require('../utils/textDiff');
+const { loadSourceFiles, SOURCE_FILES } = require('../utils/fileHelpers');
+const { rescoreKeywordReport } = require('../utils/keywordMatcher');
+const { EXPORT_FORMATS, exportCV, exportText } = require('../utils/documentExporter');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -35,9 +43,23 @@ const sourceUpload = multer({
   }
 });
 
+// /api/download document types: session.generatedFiles key, label and download file name
+const DOWNLOADS = {
+  cv: { key: 'cv', label: 'CV', fileName: 'CV' },
+  'cover-letter': { key: 'coverLetter', label: 'Cover letter', fileName: 'CoverLetter' },
+  'cold-email': { key: 'coldEmail', label: 'Cold email', fileName: 'ColdEmail' }
+};
+
+// /api/refine content types and the generated document each one refines
+const REFINE_DOCUMENT_TYPES = {
+  cv: 'cv',
+  cover_letter: 'coverLetter',
+  cold_email: 'coldEmail'
+};
+
 function createApiRoutes(services) {
   const router = express.Router();
-  const { aiService, fileService, documentService, sessionService } = services;
+  const { aiService, fileService, documentService, sessionService, usageService, experimentService, claimVerificationService, promptStore, revisionService } = services;
 
   /**
    * POST /api/generate
@@ -53,6 +75,17 @@ function createApiRoutes(services) {
     const mode = req.body.mode;
     console.log(`[DEBUG] API Route: Mode = ${mode || 'standard'}`);
     
+    // Per-request AI context; preferences.bypassCache skips cached AI responses for this generation.
+    // Generation runs many AI calls in a row, so it queues behind interactive requests such as refine.
+    // promptVersions and promptVariants collect the version and A/B variant of every prompt used,
+    // which are stamped into the session.
+    const aiContext = {
+      bypassCache: req.body.preferences?.bypassCache === true,
+      priority: 'batch',
+      promptVersions: {},
+      promptVariants: {}
+    };
+    
     // Check if client wants SSE streaming
     const useSSE = req.headers.accept && req.headers.accept.includes('text/event-stream');
     console.log(`[DEBUG] API Route: SSE streaming = ${useSSE}`);
@@ -70,14 +103,15 @@ function createApiRoutes(services) {
         res.write(`event: ${eventType}\n`);
         res.write(`data: ${JSON.stringify(data)}\n\n`);
       };
+      aiContext.sendEvent = sendEvent; // Queue position updates while waiting for an AI slot
       
       // Route to appropriate handler based on mode
       if (mode === 'cold_outreach') {
         console.log('[DEBUG] API Route: Routing to cold outreach handler (SSE)');
-        return handleColdOutreachPath(req, res, sendEvent, services);
+        return runWithAIContext(aiContext, () => handleColdOutreachPath(req, res, sendEvent, services));
       } else {
         console.log('[DEBUG] API Route: Routing to standard generation handler (SSE)');
-        return handleStreamingGeneration(req, res, sendEvent, services);
+        return runWithAIContext(aiContext, () => handleStreamingGeneration(req, res, sendEvent, services));
       }
     }
     
@@ -85,10 +119,10 @@ function createApiRoutes(services) {
     // Non-streaming fallback
     if (mode === 'cold_outreach') {
       console.log('[DEBUG] API Route: Routing to cold outreach handler (non-streaming)');
-      return handleColdOutreachPath(req, res, null, services);
+      return runWithAIContext(aiContext, () => handleColdOutreachPath(req, res, null, services));
     } else {
       console.log('[DEBUG] API Route: Routing to standard generation handler (non-streaming)');
-      return handleNonStreamingGeneration(req, res, services);
+      return runWithAIContext(aiContext, () => handleNonStreamingGeneration(req, res, services));
     }
   });
 
@@ -188,10 +222,72 @@ function createApiRoutes(services) {
     }
   });
 
+  /**
+   * GET /api/usage
+   * Get AI token usage and cost totals for a month (query: month=YYYY-MM, defaults to current month)
+   */
+  router.get('/usage', async (req, res) => {
+    const { month } = req.query;
+    console.log(`[DEBUG] API Route: GET /api/usage - Retrieving usage for ${month || 'current month'}`);
+    try {
+      const usage = await usageService.getMonthlyUsage(month);
+      res.json({
+        success: true,
+        usage
+      });
+    } catch (error) {
+      if (error.message.startsWith('Invalid month')) {
+        return res.status(400).json({
+          error: error.message
+        });
+      }
+      console.error('[DEBUG] API Route: Error in /api/usage:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve usage',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/usage/:session_id
+   * Get AI token usage and cost totals for a specific session
+   */
+  router.get('/usage/:session_id', async (req, res) => {
+    const { session_id } = req.params;
+    console.log(`[DEBUG] API Route: GET /api/usage/${session_id} - Retrieving session usage`);
+    try {
+      const session = await sessionService.getSession(session_id);
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+
+      const usage = await usageService.getSessionUsage(session_id);
+      res.json({
+        success: true,
+        usage
+      });
+    } catch (error) {
+      console.error(`[DEBUG] API Route: Error in /api/usage/${session_id}:`, error);
+      res.status(500).json({
+        error: 'Failed to retrieve session usage',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * Engine a session's CV compiles with, from its theme or the original CV (see getCVEngine)
+   * @param {string|null} template - Theme the CV was rendered with (null for CVs edited as LaTeX)
+   * @returns {Promise<string>} Engine name
+   */
+  const loadCVEngine = async template => getCVEngine(template, await fileService.readFile(SOURCE_FILES.originalCV));
+
   /**
    * POST /api/refine
    * Refine generated content based on user feedback
-   */
   router.post('/refine', async (req, res) => {
     try {
       const { sessionId, contentType, feedback } = req.body;
@@ -256,6 +352,9 @@ function createApiRoutes(services) {
         });
       }
 
+      // Documents from before revisions were kept get one now, so the refinement can be undone
+      await revisionService.ensureBaseline(sessionId, REFINE_DOCUMENT_TYPES[contentType]);
+
       // Add feedback to chat history
       await sessionService.addChatMessage(sessionId, {
         role: 'user',
@@ -267,31 +366,112 @@ function createApiRoutes(services) {
       // Get chat history for context
       const chatHistory = session.chatHistory || [];
 
-      // Refine using advanced prompt
-      const refinedContent = await aiService.refineContentAdvanced({
-        content: currentContent,
-        feedback,
-        contentType,
-        chatHistory
-      });
+      // Refine using advanced prompt (token usage is recorded against this session)
+      const promptVersions = {};
+      const promptVariants = {};
+      const aiContext = { sessionId, priority: 'interactive', promptVersions, promptVariants };
+      const structurePath = contentType === 'cv' ? session.generatedFiles.cv.structurePath : null;
+      let refinedContent;
+      let targetPageCount = null;
+      let template = null;
+
+      if (structurePath) {
+        // Structured CVs are refined as JSON and re-rendered, so the .tex and the structure stay in sync
+        const structure = await fileService.readJsonFile(structurePath);
+        const edits = await runWithAIContext(aiContext, () => aiService.refineCVStructure({
+          cv: JSON.stringify(getEditableCV(structure), null, 2),
+          feedback,
+          chatHistory
+        }));
+        const refinedStructure = applyCVEdits(structure, edits);
+        // Rendered with the session's theme, which may have its own page count
+        refinedContent = renderCV(refinedStructure);
+        template = refinedStructure.template || DEFAULT_THEME;
+        targetPageCount = getTheme(template).pageCount;
+        await fileService.writeJsonFile(structurePath, refinedStructure);
+
+        // Refined bullets are traced back to the source files again
+        const provenancePath = session.generatedFiles.cv.provenancePath;
+        if (provenancePath) {
+          try {
+            const sourceFiles = await loadSourceFiles(fileService);
+            await fileService.writeJsonFile(provenancePath, buildProvenance(refinedStructure, sourceFiles));
+          } catch (error) {
+            console.error('[DEBUG] API Route: Failed to update CV provenance:', error.message);
+          }
+        }
+      } else {
+        refinedContent = await runWithAIContext(aiContext, () => aiService.refineContentAdvanced({
+          content: currentContent,
+          feedback,
+          contentType,
+          chatHistory
+        }));
+        // CVs detached from their structure by hand edits keep their theme's page count and engine
+        if (contentType === 'cv' && session.generatedFiles.cv.template) {
+          template = session.generatedFiles.cv.template;
+          targetPageCount = getTheme(template).pageCount;
+        }
+      }
 
       // Save refined content
       await fileService.writeFile(filePath, refinedContent);
+      const revision = await revisionService.recordRevision(sessionId, REFINE_DOCUMENT_TYPES[contentType], 'refine');
+      await sessionService.updateSession(sessionId, {
+        promptVersions: { ...session.promptVersions, ...promptVersions },
+        promptVariants: { ...session.promptVariants, ...promptVariants }
+      });
 
       await sessionService.logToChatHistory(sessionId, `✓ ${contentType} refined successfully`, 'success');
 
       // If refining CV, recompile and validate
+      let keywordReport = null;
       if (contentType === 'cv') {
         await sessionService.logToChatHistory(sessionId, 'Recompiling CV...');
         
         const sessionDir = sessionService.getSessionDirectory(sessionId);
-        const compileResult = await documentService.compileLatexToPdf(filePath, sessionDir, 1);
+        const compileResult = await documentService.compileLatexToPdf(filePath, sessionDir, 1, targetPageCount, await loadCVEngine(template));
         
         if (compileResult.success) {
           await sessionService.logToChatHistory(sessionId, `✓ CV recompiled (${compileResult.pageCount} pages)`, 'success');
+
+          // The job's keywords are measured again against the refined CV
+          if (session.keywordReport && session.generatedFiles.cv.pdfPath) {
+            try {
+              let sectionTitles = [];
+              try {
+                sectionTitles = parseCV(refinedContent).sections.map(section => section.title);
+              } catch (error) {
+                // Not a structured CV: keywords are reported without sections
+              }
+              const cvText = await documentService.extractPdfText(session.generatedFiles.cv.pdfPath);
+              keywordReport = rescoreKeywordReport(session.keywordReport, cvText, sectionTitles);
+              await sessionService.updateSession(sessionId, { keywordReport });
+              await sessionService.logToChatHistory(sessionId, `ATS keyword match: ${session.keywordReport.score}% → ${keywordReport.score}%`);
+            } catch (error) {
+              console.error('[DEBUG] API Route: Failed to update the keyword report:', error.message);
+            }
+          }
         } else {
           await sessionService.logToChatHistory(sessionId, `⚠ CV compilation warning: ${compileResult.message}`, 'error');
         }
+        await sessionService.updateSession(sessionId, {
+          generatedFiles: {
+            ...session.generatedFiles,
+            cv: { ...session.generatedFiles.cv, compileErrors: compileResult.compileErrors || [] }
+          }
+        });
+      }
+
+      // A refinement can introduce new facts, so the refined document is checked again
+      let claimVerification = null;
+      try {
+        claimVerification = await runWithAIContext(aiContext, () => claimVerificationService.reverifySession(sessionId, [REFINE_DOCUMENT_TYPES[contentType]]));
+        if (claimVerification && claimVerification.summary.unresolved > 0) {
+          await sessionService.logToChatHistory(sessionId, `⚠ ${claimVerification.summary.unresolved} unsupported claim(s) to review`, 'warning');
+        }
+      } catch (error) {
+        console.error('[DEBUG] API Route: Claim verification after refinement failed:', error);
       }
 
       // Add assistant response to chat history
@@ -305,7 +485,10 @@ function createApiRoutes(services) {
         message: 'Content refined successfully',
         sessionId,
         contentType,
-        refinedContent
+        refinedContent,
+        revision,
+        claimVerification,
+        keywordReport
       });
 
     } catch (error) {
@@ -324,8 +507,22 @@ function createApiRoutes(services) {
   router.post('/approve/:session_id', async (req, res) => {
     try {
       const { session_id } = req.params;
+
+      // Optionally refuse approval while claims the source files don't support are unresolved
+      sessionService.validateSessionId(session_id);
+      const existing = await sessionService.getSession(session_id);
+      if (existing && claimVerificationService.isApprovalBlocked(existing)) {
+        const unresolved = claimVerificationService.getUnresolvedClaims(existing);
+        return res.status(409).json({
+          error: `Resolve ${unresolved.length} unsupported claim(s) before approving`,
+          claims: unresolved
+        });
+      }
+
       const session = await sessionService.approveSession(session_id);
-      
+      // Approved sessions take no more revisions
+      revisionService.cleanupSessionMutex(session_id);
+
       await sessionService.logToChatHistory(session_id, '✓ Session approved and locked', 'success');
 
       res.json({
@@ -342,6 +539,631 @@ function createApiRoutes(services) {
     }
   });
 
+  /**
+   * GET /api/keywords/:session_id
+   * ATS keyword match report of the session's CV
+   */
+  router.get('/keywords/:session_id', async (req, res) => {
+    const { session_id } = req.params;
+    try {
+      sessionService.validateSessionId(session_id);
+      const session = await sessionService.getSession(session_id);
+      if (!session || !session.keywordReport) {
+        return res.status(404).json({
+          error: 'No keyword report for this session'
+        });
+      }
+      res.json({
+        success: true,
+        keywordReport: session.keywordReport
+      });
+    } catch (error) {
+      if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({
+          error: error.message
+        });
+      }
+      console.error(`[DEBUG] API Route: Error in /api/keywords/${session_id}:`, error);
+      res.status(500).json({
+        error: 'Failed to load keyword report',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/provenance/:session_id
+   * Where each bullet of the session's CV came from (kept, reworded, imported or new)
+   */
+  router.get('/provenance/:session_id', async (req, res) => {
+    const { session_id } = req.params;
+    try {
+      sessionService.validateSessionId(session_id);
+      const session = await sessionService.getSession(session_id);
+      const provenancePath = session?.generatedFiles?.cv?.provenancePath;
+      if (!provenancePath || !await fileService.fileExists(provenancePath)) {
+        return res.status(404).json({
+          error: 'No CV provenance for this session'
+        });
+      }
+      res.json({
+        success: true,
+        provenance: await fileService.readJsonFile(provenancePath)
+      });
+    } catch (error) {
+      if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({
+          error: error.message
+        });
+      }
+      console.error(`[DEBUG] API Route: Error in /api/provenance/${session_id}:`, error);
+      res.status(500).json({
+        error: 'Failed to load CV provenance',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * Map claim verification errors to responses: bad input is a 400, unknown sessions and
+   * claims are 404s
+   */
+  const sendClaimError = (res, error, route, failure) => {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+    if (error.message.endsWith('not found')) {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+    console.error(`[DEBUG] API Route: Error in ${route}:`, error);
+    res.status(500).json({
+      error: failure,
+      message: error.message
+    });
+  };
+
+  /**
+   * GET /api/claims/:session_id
+   * Claims found in the session's documents and whether the source files support them
+   */
+  router.get('/claims/:session_id', async (req, res) => {
+    const { session_id } = req.params;
+    try {
+      sessionService.validateSessionId(session_id);
+      const session = await sessionService.getSession(session_id);
+      if (!session) {
+        throw new Error(`Session ${session_id} not found`);
+      }
+      res.json({
+        success: true,
+        claimVerification: session.claimVerification || null,
+        approvalBlocked: claimVerificationService.isApprovalBlocked(session)
+      });
+    } catch (error) {
+      sendClaimError(res, error, `/api/claims/${session_id}`, 'Failed to load claims');
+    }
+  });
+
+  /**
+   * POST /api/claims/:session_id/verify
+   * Check the session's current documents again (e.g. after editing them by hand)
+   */
+  router.post('/claims/:session_id/verify', async (req, res) => {
+    const { session_id } = req.params;
+    console.log(`[DEBUG] API Route: POST /api/claims/${session_id}/verify`);
+    try {
+      const claimVerification = await runWithAIContext({ sessionId: session_id, priority: 'interactive' },
+        () => claimVerificationService.reverifySession(session_id));
+      res.json({
+        success: true,
+        claimVerification
+      });
+    } catch (error) {
+      sendClaimError(res, error, `/api/claims/${session_id}/verify`, 'Failed to verify claims');
+    }
+  });
+
+  /**
+   * POST /api/claims/:session_id/:claim_id
+   * Resolve an unsupported claim (body: { resolution: 'confirmed' | 'removed' | null })
+   */
+  router.post('/claims/:session_id/:claim_id', async (req, res) => {
+    const { session_id, claim_id } = req.params;
+    const resolution = req.body.resolution === undefined ? null : req.body.resolution;
+    console.log(`[DEBUG] API Route: POST /api/claims/${session_id}/${claim_id} - resolution: ${resolution}`);
+    try {
+      if (await sessionService.isSessionLocked(session_id)) {
+        return res.status(403).json({
+          error: 'Session is locked (approved). Cannot modify approved sessions.'
+        });
+      }
+      const claimVerification = await claimVerificationService.resolveClaim(session_id, claim_id, resolution);
+      await sessionService.logToChatHistory(session_id, resolution ? `Claim ${claim_id} marked as ${resolution}` : `Claim ${claim_id} reopened`);
+      res.json({
+        success: true,
+        claimVerification
+      });
+    } catch (error) {
+      sendClaimError(res, error, `/api/claims/${session_id}/${claim_id}`, 'Failed to resolve claim');
+    }
+  });
+
+  /**
+   * POST /api/outcome/:session_id
+   * Mark the outcome of an application (body: { outcome: 'replied' | 'interview' | 'rejected' | null })
+   */
+  router.post('/outcome/:session_id', async (req, res) => {
+    const { session_id } = req.params;
+    const outcome = req.body.outcome === undefined ? null : req.body.outcome;
+    console.log(`[DEBUG] API Route: POST /api/outcome/${session_id} - outcome: ${outcome}`);
+    try {
+      const session = await experimentService.recordOutcome(session_id, outcome);
+      await sessionService.logToChatHistory(session_id, outcome ? `Outcome marked as ${outcome}` : 'Outcome cleared');
+
+      res.json({
+        success: true,
+        outcome: session.outcome
+      });
+    } catch (error) {
+      if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({
+          error: error.message
+        });
+      }
+      if (error.message.endsWith('not found')) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+      console.error(`[DEBUG] API Route: Error in /api/outcome/${session_id}:`, error);
+      res.status(500).json({
+        error: 'Failed to record outcome',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/experiments
+   * Response rates per prompt variant for the A/B experiments defined in prompts.json
+   */
+  router.get('/experiments', async (req, res) => {
+    console.log('[DEBUG] API Route: GET /api/experiments - Building experiment report');
+    try {
+      const report = await experimentService.getReport();
+      res.json({
+        success: true,
+        ...report
+      });
+    } catch (error) {
+      console.error('[DEBUG] API Route: Error in /api/experiments:', error);
+      res.status(500).json({
+        error: 'Failed to build experiment report',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/themes
+   * CV themes that can be chosen in the generation preferences
+   */
+  router.get('/themes', (req, res) => {
+    res.json({
+      success: true,
+      themes: listThemes(),
+      defaultTheme: DEFAULT_THEME
+    });
+  });
+
+  /**
+   * Map revision and CV diff errors to responses: bad input (including stale change IDs) is a
+   * 400, unknown sessions, documents and revisions are 404s
+   */
+  const sendRevisionError = (res, error, route, failure) => {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+    console.error(`[DEBUG] API Route: Error in ${route}:`, error);
+    res.status(500).json({
+      error: failure,
+      message: error.message
+    });
+  };
+
+  // Revision routes name documents like the download route (cv, cover-letter, cold-email)
+  const getRevisionDocument = docType => {
+    if (!Object.prototype.hasOwnProperty.call(DOWNLOADS, docType)) {
+      throw new Error(`Invalid document type "${docType}". Must be one of: ${Object.keys(DOWNLOADS).join(', ')}`);
+    }
+    return DOWNLOADS[docType].key;
+  };
+
+  /**
+   * Recompile a session's CV after its .tex was rewritten outside generation and refinement,
+   * tracing its bullets to the source files again and keeping the compile errors on the session
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session (as before the rewrite)
+   * @param {Object|null} structure - The CV's new structure, if it is a structured CV
+   * @param {string|null} template - Theme the CV was rendered with, for its page count (defaults to the structure's)
+   * @returns {Promise<Object>} { success, pageCount, targetPageCount, compileErrors, message }
+   */
+  const recompileCV = async (sessionId, session, structure, template = structure && (structure.template || DEFAULT_THEME)) => {
+    const cv = session.generatedFiles.cv;
+    if (structure && cv.provenancePath) {
+      try {
+        const sourceFiles = await loadSourceFiles(fileService);
+        await fileService.writeJsonFile(cv.provenancePath, buildProvenance(structure, sourceFiles));
+      } catch (error) {
+        console.error('[DEBUG] API Route: Failed to update CV provenance:', error.message);
+      }
+    }
+
+    const targetPageCount = template ? getTheme(template).pageCount : null;
+    const engine = await loadCVEngine(template);
+    const compileResult = await documentService.compileLatexToPdf(cv.texPath, sessionService.getSessionDirectory(sessionId), 1, targetPageCount, engine);
+    const compile = {
+      success: compileResult.success,
+      pageCount: compileResult.pageCount,
+      targetPageCount: targetPageCount || documentService.TARGET_PAGE_COUNT || null,
+      compileErrors: compileResult.compileErrors || [],
+      message: compileResult.message
+    };
+    await sessionService.updateSession(sessionId, {
+      generatedFiles: {
+        ...session.generatedFiles,
+        cv: { ...cv, pageCount: compile.pageCount || cv.pageCount, compileErrors: compile.compileErrors }
+      }
+    });
+    await sessionService.logToChatHistory(sessionId, compile.success
+      ? `✓ CV recompiled (${compile.pageCount} pages)`
+      : `⚠ CV compilation warning: ${compile.message}`, compile.success ? 'success' : 'error');
+    return compile;
+  };
+
+  /**
+   * GET /api/revisions/:session_id/:docType
+   * Revisions of a generated document, newest first
+   */
+  router.get('/revisions/:session_id/:docType', async (req, res) => {
+    const { session_id: sessionId, docType } = req.params;
+    try {
+      const document = getRevisionDocument(docType);
+      await revisionService.getDocument(sessionId, document);
+      const revisions = await revisionService.listRevisions(sessionId, document);
+      res.json({
+        success: true,
+        revisions: revisions.reverse()
+      });
+    } catch (error) {
+      sendRevisionError(res, error, `/api/revisions/${sessionId}/${docType}`, 'Failed to list revisions');
+    }
+  });
+
+  /**
+   * GET /api/revisions/:session_id/:docType/diff?from=1&to=2
+   * Line diff between two revisions of a document
+   */
+  router.get('/revisions/:session_id/:docType/diff', async (req, res) => {
+    const { session_id: sessionId, docType } = req.params;
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+    try {
+      const document = getRevisionDocument(docType);
+      if (!Number.isInteger(from) || !Number.isInteger(to)) {
+        throw new Error('Invalid revision numbers: from and to must be integers');
+      }
+      res.json({
+        success: true,
+        diff: await revisionService.diffRevisions(sessionId, document, from, to)
+      });
+    } catch (error) {
+      sendRevisionError(res, error, `/api/revisions/${sessionId}/${docType}/diff`, 'Failed to diff revisions');
+    }
+  });
+
+  /**
+   * GET /api/revisions/:session_id/:docType/:number
+   * A revision with its content
+   */
+  router.get('/revisions/:session_id/:docType/:number', async (req, res) => {
+    const { session_id: sessionId, docType, number } = req.params;
+    try {
+      const { structure, ...revision } = await revisionService.getRevision(sessionId, getRevisionDocument(docType), number);
+      res.json({
+        success: true,
+        revision
+      });
+    } catch (error) {
+      sendRevisionError(res, error, `/api/revisions/${sessionId}/${docType}/${number}`, 'Failed to load revision');
+    }
+  });
+
+  /**
+   * POST /api/revisions/:session_id/:docType/:number/restore
+   * Restore a revision as the current document (saved as a new revision); a restored CV is recompiled
+   */
+  router.post('/revisions/:session_id/:docType/:number/restore', async (req, res) => {
+    const { session_id: sessionId, docType, number } = req.params;
+    console.log(`[DEBUG] API Route: POST /api/revisions/${sessionId}/${docType}/${number}/restore`);
+    try {
+      const document = getRevisionDocument(docType);
+      const { session } = await revisionService.getDocument(sessionId, document);
+      if (session.locked) {
+        return res.status(403).json({
+          error: 'Session is locked (approved). Cannot modify approved sessions.'
+        });
+      }
+
+      const { revision, content, structure } = await revisionService.restoreRevision(sessionId, document, number);
+      await sessionService.logToChatHistory(sessionId, `Restored ${DOWNLOADS[docType].label.toLowerCase()} revision ${number} (saved as revision ${revision.number})`);
+
+      const compile = document === 'cv' ? await recompileCV(sessionId, session, structure) : null;
+
+      res.json({
+        success: true,
+        revision,
+        content,
+        compile
+      });
+    } catch (error) {
+      sendRevisionError(res, error, `/api/revisions/${sessionId}/${docType}/${number}/restore`, 'Failed to restore revision');
+    }
+  });
+
+  /**
+   * The session's CV and original_cv.txt, structured when both can be parsed
+   * @returns {Promise<Object>} { session, structurePath, originalCV, texContent, original, generated }
+   *   where original and generated are null if either CV cannot be parsed
+   */
+  const loadCVComparison = async sessionId => {
+    const { session, filePath, structurePath } = await revisionService.getDocument(sessionId, 'cv');
+    const { originalCV } = await loadSourceFiles(fileService);
+    const texContent = await fileService.readFile(filePath);
+    const saved = structurePath && await fileService.fileExists(structurePath) ? await fileService.readJsonFile(structurePath) : null;
+    try {
+      return { session, structurePath: saved ? structurePath : null, originalCV, texContent, original: parseCV(originalCV), generated: saved || parseCV(texContent) };
+    } catch (error) {
+      console.log(`[DEBUG] API Route: CV comparison falls back to a line diff: ${error.message}`);
+      return { session, structurePath: null, originalCV, texContent, original: null, generated: null };
+    }
+  };
+
+  // Structured diff of the CV against the original; CVs that cannot be parsed get a line diff of the LaTeX
+  const compareCV = ({ structurePath, originalCV, texContent, original, generated }) => (original
+    ? { structured: true, rejectable: Boolean(structurePath), ...diffCV(original, generated) }
+    : { structured: false, rejectable: false, ...diffLines(originalCV, texContent) });
+
+  /**
+   * GET /api/cv-diff/:session_id
+   * What the session's CV changed from original_cv.txt, by section, entry and bullet
+   */
+  router.get('/cv-diff/:session_id', async (req, res) => {
+    const { session_id: sessionId } = req.params;
+    try {
+      res.json({
+        success: true,
+        diff: compareCV(await loadCVComparison(sessionId))
+      });
+    } catch (error) {
+      sendRevisionError(res, error, `/api/cv-diff/${sessionId}`, 'Failed to compare the CV');
+    }
+  });
+
+  /**
+   * POST /api/cv-diff/:session_id/reject
+   * Put the original back for some changes ({ changeIds } from the diff), re-render and recompile
+   * the CV; the result is saved as a new revision
+   */
+  router.post('/cv-diff/:session_id/reject', async (req, res) => {
+    const { session_id: sessionId } = req.params;
+    const { changeIds } = req.body || {};
+    console.log(`[DEBUG] API Route: POST /api/cv-diff/${sessionId}/reject`);
+    try {
+      if (!Array.isArray(changeIds) || changeIds.length === 0 || !changeIds.every(changeId => typeof changeId === 'string')) {
+        throw new Error('Invalid changeIds: expected a non-empty array of change IDs');
+      }
+      const comparison = await loadCVComparison(sessionId);
+      const { session, structurePath, original, generated } = comparison;
+      if (session.locked) {
+        return res.status(403).json({
+          error: 'Session is locked (approved). Cannot modify approved sessions.'
+        });
+      }
+      if (!structurePath) {
+        throw new Error('Invalid request: changes can only be rejected on structured CVs');
+      }
+
+      const structure = rejectCVChanges(original, generated, changeIds);
+      await revisionService.ensureBaseline(sessionId, 'cv');
+      await fileService.writeJsonFile(structurePath, structure);
+      await fileService.writeFile(session.generatedFiles.cv.texPath, renderCV(structure));
+      const revision = await revisionService.recordRevision(sessionId, 'cv', 'reject');
+      await sessionService.logToChatHistory(sessionId, `Rejected ${changeIds.length} CV change(s) (saved as revision ${revision.number})`);
+
+      const compile = await recompileCV(sessionId, session, structure);
+      res.json({
+        success: true,
+        revision,
+        compile,
+        diff: compareCV(await loadCVComparison(sessionId))
+      });
+    } catch (error) {
+      sendRevisionError(res, error, `/api/cv-diff/${sessionId}/reject`, 'Failed to reject CV changes');
+    }
+  });
+
+  /**
+   * GET /api/cv-latex/:session_id
+   * The session's CV source for the LaTeX editor, with the errors and page count of its last compile
+   */
+  router.get('/cv-latex/:session_id', async (req, res) => {
+    const { session_id: sessionId } = req.params;
+    try {
+      const { session, filePath, structurePath } = await revisionService.getDocument(sessionId, 'cv');
+      const cv = session.generatedFiles.cv;
+      const template = structurePath ? (await fileService.readJsonFile(structurePath)).template || DEFAULT_THEME : cv.template;
+      res.json({
+        success: true,
+        content: await fileService.readFile(filePath),
+        structured: Boolean(structurePath),
+        locked: Boolean(session.locked),
+        pageCount: cv.pageCount || null,
+        targetPageCount: (template && getTheme(template).pageCount) || documentService.TARGET_PAGE_COUNT || null,
+        compileErrors: cv.compileErrors || []
+      });
+    } catch (error) {
+      sendRevisionError(res, error, `/api/cv-latex/${sessionId}`, 'Failed to load the CV source');
+    }
+  });
+
+  /**
+   * Map prompt editor errors to responses: failed validation and bad input are 400s,
+   * unknown prompts and history entries are 404s
+   */
+  const sendPromptError = (res, error, route, failure) => {
+    if (error.isPromptValidation) {
+      return res.status(400).json({
+        error: error.message,
+        errors: error.errors
+      });
+    }
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+    console.error(`[DEBUG] API Route: Error in ${route}:`, error);
+    res.status(500).json({
+      error: failure,
+      message: error.message
+    });
+  };
+
+  /**
+   * GET /api/prompts
+   * List the prompts that can be edited in the prompt editor
+   */
+  router.get('/prompts', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        prompts: promptStore.listPrompts()
+      });
+    } catch (error) {
+      sendPromptError(res, error, '/api/prompts', 'Failed to list prompts');
+    }
+  });
+
+  /**
+   * GET /api/prompts/:key
+   * A prompt's templates (one per A/B variant) and the placeholders each must keep
+   */
+  router.get('/prompts/:key', async (req, res) => {
+    try {
+      const prompt = await promptStore.getPrompt(req.params.key);
+      res.json({
+        success: true,
+        prompt
+      });
+    } catch (error) {
+      sendPromptError(res, error, `/api/prompts/${req.params.key}`, 'Failed to load prompt');
+    }
+  });
+
+  /**
+   * POST /api/prompts/:key/validate
+   * Check an edited template and diff it against the current one without saving
+   * (body: { template, variant })
+   */
+  router.post('/prompts/:key/validate', async (req, res) => {
+    try {
+      const result = await promptStore.validate(req.params.key, req.body.template, req.body.variant || null);
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      sendPromptError(res, error, `/api/prompts/${req.params.key}/validate`, 'Failed to validate prompt');
+    }
+  });
+
+  /**
+   * PUT /api/prompts/:key
+   * Save an edited template (body: { template, variant }). The prompt's version is bumped
+   * and the running AIService picks up the change immediately.
+   */
+  router.put('/prompts/:key', async (req, res) => {
+    const { key } = req.params;
+    console.log(`[DEBUG] API Route: PUT /api/prompts/${key}`);
+    try {
+      const result = await promptStore.updatePrompt(key, req.body.template, { variant: req.body.variant || null });
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      sendPromptError(res, error, `/api/prompts/${key}`, 'Failed to save prompt');
+    }
+  });
+
+  /**
+   * GET /api/prompts/:key/history
+   * Edit history of a prompt, newest first
+   */
+  router.get('/prompts/:key/history', async (req, res) => {
+    try {
+      promptStore.getDefinition(req.params.key);
+      const history = await promptStore.getHistory(req.params.key);
+      res.json({
+        success: true,
+        history: history.reverse()
+      });
+    } catch (error) {
+      sendPromptError(res, error, `/api/prompts/${req.params.key}/history`, 'Failed to load prompt history');
+    }
+  });
+
+  /**
+   * POST /api/prompts/:key/revert
+   * Restore the template from a history entry as a new version (body: { historyId })
+   */
+  router.post('/prompts/:key/revert', async (req, res) => {
+    const { key } = req.params;
+    const { historyId } = req.body;
+    console.log(`[DEBUG] API Route: POST /api/prompts/${key}/revert - historyId: ${historyId}`);
+    if (!historyId) {
+      return res.status(400).json({
+        error: 'Missing required field: historyId'
+      });
+    }
+    try {
+      const result = await promptStore.revert(key, historyId);
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      sendPromptError(res, error, `/api/prompts/${key}/revert`, 'Failed to revert prompt');
+    }
+  });
+
   /**
    * POST /api/upload-source-doc
    * Upload and replace source documents (original_cv.txt or extensive_cv.doc)
@@ -634,9 +1456,45 @@ function createApiRoutes(services) {
     }
   });
 
+  /**
+   * Save a hand-edited CV source and recompile it. Unchanged sources are only recompiled.
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session
+   * @param {string} content - LaTeX source
+   * @returns {Promise<Object>} Response body: { success, message, revision, compile }
+   */
+  const saveCVSource = async (sessionId, session, content) => {
+    let cv = session.generatedFiles.cv;
+    let revision = null;
+    if (content !== await fileService.readFile(cv.texPath)) {
+      await revisionService.ensureBaseline(sessionId, 'cv');
+      if (cv.structurePath) {
+        // Detach the structure, keeping its theme for the page count
+        const structure = await fileService.readJsonFile(cv.structurePath);
+        cv = { ...cv, structurePath: null, template: structure.template || DEFAULT_THEME };
+        session = await sessionService.updateSession(sessionId, {
+          generatedFiles: { ...session.generatedFiles, cv }
+        });
+      }
+      await fileService.writeFile(cv.texPath, content);
+      revision = await revisionService.recordRevision(sessionId, 'cv', 'edit');
+      await sessionService.logToChatHistory(sessionId, `CV source edited (saved as revision ${revision.number})`);
+    }
+
+    const compile = await recompileCV(sessionId, session, null, cv.template || null);
+    return {
+      success: true,
+      message: revision ? 'cv saved successfully' : 'cv unchanged, recompiled',
+      revision,
+      compile
+    };
+  };
+
   /**
    * POST /api/save-content
-   * Save edited content (cover letter or cold email)
+   * Save edited content (cover letter, cold email or the CV's LaTeX source). A saved CV is
+   * recompiled and the result returned as `compile`; hand-edited CVs are no longer kept in sync
+   * with their structure, so later refinements edit the LaTeX
    */
   router.post('/save-content', async (req, res) => {
     try {
@@ -670,18 +1528,37 @@ function createApiRoutes(services) {
           });
         }
         filePath = session.generatedFiles.coldEmail.path;
+      } else if (contentType === 'cv') {
+        if (!session.generatedFiles?.cv?.texPath) {
+          return res.status(404).json({
+            error: 'CV not found in session'
+          });
+        }
+        if (session.locked) {
+          return res.status(403).json({
+            error: 'Session is locked (approved). Cannot modify approved sessions.'
+          });
+        }
+        filePath = session.generatedFiles.cv.texPath;
       } else {
         return res.status(400).json({
-          error: 'Invalid contentType. Must be "coverLetter" or "coldEmail"'
+          error: 'Invalid contentType. Must be "cv", "coverLetter" or "coldEmail"'
         });
       }
 
+      if (contentType === 'cv') {
+        return res.json(await saveCVSource(sessionId, session, content));
+      }
+
       // Save the content
+      await revisionService.ensureBaseline(sessionId, contentType);
       await fileService.writeFile(filePath, content);
+      const revision = await revisionService.recordRevision(sessionId, contentType, 'edit');
       
       res.json({
         success: true,
-        message: `${contentType} saved successfully`
+        message: `${contentType} saved successfully`,
+        revision
       });
 
     } catch (error) {
@@ -722,30 +1599,8 @@ function createApiRoutes(services) {
       // Read content
       const content = await fileService.readFile(coverLetterPath);
       
-      // Convert content to Word document
-      // Split content into paragraphs (separated by blank lines)
-      const paragraphs = content.split(/\n\n+/)
-        .map(para => para.trim())
-        .filter(para => para.length > 0)
-        .map(para => {
-          return new Paragraph({
-            children: [new TextRun(para)],
-            spacing: {
-              after: 200, // Add spacing after each paragraph
-            },
-          });
-        });
-
-      // Create a new Word document
-      const doc = new Document({
-        sections: [{
-          properties: {},
-          children: paragraphs,
-        }],
-      });
-
-      // Generate the .docx file as a buffer
-      const buffer = await Packer.toBuffer(doc);
+      // Convert content to a Word document, one paragraph per blank-line separated block
+      const buffer = await exportText(content, 'docx');
       
       const fileName = `${sessionId}_CoverLetter.docx`;
       
@@ -806,6 +1661,91 @@ function createApiRoutes(services) {
     }
   });
 
+  /**
+   * GET /api/download/:sessionId/:docType/:format
+   * Download a generated document in any supported format:
+   *   cv: pdf, tex, docx, md, html, txt (the last four are rendered from the CV structure)
+   *   cover-letter, cold-email: docx, md, html, txt
+   */
+  router.get('/download/:sessionId/:docType/:format', async (req, res) => {
+    const { sessionId, docType, format } = req.params;
+    console.log(`[DEBUG] API Route: GET /api/download/${sessionId}/${docType}/${format}`);
+    try {
+      sessionService.validateSessionId(sessionId);
+      const download = DOWNLOADS[docType];
+      if (!download) {
+        return res.status(400).json({
+          error: `Invalid document type "${docType}". Must be one of: ${Object.keys(DOWNLOADS).join(', ')}`
+        });
+      }
+      const formats = docType === 'cv' ? ['pdf', 'tex', ...Object.keys(EXPORT_FORMATS)] : Object.keys(EXPORT_FORMATS);
+      if (!formats.includes(format)) {
+        return res.status(400).json({
+          error: `Invalid format "${format}" for ${docType}. Must be one of: ${formats.join(', ')}`
+        });
+      }
+
+      const session = await sessionService.getSession(sessionId);
+      const file = session?.generatedFiles?.[download.key];
+      if (!file) {
+        return res.status(404).json({ error: `${download.label} not found in session` });
+      }
+
+      const fileName = `${sessionId}_${download.fileName}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+      if (docType === 'cv' && (format === 'pdf' || format === 'tex')) {
+        const filePath = format === 'pdf' ? file.pdfPath : file.texPath;
+        if (!filePath || !await fileService.fileExists(filePath)) {
+          res.removeHeader('Content-Disposition');
+          return res.status(404).json({ error: `CV ${format.toUpperCase()} file not found` });
+        }
+        res.setHeader('Content-Type', format === 'pdf' ? 'application/pdf' : 'application/x-tex');
+        return res.send(await fs.readFile(filePath));
+      }
+
+      let content;
+      if (docType === 'cv') {
+        // Rendered from the saved structure, or from the .tex for CVs generated without one
+        let cv;
+        if (file.structurePath && await fileService.fileExists(file.structurePath)) {
+          cv = await fileService.readJsonFile(file.structurePath);
+        } else {
+          try {
+            cv = parseCV(await fileService.readFile(file.texPath));
+          } catch (error) {
+            res.removeHeader('Content-Disposition');
+            return res.status(422).json({
+              error: `This CV does not follow the structured layout and can only be downloaded as pdf or tex (${error.message})`
+            });
+          }
+        }
+        content = await exportCV(cv, format);
+      } else {
+        if (!await fileService.fileExists(file.path)) {
+          res.removeHeader('Content-Disposition');
+          return res.status(404).json({ error: `${download.label} file not found` });
+        }
+        content = await exportText(await fileService.readFile(file.path), format, `${download.label} - ${session.companyName || sessionId}`);
+      }
+
+      res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+      res.send(content);
+    } catch (error) {
+      res.removeHeader('Content-Disposition');
+      if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({
+          error: error.message
+        });
+      }
+      console.error(`[DEBUG] API Route: Error in /api/download/${sessionId}/${docType}/${format}:`, error);
+      res.status(500).json({
+        error: 'Failed to download document',
+        message: error.message
+      });
+    }
+  });
+
   return router;
 }
 
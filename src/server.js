@@ -11,8 +11,14 @@ const AIService = require('./services/aiService');
 const FileService = require('./services/fileService');
 const DocumentService = require('./services/documentService');
 const SessionService = require('./services/sessionService');
+const UsageService = require('./services/usageService');
+const ResponseCache = require('./services/responseCache');
 const ApolloService = require('./services/apolloService');
 const DisambiguationService = require('./services/disambiguationService');
+const ExperimentService = require('./services/experimentService');
+const ClaimVerificationService = require('./services/claimVerificationService');
+const PromptStore = require('./services/promptStore');
+const RevisionService = require('./services/revisionService');
 
 // Import routes
 const createApiRoutes = require('./routes/api_advanced');
@@ -36,16 +42,28 @@ app.use('/documents', express.static(path.join(__dirname, '../documents')));
 console.log('[DEBUG] Server: Initializing services...');
 const fileService = new FileService();
 console.log('[DEBUG] Server: FileService initialized');
-const aiService = new AIService();
-console.log('[DEBUG] Server: AIService initialized');
-const documentService = new DocumentService(fileService);
-console.log('[DEBUG] Server: DocumentService initialized');
 const sessionService = new SessionService(fileService);
 console.log('[DEBUG] Server: SessionService initialized');
+const usageService = new UsageService(sessionService);
+console.log('[DEBUG] Server: UsageService initialized');
+const responseCache = config.ai.cache.enabled ? new ResponseCache(config.ai.cache) : null;
+const aiService = new AIService(null, usageService, responseCache); // Default provider, with token usage accounting
+console.log(`[DEBUG] Server: AIService initialized (response cache ${responseCache ? 'enabled' : 'disabled'})`);
+const documentService = new DocumentService(fileService);
+console.log('[DEBUG] Server: DocumentService initialized');
 const apolloService = new ApolloService(aiService); // Pass aiService for intelligence gathering
 console.log('[DEBUG] Server: ApolloService initialized with AI intelligence support');
 const disambiguationService = new DisambiguationService();
 console.log('[DEBUG] Server: DisambiguationService initialized');
+const experimentService = new ExperimentService(sessionService, aiService);
+console.log('[DEBUG] Server: ExperimentService initialized');
+const claimVerificationService = new ClaimVerificationService(sessionService, aiService, fileService);
+console.log(`[DEBUG] Server: ClaimVerificationService initialized (${config.claimVerification.enabled ? 'enabled' : 'disabled'})`);
+const revisionService = new RevisionService(sessionService, fileService);
+console.log('[DEBUG] Server: RevisionService initialized');
+const promptStore = new PromptStore();
+promptStore.on('change', prompts => aiService.setPrompts(prompts)); // Hot-reload edits from the prompt editor
+console.log('[DEBUG] Server: PromptStore initialized');
 
 // Initialize session service
 console.log('[DEBUG] Server: Initializing session storage...');
@@ -60,8 +78,13 @@ const services = {
   fileService,
   documentService,
   sessionService,
+  usageService,
   apolloService,
-  disambiguationService
+  disambiguationService,
+  experimentService,
+  claimVerificationService,
+  promptStore,
+  revisionService
 };
 
 console.log('[DEBUG] Server: Mounting API routes at /api');
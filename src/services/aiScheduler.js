@@ -0,0 +1,132 @@
+const config = require('../config');
+
+// Queue priorities: lower rank is served first; equal ranks are served in arrival order
+const PRIORITIES = {
+  interactive: 0, // User is waiting on this call (e.g. refine)
+  batch: 1 // Part of a multi-step generation
+};
+
+/**
+ * AI scheduler
+ * Caps the number of in-flight provider calls per model tier and queues the
+ * rest by priority. One instance is shared by every request using the same AIService.
+ */
+class AIScheduler {
+  /**
+   * @param {Object} limits - Maximum concurrent calls per model type, e.g. { pro: 2, flash: 4 }
+   */
+  constructor(limits) {
+    this.limits = limits;
+    this.active = {};
+    this.queues = {};
+    this.sequence = 0;
+  }
+
+  getLimit(modelType) {
+    return Math.max(1, this.limits[modelType] || 1);
+  }
+
+  getQueue(modelType) {
+    if (!this.queues[modelType]) {
+      this.queues[modelType] = [];
+      this.active[modelType] = 0;
+    }
+    return this.queues[modelType];
+  }
+
+  /**
+   * Run a task once a slot for the model type is free
+   * @param {string} modelType - 'pro' or 'flash'
+   * @param {Function} task - Async function performing the provider call
+   * @param {Object} options - Scheduling options
+   * @param {string} options.priority - 'interactive' or 'batch' (default)
+   * @param {Function} options.onQueueUpdate - Called with the queue position while waiting, and 0 when the task starts
+   * @returns {Promise<*>} Result of the task
+   */
+  async run(modelType, task, { priority = 'batch', onQueueUpdate = null } = {}) {
+    await this.acquire(modelType, priority, onQueueUpdate);
+    try {
+      return await task();
+    } finally {
+      this.release(modelType);
+    }
+  }
+
+  acquire(modelType, priority, onQueueUpdate) {
+    const queue = this.getQueue(modelType);
+    if (this.active[modelType] < this.getLimit(modelType) && queue.length === 0) {
+      this.active[modelType]++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const rank = PRIORITIES[priority] !== undefined ? PRIORITIES[priority] : PRIORITIES.batch;
+      const waiter = { rank, seq: this.sequence++, resolve, onQueueUpdate };
+      const index = queue.findIndex(w => w.rank > rank);
+      queue.splice(index === -1 ? queue.length : index, 0, waiter);
+      console.log(`[DEBUG] AIScheduler: ${modelType.toUpperCase()} slots busy (${this.active[modelType]}/${this.getLimit(modelType)}), queued ${priority} call at position ${queue.indexOf(waiter) + 1}`);
+      this.notifyPositions(modelType);
+    });
+  }
+
+  release(modelType) {
+    this.active[modelType]--;
+    const queue = this.getQueue(modelType);
+    if (queue.length > 0 && this.active[modelType] < this.getLimit(modelType)) {
+      const next = queue.shift();
+      this.active[modelType]++;
+      this.notify(next, 0);
+      next.resolve();
+      this.notifyPositions(modelType);
+    }
+  }
+
+  notifyPositions(modelType) {
+    this.getQueue(modelType).forEach((waiter, index) => this.notify(waiter, index + 1));
+  }
+
+  notify(waiter, position) {
+    if (!waiter.onQueueUpdate) {
+      return;
+    }
+    // A client that has gone away must not stall the queue
+    try {
+      waiter.onQueueUpdate(position);
+    } catch (error) {
+      console.error('[DEBUG] AIScheduler: Queue update callback failed:', error.message);
+    }
+  }
+
+  /**
+   * Current load per model type
+   * @returns {Object} { [modelType]: { active, queued, limit } }
+   */
+  getStats() {
+    const stats = {};
+    for (const modelType of new Set([...Object.keys(this.limits), ...Object.keys(this.queues)])) {
+      stats[modelType] = {
+        active: this.active[modelType] || 0,
+        queued: (this.queues[modelType] || []).length,
+        limit: this.getLimit(modelType)
+      };
+    }
+    return stats;
+  }
+}
+
+let sharedScheduler = null;
+
+/**
+ * Process-wide scheduler, so every AIService in the server draws from the same slots
+ * @returns {AIScheduler} Scheduler configured from config.ai.concurrency
+ */
+AIScheduler.getShared = function () {
+  if (!sharedScheduler) {
+    sharedScheduler = new AIScheduler(config.ai.concurrency);
+  }
+  return sharedScheduler;
+};
+
+AIScheduler.PRIORITIES = PRIORITIES;
+
+module.exports = AIScheduler;
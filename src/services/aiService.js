@@ -1,6 +1,12 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const AIFailureError = require('../errors/AIFailureError');
+const { createProvider } = require('./providers');
+const AIScheduler = require('./aiScheduler');
+const { validateSchema } = require('../utils/jsonSchema');
+const { getAIContext } = require('../utils/aiContext');
+const { renderTemplate } = require('../utils/promptTemplate');
+const { isRetryableError, getErrorStatus, computeRetryDelay, resolveRetryPolicy } = require('../utils/retryPolicy');
 const config = require('../config');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -10,44 +16,249 @@ const MODEL_TYPES = {
   FLASH: 'flash'
 };
 
+// Prompts whose output is shown to the user as it is written, keyed to the document they produce
+const STREAMED_DOCUMENTS = {
+  generateCoverLetterAdvanced: 'coverLetter',
+  generateColdEmailAdvanced: 'coldEmail',
+  generatePersonalizedColdEmail: 'coldEmail',
+  generateGenericColdEmail: 'coldEmail'
+};
+
 class AIService {
-  constructor() {
-    if (!config.apiKeys.gemini) {
-      throw new Error('GEMINI_API_KEY environment variable is required');
-    }
-    this.genAI = new GoogleGenerativeAI(config.apiKeys.gemini);
+  /**
+   * @param {Object} provider - Optional provider instance (defaults to the one selected by config.ai.provider)
+   * @param {Object} usageService - Optional usage service that records token usage for every call
+   * @param {Object} responseCache - Optional ResponseCache (see config.ai.cache)
+   */
+  constructor(provider = null, usageService = null, responseCache = null) {
+    this.provider = provider || createProvider();
+    this.usageService = usageService;
+    this.responseCache = responseCache;
+    this.scheduler = AIScheduler.getShared(); // Caps concurrent calls per model tier across all requests
+    console.log(`[DEBUG] AIService: Using "${this.provider.name}" AI provider`);
     
-    // Initialize dual models for different use cases
-    console.log('[DEBUG] AIService: Initializing Pro model for complex generation tasks');
-    this.proModel = this.genAI.getGenerativeModel({ model: config.ai.proModel });
-    console.log('[DEBUG] AIService: Initializing Flash model for simple parsing and intelligence gathering');
-    this.flashModel = this.genAI.getGenerativeModel({ model: config.ai.flashModel });
+    // Dual model tiers: Pro for complex generation, Flash for simple parsing and intelligence gathering
+    this.proModel = this.provider.models.pro;
+    this.flashModel = this.provider.models.flash;
+    console.log(`[DEBUG] AIService: Pro model: ${this.proModel}, Flash model: ${this.flashModel}`);
     
     // Legacy model reference (points to Pro model)
     this.model = this.proModel;
 
     this.maxRetries = config.ai.maxRetries;
     this.initialRetryDelay = config.ai.initialRetryDelay;
+    this.jsonRepairAttempts = config.ai.jsonRepairAttempts;
     
     const promptsPath = path.join(__dirname, '..', 'prompts.json');
     try {
-      this.prompts = JSON.parse(fs.readFileSync(promptsPath, 'utf-8'));
+      this.setPrompts(JSON.parse(fs.readFileSync(promptsPath, 'utf-8')));
     } catch (error) {
       console.error('[DEBUG] Failed to load prompts.json:', error);
       throw new Error(`Failed to load prompts.json: ${error.message}. Please ensure src/prompts.json exists and is valid JSON.`);
     }
+
+    // JSON Schemas for JSON-mode prompts, keyed by prompt key
+    const schemasPath = path.join(__dirname, '..', 'promptSchemas.json');
+    try {
+      this.schemas = JSON.parse(fs.readFileSync(schemasPath, 'utf-8'));
+    } catch (error) {
+      console.error('[DEBUG] Failed to load promptSchemas.json:', error);
+      throw new Error(`Failed to load promptSchemas.json: ${error.message}. Please ensure src/promptSchemas.json exists and is valid JSON.`);
+    }
   }
 
-  getPrompt(promptKey, data = {}) {
-    const template = this.prompts[promptKey];
-    if (!template) {
+  /**
+   * Replace the loaded prompts. Used at startup and to hot-reload edits made in the
+   * prompt editor (see PromptStore); calls already in flight keep their rendered prompt.
+   * @param {Object} prompts - Parsed prompts.json
+   */
+  setPrompts(prompts) {
+    this.prompts = prompts;
+    // Shared fragments referenced from prompts with {{> name}}
+    this.partials = prompts._partials || {};
+  }
+
+  /**
+   * Look up a prompt definition. Entries in prompts.json are either a template string
+   * (version 1), { version, template } or, for A/B experiments, { version, variants };
+   * keys starting with "_" are not prompts.
+   * @param {string} promptKey - Key in prompts.json
+   * @returns {Object} { version, template } or { version, variants }
+   */
+  getPromptDefinition(promptKey) {
+    const entry = promptKey.startsWith('_') ? null : this.prompts[promptKey];
+    if (!entry) {
       throw new Error(`Prompt key "${promptKey}" not found in prompts.json.`);
     }
-    let prompt = template;
-    for (const [key, value] of Object.entries(data)) {
-      prompt = prompt.replace(new RegExp(`\\{\\{${key}\\}\\}`, 'g'), value || '');
+    return typeof entry === 'string' ? { version: 1, template: entry } : entry;
+  }
+
+  getPromptVersion(promptKey) {
+    return this.getPromptDefinition(promptKey).version;
+  }
+
+  /**
+   * Pick the template to use for a prompt. Prompts with variants are A/B experiments:
+   * each session gets a variant by weighted assignment, derived from the session ID so that
+   * every call in the session sees the same variant. Calls outside a session use the first variant.
+   * @param {string} promptKey - Key in prompts.json
+   * @param {string|null} sessionId - Session the call belongs to (defaults to the AI context's)
+   * @returns {Object} { version, template, variant } where variant is null for plain prompts
+   */
+  resolvePrompt(promptKey, sessionId = getAIContext().sessionId) {
+    const definition = this.getPromptDefinition(promptKey);
+    if (!definition.variants) {
+      return { version: definition.version, template: definition.template, variant: null };
+    }
+    const variant = this.assignVariant(promptKey, definition.variants, sessionId);
+    return { version: definition.version, template: definition.variants[variant].template, variant };
+  }
+
+  /**
+   * Weighted, deterministic variant assignment
+   * @param {string} promptKey - Key in prompts.json
+   * @param {Object} variants - Variants by name ({ weight, template }; weight defaults to 1)
+   * @param {string|null} sessionId - Session ID used as the assignment seed
+   * @returns {string} Variant name
+   */
+  assignVariant(promptKey, variants, sessionId) {
+    const names = Object.keys(variants);
+    const weightOf = name => (variants[name].weight !== undefined ? variants[name].weight : 1);
+    const totalWeight = names.reduce((sum, name) => sum + weightOf(name), 0);
+    if (!sessionId || totalWeight <= 0) {
+      return names[0];
+    }
+
+    const hash = crypto.createHash('sha256').update(`${sessionId}:${promptKey}`).digest();
+    let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+    for (const name of names) {
+      point -= weightOf(name);
+      if (point < 0) {
+        return name;
+      }
+    }
+    return names[names.length - 1];
+  }
+
+  /**
+   * Configured A/B experiments
+   * @returns {Object} { [promptKey]: { [variant]: weight } }
+   */
+  getExperiments() {
+    const experiments = {};
+    for (const [promptKey, entry] of Object.entries(this.prompts)) {
+      if (promptKey.startsWith('_') || typeof entry === 'string' || !entry.variants) {
+        continue;
+      }
+      experiments[promptKey] = {};
+      for (const [name, variant] of Object.entries(entry.variants)) {
+        experiments[promptKey][name] = variant.weight !== undefined ? variant.weight : 1;
+      }
+    }
+    return experiments;
+  }
+
+  getPrompt(promptKey, data = {}) {
+    return this.renderPrompt(promptKey, this.resolvePrompt(promptKey).template, data);
+  }
+
+  renderPrompt(promptKey, template, data) {
+    try {
+      return renderTemplate(template, data, this.partials);
+    } catch (error) {
+      throw new Error(`Failed to render prompt "${promptKey}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Render a prompt and keep its key alongside the text so the provider layer
+   * (e.g. fixture recording and replay) can tell which prompt it is serving.
+   * The prompt version and experiment variant are noted in the AI context so they can be stamped into the session.
+   * @param {string} promptKey - Key in prompts.json
+   * @param {Object} data - Placeholder values
+   * @returns {Object} { key, text, version, variant }
+   */
+  buildPrompt(promptKey, data = {}) {
+    const { version, template, variant } = this.resolvePrompt(promptKey);
+    const { promptVersions, promptVariants } = getAIContext();
+    if (promptVersions) {
+      promptVersions[promptKey] = version;
     }
-    return prompt;
+    if (variant && promptVariants) {
+      promptVariants[promptKey] = variant;
+    }
+    return { key: promptKey, text: this.renderPrompt(promptKey, template, data), version, variant };
+  }
+
+  /**
+   * Accept either a raw prompt string or a prompt built by buildPrompt()
+   * @param {string|Object} prompt - Prompt string or { key, text }
+   * @returns {Object} { key, text }
+   */
+  normalizePrompt(prompt) {
+    if (typeof prompt === 'string') {
+      return { key: null, text: prompt };
+    }
+    return { key: prompt.key || null, text: prompt.text };
+  }
+
+  /**
+   * Record the token usage of a successful call against the current session (see utils/aiContext)
+   * Usage accounting must never fail a generation, so errors are only logged
+   * @param {string|null} promptKey - Prompt key the call was made for
+   * @param {string} modelType - 'pro' or 'flash'
+   * @param {Object} usage - { inputTokens, outputTokens } reported by the provider
+   */
+  async recordUsage(promptKey, modelType, usage) {
+    if (!this.usageService || !usage) {
+      return;
+    }
+    try {
+      await this.usageService.recordUsage({
+        sessionId: getAIContext().sessionId,
+        promptKey,
+        provider: this.provider.name,
+        model: this.provider.models[modelType] || this.proModel,
+        modelType,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens
+      });
+    } catch (error) {
+      console.error('[DEBUG] AIService: Failed to record token usage:', error.message);
+    }
+  }
+
+  /**
+   * Describe a call for the response cache
+   * @param {string|null} promptKey - Prompt key (raw prompts are never cached)
+   * @param {string} promptText - Rendered prompt
+   * @param {string} modelType - 'pro' or 'flash'
+   * @param {boolean} json - Whether this is a JSON-mode call
+   * @returns {Object|null} Cache request, or null when caching is disabled
+   */
+  getCacheRequest(promptKey, promptText, modelType, json) {
+    if (!this.responseCache || !promptKey) {
+      return null;
+    }
+    const model = `${this.provider.name}:${this.provider.models[modelType] || this.proModel}`;
+    return { model, promptKey, prompt: promptText, json };
+  }
+
+  /**
+   * Read a cached response unless the current request asked to bypass the cache
+   * A bypassed request still refreshes the cache with its new response.
+   * @param {Object|null} cacheRequest - Result of getCacheRequest()
+   * @returns {Promise<string|null>} Cached response text, or null
+   */
+  async readCache(cacheRequest) {
+    if (!cacheRequest) {
+      return null;
+    }
+    if (getAIContext().bypassCache) {
+      console.log(`[DEBUG] AIService: Bypassing response cache for ${cacheRequest.promptKey}`);
+      return null;
+    }
+    return await this.responseCache.get(cacheRequest);
   }
 
   async sleep(ms) {
@@ -55,52 +266,163 @@ class AIService {
   }
 
   isRetryableError(error) {
-    const errorMessage = (error.message || '').toLowerCase();
-    return errorMessage.includes('503') || (errorMessage.includes('400') && errorMessage.includes('model is overloaded'));
+    return isRetryableError(error);
+  }
+
+  /**
+   * Get the effective retry policy for a prompt (config.ai.retryOverrides applied)
+   * @param {string|null} promptKey - Prompt key
+   * @returns {Object} { maxRetries, initialDelay, maxDelay, factor, jitter }
+   */
+  getRetryPolicy(promptKey) {
+    const defaults = {
+      maxRetries: this.maxRetries,
+      initialDelay: this.initialRetryDelay,
+      maxDelay: config.ai.maxRetryDelay,
+      factor: config.ai.retryBackoffFactor,
+      jitter: config.ai.retryJitter
+    };
+    return resolveRetryPolicy(defaults, promptKey ? config.ai.retryOverrides[promptKey] : undefined);
+  }
+
+  /**
+   * Wait before retrying a failed provider call, if the error is transient and attempts remain
+   * Each retry is reported through the request's log stream (see utils/aiContext) as a structured event.
+   * @param {Error} error - Provider error
+   * @param {number} attempt - Zero-based attempt that failed
+   * @param {Object} policy - Retry policy from getRetryPolicy()
+   * @param {string|null} promptKey - Prompt key
+   * @param {string} modelType - 'pro' or 'flash'
+   * @returns {Promise<boolean>} True if the call should be retried
+   */
+  async waitBeforeRetry(error, attempt, policy, promptKey, modelType) {
+    if (!this.isRetryableError(error) || attempt >= policy.maxRetries - 1) {
+      return false;
+    }
+
+    const { delay, source } = computeRetryDelay(error, attempt, policy);
+    const status = getErrorStatus(error);
+    const reason = status === 429 ? 'rate limited' : status ? `unavailable (${status})` : 'temporarily unavailable';
+    console.warn(`[DEBUG] Retryable error (${reason}). Retrying in ${delay / 1000}s (${source === 'server' ? 'server-requested' : 'backoff'})...`);
+
+    const { log } = getAIContext();
+    if (log) {
+      log(`AI ${reason}, retrying ${promptKey || 'request'} in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 2}/${policy.maxRetries})`, 'warning', {
+        event: 'retry',
+        retry: { promptKey, modelType, status, attempt: attempt + 2, maxRetries: policy.maxRetries, delayMs: delay, delaySource: source }
+      });
+    }
+
+    await this.sleep(delay);
+    return true;
   }
   
   /**
    * Generates JSON with a cleaning step to remove markdown.
-   * @param {string} prompt - The prompt to send to the AI
+   * Responses to prompts with a schema in promptSchemas.json are validated against it;
+   * unparseable or invalid responses are sent back to the model together with the
+   * validation errors (up to config.ai.jsonRepairAttempts times) before failing.
+   * @param {string|Object} prompt - The prompt to send to the AI (string or buildPrompt() result)
    * @param {string} modelType - 'pro' or 'flash' (default: 'pro')
    */
   async generateJsonWithRetry(prompt, modelType = 'pro') {
-    const model = modelType === 'flash' ? this.flashModel : this.proModel;
-    const generationConfig = {
-      response_mime_type: 'application/json',
-    };
+    const { key: promptKey, text: promptText } = this.normalizePrompt(prompt);
+    const schema = promptKey ? this.schemas[promptKey] : null;
+    const promptLabel = promptKey || 'prompt';
+    let request = { key: promptKey, text: promptText };
 
-    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
-      try {
-        console.log(`[DEBUG] SENDING JSON REQUEST to ${modelType.toUpperCase()} model (Attempt ${attempt + 1}/${this.maxRetries})`);
-        
-        const result = await model.generateContent(prompt, generationConfig);
-        const response = await result.response;
-        let text = response.text();
-        console.log(`[DEBUG] Gemini ${modelType.toUpperCase()} JSON response received successfully.`);
-
-        // FIX: Clean the text to remove markdown fences before parsing.
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          text = jsonMatch[0];
+    const cacheRequest = this.getCacheRequest(promptKey, promptText, modelType, true);
+    const cachedText = await this.readCache(cacheRequest);
+    if (cachedText !== null) {
+      return JSON.parse(cachedText);
+    }
+
+    for (let repairAttempt = 0; ; repairAttempt++) {
+      const text = await this.requestJsonWithRetry(request, modelType);
+      const { value, errors } = this.parseJsonResponse(text, schema);
+
+      if (errors.length === 0) {
+        if (repairAttempt > 0) {
+          console.log(`[DEBUG] AIService: JSON response for ${promptLabel} repaired after ${repairAttempt} attempt(s)`);
+        }
+        // Only validated responses are cached
+        if (cacheRequest) {
+          await this.responseCache.set(cacheRequest, JSON.stringify(value));
         }
+        return value;
+      }
 
-        return JSON.parse(text);
+      console.warn(`[DEBUG] AIService: Invalid JSON response for ${promptLabel}: ${errors.join('; ')}`);
+      if (repairAttempt >= this.jsonRepairAttempts) {
+        throw new AIFailureError(`AI JSON service failed: response for ${promptLabel} did not match the expected schema (${errors.join('; ')})`, null, repairAttempt + 1);
+      }
 
-      } catch (error) {
-        console.error(`[DEBUG] AI JSON API call to ${modelType.toUpperCase()} FAILED on attempt ${attempt + 1}: ${error.message}`);
-        const isJsonError = error instanceof SyntaxError;
+      console.log(`[DEBUG] AIService: Asking the model to repair the ${promptLabel} response (Repair ${repairAttempt + 1}/${this.jsonRepairAttempts})`);
+      request = this.buildPrompt('repairJsonResponse', {
+        schema: schema ? JSON.stringify(schema, null, 2) : 'Any valid JSON object',
+        validationErrors: errors.map(error => `- ${error}`).join('\n'),
+        invalidResponse: text,
+        originalPrompt: promptText
+      });
+    }
+  }
 
-        // Do not retry on a syntax error, as the response is already received and malformed.
-        if (isJsonError) {
-          throw new AIFailureError(`AI JSON service failed: ${error.message}`, error, attempt + 1);
-        }
+  /**
+   * Parse a JSON-mode response and validate it against the prompt's schema
+   * @param {string} text - Raw model response
+   * @param {Object|null} schema - JSON Schema for the prompt, if any
+   * @returns {Object} { value, errors } where errors is empty when the response is valid
+   */
+  parseJsonResponse(text, schema) {
+    // FIX: Clean the text to remove markdown fences before parsing.
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    const jsonText = jsonMatch ? jsonMatch[0] : text;
+
+    let value;
+    try {
+      value = JSON.parse(jsonText);
+    } catch (error) {
+      return { value: null, errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+    return { value, errors: validateSchema(value, schema) };
+  }
+
+  /**
+   * Call the provider once a scheduler slot for the model tier is free.
+   * Calls inherit the priority of the surrounding AI context (batch by default),
+   * and queue positions are streamed to the client when the context has an SSE sender.
+   * @param {Object} request - Provider request ({ prompt, promptKey, modelType, json, onDelta })
+   * @returns {Promise<Object>} Provider result ({ text, usage })
+   */
+  async callProvider(request) {
+    const { priority, sendEvent } = getAIContext();
+    const onQueueUpdate = sendEvent
+      ? position => sendEvent('queue', { promptKey: request.promptKey, modelType: request.modelType, position })
+      : null;
+    return this.scheduler.run(request.modelType, () => this.provider.generate(request), { priority, onQueueUpdate });
+  }
+
+  /**
+   * Send a JSON-mode request, retrying transient provider errors
+   * @param {Object} prompt - { key, text }
+   * @param {string} modelType - 'pro' or 'flash'
+   * @returns {Promise<string>} Raw response text
+   */
+  async requestJsonWithRetry({ key: promptKey, text: promptText }, modelType) {
+    const providerName = this.provider.name;
+    const policy = this.getRetryPolicy(promptKey);
 
-        if (this.isRetryableError(error) && attempt < this.maxRetries - 1) {
-          const delay = this.initialRetryDelay;
-          console.warn(`[DEBUG] Retryable error. Retrying in ${delay / 1000}s...`);
-          await this.sleep(delay);
-        } else {
+    for (let attempt = 0; attempt < policy.maxRetries; attempt++) {
+      try {
+        console.log(`[DEBUG] SENDING JSON REQUEST to ${modelType.toUpperCase()} model via ${providerName} (Attempt ${attempt + 1}/${policy.maxRetries})`);
+        
+        const { text, usage } = await this.callProvider({ prompt: promptText, promptKey, modelType, json: true });
+        console.log(`[DEBUG] ${providerName} ${modelType.toUpperCase()} JSON response received successfully.`);
+        await this.recordUsage(promptKey, modelType, usage);
+        return text;
+      } catch (error) {
+        console.error(`[DEBUG] AI JSON API call to ${modelType.toUpperCase()} FAILED on attempt ${attempt + 1}: ${error.message}`);
+        if (!(await this.waitBeforeRetry(error, attempt, policy, promptKey, modelType))) {
           console.error('[DEBUG] Non-retryable error or final attempt failed.');
           throw new AIFailureError(`AI JSON service failed: ${error.message}`, error, attempt + 1);
         }
@@ -108,24 +430,51 @@ class AIService {
     }
   }
 
+  /**
+   * Callback that forwards the partial text of a document prompt to the client as "delta"
+   * SSE events ({ document, text, reset }). Only prompts in STREAMED_DOCUMENTS are streamed,
+   * and only for requests with an SSE channel.
+   * @param {string|null} promptKey - Key in prompts.json
+   * @returns {Function|null} (text, reset) => void, or null when the prompt is not streamed
+   */
+  getDeltaHandler(promptKey) {
+    const document = STREAMED_DOCUMENTS[promptKey];
+    const { sendEvent } = getAIContext();
+    if (!document || !sendEvent) {
+      return null;
+    }
+    return (text, reset = false) => sendEvent('delta', { document, text, reset });
+  }
+
   async generateWithRetry(prompt, modelType = 'pro') {
-    const model = modelType === 'flash' ? this.flashModel : this.proModel;
+    const providerName = this.provider.name;
+    const { key: promptKey, text: promptText } = this.normalizePrompt(prompt);
+    const sendDelta = this.getDeltaHandler(promptKey);
+
+    const cacheRequest = this.getCacheRequest(promptKey, promptText, modelType, false);
+    const cachedText = await this.readCache(cacheRequest);
+    if (cachedText !== null) {
+      return cachedText;
+    }
     
-    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+    const policy = this.getRetryPolicy(promptKey);
+    for (let attempt = 0; attempt < policy.maxRetries; attempt++) {
       try {
-        console.log(`[DEBUG] Sending TEXT request to ${modelType.toUpperCase()} model (Attempt ${attempt + 1}/${this.maxRetries})...`);
+        console.log(`[DEBUG] Sending TEXT request to ${modelType.toUpperCase()} model via ${providerName} (Attempt ${attempt + 1}/${policy.maxRetries})...`);
         
-        const result = await model.generateContent(prompt);
-        
-        const response = await result.response;
-        return response.text();
+        if (sendDelta) {
+          sendDelta('', true); // A retry starts the document over
+        }
+        const onDelta = sendDelta && (chunk => sendDelta(chunk));
+        const { text, usage } = await this.callProvider({ prompt: promptText, promptKey, modelType, json: false, onDelta });
+        await this.recordUsage(promptKey, modelType, usage);
+        if (cacheRequest) {
+          await this.responseCache.set(cacheRequest, text);
+        }
+        return text;
       } catch (error) {
         console.error(`[DEBUG] AI TEXT API call to ${modelType.toUpperCase()} FAILED on attempt ${attempt + 1}: ${error.message}`);
-        if (this.isRetryableError(error) && attempt < this.maxRetries - 1) {
-          const delay = this.initialRetryDelay;
-          console.warn(`[DEBUG] Retryable error. Retrying in ${delay / 1000}s...`);
-          await this.sleep(delay);
-        } else {
+        if (!(await this.waitBeforeRetry(error, attempt, policy, promptKey, modelType))) {
           console.error('[DEBUG] Non-retryable error or final attempt failed.');
           throw new AIFailureError(`AI TEXT service failed: ${error.message}`, error, attempt + 1);
         }
@@ -141,7 +490,7 @@ class AIService {
    */
   async extractJobDescriptionContent(rawContent) {
     const truncatedContent = rawContent.substring(0, 10000) + (rawContent.length > 10000 ? ' ...(truncated)' : '');
-    const prompt = this.getPrompt('extractJobDescription', { rawContent: truncatedContent });
+    const prompt = this.buildPrompt('extractJobDescription', { rawContent: truncatedContent });
     return await this.generateWithRetry(prompt, MODEL_TYPES.FLASH);
   }
 
@@ -152,7 +501,7 @@ class AIService {
    * @returns {Promise<Object>} Object with companyName and jobTitle
    */
   async extractJobDetails(jobDescription) {
-    const prompt = this.getPrompt('extractJobDetails', { jobDescription });
+    const prompt = this.buildPrompt('extractJobDetails', { jobDescription });
     try {
         return await this.generateJsonWithRetry(prompt, MODEL_TYPES.FLASH);
     } catch (error) {
@@ -173,20 +522,21 @@ class AIService {
 
   /**
    * Generate CV content using sophisticated prompting strategy
-   * @param {Object} params - Generation parameters
+   * @param {Object} params - Generation parameters (lockedRegions from cvLocks.findLockedRegions)
    * @returns {Promise<string>} Generated CV LaTeX content
    */
-  async generateCVAdvanced({ jobDescription, originalCV, extensiveCV, cvStrategy, companyName, jobTitle }) {
-    const prompt = this.getPrompt('generateCVAdvanced', { jobDescription, originalCV, extensiveCV, cvStrategy, companyName, jobTitle });
+  async generateCVAdvanced({ jobDescription, originalCV, extensiveCV, cvStrategy, companyName, jobTitle, lockedRegions = [] }) {
+    const prompt = this.buildPrompt('generateCVAdvanced', { jobDescription, originalCV, extensiveCV, cvStrategy, companyName, jobTitle, lockedRegions });
     return await this.generateWithRetry(prompt);
   }
 
   /**
    * Fix CV page count issues
-   * @param {Object} params - Fix parameters
+   * @param {Object} params - Fix parameters; jobDescription, extensiveCV and lockedRegions (from
+   * cvLocks.findLockedRegions) are passed through to the prompt
    * @returns {Promise<string>} Fixed CV LaTeX content
    */
-  async fixCVPageCount({ failedCV, actualPageCount, jobDescription, extensiveCV, targetPageCount = 2 }) {
+  async fixCVPageCount({ failedCV, actualPageCount, targetPageCount = 2, ...context }) {
     const tooLong = actualPageCount > targetPageCount;
     const tooShort = actualPageCount < targetPageCount;
     
@@ -195,18 +545,61 @@ class AIService {
     else if (tooShort) promptKey = 'fixCVTooShort';
     else return failedCV;
     
-    const prompt = this.getPrompt(promptKey, { failedCV, actualPageCount, targetPageCount, jobDescription, extensiveCV });
+    const prompt = this.buildPrompt(promptKey, { failedCV, actualPageCount, targetPageCount, ...context });
     return await this.generateWithRetry(prompt);
   }
 
+  /**
+   * Fix a CV that failed to compile
+   * @param {Object} params - Fix parameters (compileErrors from latexLogParser, lockedRegions from cvLocks)
+   * @returns {Promise<string>} Fixed CV LaTeX content
+   */
+  async fixCVCompileError({ failedCV, compileErrors, jobDescription, lockedRegions = [] }) {
+    const prompt = this.buildPrompt('fixCVCompileError', { failedCV, compileErrors, jobDescription, lockedRegions });
+    return await this.generateWithRetry(prompt);
+  }
+
+  /**
+   * Tailor a structured CV to a job using JSON mode
+   * @param {Object} params - Generation parameters (cv is the getEditableCV() JSON text)
+   * @returns {Promise<Object>} Edited CV ({ summary, sections }) to pass to applyCVEdits()
+   */
+  async tailorCVStructure({ cv, jobDescription, extensiveCV, cvStrategy, companyName, jobTitle }) {
+    const prompt = this.buildPrompt('tailorCVStructure', { cv, jobDescription, extensiveCV, cvStrategy, companyName, jobTitle });
+    return await this.generateJsonWithRetry(prompt);
+  }
+
+  /**
+   * Shorten or lengthen a structured CV that rendered to the wrong page count
+   * @param {Object} params - Fix parameters (cv is the getEditableCV() JSON text)
+   * @returns {Promise<Object>} Edited CV ({ summary, sections }) to pass to applyCVEdits()
+   */
+  async fitCVStructure({ cv, actualPageCount, jobDescription, extensiveCV, targetPageCount = 2 }) {
+    const tooLong = actualPageCount > targetPageCount;
+    const prompt = this.buildPrompt('fitCVStructure', { cv, actualPageCount, targetPageCount, tooLong, jobDescription, extensiveCV });
+    return await this.generateJsonWithRetry(prompt);
+  }
+
+  /**
+   * Refine a structured CV based on feedback
+   * @param {Object} params - Refinement parameters (cv is the getEditableCV() JSON text)
+   * @returns {Promise<Object>} Edited CV ({ summary, sections }) to pass to applyCVEdits()
+   */
+  async refineCVStructure({ cv, feedback, chatHistory = [] }) {
+    const chatHistoryText = chatHistory.length > 0 ? JSON.stringify(chatHistory.slice(-5), null, 2) : 'No previous chat history';
+    const prompt = this.buildPrompt('refineCVStructure', { chatHistoryText, cv, feedback });
+    return await this.generateJsonWithRetry(prompt);
+  }
+
   /**
    * Generate cover letter content with advanced prompting
-   * @param {Object} params - Generation parameters
+   * @param {Object} params - Generation parameters (jobDescription, companyName, jobTitle, validatedCVText,
+   *   extensiveCV, coverLetterStrategy and optionally keyQualifications)
    * @returns {Promise<string>} Generated cover letter text
    */
-  async generateCoverLetterAdvanced({ jobDescription, companyName, jobTitle, validatedCVText, extensiveCV, coverLetterStrategy }) {
+  async generateCoverLetterAdvanced(params) {
     const currentDate = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-    const prompt = this.getPrompt('generateCoverLetterAdvanced', { jobDescription, companyName, jobTitle, validatedCVText, extensiveCV, coverLetterStrategy, currentDate });
+    const prompt = this.buildPrompt('generateCoverLetterAdvanced', { ...params, currentDate });
     return await this.generateWithRetry(prompt);
   }
 
@@ -215,8 +608,8 @@ class AIService {
    * @param {Object} params - Generation parameters
    * @returns {Promise<string>} Generated cold email text
    */
-  async generateColdEmailAdvanced({ jobDescription, companyName, jobTitle, validatedCVText, extensiveCV, coldEmailStrategy }) {
-    const prompt = this.getPrompt('generateColdEmailAdvanced', { jobDescription, companyName, jobTitle, validatedCVText, extensiveCV, coldEmailStrategy });
+  async generateColdEmailAdvanced({ jobDescription, companyName, jobTitle, validatedCVText, extensiveCV, coldEmailStrategy, keyQualifications }) {
+    const prompt = this.buildPrompt('generateColdEmailAdvanced', { jobDescription, companyName, jobTitle, validatedCVText, extensiveCV, coldEmailStrategy, keyQualifications });
     return await this.generateWithRetry(prompt);
   }
 
@@ -227,7 +620,7 @@ class AIService {
    */
   async refineContentAdvanced({ content, feedback, chatHistory = [] }) {
     const chatHistoryText = chatHistory.length > 0 ? JSON.stringify(chatHistory.slice(-5), null, 2) : 'No previous chat history';
-    const prompt = this.getPrompt('refineContentAdvanced', { chatHistoryText, content, feedback });
+    const prompt = this.buildPrompt('refineContentAdvanced', { chatHistoryText, content, feedback });
     return await this.generateWithRetry(prompt);
   }
 
@@ -235,20 +628,51 @@ class AIService {
    * Generate AI-powered CV change summary
    * Uses Flash model for fast diff comparison
    * @param {Object} params - Parameters
+   * @param {string} params.originalCV - Original CV
+   * @param {string} params.newCV - Generated CV
+   * @param {string} params.bulletSources - Optional edit type of each bullet (see utils/cvProvenance.js)
    * @returns {Promise<string>} Bullet-pointed summary of changes
    */
-  async generateCVChangeSummary({ originalCV, newCV }) {
-    const prompt = this.getPrompt('generateCVChangeSummary', { originalCV, newCV });
+  async generateCVChangeSummary({ originalCV, newCV, bulletSources = '' }) {
+    const prompt = this.buildPrompt('generateCVChangeSummary', { originalCV, newCV, bulletSources });
     return await this.generateWithRetry(prompt, MODEL_TYPES.FLASH);
   }
 
+  /**
+   * Extract the factual claims a generated document makes about the candidate using JSON mode.
+   * Uses Flash model: this is extraction only, the claims are checked against the sources elsewhere
+   * @param {Object} params - Parameters
+   * @param {string} params.documentLabel - What the document is (e.g. "CV", "cover letter")
+   * @param {string} params.content - Document text
+   * @returns {Promise<Array<Object>>} Claims ({ type, text, value })
+   */
+  async extractClaims({ documentLabel, content }) {
+    const prompt = this.buildPrompt('extractClaims', { documentLabel, content });
+    const result = await this.generateJsonWithRetry(prompt, MODEL_TYPES.FLASH);
+    return result.claims;
+  }
+
+  /**
+   * Extract the keywords an ATS would screen for from the structured job data using JSON mode.
+   * Uses Flash model: this is extraction only, coverage is measured elsewhere
+   * @param {Object} params - Parameters
+   * @param {string} params.jobTitle - Job title
+   * @param {Array<string>} params.keyQualifications - Key qualifications from the job posting
+   * @param {string} params.educationExperience - Required education and experience
+   * @returns {Promise<Object>} { required: [keyword], preferred: [keyword] }
+   */
+  async extractJobKeywords({ jobTitle, keyQualifications = [], educationExperience = '' }) {
+    const prompt = this.buildPrompt('extractJobKeywords', { jobTitle, keyQualifications, educationExperience });
+    return await this.generateJsonWithRetry(prompt, MODEL_TYPES.FLASH);
+  }
+
   /**
    * Generate company profile for cold outreach using JSON mode.
    * @param {string} companyName - Name of the company to research
    * @returns {Promise<Object>} Object with description and contactEmail
    */
   async generateCompanyProfile(companyName) {
-    const prompt = this.getPrompt('generateCompanyProfile', { companyName });
+    const prompt = this.buildPrompt('generateCompanyProfile', { companyName });
     try {
         return await this.generateJsonWithRetry(prompt);
     } catch (error) {
@@ -263,7 +687,7 @@ class AIService {
    * @returns {Promise<string>} Generated personalized cold email text
    */
   async generatePersonalizedColdEmail({ companyName, companyProfile, contact, validatedCVText, extensiveCV, coldEmailStrategy }) {
-    const prompt = this.getPrompt('generatePersonalizedColdEmail', { companyName, companyProfile, contactName: contact.name, contactTitle: contact.title, contactEmail: contact.email, validatedCVText, extensiveCV, coldEmailStrategy });
+    const prompt = this.buildPrompt('generatePersonalizedColdEmail', { companyName, companyProfile, contactName: contact.name, contactTitle: contact.title, contactEmail: contact.email, validatedCVText, extensiveCV, coldEmailStrategy });
     return await this.generateWithRetry(prompt);
   }
 
@@ -273,7 +697,7 @@ class AIService {
    * @returns {Promise<string>} Generated generic cold email text
    */
   async generateGenericColdEmail({ companyName, companyProfile, genericEmail, validatedCVText, extensiveCV, coldEmailStrategy }) {
-    const prompt = this.getPrompt('generateGenericColdEmail', { companyName, companyProfile, genericEmail, validatedCVText, extensiveCV, coldEmailStrategy });
+    const prompt = this.buildPrompt('generateGenericColdEmail', { companyName, companyProfile, genericEmail, validatedCVText, extensiveCV, coldEmailStrategy });
     return await this.generateWithRetry(prompt);
   }
 
@@ -284,7 +708,7 @@ class AIService {
    * @returns {Promise<Object>} Object with companyName, targetPerson, and roleContext
    */
   async parseColdOutreachInput(userInput) {
-    const prompt = this.getPrompt('parseColdOutreachInput', { userInput });
+    const prompt = this.buildPrompt('parseColdOutreachInput', { userInput });
     try {
         const result = await this.generateJsonWithRetry(prompt, MODEL_TYPES.FLASH);
         console.log(`[DEBUG] Parsed input successfully: Company="${result.companyName}", DomainName="${result.domainName}", Person="${result.targetPerson}", Role="${result.roleContext}"`);
@@ -303,7 +727,7 @@ class AIService {
    * @throws {Error} If AI service fails to process the URL
    */
   async processJobURL(url) {
-    const prompt = this.getPrompt('processJobURL', { url });
+    const prompt = this.buildPrompt('processJobURL', { url });
     try {
         const jobData = await this.generateJsonWithRetry(prompt, MODEL_TYPES.FLASH);
         console.log('[DEBUG] AIService: Job data parsed successfully from URL via JSON mode.');
@@ -322,7 +746,7 @@ class AIService {
    * @throws {Error} If AI service fails to process the text
    */
   async processJobText(jobText) {
-    const prompt = this.getPrompt('processJobText', { jobText });
+    const prompt = this.buildPrompt('processJobText', { jobText });
     try {
         const jobData = await this.generateJsonWithRetry(prompt, MODEL_TYPES.FLASH);
         console.log('[DEBUG] AIService: Job data parsed successfully from text via JSON mode.');
@@ -340,7 +764,7 @@ class AIService {
    */
   async researchCompanyAndIdentifyPeople({ companyName, originalCV, reconStrategy, roleContext = null }) {
     const roleContextText = roleContext ? `\nRole Context: ${roleContext}` : '';
-    const prompt = this.getPrompt('researchCompanyAndIdentifyPeople', { companyName, originalCV, reconStrategy, roleContext: roleContextText });
+    const prompt = this.buildPrompt('researchCompanyAndIdentifyPeople', { companyName, originalCV, reconStrategy, roleContext: roleContextText });
     
     try {
         const research = await this.generateJsonWithRetry(prompt);
@@ -365,7 +789,7 @@ class AIService {
    */
   async getIntelligence(personName, companyName) {
     console.log(`[DEBUG] AIService.getIntelligence: Gathering intelligence for ${personName} at ${companyName}`);
-    const prompt = this.getPrompt('getIntelligence', { personName, companyName });
+    const prompt = this.buildPrompt('getIntelligence', { personName, companyName });
     
     try {
         console.log(`[DEBUG] AIService.getIntelligence: Using ${MODEL_TYPES.FLASH.toUpperCase()} model for fast intelligence gathering`);
@@ -0,0 +1,244 @@
+const config = require('../config');
+const { loadSourceFiles } = require('../utils/fileHelpers');
+const { cvToText } = require('../utils/cvStructure');
+const { findEvidence, extractMetricClaims, locateClaim, isSameClaim, normalize } = require('../utils/claimMatcher');
+
+const DOCUMENT_LABELS = {
+  cv: 'CV',
+  coverLetter: 'cover letter',
+  coldEmail: 'cold email'
+};
+// confirmed: the claim is true even though the sources don't say so; removed: taken out of the document
+const RESOLUTIONS = ['confirmed', 'removed'];
+
+/**
+ * Claim verification service
+ * Guards against hallucinated facts: extracts the factual claims (employers, titles, dates,
+ * metrics, technologies, ...) from generated documents and checks each one against the
+ * source files. Unsupported claims are stored in the session with their location and can
+ * optionally block approval until they are resolved.
+ *
+ * Stored on the session as claimVerification:
+ *   { checkedAt, claims: [{ id, document, type, text, value, supported, evidence, location, resolution }],
+ *     warnings, summary: { total, unsupported, unresolved } }
+ */
+class ClaimVerificationService {
+  /**
+   * @param {Object} sessionService - Session service
+   * @param {Object} aiService - AI service (extracts the claims)
+   * @param {Object} fileService - File service (reads generated documents for re-verification)
+   */
+  constructor(sessionService, aiService, fileService) {
+    this.sessionService = sessionService;
+    this.aiService = aiService;
+    this.fileService = fileService;
+    this.enabled = config.claimVerification.enabled;
+    this.blockApproval = config.claimVerification.blockApproval;
+  }
+
+  /**
+   * Extract and check the claims of each document
+   * @param {Object} documents - Document text by type (cv, coverLetter, coldEmail); missing ones are skipped
+   * @param {Object} sourceFiles - Source files from loadSourceFiles()
+   * @param {Object} options - { cvStructure (locates CV claims by section), logCallback }
+   * @returns {Promise<Object>} { claims, warnings }
+   */
+  async verifyDocuments(documents, sourceFiles, { cvStructure = null, logCallback = null } = {}) {
+    const sources = [
+      { name: 'extensive_cv', text: sourceFiles.extensiveCV },
+      { name: 'original_cv', text: sourceFiles.originalCV }
+    ];
+    const claims = [];
+    const warnings = [];
+
+    for (const [document, content] of Object.entries(documents)) {
+      if (!DOCUMENT_LABELS[document] || !content) {
+        continue;
+      }
+      logCallback && logCallback(`Checking ${DOCUMENT_LABELS[document]} claims against the source files...`);
+
+      let extracted = [];
+      try {
+        extracted = await this.aiService.extractClaims({ documentLabel: DOCUMENT_LABELS[document], content });
+      } catch (error) {
+        // Fall back to the metric scan below so the riskiest claims are still checked
+        console.error(`[DEBUG] ClaimVerificationService: Claim extraction failed for ${document}:`, error.message);
+        warnings.push(`Claims in the ${DOCUMENT_LABELS[document]} could not be extracted (${error.message}); only metrics were checked`);
+      }
+
+      // Metrics are the costliest claims to get wrong, so any the AI missed are added from a pattern scan
+      const candidates = [...extracted, ...extractMetricClaims(content)];
+      const unique = candidates.filter((claim, index) => claim && normalize(claim.value)
+        && candidates.findIndex(other => other && isSameClaim(other, claim)) === index);
+
+      unique.forEach((claim, index) => {
+        const evidence = findEvidence(claim, sources);
+        claims.push({
+          id: `${document}-${index + 1}`,
+          document,
+          type: claim.type,
+          text: claim.text,
+          value: claim.value,
+          supported: !!evidence,
+          evidence,
+          location: {
+            ...locateClaim(content, claim),
+            ...(document === 'cv' && cvStructure ? locateInStructure(cvStructure, claim) : {})
+          },
+          resolution: null
+        });
+      });
+    }
+
+    return { claims, warnings };
+  }
+
+  /**
+   * Verify freshly generated documents and store the result in the session. Claims of other
+   * documents are kept, and claims the user already confirmed stay confirmed.
+   * @param {string} sessionId - Session ID
+   * @param {Object} params - { documents, sourceFiles, cvStructure, logCallback }
+   * @returns {Promise<Object|null>} Stored claimVerification, or null when verification is disabled
+   */
+  async verifySession(sessionId, { documents, sourceFiles, cvStructure = null, logCallback = null }) {
+    if (!this.enabled) {
+      return null;
+    }
+    const session = await this.sessionService.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    const { claims, warnings } = await this.verifyDocuments(documents, sourceFiles, { cvStructure, logCallback });
+    const previous = session.claimVerification ? session.claimVerification.claims : [];
+    for (const claim of claims) {
+      const confirmed = previous.find(old => old.resolution === 'confirmed' && old.document === claim.document && isSameClaim(old, claim));
+      claim.resolution = confirmed ? 'confirmed' : null;
+    }
+
+    const kept = previous.filter(claim => !Object.prototype.hasOwnProperty.call(documents, claim.document));
+    const claimVerification = buildReport([...kept, ...claims], warnings);
+    await this.sessionService.updateSession(sessionId, { claimVerification });
+
+    const { total, unsupported } = claimVerification.summary;
+    console.log(`[DEBUG] ClaimVerificationService: Session ${sessionId}: ${total} claim(s), ${unsupported} unsupported`);
+    logCallback && logCallback(unsupported > 0
+      ? `⚠ ${unsupported} of ${total} claim(s) not found in the source files - review them before sending`
+      : `✓ All ${total} claim(s) found in the source files`);
+    return claimVerification;
+  }
+
+  /**
+   * Re-verify the documents currently saved in a session (e.g. after a refinement)
+   * @param {string} sessionId - Session ID
+   * @param {Array<string>} documentTypes - Documents to check (defaults to all generated ones)
+   * @returns {Promise<Object|null>} Stored claimVerification, or null when verification is disabled
+   */
+  async reverifySession(sessionId, documentTypes = Object.keys(DOCUMENT_LABELS)) {
+    this.sessionService.validateSessionId(sessionId);
+    const session = await this.sessionService.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    const files = session.generatedFiles || {};
+    const documents = {};
+    let cvStructure = null;
+    for (const document of documentTypes) {
+      const file = files[document];
+      if (!file) {
+        continue;
+      }
+      if (document === 'cv' && file.structurePath && await this.fileService.fileExists(file.structurePath)) {
+        cvStructure = await this.fileService.readJsonFile(file.structurePath);
+        documents.cv = cvToText(cvStructure);
+      } else if (document === 'cv' && file.texPath && await this.fileService.fileExists(file.texPath)) {
+        documents.cv = await this.fileService.readTexFile(file.texPath);
+      } else if (file.path && await this.fileService.fileExists(file.path)) {
+        documents[document] = await this.fileService.readTextFile(file.path);
+      }
+    }
+
+    const sourceFiles = await loadSourceFiles(this.fileService);
+    return this.verifySession(sessionId, { documents, sourceFiles, cvStructure });
+  }
+
+  /**
+   * Mark an unsupported claim as resolved (or clear its resolution)
+   * @param {string} sessionId - Session ID
+   * @param {string} claimId - Claim ID
+   * @param {string|null} resolution - One of RESOLUTIONS, or null to clear it
+   * @returns {Promise<Object>} Updated claimVerification
+   * @throws {Error} If the resolution is invalid or the session or claim does not exist
+   */
+  async resolveClaim(sessionId, claimId, resolution) {
+    if (resolution !== null && !RESOLUTIONS.includes(resolution)) {
+      throw new Error(`Invalid resolution "${resolution}". Must be one of: ${RESOLUTIONS.join(', ')}`);
+    }
+    this.sessionService.validateSessionId(sessionId);
+    const session = await this.sessionService.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    const claims = session.claimVerification ? session.claimVerification.claims : [];
+    if (!claims.some(claim => claim.id === claimId)) {
+      throw new Error(`Claim ${claimId} not found`);
+    }
+
+    const updated = claims.map(claim => (claim.id === claimId ? { ...claim, resolution } : claim));
+    const claimVerification = { ...buildReport(updated, session.claimVerification.warnings), checkedAt: session.claimVerification.checkedAt };
+    await this.sessionService.updateSession(sessionId, { claimVerification });
+    return claimVerification;
+  }
+
+  /**
+   * Unsupported claims nobody has resolved yet
+   * @param {Object} session - Session
+   * @returns {Array<Object>} Claims
+   */
+  getUnresolvedClaims(session) {
+    const claims = session && session.claimVerification ? session.claimVerification.claims : [];
+    return claims.filter(claim => !claim.supported && !claim.resolution);
+  }
+
+  /**
+   * Whether approval must wait for unsupported claims to be resolved
+   * @param {Object} session - Session
+   * @returns {boolean} True if approval is blocked
+   */
+  isApprovalBlocked(session) {
+    return this.blockApproval && this.getUnresolvedClaims(session).length > 0;
+  }
+}
+
+function buildReport(claims, warnings = []) {
+  const unsupported = claims.filter(claim => !claim.supported);
+  return {
+    checkedAt: new Date().toISOString(),
+    claims,
+    warnings,
+    summary: {
+      total: claims.length,
+      unsupported: unsupported.length,
+      unresolved: unsupported.filter(claim => !claim.resolution).length
+    }
+  };
+}
+
+// Section and entry of the structured CV a claim appears in
+function locateInStructure(cv, claim) {
+  const needle = normalize(claim.text) || normalize(claim.value);
+  for (const section of cv.sections) {
+    for (const block of section.blocks) {
+      const text = normalize(Object.values(block).flat()
+        .map(value => (value && typeof value === 'object' ? `${value.label || ''} ${value.text || ''}` : value))
+        .join(' '));
+      if (text.includes(needle) || text.includes(normalize(claim.value))) {
+        return { section: section.title, entry: block.title || null };
+      }
+    }
+  }
+  return {};
+}
+
+module.exports = ClaimVerificationService;
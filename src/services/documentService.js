@@ -1,60 +1,63 @@
-const latex = require('node-latex');
 const { PDFParse } = require('pdf-parse');
 const config = require('../config');
 const path = require('path');
 const fs = require('fs').promises;
+const { parseCV, getEditableCV, applyCVEdits } = require('../utils/cvStructure');
+const { renderCV, applyFittedLatex, getCVEngine, getTheme, DEFAULT_THEME } = require('../utils/cvRenderer');
+const { parseLatexLog, formatLatexError } = require('../utils/latexLogParser');
+const { nextAdjustment } = require('../utils/pageFitter');
+const { findLockedRegions, findLockViolations, findStructureLockViolations, describeLocks } = require('../utils/cvLocks');
+const { DEFAULT_ENGINE } = require('../utils/latexEngines');
+const LatexCompiler = require('./latexCompiler');
 
 class DocumentService {
   constructor(fileService) {
     this.fileService = fileService;
     this.userName = config.user.name;
     this.TARGET_PAGE_COUNT = config.document.targetPageCount;
+    this.MAX_FIT_STEPS = config.document.maxFitSteps;
+    this.latexCompiler = LatexCompiler.getShared();
   }
 
   /**
    * Compile LaTeX to PDF and validate page count
-   * Uses node-latex library to avoid command injection vulnerabilities
+   * Compiles in the LaTeX sandbox (see LatexCompiler) with the engine of the CV's template (see
+   * getCVEngine in cvRenderer.js); forbidden commands and engines, timeouts and output limits are reported as
+   * compile errors like any other LaTeX error. The page count is read from the PDF, whatever the engine.
    * @param {string} texPath - Path to .tex file
    * @param {string} outputDir - Output directory
    * @param {number} maxRetries - Maximum retry attempts
-   * @returns {Promise<Object>} Result object with success status and page count
+   * @param {number|null} targetPageCount - Expected page count (defaults to the configured one)
+   * @param {string} engine - TeX engine (defaults to pdflatex)
+   * @returns {Promise<Object>} Result object with success status, page count, the engine used and,
+   *   when LaTeX reported errors, compileErrors ({ line, message, snippet, hint } from latexLogParser)
    */
-  async compileLatexToPdf(texPath, outputDir, maxRetries = 3) {
+  async compileLatexToPdf(texPath, outputDir, maxRetries = 3, targetPageCount = null, engine = DEFAULT_ENGINE) {
+    const target = targetPageCount || this.TARGET_PAGE_COUNT;
     const fileName = path.basename(texPath, '.tex');
     const pdfPath = path.join(outputDir, `${fileName}.pdf`);
+    const logPath = path.join(outputDir, `${fileName}.log`);
     
     console.log(`[DEBUG] DocumentService: Compiling LaTeX to PDF - ${fileName}`);
     console.log(`[DEBUG] DocumentService: TeX path: ${texPath}`);
     console.log(`[DEBUG] DocumentService: Output directory: ${outputDir}`);
-    console.log(`[DEBUG] DocumentService: Max retries: ${maxRetries}, Target pages: ${this.TARGET_PAGE_COUNT}`);
+    console.log(`[DEBUG] DocumentService: Max retries: ${maxRetries}, Target pages: ${target}`);
     
     let lastError = null;
+    let compileErrors = [];
+    let lastPageCount = null;
     
     for (let attempt = 0; attempt < maxRetries; attempt++) {
+      let texContent = '';
       try {
         console.log(`[DEBUG] DocumentService: Compilation attempt ${attempt + 1}/${maxRetries}`);
         
         // Read the LaTeX content as a string
-        const texContent = await fs.readFile(texPath, 'utf-8');
+        texContent = await fs.readFile(texPath, 'utf-8');
         console.log(`[DEBUG] DocumentService: TeX content loaded as string (length: ${texContent.length} characters)`);
         
-        // Compile LaTeX to PDF using node-latex
-        // NOTE: cmd is hardcoded to 'pdflatex' for security - do not accept user input
-        // IMPORTANT: Pass string directly to latex() to avoid "can't process stream twice" error
-        console.log('[DEBUG] DocumentService: Starting pdflatex compilation with string input...');
-        const pdfBuffer = await new Promise((resolve, reject) => {
-          const chunks = [];
-          // Pass string directly (not stream) to allow multiple passes
-          const output = latex(texContent, {
-            inputs: outputDir,
-            cmd: 'pdflatex', // Hardcoded for security - never use user input here
-            passes: 2
-          });
-          
-          output.on('data', (chunk) => chunks.push(chunk));
-          output.on('end', () => resolve(Buffer.concat(chunks)));
-          output.on('error', reject);
-        });
+        console.log(`[DEBUG] DocumentService: Starting sandboxed ${engine} compilation...`);
+        const pdfBuffer = await this.latexCompiler.compile(texContent, { logPath, engine });
         
         console.log(`[DEBUG] DocumentService: PDF buffer created (${pdfBuffer.length} bytes)`);
         
@@ -72,18 +75,21 @@ class DocumentService {
         
         // Check page count
         const pageCount = await this.getPdfPageCount(pdfPath);
-        console.log(`[DEBUG] DocumentService: PDF has ${pageCount} page(s), expected ${this.TARGET_PAGE_COUNT}`);
+        console.log(`[DEBUG] DocumentService: PDF has ${pageCount} page(s), expected ${target}`);
         
-        if (pageCount === this.TARGET_PAGE_COUNT) {
+        if (pageCount === target) {
           console.log(`[DEBUG] DocumentService: ✓ Compilation successful - correct page count`);
           return {
             success: true,
             pageCount,
             pdfPath,
-            message: `PDF compiled successfully with exactly ${this.TARGET_PAGE_COUNT} pages`
+            engine,
+            compileErrors: [],
+            message: `PDF compiled successfully with exactly ${target} pages`
           };
         } else {
-          lastError = new Error(`PDF has ${pageCount} pages, expected exactly ${this.TARGET_PAGE_COUNT}`);
+          lastError = new Error(`PDF has ${pageCount} pages, expected exactly ${target}`);
+          lastPageCount = pageCount;
           if (attempt < maxRetries - 1) {
             console.log(`[DEBUG] DocumentService: Page count mismatch, will retry`);
             console.log(`Attempt ${attempt + 1}: Page count is ${pageCount}, retrying...`);
@@ -93,6 +99,20 @@ class DocumentService {
         lastError = error;
         console.error(`[DEBUG] DocumentService: Compilation attempt ${attempt + 1} failed:`, error);
         console.error(`Compilation attempt ${attempt + 1} failed:`, error.message);
+
+        if (error.isLatexSandbox) {
+          compileErrors = [{ line: error.line, message: error.message, snippet: error.snippet, hint: error.hint }];
+          console.error(`[DEBUG] DocumentService: LaTeX sandbox stopped compilation (${error.reason}) - ${formatLatexError(compileErrors[0])}`);
+          break;
+        }
+
+        if (error.message.startsWith('LaTeX Syntax Error')) {
+          const log = await fs.readFile(logPath, 'utf-8').catch(() => null);
+          compileErrors = parseLatexLog(log || error.message, texContent);
+          compileErrors.forEach(compileError => console.error(`[DEBUG] DocumentService: LaTeX error - ${formatLatexError(compileError)}`));
+          // Recompiling the same source fails the same way
+          break;
+        }
       }
       
       // If not the last attempt, we'll retry
@@ -104,13 +124,63 @@ class DocumentService {
     // All retries failed
     return {
       success: false,
-      pageCount: null,
+      pageCount: lastPageCount,
       pdfPath: null,
-      message: `Failed after ${maxRetries} attempts: ${lastError?.message || 'Unknown error'}`,
+      engine,
+      compileErrors,
+      message: compileErrors.length > 0
+        ? `LaTeX compilation failed: ${compileErrors.map(formatLatexError).join('; ')}`
+        : `Failed after ${maxRetries} attempts: ${lastError?.message || 'Unknown error'}`,
       error: lastError
     };
   }
 
+  /**
+   * Bring a compiled CV to the target page count with mechanical adjustments (list spacing,
+   * margins, font size, then bullets marked "% priority: low"), recompiling after each one.
+   * Stops when the page count overshoots the target or compilation fails; the .tex file is
+   * restored if the target is not reached.
+   * @param {string} texPath - Path to the compiled .tex file
+   * @param {string} outputDir - Output directory
+   * @param {number} pageCount - Page count of the current PDF
+   * @param {Function} logCallback - Callback for logging
+   * @param {number|null} targetPageCount - Target page count (defaults to the configured one)
+   * @param {string} engine - TeX engine (defaults to pdflatex)
+   * @returns {Promise<Object>} { success, cvContent, pdfPath, pageCount, adjustments }
+   */
+  async fitPageCount(texPath, outputDir, pageCount, logCallback, targetPageCount = null, engine = DEFAULT_ENGINE) {
+    const target = targetPageCount || this.TARGET_PAGE_COUNT;
+    const originalContent = await fs.readFile(texPath, 'utf-8');
+    const direction = pageCount > target ? 'shrink' : 'grow';
+    const adjustments = [];
+    let cvContent = originalContent;
+
+    console.log(`[DEBUG] DocumentService: Fitting ${pageCount} page(s) to ${target} (${direction}, max ${this.MAX_FIT_STEPS} steps)`);
+    for (let step = 0; step < this.MAX_FIT_STEPS; step++) {
+      const adjustment = nextAdjustment(cvContent, direction);
+      if (!adjustment) {
+        break;
+      }
+      cvContent = adjustment.latex;
+      adjustments.push(adjustment.description);
+      logCallback && logCallback(`Page fit: ${adjustment.description}`);
+      await this.fileService.writeFile(texPath, cvContent);
+
+      const result = await this.compileLatexToPdf(texPath, outputDir, 1, target, engine);
+      if (result.success) {
+        return { success: true, cvContent, pdfPath: result.pdfPath, pageCount: result.pageCount, adjustments };
+      }
+      const overshot = direction === 'shrink' ? result.pageCount < target : result.pageCount > target;
+      if (!result.pageCount || overshot) {
+        console.log(`[DEBUG] DocumentService: Page fit stopped: ${result.message}`);
+        break;
+      }
+    }
+
+    await this.fileService.writeFile(texPath, originalContent);
+    return { success: false, cvContent: originalContent, pdfPath: null, pageCount, adjustments };
+  }
+
   /**
    * Get PDF page count using pdf-parse library
    * @param {string} pdfPath - Path to PDF file
@@ -239,15 +309,21 @@ class DocumentService {
    * @param {string} params.extensiveCV - Content of extensive_cv.doc
    * @param {string} params.cvStrategy - Content of cv_strat.pdf
    * @param {string} params.outputDir - Output directory
+   * @param {string} params.theme - CV theme (see cvRenderer.js), defaults to classic
    * @param {Function} params.logCallback - Callback for logging
    * @returns {Promise<Object>} Generation result
+   *
+   * Parts of the original CV marked "% locked" (see cvLocks.js) are checked after every AI
+   * response; a response that changed them is rejected and the attempt counts as failed.
    */
   async generateCVWithAdvancedRetry(aiService, params) {
-    const { jobDescription, companyName, jobTitle, originalCV, extensiveCV, cvStrategy, outputDir, logCallback } = params;
+    const { jobDescription, companyName, jobTitle, originalCV, extensiveCV, cvStrategy, outputDir, theme = DEFAULT_THEME, logCallback } = params;
     const maxAttempts = 3;
     
     let lastCVContent = null;
     let lastPageCount = null;
+    let lastCompileErrors = [];
+    let pageFitAdjustments = [];
     
     // Create descriptive filename
     const texFilename = this.createDescriptiveFilename({
@@ -256,35 +332,103 @@ class DocumentService {
       documentType: 'CV',
       extension: 'tex'
     });
+    const structurePath = path.join(outputDir, texFilename.replace(/\.tex$/, '.json'));
+
+    // Structured path: the AI edits a JSON representation of the CV and the LaTeX is rendered
+    // from a template. CVs whose layout cannot be parsed fall back to the AI editing raw LaTeX.
+    let structure = null;
+    try {
+      structure = { ...parseCV(originalCV), template: theme };
+    } catch (error) {
+      console.warn(`[DEBUG] DocumentService: ${error.message}. Falling back to LaTeX editing.`);
+      logCallback && logCallback(theme === DEFAULT_THEME
+        ? 'CV layout not recognised, editing the LaTeX directly'
+        : `CV layout not recognised, editing the LaTeX directly (the ${theme} theme needs a structured CV)`);
+    }
+    // Themes can have their own page count (the compact theme is one page)
+    const targetPageCount = (structure && getTheme(theme).pageCount) || this.TARGET_PAGE_COUNT;
+    // The engine comes from the theme or the original CV, never from what the AI wrote
+    const engine = getCVEngine(structure ? theme : null, originalCV);
+    const lockedRegions = findLockedRegions(originalCV);
+    const lockedStructure = structure;
+    let lockFailure = null;
+    if (lockedRegions.length > 0) {
+      logCallback && logCallback(`Keeping ${lockedRegions.length} locked region(s) of the original CV unchanged (${describeLocks(lockedRegions)})`);
+    }
     
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
       logCallback && logCallback(`CV Generation attempt ${attempt + 1}/${maxAttempts}...`);
       console.log(`\nCV Generation attempt ${attempt + 1}/${maxAttempts}...`);
       
-      let cvContent;
-      
-      if (attempt === 0) {
-        // First attempt: use advanced generation
-        cvContent = await aiService.generateCVAdvanced({
+      let cleanedContent;
+      let editedStructure = null;
+
+      if (lastCompileErrors.length > 0) {
+        // The last attempt did not compile, so the LaTeX itself needs fixing. A structured CV is
+        // rendered from escaped text, so its errors come from the preamble or raw blocks, which
+        // the AI can only fix in the .tex; from here on the CV is edited as LaTeX.
+        if (structure) {
+          structure = null;
+          await fs.rm(structurePath, { force: true });
+        }
+        logCallback && logCallback(`Asking the AI to fix ${lastCompileErrors.length} LaTeX error(s)...`);
+        cleanedContent = this.cleanLatexContent(await aiService.fixCVCompileError({
+          failedCV: lastCVContent,
+          compileErrors: lastCompileErrors,
+          jobDescription,
+          lockedRegions
+        }));
+      } else if (structure) {
+        const cv = JSON.stringify(getEditableCV(structure), null, 2);
+        const edits = lastCVContent === null
+          ? await aiService.tailorCVStructure({ cv, jobDescription, extensiveCV, cvStrategy, companyName, jobTitle })
+          : await aiService.fitCVStructure({ cv, actualPageCount: lastPageCount, jobDescription, extensiveCV, targetPageCount });
+        editedStructure = applyCVEdits(structure, edits);
+        cleanedContent = renderCV(editedStructure);
+      } else if (lastCVContent === null) {
+        // First attempt (or every attempt so far was rejected): use advanced generation
+        cleanedContent = this.cleanLatexContent(await aiService.generateCVAdvanced({
           jobDescription,
           originalCV,
           extensiveCV,
           cvStrategy,
           companyName,
           jobTitle,
-          retryCount: attempt
-        });
+          retryCount: attempt,
+          lockedRegions
+        }));
       } else {
         // Subsequent attempts: use fix method
-        cvContent = await aiService.fixCVPageCount({
+        cleanedContent = this.cleanLatexContent(await aiService.fixCVPageCount({
           failedCV: lastCVContent,
           actualPageCount: lastPageCount,
-          jobDescription
-        });
+          jobDescription,
+          lockedRegions
+        }));
+      }
+
+      // Locked parts of the original must come back unchanged (LaTeX CVs: the same lines, markers and trailing spaces aside; structured CVs: the same blocks)
+      const violations = editedStructure
+        ? findStructureLockViolations(lockedStructure, editedStructure)
+        : findLockViolations(cleanedContent, lockedRegions);
+      if (violations.length > 0) {
+        lockFailure = `Attempt ${attempt + 1} changed locked part(s) of the CV (${describeLocks(violations)})`;
+        logCallback && logCallback(`✗ ${lockFailure}`);
+        console.log(`✗ ${lockFailure}`);
+        if (attempt < maxAttempts - 1) {
+          continue;
+        }
+        // Out of attempts: fall back to the last version that kept them
+        logCallback && logCallback('Keeping the last version of the CV that left them unchanged');
+        editedStructure = structure;
+        cleanedContent = structure ? renderCV(structure) : (lastCVContent || originalCV);
+      } else {
+        lockFailure = null;
+      }
+      if (editedStructure) {
+        structure = editedStructure;
+        await this.fileService.writeJsonFile(structurePath, structure);
       }
-      
-      // Clean LaTeX content
-      const cleanedContent = this.cleanLatexContent(cvContent);
       lastCVContent = cleanedContent;
       
       // Write to .tex file with descriptive name
@@ -292,27 +436,66 @@ class DocumentService {
       await this.fileService.writeFile(texPath, cleanedContent);
       
       // Compile to PDF and validate
-      const result = await this.compileLatexToPdf(texPath, outputDir, 1);
+      let result = await this.compileLatexToPdf(texPath, outputDir, 1, targetPageCount, engine);
+
+      // Wrong length: try mechanical adjustments before asking the AI to rewrite content
+      pageFitAdjustments = [];
+      if (!result.success && result.pageCount && (result.compileErrors || []).length === 0 && this.MAX_FIT_STEPS > 0) {
+        const fit = await this.fitPageCount(texPath, outputDir, result.pageCount, logCallback, targetPageCount, engine);
+        // The fitter skips locked lines, but its output is checked like the AI's before it is kept
+        const fitViolations = !fit.success ? [] : structure
+          ? findStructureLockViolations(lockedStructure, applyFittedLatex(structure, fit.cvContent))
+          : findLockViolations(fit.cvContent, lockedRegions);
+        if (fitViolations.length > 0) {
+          logCallback && logCallback(`✗ Mechanical page fit changed locked part(s) of the CV (${describeLocks(fitViolations)}), undoing it`);
+          await this.fileService.writeFile(texPath, cleanedContent);
+          result = await this.compileLatexToPdf(texPath, outputDir, 1, targetPageCount, engine);
+        } else if (fit.success) {
+          cleanedContent = fit.cvContent;
+          pageFitAdjustments = fit.adjustments;
+          result = { ...result, success: true, pageCount: fit.pageCount, pdfPath: fit.pdfPath };
+          logCallback && logCallback(`Fitted to ${fit.pageCount} pages with ${fit.adjustments.length} adjustment(s), no AI rewrite needed`);
+          if (structure) {
+            // Keep the saved structure in step with the adjusted preamble and dropped bullets
+            structure = applyFittedLatex(structure, cleanedContent);
+            await this.fileService.writeJsonFile(structurePath, structure);
+          }
+        } else if (fit.adjustments.length > 0) {
+          logCallback && logCallback('Mechanical page fit did not reach the target, asking the AI to adjust the content');
+        }
+      }
       
-      if (result.success && result.pageCount === this.TARGET_PAGE_COUNT) {
-        logCallback && logCallback(`✓ CV generated successfully with exactly ${this.TARGET_PAGE_COUNT} pages`);
-        console.log(`✓ CV generated successfully with exactly 2 pages`);
+      if (result.success && result.pageCount === targetPageCount && !lockFailure) {
+        logCallback && logCallback(`✓ CV generated successfully with exactly ${targetPageCount} page(s)`);
+        console.log(`✓ CV generated successfully with exactly ${targetPageCount} page(s)`);
         return {
           success: true,
           cvContent: cleanedContent,
           texPath,
           pdfPath: result.pdfPath,
           pageCount: result.pageCount,
-          attempts: attempt + 1
+          attempts: attempt + 1,
+          compileErrors: [],
+          pageFitAdjustments,
+          structure,
+          structurePath: structure ? structurePath : null
         };
       } else {
         lastPageCount = result.pageCount || 0;
-        const message = `Attempt ${attempt + 1} failed: ${result.message}`;
+        lastCompileErrors = result.compileErrors || [];
+        const message = `Attempt ${attempt + 1} failed: ${lockFailure && result.success ? 'the AI changed locked parts of the CV' : result.message}`;
         logCallback && logCallback(`✗ ${message}`);
         console.log(`✗ ${message}`);
         
         if (attempt === maxAttempts - 1) {
           // Last attempt failed, return the content anyway
+          let error = lastCompileErrors.length > 0
+            ? `Failed to compile CV after ${maxAttempts} attempts. ${result.message}`
+            : `Failed to generate ${targetPageCount}-page CV after ${maxAttempts} attempts. Final page count: ${lastPageCount}`;
+          if (lockFailure) {
+            const kept = `${lockFailure}, so the last version that kept them was used`;
+            error = result.success ? kept : `${kept}. ${error}`;
+          }
           return {
             success: false,
             cvContent: cleanedContent,
@@ -320,7 +503,11 @@ class DocumentService {
             pdfPath: result.pdfPath,
             pageCount: lastPageCount,
             attempts: attempt + 1,
-            error: `Failed to generate 2-page CV after ${maxAttempts} attempts. Final page count: ${lastPageCount}`
+            compileErrors: lastCompileErrors,
+            pageFitAdjustments: [],
+            structure,
+            structurePath: structure ? structurePath : null,
+            error
           };
         }
       }
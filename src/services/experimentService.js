@@ -0,0 +1,100 @@
+// Outcomes that can be marked on a session; replied and interview count as a response
+const OUTCOMES = ['replied', 'interview', 'rejected'];
+const RESPONSE_OUTCOMES = ['replied', 'interview'];
+
+/**
+ * Experiment service
+ * Records application outcomes on sessions and correlates them with the prompt
+ * variants (A/B experiments in prompts.json) each session was assigned
+ */
+class ExperimentService {
+  /**
+   * @param {Object} sessionService - Session service
+   * @param {Object} aiService - AI service (provides the configured experiments)
+   */
+  constructor(sessionService, aiService) {
+    this.sessionService = sessionService;
+    this.aiService = aiService;
+  }
+
+  /**
+   * Mark the outcome of an application
+   * @param {string} sessionId - Session ID
+   * @param {string|null} outcome - One of OUTCOMES, or null to clear it
+   * @returns {Promise<Object>} Updated session
+   * @throws {Error} If the outcome or session ID is invalid, or the session does not exist
+   */
+  async recordOutcome(sessionId, outcome) {
+    if (outcome !== null && !OUTCOMES.includes(outcome)) {
+      throw new Error(`Invalid outcome "${outcome}". Must be one of: ${OUTCOMES.join(', ')}`);
+    }
+    this.sessionService.validateSessionId(sessionId);
+    const session = await this.sessionService.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    console.log(`[DEBUG] ExperimentService: Marking session ${sessionId} outcome as ${outcome || 'cleared'}`);
+    return this.sessionService.updateSession(sessionId, {
+      outcome: outcome ? { status: outcome, markedAt: new Date().toISOString() } : null
+    });
+  }
+
+  /**
+   * Summarize outcomes per prompt variant. Every session assigned a variant counts towards
+   * its response rate; sessions without a marked outcome count as no response.
+   * @returns {Promise<Object>} { experiments: [{ promptKey, variants: [{ variant, weight, sessions, outcomes, responses, responseRate }] }] }
+   */
+  async getReport() {
+    const configured = this.aiService.getExperiments();
+    const report = {};
+
+    const ensureVariant = (promptKey, variant) => {
+      report[promptKey] = report[promptKey] || {};
+      if (!report[promptKey][variant]) {
+        const weight = configured[promptKey] ? configured[promptKey][variant] : undefined;
+        report[promptKey][variant] = {
+          variant,
+          weight: weight !== undefined ? weight : null, // null: variant no longer configured
+          sessions: 0,
+          outcomes: Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0])),
+          responses: 0,
+          responseRate: null
+        };
+      }
+      return report[promptKey][variant];
+    };
+
+    for (const [promptKey, variants] of Object.entries(configured)) {
+      Object.keys(variants).forEach(variant => ensureVariant(promptKey, variant));
+    }
+
+    const sessions = await this.sessionService.listSessions();
+    for (const session of sessions) {
+      for (const [promptKey, variant] of Object.entries(session.promptVariants || {})) {
+        const stats = ensureVariant(promptKey, variant);
+        stats.sessions++;
+        const status = session.outcome?.status;
+        if (OUTCOMES.includes(status)) {
+          stats.outcomes[status]++;
+        }
+        if (RESPONSE_OUTCOMES.includes(status)) {
+          stats.responses++;
+        }
+      }
+    }
+
+    const experiments = Object.entries(report).map(([promptKey, variants]) => ({
+      promptKey,
+      variants: Object.values(variants).map(stats => ({
+        ...stats,
+        responseRate: stats.sessions > 0 ? stats.responses / stats.sessions : null
+      }))
+    }));
+    return { experiments };
+  }
+}
+
+ExperimentService.OUTCOMES = OUTCOMES;
+
+module.exports = ExperimentService;
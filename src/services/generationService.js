@@ -1,9 +1,23 @@
 const { loadSourceFiles } = require('../utils/fileHelpers');
 const { isURL, scrapeURL } = require('../utils/urlUtils');
+const { parseCV, cvToText } = require('../utils/cvStructure');
+const { buildProvenance, formatProvenance, getProvenancePath } = require('../utils/cvProvenance');
+const { analyzeKeywordCoverage } = require('../utils/keywordMatcher');
+const { DEFAULT_THEME } = require('../utils/cvRenderer');
 
 // Constants
 const CHAT_MESSAGE_PREVIEW_LENGTH = 500; // Characters to show in chat message preview
 
+// Section headings of a generated CV (empty if it does not follow the structured layout)
+function getSectionTitles(cvResult) {
+  try {
+    const structure = cvResult.structure || parseCV(cvResult.cvContent);
+    return structure.sections.map(section => section.title);
+  } catch (error) {
+    return [];
+  }
+}
+
 /**
  * Generation Service
  * Orchestrates the document generation workflow, containing the core business logic
@@ -16,6 +30,8 @@ class GenerationService {
     this.sessionService = services.sessionService;
     this.apolloService = services.apolloService;
     this.disambiguationService = services.disambiguationService;
+    this.claimVerificationService = services.claimVerificationService;
+    this.revisionService = services.revisionService;
   }
 
   /**
@@ -132,7 +148,7 @@ class GenerationService {
    * @returns {Promise<Object>} CV generation result
    */
   async generateCV(params) {
-    const { jobDescription, companyName, jobTitle, sourceFiles, sessionDir, logCallback } = params;
+    const { jobDescription, companyName, jobTitle, sourceFiles, sessionDir, theme, logCallback } = params;
 
     logCallback && logCallback('Generating CV...', 'info');
     
@@ -145,18 +161,28 @@ class GenerationService {
         extensiveCV: sourceFiles.extensiveCV,
         cvStrategy: sourceFiles.cvStrategy,
         outputDir: sessionDir,
+        theme,
         logCallback: (msg) => logCallback && logCallback(msg, 'info')
       });
 
       if (cvResult.success) {
         logCallback && logCallback(`CV generated successfully (${cvResult.pageCount} pages, ${cvResult.attempts} attempt(s))`, 'success');
         
+        await this.annotateProvenance(cvResult, sourceFiles, logCallback);
+
         // Generate CV change summary
         logCallback && logCallback('Generating CV change summary...', 'info');
         try {
-          const cvChangeSummary = await this.aiService.generateCVChangeSummary({
+          // Structured CVs are compared as plain text so LaTeX markup doesn't show up as changes
+          const bulletSources = cvResult.provenance ? formatProvenance(cvResult.provenance) : '';
+          const cvChangeSummary = await this.aiService.generateCVChangeSummary(cvResult.structure ? {
+            originalCV: cvToText(parseCV(sourceFiles.originalCV)),
+            newCV: cvToText(cvResult.structure),
+            bulletSources
+          } : {
             originalCV: sourceFiles.originalCV,
-            newCV: cvResult.cvContent
+            newCV: cvResult.cvContent,
+            bulletSources
           });
           logCallback && logCallback('CV change summary generated', 'success');
           cvResult.changeSummary = cvChangeSummary;
@@ -181,13 +207,39 @@ class GenerationService {
     }
   }
 
+  /**
+   * Link each bullet of a generated CV to its source passage and save the result next to the
+   * .tex. Sets cvResult.provenance and cvResult.provenancePath; a CV that cannot be parsed into
+   * a structure gets no provenance, and failures never fail generation.
+   * @param {Object} cvResult - CV generation result
+   * @param {Object} sourceFiles - Source files
+   * @param {Function} logCallback - Optional logging callback
+   */
+  async annotateProvenance(cvResult, sourceFiles, logCallback = null) {
+    try {
+      const structure = cvResult.structure || parseCV(cvResult.cvContent);
+      const provenance = buildProvenance(structure, sourceFiles);
+      const provenancePath = getProvenancePath(cvResult.texPath);
+      await this.fileService.writeJsonFile(provenancePath, provenance);
+      cvResult.provenance = provenance;
+      cvResult.provenancePath = provenancePath;
+
+      const { kept, reworded, imported } = provenance.summary;
+      logCallback && logCallback(`Bullet sources: ${kept} kept, ${reworded} reworded, ${imported} imported, ${provenance.summary.new} new`, 'info');
+    } catch (error) {
+      console.error('[DEBUG] Error building CV provenance:', error.message);
+      cvResult.provenance = null;
+      cvResult.provenancePath = null;
+    }
+  }
+
   /**
    * Generate cover letter
    * @param {Object} params - Generation parameters
    * @returns {Promise<Object>} Cover letter generation result
    */
   async generateCoverLetter(params) {
-    const { jobDescription, companyName, jobTitle, validatedCVText, sourceFiles, sessionDir, logCallback } = params;
+    const { jobDescription, companyName, jobTitle, keyQualifications, validatedCVText, sourceFiles, sessionDir, logCallback } = params;
 
     logCallback && logCallback('Generating cover letter...', 'info');
 
@@ -198,7 +250,8 @@ class GenerationService {
         jobTitle,
         validatedCVText,
         extensiveCV: sourceFiles.extensiveCV,
-        coverLetterStrategy: sourceFiles.coverLetterStrategy
+        coverLetterStrategy: sourceFiles.coverLetterStrategy,
+        keyQualifications
       });
       
       const coverLetterPath = await this.documentService.saveCoverLetter(coverLetterContent, sessionDir, {
@@ -225,7 +278,7 @@ class GenerationService {
    * @returns {Promise<Object>} Cold email generation result
    */
   async generateColdEmail(params) {
-    const { jobDescription, companyName, jobTitle, validatedCVText, sourceFiles, sessionDir, logCallback } = params;
+    const { jobDescription, companyName, jobTitle, keyQualifications, validatedCVText, sourceFiles, sessionDir, logCallback } = params;
 
     logCallback && logCallback('Generating cold email...', 'info');
 
@@ -236,7 +289,8 @@ class GenerationService {
         jobTitle,
         validatedCVText,
         extensiveCV: sourceFiles.extensiveCV,
-        coldEmailStrategy: sourceFiles.coldEmailStrategy
+        coldEmailStrategy: sourceFiles.coldEmailStrategy,
+        keyQualifications
       });
       
       const coldEmailPath = await this.documentService.saveColdEmail(coldEmailContent, sessionDir, {
@@ -257,6 +311,103 @@ class GenerationService {
     }
   }
 
+  /**
+   * Check the claims in the generated documents against the source files and store the
+   * result in the session. Never fails generation: errors are logged and null is returned.
+   * @param {Object} params - Verification parameters
+   * @param {string} params.sessionId - Session ID
+   * @param {Object} params.generatedDocuments - { cv, coverLetter, coldEmail } generation results
+   * @param {Object} params.sourceFiles - Source files
+   * @param {Function} params.logCallback - Optional logging callback
+   * @returns {Promise<Object|null>} Claim verification report
+   */
+  async verifyClaims({ sessionId, generatedDocuments, sourceFiles, logCallback = null }) {
+    if (!this.claimVerificationService) {
+      return null;
+    }
+    const { cv, coverLetter, coldEmail } = generatedDocuments;
+    const documents = {};
+    if (cv) {
+      // Structured CVs are checked as plain text, so claims are located by section
+      documents.cv = cv.structure ? cvToText(cv.structure) : cv.cvContent;
+    }
+    if (coverLetter) {
+      documents.coverLetter = coverLetter.content;
+    }
+    if (coldEmail) {
+      documents.coldEmail = coldEmail.content;
+    }
+
+    try {
+      return await this.claimVerificationService.verifySession(sessionId, {
+        documents,
+        sourceFiles,
+        cvStructure: cv ? cv.structure : null,
+        logCallback: logCallback && ((msg) => logCallback(msg, msg.startsWith('⚠') ? 'warning' : 'info'))
+      });
+    } catch (error) {
+      console.error('[DEBUG] Error verifying claims:', error);
+      logCallback && logCallback(`Claim verification failed: ${error.message}`, 'warning');
+      return null;
+    }
+  }
+
+  /**
+   * Save the generated documents as revisions (see RevisionService). Never fails generation:
+   * errors are logged and skipped.
+   * @param {string} sessionId - Session ID
+   * @param {Object} generatedFiles - Generated files stored on the session (cv, coverLetter, coldEmail)
+   * @returns {Promise<Array<Object>>} Revision entries that were saved
+   */
+  async recordRevisions(sessionId, generatedFiles) {
+    if (!this.revisionService) {
+      return [];
+    }
+    const revisions = [];
+    for (const document of Object.keys(generatedFiles)) {
+      try {
+        revisions.push(await this.revisionService.recordRevision(sessionId, document, 'generate'));
+      } catch (error) {
+        console.error(`[DEBUG] GenerationService: Failed to save ${document} revision:`, error.message);
+      }
+    }
+    return revisions;
+  }
+
+  /**
+   * Score the compiled CV against the ATS keywords of the job and store the report in the
+   * session as keywordReport. Never fails generation: errors are logged and null is returned.
+   * @param {Object} params - Analysis parameters
+   * @param {string} params.sessionId - Session ID
+   * @param {Object} params.jobData - Structured job data (jobTitle, keyQualifications, educationExperience)
+   * @param {string} params.cvText - CV text extracted from the compiled PDF
+   * @param {Object} params.cvResult - CV generation result (its structure gives the section headings)
+   * @param {Function} params.logCallback - Optional logging callback
+   * @returns {Promise<Object|null>} Keyword report, or null if the job lists no qualifications
+   */
+  async analyzeKeywords({ sessionId, jobData, cvText, cvResult, logCallback = null }) {
+    const { jobTitle, keyQualifications = [], educationExperience = null } = jobData;
+    if (!cvText || ((!keyQualifications || keyQualifications.length === 0) && !educationExperience)) {
+      return null;
+    }
+
+    logCallback && logCallback('Checking ATS keyword coverage...', 'info');
+    try {
+      const keywords = await this.aiService.extractJobKeywords({ jobTitle, keyQualifications, educationExperience });
+      const report = analyzeKeywordCoverage(keywords, cvText, getSectionTitles(cvResult));
+      await this.sessionService.updateSession(sessionId, { keywordReport: report });
+
+      const requiredMissing = report.keywords.filter(keyword => keyword.importance === 'required' && !keyword.matched).length;
+      logCallback && logCallback(`ATS keyword match: ${report.score}% (${report.matched.length} of ${report.keywords.length} keywords, ${requiredMissing} required missing)`,
+        requiredMissing > 0 ? 'warning' : 'success');
+      return report;
+    } catch (error) {
+      console.error('[DEBUG] Error analyzing ATS keywords:', error);
+      logCallback && logCallback(`ATS keyword analysis failed: ${error.message}`, 'warning');
+      return null;
+    }
+  }
+
   /**
    * Extract text from CV PDF
    * @param {string} pdfPath - Path to PDF file
@@ -279,25 +430,27 @@ class GenerationService {
   /**
    * Create or update session
    * @param {Object} params - Session parameters
+   * @param {string} params.theme - CV theme chosen for this generation (an existing session
+   *   keeps its theme when none is chosen)
    * @returns {Promise<Object>} Session object
    */
   async createOrUpdateSession(params) {
-    const { requestSessionId, jobDescription, companyName, jobTitle, emailAddresses, mode } = params;
+    const { requestSessionId, jobDescription, companyName, jobTitle, emailAddresses, mode, theme } = params;
 
     if (requestSessionId) {
       const session = await this.sessionService.getSession(requestSessionId);
       if (!session) {
         throw new Error('Session not found');
       }
-      await this.sessionService.updateSession(requestSessionId, {
+      return this.sessionService.updateSession(requestSessionId, {
         jobDescription,
         companyName,
         jobTitle,
         companyInfo: `${companyName} - ${jobTitle}`,
         emailAddresses,
-        mode
+        mode,
+        theme: theme || session.theme || DEFAULT_THEME
       });
-      return session;
     } else {
       const session = await this.sessionService.createSession({
         jobDescription,
@@ -305,7 +458,8 @@ class GenerationService {
         jobTitle,
         companyInfo: `${companyName} - ${jobTitle}`,
         emailAddresses,
-        mode
+        mode,
+        theme: theme || DEFAULT_THEME
       });
       return session;
     }
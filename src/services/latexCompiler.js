@@ -0,0 +1,321 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const LatexSandboxError = require('../errors/LatexSandboxError');
+const { DEFAULT_ENGINE, JOB_NAME, LATEX_ENGINES, detectEngine } = require('../utils/latexEngines');
+
+// Commands that read or write files, run programs, or let the source rename commands and
+// characters so that the checks below no longer see them. Engine settings (openin_any) only
+// restrict TeX's own file opens: Lua code, PDF objects and file embedding go around them.
+const FORBIDDEN_COMMANDS = [
+  'write', 'immediate', 'openin', 'openout', 'read', 'readline',
+  'input', 'include', 'InputIfFileExists', 'IfFileExists', 'import', 'subimport', 'inputfrom', 'includefrom', 'subinputfrom', 'subincludefrom', 'verbatiminput', 'lstinputlisting',
+  'VerbatimInput', 'BVerbatimInput', 'LVerbatimInput', 'inputminted',
+  'directlua', 'luaexec', 'luadirect', 'latelua', 'luafunction', 'ShellEscape',
+  'pdfobj', 'pdfximage', 'pdffiledump', 'pdffilesize', 'pdffilemoddate', 'pdfmdfivesum', 'pdfextension', 'pdffeedback',
+  'XeTeXpdffile', 'XeTeXpicfile', 'special', 'embedfile', 'attachfile', 'textattachfile', 'noattachfile',
+  'catcode', 'csname', 'scantokens', 'makeatletter'
+];
+// Environments that run Lua or write files
+const FORBIDDEN_ENVIRONMENTS = ['luacode', 'luacode\\*', 'VerbatimOut', 'filecontents', 'filecontents\\*'];
+const FORBIDDEN_PATTERN = new RegExp(
+  `\\\\(${FORBIDDEN_COMMANDS.join('|')})(?![a-zA-Z@])|\\\\begin\\s*\\{(${FORBIDDEN_ENVIRONMENTS.join('|')})\\}|\\^\\^`
+);
+
+// Packages a CV may load (config.latex.extraPackages adds to them). Packages are code, so an
+// unknown one could bring its own way of reading files or running Lua.
+const ALLOWED_PACKAGES = [
+  'inputenc', 'fontenc', 'fontspec', 'lmodern', 'libertine', 'babel', 'microtype',
+  'geometry', 'enumitem', 'xcolor', 'color', 'paracol', 'multicol', 'setspace', 'parskip', 'ragged2e',
+  'titlesec', 'fancyhdr', 'datetime2', 'hyperref', 'url', 'array', 'tabularx', 'booktabs',
+  'amsmath', 'amssymb', 'marvosym', 'fontawesome', 'fontawesome5', 'import'
+];
+const PACKAGE_PATTERN = /\\(?:usepackage|RequirePackage)(?![a-zA-Z@])\s*(?:\[[^\]]*\]\s*)?(?:\{([^}]*)\})?/g;
+// Document classes are code as well: the templates use article, the base CV moderncv
+const ALLOWED_CLASSES = ['article', 'moderncv'];
+const CLASS_PATTERN = /\\(?:documentclass|LoadClass)(?![a-zA-Z@])\s*(?:\[[^\]]*\]\s*)?(?:\{([^}]*)\})?/g;
+
+/**
+ * Remove a TeX comment (an unescaped "%" to the end of the line)
+ * @param {string} line - Line of LaTeX
+ * @returns {string} Line without its comment
+ */
+function stripComment(line) {
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '\\') {
+      i++;
+    } else if (line[i] === '%') {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Reject sources using forbidden commands, or packages or document classes that are not allowed
+ * @param {string} source - LaTeX source
+ * @param {Array<string>} extraPackages - Packages allowed on top of ALLOWED_PACKAGES
+ * @throws {LatexSandboxError} On the first forbidden command, package or class
+ */
+function checkSource(source, extraPackages = []) {
+  const lines = String(source).split('\n');
+  const code = lines.map(stripComment);
+  for (let index = 0; index < lines.length; index++) {
+    const match = code[index].match(FORBIDDEN_PATTERN);
+    if (match) {
+      const command = match[1] ? `\\${match[1]}` : match[2] ? `\\begin{${match[2]}}` : '^^ character codes';
+      throw new LatexSandboxError(`Forbidden command ${command} on line ${index + 1}`, 'forbidden', {
+        line: index + 1,
+        snippet: lines[index].trim(),
+        hint: `Remove ${command}; a CV must not read or write other files, run programs or redefine characters`
+      });
+    }
+  }
+
+  // Package lists may span lines, so they are read from the whole source without comments
+  const allowed = new Set([...ALLOWED_PACKAGES, ...extraPackages]);
+  const text = code.join('\n');
+  for (const match of text.matchAll(PACKAGE_PATTERN)) {
+    const packages = match[1] === undefined ? [null] : match[1].split(',').map(name => name.trim()).filter(Boolean);
+    const rejected = packages.find(name => !allowed.has(name));
+    if (rejected !== undefined) {
+      const line = text.slice(0, match.index).split('\n').length;
+      const name = rejected === null ? 'without a {name}' : rejected;
+      throw new LatexSandboxError(`Package ${name} is not allowed on line ${line}`, 'forbidden', {
+        line,
+        snippet: lines[line - 1].trim(),
+        hint: `Use only these packages: ${[...allowed].join(', ')} (LATEX_EXTRA_PACKAGES allows more)`
+      });
+    }
+  }
+  for (const match of text.matchAll(CLASS_PATTERN)) {
+    const name = match[1] === undefined ? null : match[1].trim();
+    if (!ALLOWED_CLASSES.includes(name)) {
+      const line = text.slice(0, match.index).split('\n').length;
+      throw new LatexSandboxError(`Document class ${name === null ? 'without a {name}' : name} is not allowed on line ${line}`, 'forbidden', {
+        line,
+        snippet: lines[line - 1].trim(),
+        hint: `Use one of these document classes: ${ALLOWED_CLASSES.join(', ')}`
+      });
+    }
+  }
+}
+
+/**
+ * Environment for the TeX process: only what TeX needs to find itself and its files, so API keys
+ * and other secrets in the server's environment never reach untrusted code, plus kpathsea
+ * settings for no shell escape and no reading or writing outside the working directory
+ * @returns {Object} Environment variables
+ */
+function texEnvironment() {
+  const env = {};
+  for (const [name, value] of Object.entries(process.env)) {
+    if (['PATH', 'HOME', 'TMPDIR', 'LANG', 'LC_ALL'].includes(name) || name.startsWith('TEXMF')) {
+      env[name] = value;
+    }
+  }
+  return { ...env, shell_escape: 'f', openin_any: 'p', openout_any: 'p' };
+}
+
+/**
+ * Find the engine a template or the base CV asks for and check it is allowed (never used on
+ * generated CVs, which could otherwise pick their own engine)
+ * @param {string} source - LaTeX source of a template or the base CV
+ * @returns {string} Engine name (a key of LATEX_ENGINES)
+ * @throws {LatexSandboxError} If the source asks for an engine that is not allowed
+ */
+function selectEngine(source) {
+  const { engine, line } = detectEngine(source);
+  if (!LATEX_ENGINES[engine]) {
+    throw new LatexSandboxError(`LaTeX engine "${engine}" is not allowed`, 'forbidden', {
+      line,
+      snippet: String(source).split('\n')[line - 1].trim(),
+      hint: `Use one of: ${Object.keys(LATEX_ENGINES).join(', ')}`
+    });
+  }
+  return engine;
+}
+
+/**
+ * Sandboxed LaTeX compiler
+ * Runs the CV's TeX engine (see latexEngines.js) on untrusted (AI-generated) LaTeX in a fresh temporary directory without shell
+ * escape and with paranoid file access, after rejecting sources that use file or shell
+ * primitives or packages outside an allowlist. Each compile has a wall-clock timeout covering every pass and a cap on terminal
+ * output and PDF size; compiles beyond the concurrency limit wait in a first-in first-out queue.
+ */
+class LatexCompiler {
+  /**
+   * @param {Object} options - Limits (see config.latex)
+   * @param {number} options.timeoutMs - Wall-clock limit per compile
+   * @param {number} options.maxConcurrent - Compiles running at once
+   * @param {number} options.maxOutputBytes - Limit on terminal output and on the PDF
+   * @param {Object} options.commands - Executable per engine (defaults to the engine name)
+   * @param {Array<string>} options.extraPackages - Packages allowed on top of the built-in list
+   */
+  constructor({ timeoutMs, maxConcurrent, maxOutputBytes, commands = {}, extraPackages = [] }) {
+    this.timeoutMs = timeoutMs;
+    this.extraPackages = extraPackages;
+    this.maxConcurrent = Math.max(1, maxConcurrent || 1);
+    this.maxOutputBytes = maxOutputBytes;
+    this.commands = commands;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Compile LaTeX to PDF
+   * @param {string} source - LaTeX source
+   * @param {Object} options - Compile options
+   * @param {string} options.logPath - Where to copy the TeX log when compilation fails
+   * @param {string} options.engine - Engine, chosen by the CV's template (any magic comment in the source is ignored)
+   * @returns {Promise<Buffer>} PDF
+   * @throws {LatexSandboxError} If the source or engine is rejected or a limit is hit
+   * @throws {Error} "LaTeX Syntax Error" with the error lines of the log if TeX fails
+   */
+  async compile(source, { logPath = null, engine = DEFAULT_ENGINE } = {}) {
+    if (!LATEX_ENGINES[engine]) {
+      throw new LatexSandboxError(`LaTeX engine "${engine}" is not allowed`, 'forbidden', {
+        hint: `Use one of: ${Object.keys(LATEX_ENGINES).join(', ')}`
+      });
+    }
+    checkSource(source, this.extraPackages);
+    await this.acquire();
+    let workDir = null;
+    try {
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'latex-'));
+      await fs.writeFile(path.join(workDir, `${JOB_NAME}.tex`), source);
+      const deadline = Date.now() + this.timeoutMs;
+      for (let pass = 0; pass < LATEX_ENGINES[engine].passes; pass++) {
+        const exitCode = await this.runPass(engine, workDir, deadline);
+        if (exitCode !== 0) {
+          throw await this.readFailure(workDir, logPath);
+        }
+      }
+
+      const pdfPath = path.join(workDir, `${JOB_NAME}.pdf`);
+      const { size } = await fs.stat(pdfPath);
+      if (size > this.maxOutputBytes) {
+        throw new LatexSandboxError(`LaTeX output exceeded ${this.maxOutputBytes} bytes (PDF is ${size} bytes)`, 'output-limit', {
+          hint: 'Look for a loop that keeps adding pages'
+        });
+      }
+      return await fs.readFile(pdfPath);
+    } finally {
+      this.release();
+      if (workDir) {
+        await fs.rm(workDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Run one pass of an engine in the working directory
+   * @returns {Promise<number>} Exit code
+   */
+  runPass(engine, workDir, deadline) {
+    const command = this.commands[engine] || engine;
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, LATEX_ENGINES[engine].args, {
+        cwd: workDir,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: texEnvironment()
+      });
+
+      let outputBytes = 0;
+      let failure = null;
+      const stop = error => {
+        if (!failure) {
+          failure = error;
+          child.kill('SIGKILL');
+        }
+      };
+      const countOutput = chunk => {
+        outputBytes += chunk.length;
+        if (outputBytes > this.maxOutputBytes) {
+          stop(new LatexSandboxError(`LaTeX output exceeded ${this.maxOutputBytes} bytes`, 'output-limit', {
+            hint: 'Look for a loop that keeps printing output'
+          }));
+        }
+      };
+      child.stdout.on('data', countOutput);
+      child.stderr.on('data', countOutput);
+
+      const timer = setTimeout(() => stop(new LatexSandboxError(`LaTeX compilation timed out after ${Math.round(this.timeoutMs / 1000)}s`, 'timeout', {
+        hint: 'Look for a command that expands forever, such as a macro that calls itself'
+      })), Math.max(0, deadline - Date.now()));
+
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(new Error(`Unable to run ${engine}: ${error.message}`));
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (failure) {
+          reject(failure);
+        } else {
+          resolve(code);
+        }
+      });
+    });
+  }
+
+  /**
+   * Build the error for a failed pass from the TeX log, keeping a copy of the log
+   * @returns {Promise<Error>} "LaTeX Syntax Error" followed by the error lines of the log
+   */
+  async readFailure(workDir, logPath) {
+    const log = await fs.readFile(path.join(workDir, `${JOB_NAME}.log`), 'utf-8').catch(() => '');
+    if (logPath && log) {
+      await fs.writeFile(logPath, log);
+    }
+    // The error lines and the "l.<n>" lines saying where TeX stopped, as latexLogParser reads them
+    const errors = log.split('\n').filter(line => line.startsWith('!') || /^l\.\d+/.test(line));
+    return new Error(`LaTeX Syntax Error\n${errors.join('\n')}`);
+  }
+
+  acquire() {
+    if (this.active < this.maxConcurrent && this.queue.length === 0) {
+      this.active++;
+      return Promise.resolve();
+    }
+    console.log(`[DEBUG] LatexCompiler: ${this.active}/${this.maxConcurrent} compiles running, queued at position ${this.queue.length + 1}`);
+    return new Promise(resolve => this.queue.push(resolve));
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next(); // The slot passes straight to the next compile
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Current load
+   * @returns {Object} { active, queued, limit }
+   */
+  getStats() {
+    return { active: this.active, queued: this.queue.length, limit: this.maxConcurrent };
+  }
+}
+
+let sharedCompiler = null;
+
+/**
+ * Process-wide compiler, so every request draws from the same compile slots
+ * @returns {LatexCompiler} Compiler configured from config.latex
+ */
+LatexCompiler.getShared = function () {
+  if (!sharedCompiler) {
+    sharedCompiler = new LatexCompiler(config.latex);
+  }
+  return sharedCompiler;
+};
+
+LatexCompiler.checkSource = checkSource;
+LatexCompiler.selectEngine = selectEngine;
+
+module.exports = LatexCompiler;
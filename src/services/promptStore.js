@@ -0,0 +1,279 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Mutex } = require('async-mutex');
+const PromptValidationError = require('../errors/PromptValidationError');
+const { listVariables } = require('../utils/promptTemplate');
+const { diffLines } = require('../utils/textDiff');
+
+/**
+ * Serialize prompts in the layout prompts.json is kept in (a blank line between entries)
+ * so that edits made through the editor produce minimal diffs
+ * @param {Object} prompts - Prompts by key
+ * @returns {string} File contents
+ */
+function serializePrompts(prompts) {
+  const entries = Object.entries(prompts).map(([key, value]) =>
+    '  ' + JSON.stringify(key) + ': ' + JSON.stringify(value, null, 2).replace(/\n/g, '\n  '));
+  return '{\n' + entries.join(',\n  \n') + '\n}\n';
+}
+
+/**
+ * Prompt store
+ * Lists, validates and edits the prompts in prompts.json for the in-app prompt editor.
+ * Every edit bumps the prompt's version and is appended (JSON Lines) to a history file,
+ * together with a snapshot of the original template taken before the first edit, so a
+ * bad prompt can be rolled back. Emits "change" with the updated prompts after each save
+ * so the running AIService can hot-reload them.
+ */
+class PromptStore extends EventEmitter {
+  /**
+   * @param {Object} options - Optional overrides
+   * @param {string} options.promptsFile - prompts.json path
+   * @param {string} options.historyFile - Edit history path
+   */
+  constructor({ promptsFile, historyFile } = {}) {
+    super();
+    this.promptsFile = promptsFile || path.join(__dirname, '..', 'prompts.json');
+    this.historyFile = historyFile || path.join(process.cwd(), 'documents', 'prompt_history.jsonl');
+    this.prompts = JSON.parse(fs.readFileSync(this.promptsFile, 'utf-8'));
+    this.writeMutex = new Mutex();
+  }
+
+  get partials() {
+    return this.prompts._partials || {};
+  }
+
+  /**
+   * Look up an editable prompt (keys starting with "_" are not prompts)
+   * @param {string} promptKey - Key in prompts.json
+   * @returns {Object} { version, template } or { version, variants }
+   * @throws {Error} If the prompt does not exist
+   */
+  getDefinition(promptKey) {
+    const entry = promptKey.startsWith('_') ? null : this.prompts[promptKey];
+    if (!entry) {
+      throw new Error(`Prompt "${promptKey}" not found`);
+    }
+    return typeof entry === 'string' ? { version: 1, template: entry } : entry;
+  }
+
+  /**
+   * Template of a prompt, or of one of its A/B variants
+   * @param {Object} definition - Definition from getDefinition()
+   * @param {string|null} variant - Variant name (required for prompts with variants)
+   * @returns {string} Template
+   * @throws {Error} If the variant does not match the prompt
+   */
+  getTemplate(definition, variant) {
+    if (!definition.variants) {
+      if (variant) {
+        throw new Error(`Invalid variant "${variant}": prompt has no variants`);
+      }
+      return definition.template;
+    }
+    if (!variant || !definition.variants[variant]) {
+      throw new Error(`Invalid variant "${variant}". Must be one of: ${Object.keys(definition.variants).join(', ')}`);
+    }
+    return definition.variants[variant].template;
+  }
+
+  /**
+   * List editable prompts
+   * @returns {Array<Object>} [{ key, version, variants }] where variants is null for plain prompts
+   */
+  listPrompts() {
+    return Object.keys(this.prompts)
+      .filter(key => !key.startsWith('_'))
+      .map(key => {
+        const definition = this.getDefinition(key);
+        return {
+          key,
+          version: definition.version,
+          variants: definition.variants ? Object.keys(definition.variants) : null
+        };
+      });
+  }
+
+  /**
+   * Get a prompt with its templates and required placeholders
+   * @param {string} promptKey - Key in prompts.json
+   * @returns {Promise<Object>} { key, version, templates: [{ variant, template, weight, requiredVariables }] }
+   */
+  async getPrompt(promptKey) {
+    const definition = this.getDefinition(promptKey);
+    const variants = definition.variants ? Object.keys(definition.variants) : [null];
+    const history = await this.getHistory(promptKey);
+
+    return {
+      key: promptKey,
+      version: definition.version,
+      templates: variants.map(variant => ({
+        variant,
+        template: this.getTemplate(definition, variant),
+        weight: variant ? definition.variants[variant].weight : undefined,
+        requiredVariables: this.getRequiredVariables(definition, variant, history)
+      }))
+    };
+  }
+
+  /**
+   * Placeholders an edited template must keep: those of the template as it was before its
+   * first edit, so that reverting to an earlier edit never loosens the requirement
+   * @param {Object} definition - Definition from getDefinition()
+   * @param {string|null} variant - Variant name
+   * @param {Array<Object>} history - History entries of the prompt
+   * @returns {string[]} Variable names
+   */
+  getRequiredVariables(definition, variant, history) {
+    const original = history.find(entry => entry.action === 'original' && entry.variant === variant);
+    return listVariables(original ? original.template : this.getTemplate(definition, variant), this.partials);
+  }
+
+  /**
+   * Check an edited template without saving it
+   * @param {string} promptKey - Key in prompts.json
+   * @param {string} template - New template
+   * @param {string|null} variant - Variant name (required for prompts with variants)
+   * @returns {Promise<Object>} { valid, errors, warnings, variables, diff }
+   */
+  async validate(promptKey, template, variant = null) {
+    if (typeof template !== 'string' || !template.trim()) {
+      throw new Error('Invalid template: must be a non-empty string');
+    }
+    const definition = this.getDefinition(promptKey);
+    const current = this.getTemplate(definition, variant);
+    const required = this.getRequiredVariables(definition, variant, await this.getHistory(promptKey));
+    const errors = [];
+    const warnings = [];
+
+    let variables = [];
+    try {
+      variables = listVariables(template, this.partials);
+    } catch (error) {
+      errors.push(`Template error: ${error.message}`);
+    }
+
+    if (errors.length === 0) {
+      required
+        .filter(name => !variables.includes(name))
+        .forEach(name => errors.push(`Missing required placeholder {{${name}}}`));
+
+      // Placeholders the code may not supply render as empty strings
+      const known = new Set([...required, ...listVariables(current, this.partials)]);
+      variables
+        .filter(name => !known.has(name))
+        .forEach(name => warnings.push(`Unknown placeholder {{${name}}} will render empty unless the code supplies it`));
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      variables,
+      diff: diffLines(current, template)
+    };
+  }
+
+  /**
+   * Validate and save an edited template, bump the prompt version and record the edit
+   * @param {string} promptKey - Key in prompts.json
+   * @param {string} template - New template
+   * @param {Object} options - Optional settings
+   * @param {string|null} options.variant - Variant name (required for prompts with variants)
+   * @param {string} options.action - History action ("edit" or "revert")
+   * @param {string} options.revertedFrom - History entry ID being restored (for reverts)
+   * @returns {Promise<Object>} { prompt, warnings, changed }
+   * @throws {PromptValidationError} If the template fails validation
+   */
+  async updatePrompt(promptKey, template, { variant = null, action = 'edit', revertedFrom } = {}) {
+    return this.writeMutex.runExclusive(async () => {
+      const validation = await this.validate(promptKey, template, variant);
+      if (!validation.valid) {
+        throw new PromptValidationError(`Invalid template for prompt "${promptKey}"`, validation.errors);
+      }
+
+      const definition = this.getDefinition(promptKey);
+      const current = this.getTemplate(definition, variant);
+      if (template === current) {
+        return { prompt: await this.getPrompt(promptKey), warnings: validation.warnings, changed: false };
+      }
+
+      const history = await this.getHistory(promptKey);
+      const timestamp = new Date().toISOString();
+      if (!history.some(entry => entry.action === 'original' && entry.variant === variant)) {
+        await this.appendHistory({ promptKey, variant, version: definition.version, template: current, action: 'original', timestamp });
+      }
+
+      const version = definition.version + 1;
+      const entry = definition.variants
+        ? { ...definition, version, variants: { ...definition.variants, [variant]: { ...definition.variants[variant], template } } }
+        : { version, template };
+      const prompts = { ...this.prompts, [promptKey]: entry };
+
+      await this.writePrompts(prompts);
+      this.prompts = prompts;
+      await this.appendHistory({ promptKey, variant, version, template, action, revertedFrom, timestamp });
+      console.log(`[DEBUG] PromptStore: Saved ${promptKey}${variant ? ` (variant ${variant})` : ''} as version ${version}`);
+
+      this.emit('change', prompts);
+      return { prompt: await this.getPrompt(promptKey), warnings: validation.warnings, changed: true };
+    });
+  }
+
+  /**
+   * Restore the template recorded in a history entry (as a new version)
+   * @param {string} promptKey - Key in prompts.json
+   * @param {string} historyId - History entry ID
+   * @returns {Promise<Object>} See updatePrompt()
+   */
+  async revert(promptKey, historyId) {
+    const history = await this.getHistory(promptKey);
+    const entry = history.find(item => item.id === historyId);
+    if (!entry) {
+      throw new Error(`History entry ${historyId} not found for prompt "${promptKey}"`);
+    }
+    return this.updatePrompt(promptKey, entry.template, { variant: entry.variant, action: 'revert', revertedFrom: historyId });
+  }
+
+  /**
+   * Edit history of a prompt, oldest first
+   * @param {string} promptKey - Key in prompts.json
+   * @returns {Promise<Array<Object>>} [{ id, timestamp, promptKey, variant, version, template, action }]
+   */
+  async getHistory(promptKey) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.historyFile, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .filter(entry => entry.promptKey === promptKey);
+  }
+
+  async appendHistory(entry) {
+    await fs.promises.mkdir(path.dirname(this.historyFile), { recursive: true });
+    const line = JSON.stringify({ id: crypto.randomUUID(), ...entry }) + '\n';
+    await fs.promises.appendFile(this.historyFile, line, 'utf-8');
+  }
+
+  /**
+   * Write prompts.json atomically (temp file + rename) so a crash never leaves it half-written
+   * @param {Object} prompts - Prompts by key
+   */
+  async writePrompts(prompts) {
+    const tempFile = `${this.promptsFile}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, serializePrompts(prompts), 'utf-8');
+    await fs.promises.rename(tempFile, this.promptsFile);
+  }
+}
+
+module.exports = PromptStore;
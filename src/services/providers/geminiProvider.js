@@ -0,0 +1,75 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Google Gemini provider
+ * Wraps the @google/generative-ai SDK behind the common provider interface
+ */
+class GeminiProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} options.proModel - Model used for complex generation tasks
+   * @param {string} options.flashModel - Model used for simple parsing tasks
+   */
+  constructor({ apiKey, proModel, flashModel }) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required');
+    }
+    this.name = 'gemini';
+    this.models = { pro: proModel, flash: flashModel };
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.clients = {
+      pro: this.genAI.getGenerativeModel({ model: proModel }),
+      flash: this.genAI.getGenerativeModel({ model: flashModel })
+    };
+    this.jsonClients = {
+      pro: this.genAI.getGenerativeModel({ model: proModel, generationConfig: { responseMimeType: 'application/json' } }),
+      flash: this.genAI.getGenerativeModel({ model: flashModel, generationConfig: { responseMimeType: 'application/json' } })
+    };
+  }
+
+  /**
+   * Generate a completion for a single prompt
+   * @param {Object} request - Generation request
+   * @param {string} request.prompt - Rendered prompt text
+   * @param {string} request.modelType - 'pro' or 'flash'
+   * @param {boolean} request.json - Whether a JSON response is expected
+   * @param {Function} request.onDelta - Optional callback for streamed chunks of text
+   * @returns {Promise<Object>} Object with the response text and token usage
+   */
+  async generate({ prompt, modelType, json = false, onDelta = null }) {
+    const client = (json ? this.jsonClients : this.clients)[modelType] || this.clients.pro;
+    if (onDelta) {
+      return this.generateStream(client, prompt, onDelta);
+    }
+    const result = await client.generateContent(prompt);
+    const response = await result.response;
+    return {
+      text: response.text(),
+      usage: toUsage(response)
+    };
+  }
+
+  async generateStream(client, prompt, onDelta) {
+    const result = await client.generateContentStream(prompt);
+    let text = '';
+    for await (const chunk of result.stream) {
+      const delta = chunk.text();
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+    }
+    return {
+      text,
+      usage: toUsage(await result.response)
+    };
+  }
+}
+
+function toUsage(response) {
+  const usage = response.usageMetadata || {};
+  return { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 };
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,73 @@
+const config = require('../../config');
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const OllamaProvider = require('./ollamaProvider');
+const { RecordingProvider, ReplayProvider } = require('./replayProvider');
+
+/**
+ * AI provider registry
+ *
+ * Every provider exposes the same minimal interface so AIService can stay
+ * provider-agnostic:
+ *   - name: string identifier
+ *   - models: { pro, flash } model names for the two model tiers
+ *   - generate({ prompt, promptKey, modelType, json, onDelta }): Promise<{ text, usage }>
+ *     where usage is { inputTokens, outputTokens }
+ *
+ * When onDelta is given the provider streams the completion and calls onDelta with
+ * each chunk of text as it arrives; the resolved text is still the full completion.
+ *
+ * promptKey is the prompts.json key the prompt was rendered from (null for raw
+ * prompts); only the replay/recording wrappers use it.
+ */
+const PROVIDERS = {
+  gemini: () => new GeminiProvider({
+    apiKey: config.apiKeys.gemini,
+    proModel: config.ai.proModel,
+    flashModel: config.ai.flashModel
+  }),
+  openai: () => new OpenAICompatibleProvider({
+    baseUrl: config.ai.openai.baseUrl,
+    apiKey: config.apiKeys.openai,
+    proModel: config.ai.openai.proModel,
+    flashModel: config.ai.openai.flashModel,
+    timeout: config.ai.requestTimeout
+  }),
+  ollama: () => new OllamaProvider({
+    baseUrl: config.ai.ollama.baseUrl,
+    proModel: config.ai.ollama.proModel,
+    flashModel: config.ai.ollama.flashModel,
+    timeout: config.ai.requestTimeout
+  })
+};
+
+/**
+ * Create the provider selected in config.js
+ * In replay mode the real provider is never constructed; in record mode it is
+ * wrapped so every response is written to the fixtures directory.
+ * @param {string} name - Provider name (defaults to config.ai.provider)
+ * @param {Object} replay - Replay settings (defaults to config.ai.replay)
+ * @returns {Object} Provider instance
+ * @throws {Error} If the provider name is unknown
+ */
+function createProvider(name = config.ai.provider, replay = config.ai.replay) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider "${name}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  if (replay.mode === 'replay') {
+    return new ReplayProvider({ fixturesDir: replay.fixturesDir, strict: replay.strict });
+  }
+
+  const provider = factory();
+  if (replay.mode === 'record') {
+    return new RecordingProvider(provider, { fixturesDir: replay.fixturesDir });
+  }
+  return provider;
+}
+
+module.exports = {
+  createProvider,
+  SUPPORTED_PROVIDERS: Object.keys(PROVIDERS)
+};
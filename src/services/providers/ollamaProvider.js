@@ -0,0 +1,105 @@
+const axios = require('axios');
+const { toProviderError, readLines } = require('./openAICompatibleProvider');
+
+/**
+ * Local Ollama provider
+ * Talks to the native Ollama /api/chat endpoint so no data leaves the machine
+ */
+class OllamaProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - Ollama server URL, e.g. http://localhost:11434
+   * @param {string} options.proModel - Model used for complex generation tasks
+   * @param {string} options.flashModel - Model used for simple parsing tasks
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor({ baseUrl, proModel, flashModel, timeout }) {
+    if (!proModel || !flashModel) {
+      throw new Error('OLLAMA_PRO_MODEL and OLLAMA_FLASH_MODEL are required for the ollama provider');
+    }
+    this.name = 'ollama';
+    this.models = { pro: proModel, flash: flashModel };
+    this.client = axios.create({
+      baseURL: baseUrl.replace(/\/+$/, ''),
+      timeout,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * Generate a completion for a single prompt
+   * @param {Object} request - Generation request
+   * @param {string} request.prompt - Rendered prompt text
+   * @param {string} request.modelType - 'pro' or 'flash'
+   * @param {boolean} request.json - Whether a JSON response is expected
+   * @param {Function} request.onDelta - Optional callback for streamed chunks of text
+   * @returns {Promise<Object>} Object with the response text and token usage
+   */
+  async generate({ prompt, modelType, json = false, onDelta = null }) {
+    const body = {
+      model: this.models[modelType] || this.models.pro,
+      messages: [{ role: 'user', content: prompt }],
+      stream: !!onDelta
+    };
+    if (json) {
+      body.format = 'json';
+    }
+    if (onDelta) {
+      return this.generateStream(body, onDelta);
+    }
+
+    let data;
+    try {
+      ({ data } = await this.client.post('/api/chat', body));
+    } catch (error) {
+      throw toProviderError(error);
+    }
+
+    const text = data?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Ollama response did not contain message content');
+    }
+    return {
+      text,
+      usage: { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 }
+    };
+  }
+
+  /**
+   * Stream a completion; Ollama sends one JSON object per line and token counts on the last ("done") line
+   * @param {Object} body - Chat request body
+   * @param {Function} onDelta - Called with each chunk of text
+   * @returns {Promise<Object>} Object with the full response text and token usage
+   */
+  async generateStream(body, onDelta) {
+    let data;
+    try {
+      ({ data } = await this.client.post('/api/chat', body, { responseType: 'stream' }));
+    } catch (error) {
+      throw toProviderError(error);
+    }
+
+    let text = '';
+    let usage = {};
+    await readLines(data, line => {
+      const event = JSON.parse(line);
+      if (event.error) {
+        throw new Error(`Ollama stream error: ${event.error}`);
+      }
+      const delta = event.message?.content;
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+      if (event.done) {
+        usage = event;
+      }
+    });
+    return {
+      text,
+      usage: { inputTokens: usage.prompt_eval_count || 0, outputTokens: usage.eval_count || 0 }
+    };
+  }
+}
+
+module.exports = OllamaProvider;
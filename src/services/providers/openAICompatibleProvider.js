@@ -0,0 +1,151 @@
+const axios = require('axios');
+
+/**
+ * OpenAI-compatible chat completions provider
+ * Works with OpenAI itself and any server exposing the /chat/completions API
+ * (vLLM, LM Studio, llama.cpp server, LiteLLM, OpenRouter, ...)
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - API base URL, e.g. https://api.openai.com/v1
+   * @param {string} options.apiKey - Bearer token (optional for self-hosted servers)
+   * @param {string} options.proModel - Model used for complex generation tasks
+   * @param {string} options.flashModel - Model used for simple parsing tasks
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor({ baseUrl, apiKey, proModel, flashModel, timeout }) {
+    if (!baseUrl) {
+      throw new Error('OPENAI_BASE_URL environment variable is required for the openai provider');
+    }
+    if (!proModel || !flashModel) {
+      throw new Error('OPENAI_PRO_MODEL and OPENAI_FLASH_MODEL are required for the openai provider');
+    }
+    this.name = 'openai';
+    this.models = { pro: proModel, flash: flashModel };
+    this.client = axios.create({
+      baseURL: baseUrl.replace(/\/+$/, ''),
+      timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+      }
+    });
+  }
+
+  /**
+   * Generate a completion for a single prompt
+   * @param {Object} request - Generation request
+   * @param {string} request.prompt - Rendered prompt text
+   * @param {string} request.modelType - 'pro' or 'flash'
+   * @param {boolean} request.json - Whether a JSON response is expected
+   * @param {Function} request.onDelta - Optional callback for streamed chunks of text
+   * @returns {Promise<Object>} Object with the response text and token usage
+   */
+  async generate({ prompt, modelType, json = false, onDelta = null }) {
+    const body = {
+      model: this.models[modelType] || this.models.pro,
+      messages: [{ role: 'user', content: prompt }]
+    };
+    if (json) {
+      body.response_format = { type: 'json_object' };
+    }
+    if (onDelta) {
+      return this.generateStream(body, onDelta);
+    }
+
+    let data;
+    try {
+      ({ data } = await this.client.post('/chat/completions', body));
+    } catch (error) {
+      throw toProviderError(error);
+    }
+
+    const text = data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('OpenAI-compatible response did not contain message content');
+    }
+    return {
+      text,
+      usage: { inputTokens: data.usage?.prompt_tokens || 0, outputTokens: data.usage?.completion_tokens || 0 }
+    };
+  }
+
+  /**
+   * Stream a completion as server-sent events ("data: {...}" lines, ending with "data: [DONE]")
+   * @param {Object} body - Chat completions request body
+   * @param {Function} onDelta - Called with each chunk of text
+   * @returns {Promise<Object>} Object with the full response text and token usage
+   */
+  async generateStream(body, onDelta) {
+    let data;
+    try {
+      ({ data } = await this.client.post('/chat/completions', { ...body, stream: true, stream_options: { include_usage: true } }, { responseType: 'stream' }));
+    } catch (error) {
+      throw toProviderError(error);
+    }
+
+    let text = '';
+    let usage = {};
+    await readLines(data, line => {
+      const payload = line.replace(/^data:\s*/, '');
+      if (!line.startsWith('data:') || payload === '[DONE]') {
+        return;
+      }
+      const event = JSON.parse(payload);
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+      if (event.usage) {
+        usage = event.usage;
+      }
+    });
+    return {
+      text,
+      usage: { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 }
+    };
+  }
+}
+
+/**
+ * Read a streamed response body line by line
+ * @param {Stream} stream - Response body stream
+ * @param {Function} onLine - Called with each non-empty line
+ */
+async function readLines(stream, onLine) {
+  stream.setEncoding('utf-8');
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(line => line.trim()).forEach(line => onLine(line.trim()));
+  }
+  if (buffer.trim()) {
+    onLine(buffer.trim());
+  }
+}
+
+/**
+ * Convert an axios error into an Error whose message carries the HTTP status,
+ * matching the "[503 Service Unavailable] ..." shape produced by the Gemini SDK
+ * @param {Error} error - axios error
+ * @returns {Error} Normalised error
+ */
+function toProviderError(error) {
+  if (!error.response) {
+    return error;
+  }
+  const { status, statusText, data } = error.response;
+  const detail = data?.error?.message || data?.error || '';
+  const normalised = new Error(`[${status} ${statusText || ''}] ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`.trim());
+  normalised.status = status;
+  normalised.headers = error.response.headers;
+  return normalised;
+}
+
+module.exports = OpenAICompatibleProvider;
+module.exports.toProviderError = toProviderError;
+module.exports.readLines = readLines;
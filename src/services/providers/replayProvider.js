@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Fixtures recorded without a prompt key (raw string prompts) are grouped here
+const ADHOC_PROMPT_KEY = 'adhoc';
+
+/**
+ * Hash a rendered prompt so identical prompts map to the same fixture
+ * @param {string} prompt - Rendered prompt text
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex');
+}
+
+/**
+ * Build the on-disk location of a fixture
+ * @param {string} fixturesDir - Root fixtures directory
+ * @param {string} promptKey - Prompt key from prompts.json
+ * @param {string} promptHash - Hash of the rendered prompt
+ * @returns {string} Fixture file path
+ */
+function getFixturePath(fixturesDir, promptKey, promptHash) {
+  const safeKey = (promptKey || ADHOC_PROMPT_KEY).replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(fixturesDir, safeKey, `${promptHash.substring(0, 16)}.json`);
+}
+
+/**
+ * Recording provider
+ * Decorates a real provider and writes every prompt/response pair to the fixtures directory
+ */
+class RecordingProvider {
+  /**
+   * @param {Object} provider - Real provider to record
+   * @param {Object} options - Recording options
+   * @param {string} options.fixturesDir - Directory to write fixtures to
+   */
+  constructor(provider, { fixturesDir }) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.models = provider.models;
+    this.fixturesDir = fixturesDir;
+  }
+
+  async generate(request) {
+    const response = await this.provider.generate(request);
+    await this.record(request, response);
+    return response;
+  }
+
+  /**
+   * Persist a fixture. Recording failures are logged but never fail the generation.
+   * @param {Object} request - Provider request
+   * @param {Object} response - Provider response
+   */
+  async record({ prompt, promptKey, modelType, json = false }, response) {
+    const promptHash = hashPrompt(prompt);
+    const fixturePath = getFixturePath(this.fixturesDir, promptKey, promptHash);
+    const fixture = {
+      promptKey: promptKey || ADHOC_PROMPT_KEY,
+      promptHash,
+      modelType,
+      json,
+      provider: this.provider.name,
+      model: this.provider.models[modelType] || this.provider.models.pro,
+      recordedAt: new Date().toISOString(),
+      prompt,
+      response
+    };
+
+    try {
+      await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+      await fs.writeFile(fixturePath, JSON.stringify(fixture, null, 2), 'utf-8');
+      console.log(`[DEBUG] RecordingProvider: Recorded ${fixture.promptKey} response to ${fixturePath}`);
+    } catch (error) {
+      console.error(`[DEBUG] RecordingProvider: Failed to record fixture ${fixturePath}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Replay provider
+ * Serves previously recorded responses without any network access
+ */
+class ReplayProvider {
+  /**
+   * @param {Object} options - Replay options
+   * @param {string} options.fixturesDir - Directory containing recorded fixtures
+   * @param {boolean} options.strict - When false, fall back to the latest fixture for the same
+   *   prompt key if the exact rendered prompt was never recorded (e.g. prompts containing today's date)
+   */
+  constructor({ fixturesDir, strict = false }) {
+    this.name = 'replay';
+    this.models = { pro: 'replay-pro', flash: 'replay-flash' };
+    this.fixturesDir = fixturesDir;
+    this.strict = strict;
+  }
+
+  async generate({ prompt, promptKey, json = false, onDelta = null }) {
+    const promptHash = hashPrompt(prompt);
+    const fixturePath = getFixturePath(this.fixturesDir, promptKey, promptHash);
+    // Recorded responses are replayed as a single streamed chunk
+    const replay = response => {
+      if (onDelta) {
+        onDelta(response.text);
+      }
+      return response;
+    };
+
+    const exact = await this.readFixture(fixturePath);
+    if (exact) {
+      console.log(`[DEBUG] ReplayProvider: Replaying ${promptKey || ADHOC_PROMPT_KEY} from ${fixturePath}`);
+      return replay(exact.response);
+    }
+
+    if (!this.strict) {
+      const fallback = await this.findLatestFixture(promptKey, json);
+      if (fallback) {
+        console.warn(`[DEBUG] ReplayProvider: No exact fixture for ${promptKey || ADHOC_PROMPT_KEY} (${promptHash.substring(0, 16)}), replaying latest recording ${fallback.promptHash.substring(0, 16)}`);
+        return replay(fallback.response);
+      }
+    }
+
+    throw new Error(`No recorded AI response for prompt "${promptKey || ADHOC_PROMPT_KEY}" (hash ${promptHash.substring(0, 16)}) in ${this.fixturesDir}`);
+  }
+
+  /**
+   * Read a fixture file if it exists
+   * @param {string} fixturePath - Fixture file path
+   * @returns {Promise<Object|null>} Fixture or null
+   */
+  async readFixture(fixturePath) {
+    try {
+      return JSON.parse(await fs.readFile(fixturePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[DEBUG] ReplayProvider: Failed to read fixture ${fixturePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Find the most recently recorded fixture for a prompt key
+   * @param {string} promptKey - Prompt key
+   * @param {boolean} json - Whether the fixture must be a JSON-mode response
+   * @returns {Promise<Object|null>} Fixture or null
+   */
+  async findLatestFixture(promptKey, json) {
+    const keyDir = path.dirname(getFixturePath(this.fixturesDir, promptKey, ''));
+    let files;
+    try {
+      files = await fs.readdir(keyDir);
+    } catch {
+      return null;
+    }
+
+    let latest = null;
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const fixture = await this.readFixture(path.join(keyDir, file));
+      if (fixture && fixture.json === json && (!latest || fixture.recordedAt > latest.recordedAt)) {
+        latest = fixture;
+      }
+    }
+    return latest;
+  }
+}
+
+module.exports = {
+  RecordingProvider,
+  ReplayProvider,
+  hashPrompt
+};
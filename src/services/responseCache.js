@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Content-addressed on-disk cache for AI responses
+ * Entries are keyed by provider/model, prompt key, JSON mode and a hash of the
+ * rendered prompt, and expire after a per-prompt-key TTL. Prompt keys without a
+ * TTL (or with a TTL of 0) are never cached.
+ */
+class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.dir - Cache directory
+   * @param {Object} options.ttls - TTL in seconds per prompt key
+   * @param {number} options.defaultTtl - TTL in seconds for prompt keys not listed in ttls
+   */
+  constructor({ dir, ttls = {}, defaultTtl = 0 }) {
+    this.dir = dir;
+    this.ttls = ttls;
+    this.defaultTtl = defaultTtl;
+  }
+
+  /**
+   * Get the TTL for a prompt key
+   * @param {string|null} promptKey - Prompt key
+   * @returns {number} TTL in seconds (0 means not cacheable)
+   */
+  getTtl(promptKey) {
+    if (!promptKey) {
+      return 0;
+    }
+    return this.ttls[promptKey] !== undefined ? this.ttls[promptKey] : this.defaultTtl;
+  }
+
+  /**
+   * Build the cache key and file path for a request
+   * @param {Object} request - { model, promptKey, prompt, json }
+   * @returns {Object} { key, filePath }
+   */
+  locate({ model, promptKey, prompt, json }) {
+    const promptHash = crypto.createHash('sha256').update(prompt).digest('hex');
+    const key = crypto.createHash('sha256').update([model, promptKey, json ? 'json' : 'text', promptHash].join('\n')).digest('hex');
+    return { key, filePath: path.join(this.dir, promptKey, `${key}.json`) };
+  }
+
+  /**
+   * Look up a cached response
+   * @param {Object} request - { model, promptKey, prompt, json }
+   * @returns {Promise<string|null>} Cached response text, or null on a miss
+   */
+  async get(request) {
+    if (this.getTtl(request.promptKey) <= 0) {
+      return null;
+    }
+
+    const { filePath } = this.locate(request);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[DEBUG] ResponseCache: Ignoring unreadable entry ${filePath}:`, error.message);
+      }
+      return null;
+    }
+
+    if (new Date(entry.expiresAt) <= new Date()) {
+      console.log(`[DEBUG] ResponseCache: Entry for ${request.promptKey} expired at ${entry.expiresAt}`);
+      await fs.rm(filePath, { force: true });
+      return null;
+    }
+
+    console.log(`[DEBUG] ResponseCache: HIT for ${request.promptKey} on ${request.model} (cached ${entry.createdAt})`);
+    return entry.text;
+  }
+
+  /**
+   * Store a response. Write failures are logged but never fail the generation.
+   * @param {Object} request - { model, promptKey, prompt, json }
+   * @param {string} text - Response text to cache
+   */
+  async set(request, text) {
+    const ttl = this.getTtl(request.promptKey);
+    if (ttl <= 0) {
+      return;
+    }
+
+    const { key, filePath } = this.locate(request);
+    const createdAt = new Date();
+    const entry = {
+      key,
+      promptKey: request.promptKey,
+      model: request.model,
+      json: request.json,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + ttl * 1000).toISOString(),
+      text
+    };
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(entry), 'utf-8');
+      console.log(`[DEBUG] ResponseCache: Stored ${request.promptKey} response for ${ttl}s`);
+    } catch (error) {
+      console.error(`[DEBUG] ResponseCache: Failed to store ${filePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,208 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { Mutex } = require('async-mutex');
+const { diffLines } = require('../utils/textDiff');
+
+// Generated documents that keep revisions (session.generatedFiles keys) and their file path field
+const REVISION_DOCUMENTS = {
+  cv: 'texPath',
+  coverLetter: 'path',
+  coldEmail: 'path'
+};
+// What wrote a revision (reject: changes from the original CV undone, see cvDiff.js)
+const REVISION_SOURCES = ['generate', 'refine', 'edit', 'reject', 'restore'];
+
+/**
+ * Revision service
+ * Keeps a numbered copy of a session's generated documents every time they are written, so a
+ * bad refinement or edit can be undone. Revisions live in the session directory:
+ *
+ *   revisions/revisions.jsonl     one entry per revision (JSON Lines, oldest first)
+ *   revisions/cv-3.tex            the document as written
+ *   revisions/cv-3.json           the CV structure at the time, for structured CVs
+ *
+ * Entry: { document, number, source, createdAt, file, structureFile, restoredFrom }
+ * Numbers count up from 1 per document. Restoring a revision writes it back as a new revision.
+ */
+class RevisionService {
+  /**
+   * @param {Object} sessionService - Session service (session lookups and directories)
+   * @param {Object} fileService - File service
+   */
+  constructor(sessionService, fileService) {
+    this.sessionService = sessionService;
+    this.fileService = fileService;
+    // Numbers are assigned under a per-session lock so concurrent writes never share one
+    this.mutexes = new Map();
+  }
+
+  getMutex(sessionId) {
+    if (!this.mutexes.has(sessionId)) {
+      this.mutexes.set(sessionId, new Mutex());
+    }
+    return this.mutexes.get(sessionId);
+  }
+
+  /**
+   * Drop the lock of a session that takes no more revisions (approved), like
+   * SessionService.cleanupSessionMutex, so the map does not grow with every session
+   * @param {string} sessionId - Session ID
+   */
+  cleanupSessionMutex(sessionId) {
+    if (this.mutexes.has(sessionId)) {
+      this.mutexes.delete(sessionId);
+      console.log(`[DEBUG] RevisionService: Cleaned up mutex for session ${sessionId}`);
+    }
+  }
+
+  getRevisionsDirectory(sessionId) {
+    return path.join(this.sessionService.getSessionDirectory(this.sessionService.validateSessionId(sessionId)), 'revisions');
+  }
+
+  /**
+   * Look up a session and the current file of one of its documents
+   * @returns {Promise<Object>} { session, filePath, structurePath }
+   * @throws {Error} If the document type is unknown or the session or document does not exist
+   */
+  async getDocument(sessionId, document) {
+    if (!Object.prototype.hasOwnProperty.call(REVISION_DOCUMENTS, document)) {
+      throw new Error(`Invalid document "${document}". Must be one of: ${Object.keys(REVISION_DOCUMENTS).join(', ')}`);
+    }
+    const session = await this.sessionService.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    const files = session.generatedFiles && session.generatedFiles[document];
+    const filePath = files && files[REVISION_DOCUMENTS[document]];
+    if (!filePath) {
+      throw new Error(`Document ${document} not found in session ${sessionId}`);
+    }
+    return { session, filePath, structurePath: (document === 'cv' && files.structurePath) || null };
+  }
+
+  /**
+   * Save the current content of a document as its next revision
+   * @param {string} sessionId - Session ID
+   * @param {string} document - cv, coverLetter or coldEmail
+   * @param {string} source - What wrote it (see REVISION_SOURCES)
+   * @param {Object} options - { restoredFrom: revision number, for restores }
+   * @returns {Promise<Object>} The revision entry
+   */
+  async recordRevision(sessionId, document, source, { restoredFrom = null } = {}) {
+    if (!REVISION_SOURCES.includes(source)) {
+      throw new Error(`Invalid revision source "${source}". Must be one of: ${REVISION_SOURCES.join(', ')}`);
+    }
+    return this.getMutex(sessionId).runExclusive(() => this.writeRevision(sessionId, document, source, restoredFrom));
+  }
+
+  /**
+   * Copy the current content of a document into the next revision; callers hold the session's lock
+   * @returns {Promise<Object>} The revision entry
+   */
+  async writeRevision(sessionId, document, source, restoredFrom) {
+    const { filePath, structurePath } = await this.getDocument(sessionId, document);
+    const content = await this.fileService.readFile(filePath);
+    const structure = structurePath && await this.fileService.fileExists(structurePath)
+      ? await fs.readFile(structurePath, 'utf-8')
+      : null;
+
+    const directory = this.getRevisionsDirectory(sessionId);
+    await fs.mkdir(directory, { recursive: true });
+    const number = (await this.listRevisions(sessionId, document)).length + 1;
+    const file = `${document}-${number}${path.extname(filePath) || '.txt'}`;
+    const structureFile = structure === null ? null : `${document}-${number}.json`;
+
+    await fs.writeFile(path.join(directory, file), content, 'utf-8');
+    if (structureFile) {
+      await fs.writeFile(path.join(directory, structureFile), structure, 'utf-8');
+    }
+    const entry = { document, number, source, createdAt: new Date().toISOString(), file, structureFile, restoredFrom };
+    await fs.appendFile(path.join(directory, 'revisions.jsonl'), `${JSON.stringify(entry)}\n`, 'utf-8');
+    console.log(`[DEBUG] RevisionService: Saved ${document} revision ${number} (${source}) for session ${sessionId}`);
+    return entry;
+  }
+
+  /**
+   * Save the current content as a first revision if the document has none yet, so that
+   * documents generated before revisions were kept are not lost when they are overwritten
+   * @returns {Promise<Object|null>} The revision entry, or null if there already were revisions
+   */
+  async ensureBaseline(sessionId, document) {
+    // Checked under the same lock as the write, so concurrent first edits record one baseline
+    return this.getMutex(sessionId).runExclusive(async () => {
+      if ((await this.listRevisions(sessionId, document)).length > 0) {
+        return null;
+      }
+      return this.writeRevision(sessionId, document, 'generate', null);
+    });
+  }
+
+  /**
+   * Revisions of a document, oldest first
+   * @param {string} sessionId - Session ID
+   * @param {string} document - cv, coverLetter or coldEmail
+   * @returns {Promise<Array<Object>>} Revision entries
+   */
+  async listRevisions(sessionId, document) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(this.getRevisionsDirectory(sessionId), 'revisions.jsonl'), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return content.split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .filter(entry => entry.document === document);
+  }
+
+  /**
+   * A revision with its content
+   * @returns {Promise<Object>} { ...entry, content, structure } (structure is null for unstructured documents)
+   * @throws {Error} If there is no such revision
+   */
+  async getRevision(sessionId, document, number) {
+    const entry = (await this.listRevisions(sessionId, document)).find(revision => revision.number === Number(number));
+    if (!entry) {
+      throw new Error(`Revision ${number} of ${document} not found`);
+    }
+    const directory = this.getRevisionsDirectory(sessionId);
+    const content = await fs.readFile(path.join(directory, entry.file), 'utf-8');
+    const structure = entry.structureFile ? JSON.parse(await fs.readFile(path.join(directory, entry.structureFile), 'utf-8')) : null;
+    return { ...entry, content, structure };
+  }
+
+  /**
+   * Line diff between two revisions
+   * @returns {Promise<Object>} { from, to, lines, added, removed } (see textDiff.js)
+   */
+  async diffRevisions(sessionId, document, from, to) {
+    const [before, after] = await Promise.all([
+      this.getRevision(sessionId, document, from),
+      this.getRevision(sessionId, document, to)
+    ]);
+    return { from: before.number, to: after.number, ...diffLines(before.content, after.content) };
+  }
+
+  /**
+   * Write a revision back to the document (and the CV structure) and save it as a new revision
+   * @returns {Promise<Object>} { revision: the new entry, content, structure }
+   */
+  async restoreRevision(sessionId, document, number) {
+    const revision = await this.getRevision(sessionId, document, number);
+    const { filePath, structurePath } = await this.getDocument(sessionId, document);
+    await this.fileService.writeFile(filePath, revision.content);
+    if (structurePath && revision.structure) {
+      await this.fileService.writeJsonFile(structurePath, revision.structure);
+    }
+    const entry = await this.recordRevision(sessionId, document, 'restore', { restoredFrom: revision.number });
+    return { revision: entry, content: revision.content, structure: revision.structure };
+  }
+}
+
+RevisionService.REVISION_DOCUMENTS = REVISION_DOCUMENTS;
+
+module.exports = RevisionService;
@@ -124,7 +124,8 @@ class SessionService {
       cvSourceFile: initialData.cvSourceFile || '',
       chatHistory: [],
       generatedFiles: {},
-      mode: initialData.mode || 'standard' // Track mode: 'standard' or 'cold_outreach'
+      mode: initialData.mode || 'standard', // Track mode: 'standard' or 'cold_outreach'
+      theme: initialData.theme || null // CV theme (see cvRenderer.js); null for the default
     };
     
     await this.saveSession(sessionDirName, session);
@@ -403,7 +404,9 @@ class SessionService {
           status: session.status,
           approved: session.approved,
           companyInfo: session.companyInfo,
-          hasFiles: Object.keys(session.generatedFiles || {}).length > 0
+          hasFiles: Object.keys(session.generatedFiles || {}).length > 0,
+          promptVariants: session.promptVariants || {},
+          outcome: session.outcome || null
         });
       }
     }
@@ -444,12 +447,14 @@ class SessionService {
    * Mark session as complete
    * @param {string} sessionId - Session ID
    * @param {Object} generatedFiles - Generated files metadata
+   * @param {Object} promptMetadata - Optional { promptVersions, promptVariants } used by the generation, keyed by prompt key
    * @returns {Promise<Object>} Updated session
    */
-  async completeSession(sessionId, generatedFiles) {
+  async completeSession(sessionId, generatedFiles, promptMetadata = {}) {
     const result = await this.updateSession(sessionId, {
       status: 'completed',
-      generatedFiles
+      generatedFiles,
+      ...promptMetadata
     });
     // Cleanup mutex to prevent memory leak
     this.cleanupSessionMutex(sessionId);
@@ -0,0 +1,179 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { Mutex } = require('async-mutex');
+const config = require('../config');
+
+/**
+ * Usage service
+ * Keeps a ledger of AI token usage and cost. Every call is appended (JSON Lines) to
+ * documents/<sessionId>/usage.jsonl when it belongs to a session, and always to the
+ * global documents/usage.jsonl ledger that monthly totals are computed from.
+ */
+class UsageService {
+  /**
+   * @param {Object} sessionService - Session service (resolves session directories)
+   * @param {Object} options - Optional overrides
+   * @param {string} options.ledgerFile - Global ledger path
+   * @param {Object} options.pricing - Model prices in USD per 1M tokens
+   */
+  constructor(sessionService, { ledgerFile, pricing } = {}) {
+    this.sessionService = sessionService;
+    this.ledgerFile = ledgerFile || path.join(process.cwd(), 'documents', 'usage.jsonl');
+    this.pricing = pricing || config.ai.pricing;
+    this.ledgerMutex = new Mutex();
+  }
+
+  /**
+   * Calculate the cost of a call
+   * @param {string} model - Model name
+   * @param {number} inputTokens - Prompt tokens
+   * @param {number} outputTokens - Completion tokens
+   * @returns {number|null} Cost in USD, or null if the model has no price
+   */
+  calculateCost(model, inputTokens, outputTokens) {
+    const price = this.pricing[model];
+    if (!price) {
+      return null;
+    }
+    return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+  }
+
+  /**
+   * Append a usage entry to the ledgers
+   * @param {Object} usage - Usage details
+   * @returns {Promise<Object>} The recorded ledger entry
+   */
+  async recordUsage({ sessionId = null, promptKey = null, provider, model, modelType, inputTokens = 0, outputTokens = 0 }) {
+    const cost = this.calculateCost(model, inputTokens, outputTokens);
+    const entry = {
+      timestamp: new Date().toISOString(),
+      sessionId,
+      promptKey,
+      provider,
+      model,
+      modelType,
+      inputTokens,
+      outputTokens,
+      cost: cost || 0,
+      priced: cost !== null
+    };
+    const line = JSON.stringify(entry) + '\n';
+
+    await this.ledgerMutex.runExclusive(async () => {
+      await fs.mkdir(path.dirname(this.ledgerFile), { recursive: true });
+      await fs.appendFile(this.ledgerFile, line, 'utf-8');
+    });
+
+    if (sessionId) {
+      const validatedSessionId = this.sessionService.validateSessionId(sessionId);
+      const sessionLedger = path.join(this.sessionService.getSessionDirectory(validatedSessionId), 'usage.jsonl');
+      await this.sessionService.getSessionMutex(validatedSessionId).runExclusive(async () => {
+        await fs.appendFile(sessionLedger, line, 'utf-8');
+      });
+    }
+
+    console.log(`[DEBUG] UsageService: ${promptKey || 'prompt'} on ${model} used ${inputTokens} input / ${outputTokens} output tokens ($${entry.cost.toFixed(4)})`);
+    return entry;
+  }
+
+  /**
+   * Read a JSON Lines ledger, skipping malformed lines
+   * @param {string} ledgerFile - Ledger path
+   * @returns {Promise<Array>} Ledger entries
+   */
+  async readLedger(ledgerFile) {
+    let content;
+    try {
+      content = await fs.readFile(ledgerFile, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n').filter(l => l.trim().length > 0)) {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (parseError) {
+        console.error(`[DEBUG] UsageService: Skipping malformed ledger line in ${ledgerFile}:`, parseError.message);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Aggregate ledger entries into totals
+   * @param {Array} entries - Ledger entries
+   * @returns {Object} Totals, with breakdowns by prompt key and model
+   */
+  summarize(entries) {
+    const emptyTotals = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+    const addTo = (totals, entry) => {
+      totals.calls++;
+      totals.inputTokens += entry.inputTokens || 0;
+      totals.outputTokens += entry.outputTokens || 0;
+      totals.cost += entry.cost || 0;
+    };
+
+    const summary = { ...emptyTotals(), unpricedCalls: 0, byPromptKey: {}, byModel: {} };
+    for (const entry of entries) {
+      addTo(summary, entry);
+      if (!entry.priced) {
+        summary.unpricedCalls++;
+      }
+      const promptKey = entry.promptKey || 'adhoc';
+      addTo(summary.byPromptKey[promptKey] = summary.byPromptKey[promptKey] || emptyTotals(), entry);
+      addTo(summary.byModel[entry.model] = summary.byModel[entry.model] || emptyTotals(), entry);
+    }
+
+    // Round accumulated floating point costs for display
+    const roundCost = totals => { totals.cost = Math.round(totals.cost * 1000000) / 1000000; };
+    roundCost(summary);
+    Object.values(summary.byPromptKey).forEach(roundCost);
+    Object.values(summary.byModel).forEach(roundCost);
+    return summary;
+  }
+
+  /**
+   * Get usage totals for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Session usage summary
+   */
+  async getSessionUsage(sessionId) {
+    const validatedSessionId = this.sessionService.validateSessionId(sessionId);
+    const sessionLedger = path.join(this.sessionService.getSessionDirectory(validatedSessionId), 'usage.jsonl');
+    const entries = await this.readLedger(sessionLedger);
+    return { sessionId: validatedSessionId, ...this.summarize(entries) };
+  }
+
+  /**
+   * Get usage totals for a calendar month (UTC)
+   * @param {string} month - Month as YYYY-MM (defaults to the current month)
+   * @returns {Promise<Object>} Monthly usage summary, with per-session totals
+   * @throws {Error} If the month is not formatted as YYYY-MM
+   */
+  async getMonthlyUsage(month = new Date().toISOString().substring(0, 7)) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      throw new Error('Invalid month: expected format YYYY-MM');
+    }
+
+    const entries = (await this.readLedger(this.ledgerFile)).filter(entry => entry.timestamp?.startsWith(month));
+    const bySession = {};
+    for (const entry of entries) {
+      const sessionKey = entry.sessionId || 'unassigned';
+      (bySession[sessionKey] = bySession[sessionKey] || []).push(entry);
+    }
+
+    const sessions = Object.entries(bySession).map(([sessionId, sessionEntries]) => {
+      const { calls, inputTokens, outputTokens, cost } = this.summarize(sessionEntries);
+      return { sessionId, calls, inputTokens, outputTokens, cost };
+    });
+    sessions.sort((a, b) => b.cost - a.cost);
+
+    return { month, ...this.summarize(entries), sessions };
+  }
+}
+
+module.exports = UsageService;
@@ -0,0 +1,43 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request AI context
+ * Carries request-scoped values (such as the session ID) from the route handler
+ * down to AIService without threading them through every service method signature
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a fresh AI context
+ * @param {Object} context - Initial context values (e.g. { sessionId })
+ * @param {Function} fn - Function to run inside the context
+ * @returns {*} Return value of fn
+ */
+function runWithAIContext(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+/**
+ * Get the current AI context
+ * @returns {Object} Context values, or an empty object outside runWithAIContext
+ */
+function getAIContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Merge values into the current AI context, e.g. once a session has been created
+ * @param {Object} values - Values to set
+ */
+function updateAIContext(values) {
+  const store = storage.getStore();
+  if (store) {
+    Object.assign(store, values);
+  }
+}
+
+module.exports = {
+  runWithAIContext,
+  getAIContext,
+  updateAIContext
+};
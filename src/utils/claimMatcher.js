@@ -0,0 +1,168 @@
+/**
+ * Claim matcher
+ *
+ * Checks factual claims extracted from a generated document against the source files
+ * (extensive CV and original CV). Matching is deliberately literal so that the AI that wrote
+ * the document is never asked to vouch for it:
+ *
+ *   metric, date  every number in the claim's value must appear in a source (and every month
+ *                 name next to one of them, for dates)
+ *   other types   the value must appear in a source as a phrase, or all of its significant
+ *                 words must appear in the same sentence or bullet ("Google" and "Cloud" in
+ *                 different bullets do not support "Google Cloud")
+ *
+ * LaTeX markup is normalised away first, so "50\%" in original_cv.txt matches "50%".
+ */
+
+const NUMERIC_TYPES = ['metric', 'date'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const STOPWORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+const EXCERPT_RADIUS = 60;
+
+// Metrics the AI might miss: percentages, multipliers, money, "24+" and counts of things
+const METRIC_PATTERN = /(?:[$£€]\s?\d[\d,.]*\s?(?:k|m|bn|million|billion)?|\b\d[\d,.]*\s?(?:%|x\b|\+)|\b\d{2,}[\d,.]*(?=\s+[a-z]))/gi;
+
+/**
+ * Lower-case text with LaTeX commands, escapes and markdown emphasis removed
+ * @param {string} text - Text or LaTeX
+ * @returns {string} Normalised text
+ */
+function normalize(text) {
+  return String(text || '')
+    .replace(/\\([%&$#_{}])/g, '$1')
+    .replace(/\\[a-zA-Z]+\*?/g, ' ')
+    .replace(/[{}*~]/g, ' ')
+    .replace(/[–—]/g, '-')
+    .replace(/[‘’]/g, '\'')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function numbersIn(text) {
+  return (text.match(/\d+(?:[.,]\d+)*/g) || []).map(number => number.replace(/,/g, ''));
+}
+
+function wordsIn(text) {
+  return text.split(/[^a-z0-9+#.]+/).map(word => word.replace(/\.$/, '')).filter(word => word && !STOPWORDS.has(word));
+}
+
+// Sentences and bullets of a source, so that the words of a claim are only looked for together
+function segmentsIn(text) {
+  return String(text || '').split(/\n|\\item\b|(?<=[.!?;])\s+/).map(normalize).filter(Boolean);
+}
+
+function excerptAt(text, index, length) {
+  const start = Math.max(0, index - EXCERPT_RADIUS);
+  const end = Math.min(text.length, index + length + EXCERPT_RADIUS);
+  return `${start > 0 ? '...' : ''}${text.slice(start, end).trim()}${end < text.length ? '...' : ''}`;
+}
+
+function findNumber(source, number) {
+  const escaped = number.replace(/\./g, '\\.');
+  const match = new RegExp(`(?<![\\d.,])${escaped}(?![\\d]|[.,]\\d)`).exec(source.replace(/(\d),(\d{3})/g, '$1$2'));
+  return match ? match.index : -1;
+}
+
+/**
+ * Look for evidence of a claim in the source files
+ * @param {Object} claim - { type, value }
+ * @param {Array<Object>} sources - [{ name, text }]
+ * @returns {Object|null} { source, excerpt } for the first source that supports the claim
+ */
+function findEvidence(claim, sources) {
+  const value = normalize(claim.value);
+  if (!value) {
+    return null;
+  }
+
+  for (const source of sources) {
+    const text = normalize(source.text);
+    let index = -1;
+
+    const numbers = numbersIn(value);
+    if (NUMERIC_TYPES.includes(claim.type) && numbers.length > 0) {
+      const positions = numbers.map(number => findNumber(text, number));
+      const months = MONTHS.filter(month => new RegExp(`\\b${month}\\b`).test(value));
+      // Months must sit next to one of the numbers ("March 2019", not "March" anywhere)
+      const nearNumber = month => positions.some(position => text.slice(Math.max(0, position - 20), position + 20).includes(month));
+      if (positions.every(position => position !== -1) && months.every(nearNumber)) {
+        index = positions[0];
+      }
+    } else {
+      index = text.indexOf(value);
+      if (index === -1) {
+        const words = wordsIn(value);
+        const segment = words.length > 0 && segmentsIn(source.text).find(candidate => {
+          const segmentWords = new Set(wordsIn(candidate));
+          return words.every(word => segmentWords.has(word));
+        });
+        if (segment) {
+          index = Math.max(0, text.indexOf(segment));
+        }
+      }
+    }
+
+    if (index !== -1) {
+      return { source: source.name, excerpt: excerptAt(text, index, value.length) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find metric claims with a simple pattern scan (used alongside, or instead of, the AI
+ * extraction so that no number goes unchecked)
+ * @param {string} content - Document text
+ * @returns {Array<Object>} Claims ({ type: 'metric', text, value })
+ */
+function extractMetricClaims(content) {
+  const claims = [];
+  for (const line of String(content || '').split('\n')) {
+    for (const match of line.matchAll(METRIC_PATTERN)) {
+      claims.push({ type: 'metric', text: line.trim(), value: match[0].trim() });
+    }
+  }
+  return claims;
+}
+
+/**
+ * Find where a claim appears in the document
+ * @param {string} content - Document text
+ * @param {Object} claim - { text, value }
+ * @returns {Object|null} { line, excerpt } (1-based line), or null if it cannot be found
+ */
+function locateClaim(content, claim) {
+  const lines = String(content || '').split('\n');
+  const needles = [claim.text, claim.value].map(normalize).filter(Boolean);
+  for (const needle of needles) {
+    const index = lines.findIndex(line => normalize(line).includes(needle));
+    if (index !== -1) {
+      return { line: index + 1, excerpt: lines[index].trim() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether two claims state the same fact (same numbers for metrics and dates, same value otherwise)
+ * @param {Object} a - Claim
+ * @param {Object} b - Claim
+ * @returns {boolean} True if one is a duplicate of the other
+ */
+function isSameClaim(a, b) {
+  const numbersA = numbersIn(normalize(a.value));
+  if (NUMERIC_TYPES.includes(a.type) && NUMERIC_TYPES.includes(b.type) && numbersA.length > 0) {
+    const numbersB = numbersIn(normalize(b.value));
+    return numbersA.every(number => numbersB.includes(number)) && numbersB.every(number => numbersA.includes(number));
+  }
+  return a.type === b.type && normalize(a.value) === normalize(b.value);
+}
+
+module.exports = {
+  normalize,
+  findEvidence,
+  extractMetricClaims,
+  locateClaim,
+  isSameClaim
+};
@@ -0,0 +1,331 @@
+/**
+ * Structured CV diff
+ *
+ * Compares a generated CV with the original (both structured, see cvStructure.js) section by
+ * section, block by block and bullet by bullet, and can undo individual changes:
+ *
+ *   {
+ *     summaryChange,                 the summary paragraph's change, or null
+ *     sections: [{ id, title, status, changeId, lines, blocks }],
+ *     totals: { added, removed, reworded }
+ *   }
+ *
+ * where status is unchanged, changed, added or removed. Blocks are
+ * { id, type, heading, status, changeId, lines, fields, items }: added and removed blocks list
+ * their text in lines, changed blocks list their changed fields (title, date, ...) and their
+ * bullets, details, list items or lines in order:
+ *
+ *   field: { changeId, field, type: 'added'|'removed'|'reworded', before, after, words }
+ *   item:  { changeId, list, type: 'unchanged'|'added'|'removed'|'reworded', before, after, words }
+ *
+ * Blocks and sections are matched by ID (generation and refinement keep the IDs of the blocks
+ * they edit) and listed in the generated CV's order, with removed ones where they stood in the
+ * original. Bullets are matched by text; a removed bullet and an added one that share most of
+ * their words count as one reworded bullet, with a word diff. Every change has a changeId
+ * that rejectCVChanges() takes to put the original back.
+ */
+
+const { diffSequences, diffWords } = require('./textDiff');
+const { textSimilarity, MIN_SIMILARITY } = require('./cvProvenance');
+
+const ENTRY_FIELDS = ['title', 'date', 'subtitle', 'subtitleRight'];
+const BLOCK_LISTS = {
+  entry: ['details', 'bullets'],
+  list: ['items'],
+  lines: ['lines'],
+  raw: []
+};
+
+function formatItem(value) {
+  if (value && typeof value === 'object') {
+    return value.label ? `${value.label} ${value.text}` : value.text;
+  }
+  return value;
+}
+
+// Text of a whole block, for added and removed blocks
+function blockLines(block) {
+  if (block.type === 'entry') {
+    return [
+      [block.title, block.date].filter(Boolean).join(' | '),
+      [block.subtitle, block.subtitleRight].filter(Boolean).join(' | '),
+      ...block.details,
+      ...block.bullets.map(bullet => `• ${bullet}`)
+    ].filter(Boolean);
+  }
+  if (block.type === 'list') {
+    return block.items.map(item => `• ${formatItem(item)}`);
+  }
+  if (block.type === 'lines') {
+    return block.lines.map(formatItem);
+  }
+  return [block.latex];
+}
+
+function blockHeading(block) {
+  if (block.type === 'entry') {
+    return block.title;
+  }
+  return block.type === 'raw' ? 'LaTeX' : formatItem((block.items || block.lines)[0]) || '';
+}
+
+/**
+ * Align two lists of bullets (or list items): equal ones by text, and removed and added ones
+ * between them paired up as rewordings when they are similar enough
+ * @returns {Array<Object>} [{ type, oldValue, newValue }]
+ */
+function alignItems(before, after) {
+  const ops = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    let next = 0;
+    for (const oldValue of removed) {
+      let best = -1;
+      let bestScore = MIN_SIMILARITY;
+      for (let k = next; k < added.length; k++) {
+        const score = textSimilarity(formatItem(oldValue), formatItem(added[k]));
+        if (score >= bestScore) {
+          best = k;
+          bestScore = score;
+        }
+      }
+      if (best === -1) {
+        ops.push({ type: 'removed', oldValue, newValue: null });
+        continue;
+      }
+      ops.push(...added.slice(next, best).map(newValue => ({ type: 'added', oldValue: null, newValue })));
+      ops.push({ type: 'reworded', oldValue, newValue: added[best] });
+      next = best + 1;
+    }
+    ops.push(...added.slice(next).map(newValue => ({ type: 'added', oldValue: null, newValue })));
+    removed = [];
+    added = [];
+  };
+
+  for (const part of diffSequences(before.map(formatItem), after.map(formatItem))) {
+    if (part.type === 'equal') {
+      flush();
+      ops.push({ type: 'unchanged', oldValue: before[part.oldIndex], newValue: after[part.newIndex] });
+    } else if (part.type === 'removed') {
+      removed.push(before[part.oldIndex]);
+    } else {
+      added.push(after[part.newIndex]);
+    }
+  }
+  flush();
+  return ops;
+}
+
+/**
+ * Match the elements of two lists by ID, in the order of the new list; elements only in the
+ * old list follow the element that preceded them there
+ * @returns {Array<Object>} [{ type: 'matched'|'added'|'removed', oldValue, newValue }]
+ */
+function alignById(before, after, isMatch = (a, b) => a.id === b.id) {
+  const ops = after.map(newValue => {
+    const oldValue = before.find(candidate => isMatch(candidate, newValue));
+    return { type: oldValue ? 'matched' : 'added', oldValue: oldValue || null, newValue };
+  });
+  let insertAt = 0;
+  for (const oldValue of before) {
+    const index = ops.findIndex(op => op.oldValue === oldValue);
+    if (index !== -1) {
+      insertAt = index + 1;
+    } else {
+      ops.splice(insertAt++, 0, { type: 'removed', oldValue, newValue: null });
+    }
+  }
+  return ops;
+}
+
+function fieldChange(before, after) {
+  if ((before || null) === (after || null)) {
+    return null;
+  }
+  if (!before) {
+    return 'added';
+  }
+  return after ? 'reworded' : 'removed';
+}
+
+/**
+ * Compare two structured CVs
+ * @param {Object} original - Original CV (parsed from original_cv.txt)
+ * @param {Object} generated - Generated CV
+ * @returns {Object} Alignment with the original and generated values, as used by
+ *   formatCVDiff() and rejectCVChanges()
+ */
+function alignCV(original, generated) {
+  const summaryType = fieldChange(original.summary, generated.summary);
+  const sections = alignById(original.sections, generated.sections).map(({ type, oldValue, newValue }) => {
+    const section = newValue || oldValue;
+    if (type !== 'matched') {
+      return { type, changeId: section.id, section, oldValue, newValue, blocks: [] };
+    }
+
+    const sameBlock = (a, b) => a.id === b.id && a.type === b.type && (a.type !== 'raw' || a.latex === b.latex);
+    const blocks = alignById(oldValue.blocks, newValue.blocks, sameBlock).map(blockOp => {
+      const block = blockOp.newValue || blockOp.oldValue;
+      const changeId = `${section.id}/${block.id}`;
+      if (blockOp.type !== 'matched') {
+        return { ...blockOp, changeId, fields: [], lists: {} };
+      }
+      const fields = block.type === 'entry'
+        ? ENTRY_FIELDS
+          .map(field => ({ field, type: fieldChange(blockOp.oldValue[field], blockOp.newValue[field]) }))
+          .filter(field => field.type)
+          .map(field => ({ ...field, changeId: `${changeId}/${field.field}`, oldValue: blockOp.oldValue[field.field], newValue: blockOp.newValue[field.field] }))
+        : [];
+      const lists = {};
+      for (const list of BLOCK_LISTS[block.type]) {
+        lists[list] = alignItems(blockOp.oldValue[list], blockOp.newValue[list])
+          .map((op, index) => ({ ...op, changeId: op.type === 'unchanged' ? null : `${changeId}/${list}/${index}` }));
+      }
+      const changed = fields.length > 0 || Object.values(lists).some(ops => ops.some(op => op.changeId));
+      return { ...blockOp, type: changed ? 'changed' : 'unchanged', changeId: null, fields, lists };
+    });
+
+    const changed = blocks.some(block => block.type !== 'unchanged');
+    return { type: changed ? 'changed' : 'unchanged', changeId: null, section, oldValue, newValue, blocks };
+  });
+
+  return {
+    summary: summaryType ? { type: summaryType, changeId: 'summary', oldValue: original.summary, newValue: generated.summary } : null,
+    sections
+  };
+}
+
+function formatChange({ type, changeId, oldValue, newValue }) {
+  const before = oldValue ? formatItem(oldValue) : null;
+  const after = newValue ? formatItem(newValue) : null;
+  return { changeId, type, before, after, words: type === 'reworded' ? diffWords(before, after) : null };
+}
+
+/**
+ * Diff a generated CV against the original (see the top of this file for the result)
+ * @param {Object} original - Original structured CV
+ * @param {Object} generated - Generated structured CV
+ * @returns {Object} { summaryChange, sections, totals }
+ */
+function diffCV(original, generated) {
+  const alignment = alignCV(original, generated);
+  const totals = { added: 0, removed: 0, reworded: 0 };
+  const count = type => {
+    if (type in totals) {
+      totals[type]++;
+    }
+  };
+
+  const summaryChange = alignment.summary && formatChange(alignment.summary);
+  if (summaryChange) {
+    count(summaryChange.type);
+  }
+
+  const sections = alignment.sections.map(sectionOp => {
+    const { section } = sectionOp;
+    if (sectionOp.type === 'added' || sectionOp.type === 'removed') {
+      count(sectionOp.type);
+      return {
+        id: section.id,
+        title: section.title,
+        status: sectionOp.type,
+        changeId: sectionOp.changeId,
+        lines: section.blocks.flatMap(blockLines),
+        blocks: []
+      };
+    }
+
+    const blocks = sectionOp.blocks.map(blockOp => {
+      const block = blockOp.newValue || blockOp.oldValue;
+      const view = { id: block.id, type: block.type, heading: blockHeading(block), status: blockOp.type, changeId: blockOp.changeId, lines: [], fields: [], items: [] };
+      if (blockOp.type === 'added' || blockOp.type === 'removed') {
+        count(blockOp.type);
+        return { ...view, lines: blockLines(block) };
+      }
+      view.fields = blockOp.fields.map(field => ({ field: field.field, ...formatChange(field) }));
+      view.items = Object.entries(blockOp.lists).flatMap(([list, ops]) => ops.map(op => ({ list, ...formatChange(op) })));
+      [...view.fields, ...view.items].forEach(change => count(change.type));
+      return view;
+    });
+
+    return { id: section.id, title: section.title, status: sectionOp.type, changeId: null, lines: [], blocks };
+  });
+
+  return { summaryChange, sections, totals };
+}
+
+// Keep a value unless its change is rejected (added values are dropped, removed ones come back)
+function resolve(op, rejected) {
+  if (op.type === 'unchanged' || op.type === 'matched') {
+    return [op.newValue];
+  }
+  const value = rejected.has(op.changeId) ? op.oldValue : op.newValue;
+  return value === null || value === undefined ? [] : [value];
+}
+
+function rebuildBlock(blockOp, rejected) {
+  const block = { ...blockOp.newValue };
+  for (const field of blockOp.fields) {
+    if (rejected.has(field.changeId)) {
+      block[field.field] = field.oldValue || null;
+    }
+  }
+  for (const [list, ops] of Object.entries(blockOp.lists)) {
+    block[list] = ops.flatMap(op => resolve(op, rejected));
+  }
+
+  // Low-priority marks follow their bullets: restored ones get the original's mark back
+  const marks = [...(blockOp.newValue.lowPriority || []), ...(blockOp.oldValue.lowPriority || [])];
+  const texts = block.type === 'entry' ? block.bullets : (block.items || []).map(item => item.text);
+  const lowPriority = [...new Set(marks)].filter(text => texts.includes(text));
+  delete block.lowPriority;
+  if (lowPriority.length > 0) {
+    block.lowPriority = lowPriority;
+  }
+  return block;
+}
+
+/**
+ * Undo some of the changes between the original and a generated CV
+ * @param {Object} original - Original structured CV
+ * @param {Object} generated - Generated structured CV
+ * @param {Array<string>} changeIds - Changes to reject (changeIds from diffCV())
+ * @returns {Object} The generated CV with those changes undone (its theme and layout are kept)
+ * @throws {Error} If a change ID is not in the diff, e.g. because the CV changed since
+ */
+function rejectCVChanges(original, generated, changeIds) {
+  const alignment = alignCV(original, generated);
+  const known = new Set(alignment.summary ? ['summary'] : []);
+  for (const sectionOp of alignment.sections) {
+    [sectionOp, ...sectionOp.blocks].forEach(op => op.changeId && known.add(op.changeId));
+    for (const blockOp of sectionOp.blocks) {
+      blockOp.fields.forEach(field => known.add(field.changeId));
+      Object.values(blockOp.lists).flat().forEach(op => op.changeId && known.add(op.changeId));
+    }
+  }
+  const unknown = changeIds.filter(changeId => !known.has(changeId));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid change ID(s): ${unknown.join(', ')}. The CV may have changed since it was compared.`);
+  }
+
+  const rejected = new Set(changeIds);
+  const sections = alignment.sections.flatMap(sectionOp => {
+    if (sectionOp.type === 'unchanged' || sectionOp.type === 'added' || sectionOp.type === 'removed') {
+      return resolve(sectionOp, rejected);
+    }
+    const blocks = sectionOp.blocks.flatMap(blockOp => (blockOp.type === 'changed' ? [rebuildBlock(blockOp, rejected)] : resolve(blockOp, rejected)));
+    return [{ ...sectionOp.newValue, blocks }];
+  });
+
+  return {
+    ...generated,
+    summary: alignment.summary && rejected.has('summary') ? alignment.summary.oldValue : generated.summary,
+    sections
+  };
+}
+
+module.exports = {
+  diffCV,
+  rejectCVChanges
+};
@@ -0,0 +1,166 @@
+/**
+ * Locked regions of the base CV
+ *
+ * Parts of original_cv.txt the AI must never change are marked with LaTeX comments, in the
+ * style of the "% priority: low" marks:
+ *
+ *   \textbf{MSc Systems Engineering} \hfill 2024 -- 2025 % locked
+ *
+ *   % locked: begin
+ *   \textsc{\Large{Publications}}
+ *   ...
+ *   % locked: end
+ *
+ * A "% locked" line is locked on its own; "% locked: begin" and "% locked: end" lock every
+ * line between them (a begin without an end locks the rest of the file). Locking works at two
+ * levels:
+ *
+ *   - CVs edited as LaTeX: each region (a run of consecutive locked lines) must appear unchanged
+ *     in the AI's output, which is otherwise rejected and generated again. Only the content
+ *     counts: the "% locked" markers and trailing spaces may change, blank lines (paragraph
+ *     breaks) may not
+ *   - Structured CVs: a locked line locks the block (entry, list or lines) that contains it, and
+ *     a locked summary line the summary. Locked blocks are not shown to the AI, keep their place
+ *     and are never dropped by page fitting, and the edited CV is checked against the original.
+ *     Section titles and the header are never edited in structured CVs.
+ */
+
+const LOCKED_COMMENT = '% locked';
+const LOCKED_LINE = /(^|[^\\])%\s*locked\s*$/i;
+const LOCKED_BEGIN = /^\s*%\s*locked:\s*begin\s*$/i;
+const LOCKED_END = /^\s*%\s*locked:\s*end\s*$/i;
+
+/**
+ * Lines locked by markers
+ * @param {string} latex - LaTeX source
+ * @returns {Set<number>} 0-based indexes of the locked lines (the begin and end markers themselves are not included)
+ */
+function findLockedLines(latex) {
+  const locked = new Set();
+  let inRegion = false;
+  String(latex || '').split('\n').forEach((line, index) => {
+    if (LOCKED_BEGIN.test(line)) {
+      inRegion = true;
+    } else if (LOCKED_END.test(line)) {
+      inRegion = false;
+    } else if (inRegion || LOCKED_LINE.test(line)) {
+      locked.add(index);
+    }
+  });
+  return locked;
+}
+
+/**
+ * Locked regions: runs of consecutive locked lines
+ * @param {string} latex - LaTeX source (e.g. original_cv.txt)
+ * @returns {Array<Object>} [{ startLine, endLine, text }] with 1-based line numbers and the exact text of the lines
+ */
+function findLockedRegions(latex) {
+  const lines = String(latex || '').split('\n');
+  const runs = [];
+  for (const index of [...findLockedLines(latex)].sort((a, b) => a - b)) {
+    const last = runs[runs.length - 1];
+    if (last && last.end === index - 1) {
+      last.end = index;
+    } else {
+      runs.push({ start: index, end: index });
+    }
+  }
+
+  const regions = [];
+  for (let { start, end } of runs) {
+    // Blank lines at the edges of a region are layout, not content
+    while (start <= end && !lines[start].trim()) {
+      start++;
+    }
+    while (end >= start && !lines[end].trim()) {
+      end--;
+    }
+    if (start <= end) {
+      regions.push({ startLine: start + 1, endLine: end + 1, text: lines.slice(start, end + 1).join('\n') });
+    }
+  }
+  return regions;
+}
+
+/**
+ * LaTeX reduced to the content locks protect: lock markers and trailing spaces removed. Blank
+ * lines stay, since in LaTeX they break paragraphs
+ * @param {string} latex - LaTeX source or a locked region
+ * @returns {string} One trimmed line per non-blank line
+ */
+function normalizeLocked(latex) {
+  return String(latex || '').split('\n')
+    .filter(line => !LOCKED_BEGIN.test(line) && !LOCKED_END.test(line))
+    .map(line => line.replace(LOCKED_LINE, '$1').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Locked regions missing from a LaTeX CV, i.e. changed, moved apart or removed
+ * @param {string} latex - Generated LaTeX
+ * @param {Array<Object>} regions - Result of findLockedRegions() for the base CV
+ * @returns {Array<Object>} The regions whose lines do not appear, in order and as whole lines (markers and trailing spaces aside)
+ */
+function findLockViolations(latex, regions) {
+  const content = `\n${normalizeLocked(latex)}\n`;
+  return regions.filter(region => !content.includes(`\n${normalizeLocked(region.text)}\n`));
+}
+
+/**
+ * Whether two structured CV blocks have the same content, whatever their IDs and locks
+ * @param {Object} a - Block
+ * @param {Object} b - Block
+ * @returns {boolean}
+ */
+function isSameBlock(a, b) {
+  const content = ({ id, locked, ...block }) => JSON.stringify(block);
+  return content(a) === content(b);
+}
+
+/**
+ * Locked blocks (and summary) of a structured CV that an edited version changed or removed.
+ * Blocks are matched by content within their section, so renumbered blocks still count as kept.
+ * @param {Object} original - Structured CV with locks (see cvStructure.js)
+ * @param {Object} cv - Edited structured CV
+ * @returns {Array<Object>} [{ sectionId, blockId, title }] (blockId is null for the summary)
+ */
+function findStructureLockViolations(original, cv) {
+  const violations = [];
+  if (original.summaryLocked && cv.summary !== original.summary) {
+    violations.push({ sectionId: null, blockId: null, title: 'Summary' });
+  }
+  for (const section of original.sections) {
+    const edited = cv.sections.find(candidate => candidate.id === section.id);
+    for (const block of section.blocks.filter(candidate => candidate.locked)) {
+      if (!edited || !edited.blocks.some(candidate => isSameBlock(candidate, block))) {
+        violations.push({ sectionId: section.id, blockId: block.id, title: block.title || section.title });
+      }
+    }
+  }
+  return violations;
+}
+
+/**
+ * Describe locked regions for a log message
+ * @param {Array<Object>} regions - Regions or structure violations
+ * @returns {string} e.g. "lines 3-5, line 12" or "Education, Summary"
+ */
+function describeLocks(regions) {
+  return regions.map(region => {
+    if (region.startLine) {
+      return region.startLine === region.endLine ? `line ${region.startLine}` : `lines ${region.startLine}-${region.endLine}`;
+    }
+    return region.title;
+  }).join(', ');
+}
+
+module.exports = {
+  LOCKED_COMMENT,
+  describeLocks,
+  findLockedLines,
+  findLockedRegions,
+  findLockViolations,
+  findStructureLockViolations,
+  isSameBlock
+};
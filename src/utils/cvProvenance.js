@@ -0,0 +1,177 @@
+/**
+ * Bullet provenance
+ *
+ * Links each bullet and list item of a generated (structured) CV to the source passage it came
+ * from, and classifies the edit:
+ *
+ *   kept      identical to a bullet of original_cv.txt
+ *   reworded  rewritten from a bullet of original_cv.txt
+ *   imported  taken, verbatim or rewritten, from the extensive CV
+ *   new       no similar passage in either source
+ *
+ * Similarity is word overlap (Dice coefficient over significant words), so the result is
+ * deterministic and needs no AI call. Stored next to the .tex as
+ *
+ *   { generatedAt, bullets: [{ sectionId, section, blockId, entry, index, text, editType, source, similarity }],
+ *     summary: { kept, reworded, imported, new } }
+ *
+ * where source is { file: 'original_cv' | 'extensive_cv', passage } or null for new bullets.
+ */
+
+const { parseCV, latexToText } = require('./cvStructure');
+
+const EDIT_TYPES = ['kept', 'reworded', 'imported', 'new'];
+// Minimum word overlap for a bullet to count as derived from a passage
+const MIN_SIMILARITY = 0.5;
+const STOPWORDS = new Set(['and', 'the', 'for', 'with', 'from', 'into', 'that', 'this', 'over', 'via', 'using', 'across']);
+
+function plain(text) {
+  return String(text || '')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/\*(.+?)\*/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function wordsOf(text) {
+  return new Set(plain(text).toLowerCase().split(/[^a-z0-9%+#]+/).filter(word => word.length > 2 && !STOPWORDS.has(word)));
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) {
+      shared++;
+    }
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Word overlap of two texts, from 0 (nothing in common) to 1
+ * @param {string} a - Text
+ * @param {string} b - Text
+ * @returns {number} Similarity
+ */
+function textSimilarity(a, b) {
+  return similarity(wordsOf(a), wordsOf(b));
+}
+
+// Bullets and list items of a structured CV, with where they sit
+function bulletsOf(cv) {
+  const bullets = [];
+  for (const section of cv.sections) {
+    for (const block of section.blocks) {
+      const texts = block.type === 'entry'
+        ? block.bullets
+        : (block.type === 'list' ? block.items.map(item => (item.label ? `${item.label} ${item.text}` : item.text)) : []);
+      texts.forEach((text, index) => bullets.push({
+        sectionId: section.id,
+        section: section.title,
+        blockId: block.id,
+        entry: block.type === 'entry' ? block.title : null,
+        index,
+        text: plain(text)
+      }));
+    }
+  }
+  return bullets;
+}
+
+// Passages of the original CV: its bullets, or its lines if it cannot be parsed
+function originalPassages(originalCV) {
+  try {
+    return bulletsOf(parseCV(originalCV)).map(bullet => bullet.text);
+  } catch (error) {
+    return String(originalCV || '').split('\n').map(line => latexToText(line) || '').map(plain).filter(Boolean);
+  }
+}
+
+// Passages of the extensive CV: one per line, without list markers
+function extensivePassages(extensiveCV) {
+  return String(extensiveCV || '').split('\n')
+    .map(line => plain(line.replace(/^\s*(?:[-•*·]|o(?=\s))?\s*/, '')))
+    .filter(line => line.split(' ').length >= 3);
+}
+
+function bestMatch(words, passages) {
+  let best = { passage: null, score: 0 };
+  for (const passage of passages) {
+    const score = similarity(words, passage.words);
+    if (score > best.score) {
+      best = { passage: passage.text, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Annotate every bullet of a generated CV with its source passage and edit type
+ * @param {Object} cv - Generated structured CV
+ * @param {Object} sources - { originalCV, extensiveCV } source file contents
+ * @returns {Object} Provenance ({ generatedAt, bullets, summary })
+ */
+function buildProvenance(cv, { originalCV, extensiveCV }) {
+  const withWords = text => ({ text, words: wordsOf(text) });
+  const original = originalPassages(originalCV).map(withWords);
+  const extensive = extensivePassages(extensiveCV).map(withWords);
+  const originalTexts = new Set(original.map(passage => passage.text.toLowerCase()));
+
+  const bullets = bulletsOf(cv).map(bullet => {
+    if (originalTexts.has(bullet.text.toLowerCase())) {
+      return { ...bullet, editType: 'kept', source: { file: 'original_cv', passage: bullet.text }, similarity: 1 };
+    }
+    const words = wordsOf(bullet.text);
+    const fromOriginal = bestMatch(words, original);
+    const fromExtensive = bestMatch(words, extensive);
+    // Rewrites of original bullets usually also match the extensive CV, so the original wins ties
+    let editType = 'new';
+    let match = null;
+    if (fromOriginal.score >= MIN_SIMILARITY && fromOriginal.score >= fromExtensive.score) {
+      editType = 'reworded';
+      match = { file: 'original_cv', ...fromOriginal };
+    } else if (fromExtensive.score >= MIN_SIMILARITY) {
+      editType = 'imported';
+      match = { file: 'extensive_cv', ...fromExtensive };
+    }
+    return {
+      ...bullet,
+      editType,
+      source: match ? { file: match.file, passage: match.passage } : null,
+      similarity: match ? Math.round(match.score * 100) / 100 : 0
+    };
+  });
+
+  const summary = Object.fromEntries(EDIT_TYPES.map(type => [type, bullets.filter(bullet => bullet.editType === type).length]));
+  return { generatedAt: new Date().toISOString(), bullets, summary };
+}
+
+/**
+ * One line per bullet ("[imported] text"), e.g. to ground the change summary prompt
+ * @param {Object} provenance - Result of buildProvenance()
+ * @returns {string} Text
+ */
+function formatProvenance(provenance) {
+  return provenance.bullets.map(bullet => `[${bullet.editType}] ${bullet.text}`).join('\n');
+}
+
+/**
+ * Where the provenance of a CV is stored: next to its .tex
+ * @param {string} texPath - Path of the generated .tex
+ * @returns {string} Path of the provenance JSON
+ */
+function getProvenancePath(texPath) {
+  return texPath.replace(/\.tex$/, '_provenance.json');
+}
+
+module.exports = {
+  EDIT_TYPES,
+  MIN_SIMILARITY,
+  buildProvenance,
+  formatProvenance,
+  getProvenancePath,
+  textSimilarity
+};
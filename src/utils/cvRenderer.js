@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('./promptTemplate');
+const { parseCV, textToLatex, LOW_PRIORITY_COMMENT } = require('./cvStructure');
+const { detectEngine } = require('./latexEngines');
+const { isSameBlock } = require('./cvLocks');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'cvTemplates');
+const templateCache = new Map();
+
+/**
+ * CV themes, one template each in src/cvTemplates. The classic theme keeps the preamble and
+ * title block of original_cv.txt; the others build their own from the header fields and leave
+ * out raw blocks, which are moderncv LaTeX. pageCount overrides the target page count. A
+ * template's TeX engine is set by its "% !TEX program" line (see latexEngines.js); the classic
+ * theme uses whatever the original CV asks for.
+ */
+const CV_THEMES = {
+  classic: { name: 'Classic', description: 'The layout of your original CV' },
+  modern: { name: 'Modern', description: 'Two columns: contact details and short sections in a sidebar' },
+  academic: { name: 'Academic', description: 'Serif, centred header and ruled section headings' },
+  compact: { name: 'Compact', description: 'Dense single page with small margins', pageCount: 1 },
+  international: { name: 'International', description: 'Unicode fonts (XeLaTeX) for names and text in any script' }
+};
+const DEFAULT_THEME = 'classic';
+// Sections without entries and with less text than this go in the modern theme's sidebar
+const SIDEBAR_MAX_CHARS = 400;
+const SOCIAL_URLS = {
+  linkedin: handle => `linkedin.com/in/${handle}`,
+  github: handle => `github.com/${handle}`,
+  twitter: handle => `twitter.com/${handle}`
+};
+
+function loadTemplate(name) {
+  if (!/^[a-z0-9-]+$/.test(name)) {
+    throw new Error(`Invalid CV template name: ${name}`);
+  }
+  if (!templateCache.has(name)) {
+    const file = path.join(TEMPLATES_DIR, `${name}.tex`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`CV template "${name}" not found`);
+    }
+    templateCache.set(name, fs.readFileSync(file, 'utf-8'));
+  }
+  return templateCache.get(name);
+}
+
+/**
+ * Look up a CV theme
+ * @param {string} name - Theme name
+ * @returns {Object} { id, name, description, pageCount, engine } (pageCount is null for the
+ *   default; engine is null for the classic theme, which uses the original CV's)
+ * @throws {Error} If there is no such theme
+ */
+function getTheme(name) {
+  if (!Object.prototype.hasOwnProperty.call(CV_THEMES, name)) {
+    throw new Error(`Invalid theme "${name}". Must be one of: ${Object.keys(CV_THEMES).join(', ')}`);
+  }
+  const { pageCount = null, ...theme } = CV_THEMES[name];
+  const engine = name === DEFAULT_THEME ? null : detectEngine(loadTemplate(name)).engine;
+  return { id: name, ...theme, pageCount, engine };
+}
+
+/**
+ * Engine a CV is compiled with: its theme template's, or the base CV's for the classic theme and
+ * CVs edited as LaTeX. Never read from the CV being compiled, which the AI or the user wrote.
+ * @param {string|null} template - Theme the CV was rendered with (null for CVs edited as LaTeX)
+ * @param {string} originalCV - Content of original_cv.txt
+ * @returns {string} Engine name (checked against the allowlist when compiling)
+ */
+function getCVEngine(template, originalCV) {
+  return (template && getTheme(template).engine) || detectEngine(originalCV).engine;
+}
+
+/**
+ * List the CV themes
+ * @returns {Array<Object>} [{ id, name, description, pageCount, engine }]
+ */
+function listThemes() {
+  return Object.keys(CV_THEMES).map(getTheme);
+}
+
+/**
+ * Prepare the header for templates that build their own title block
+ * @param {Object} header - Header fields from the structured CV
+ * @returns {Object} { name, title, contacts } in LaTeX
+ */
+function prepareHeader(header) {
+  const social = (header.social || []).map(({ type, handle }) => (SOCIAL_URLS[type] ? SOCIAL_URLS[type](handle) : `${type}: ${handle}`));
+  return {
+    name: textToLatex(header.name || 'Curriculum Vitae'),
+    title: header.title ? textToLatex(header.title) : '',
+    contacts: [header.address, header.phone, header.email, header.homepage, ...social].filter(Boolean).map(textToLatex)
+  };
+}
+
+function isSidebarSection(section) {
+  const blocks = section.blocks.filter(block => block.type !== 'raw');
+  const text = blocks.flatMap(block => [...(block.items || []), ...(block.lines || [])]).map(({ label, text }) => `${label || ''}${text}`).join('');
+  return blocks.length > 0 && blocks.every(block => block.type !== 'entry') && text.length < SIDEBAR_MAX_CHARS;
+}
+
+/**
+ * Prepare a block for the template: text is escaped to LaTeX and every block carries every
+ * key (with an is<Type> flag) so that lookups never fall through to the enclosing section.
+ * Low-priority bullets keep their "% priority: low" comment for the page fitter.
+ * @param {Object} block - Block from the structured CV
+ * @returns {Object} Template data
+ */
+function prepareBlock(block) {
+  const lowPriority = new Set(block.lowPriority || []);
+  const labelled = entries => (entries || []).map(({ label, text }) => ({
+    label: label ? textToLatex(label) : '',
+    text: textToLatex(text),
+    priority: lowPriority.has(text) ? ` ${LOW_PRIORITY_COMMENT}` : ''
+  }));
+
+  return {
+    isEntry: block.type === 'entry',
+    isList: block.type === 'list',
+    isLines: block.type === 'lines',
+    isRaw: block.type === 'raw',
+    latex: block.type === 'raw' ? block.latex : '',
+    title: block.type === 'entry' ? textToLatex(block.title) : '',
+    date: block.date ? textToLatex(block.date) : '',
+    subtitle: block.subtitle ? textToLatex(block.subtitle) : '',
+    subtitleRight: block.subtitleRight ? textToLatex(block.subtitleRight) : '',
+    details: (block.details || []).map(textToLatex),
+    bullets: (block.bullets || []).map(text => ({
+      text: textToLatex(text),
+      priority: lowPriority.has(text) ? ` ${LOW_PRIORITY_COMMENT}` : ''
+    })),
+    items: labelled(block.items),
+    lines: labelled(block.lines)
+  };
+}
+
+/**
+ * Render a structured CV to LaTeX using a template from src/cvTemplates
+ * @param {Object} cv - Structured CV (see cvStructure.js)
+ * @param {string} templateName - Template name (defaults to the CV's own template)
+ * @returns {string} LaTeX source
+ */
+function renderCV(cv, templateName = cv.template || DEFAULT_THEME) {
+  const sections = cv.sections.map(section => ({
+    title: textToLatex(section.title),
+    spacing: section.spacing || {},
+    sidebar: isSidebarSection(section),
+    blocks: section.blocks.map(prepareBlock)
+  }));
+  const data = {
+    layout: cv.layout || {},
+    header: prepareHeader(cv.header || {}),
+    summary: cv.summary ? textToLatex(cv.summary) : '',
+    sections,
+    sidebarSections: sections.filter(section => section.sidebar),
+    mainSections: sections.filter(section => !section.sidebar)
+  };
+  const latex = renderTemplate(loadTemplate(templateName), data).replace(/\n{3,}/g, '\n\n');
+
+  // A page-fitted preamble replaces the template's own (see applyFittedLatex)
+  const fitted = cv.layout && cv.layout.fitted;
+  if (fitted && fitted.theme === templateName) {
+    return `${fitted.preamble}${latex.slice(latex.indexOf('\\begin{document}'))}`;
+  }
+  return latex;
+}
+
+/**
+ * Copy the locks of a CV onto the same CV parsed again from its rendered LaTeX. Locked blocks
+ * are found by their content, since IDs shift when a block before them is dropped.
+ * @param {Object} cv - Structured CV with locks
+ * @param {Object} parsed - Structured CV parsed from the LaTeX rendered from it
+ * @returns {Object} The parsed CV with the locks of the original
+ */
+function carryLocks(cv, parsed) {
+  const sections = parsed.sections.map(section => {
+    const original = cv.sections.find(candidate => candidate.id === section.id);
+    const locked = original ? original.blocks.filter(block => block.locked) : [];
+    return {
+      ...section,
+      blocks: section.blocks.map(block => (locked.some(candidate => isSameBlock(candidate, block)) ? { ...block, locked: true } : block))
+    };
+  });
+  return {
+    ...parsed,
+    ...(cv.summaryLocked ? { summaryLocked: true } : {}),
+    sections
+  };
+}
+
+/**
+ * Carry the mechanical page-fit adjustments made to a rendered CV (see pageFitter.js) back
+ * into its structure, so that rendering it again (e.g. after a refinement) keeps them. Classic
+ * CVs are parsed again (keeping their locks, which are not in the rendered LaTeX); other themes
+ * keep the adjusted preamble and lose the low-priority bullets that are no longer in the LaTeX.
+ * @param {Object} cv - Structured CV the LaTeX was rendered from
+ * @param {string} latex - Page-fitted LaTeX
+ * @returns {Object} Structured CV
+ */
+function applyFittedLatex(cv, latex) {
+  const theme = cv.template || DEFAULT_THEME;
+  if (theme === DEFAULT_THEME) {
+    return carryLocks(cv, parseCV(latex));
+  }
+
+  const kept = text => latex.includes(`${textToLatex(text)} ${LOW_PRIORITY_COMMENT}`);
+  const sections = cv.sections.map(section => ({
+    ...section,
+    blocks: section.blocks.map(block => {
+      const dropped = new Set((block.lowPriority || []).filter(text => !kept(text)));
+      if (dropped.size === 0) {
+        return block;
+      }
+      const { lowPriority, ...rest } = block;
+      const remaining = lowPriority.filter(text => !dropped.has(text));
+      return {
+        ...rest,
+        ...(block.bullets ? { bullets: block.bullets.filter(text => !dropped.has(text)) } : {}),
+        ...(block.items ? { items: block.items.filter(item => !dropped.has(item.text)) } : {}),
+        ...(remaining.length > 0 ? { lowPriority: remaining } : {})
+      };
+    })
+  }));
+  return {
+    ...cv,
+    layout: { ...cv.layout, fitted: { theme, preamble: latex.slice(0, latex.indexOf('\\begin{document}')) } },
+    sections
+  };
+}
+
+module.exports = {
+  CV_THEMES,
+  DEFAULT_THEME,
+  applyFittedLatex,
+  getCVEngine,
+  getTheme,
+  listThemes,
+  renderCV
+};
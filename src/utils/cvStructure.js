@@ -0,0 +1,621 @@
+/**
+ * Structured CV model
+ *
+ * Parses a moderncv-style LaTeX CV (the layout of source_files/original_cv.txt) into
+ *
+ *   {
+ *     version, template,
+ *     layout: { preamble, titleBlock },   raw LaTeX kept from the source
+ *     header: { name, title, address, phone, email, homepage, social: [{ type, handle }] },
+ *     summary,
+ *     sections: [{ id, title, spacing: { before, after }, blocks }]
+ *   }
+ *
+ * where each block is one of
+ *
+ *   { id, type: 'entry', title, date, subtitle, subtitleRight, details: [], bullets: [], lowPriority?, locked? }
+ *   { id, type: 'list', items: [{ label, text }], lowPriority?, locked? }
+ *   { id, type: 'lines', lines: [{ label, text }], locked? }
+ *   { id, type: 'raw', latex }
+ *
+ * Text fields are plain text ("70%", "R&D") with **bold** and *italic* markup; LaTeX is only
+ * produced when rendering (see cvRenderer.js). Anything the parser does not understand is kept
+ * as a raw block, which is rendered verbatim and never shown to the AI for editing.
+ *
+ * Bullets and list items marked "% priority: low" in the source are listed (by text) in the
+ * block's lowPriority array; the page fitter drops them first when the CV is too long.
+ *
+ * Blocks with a line marked "% locked" (see cvLocks.js) are flagged locked, and a locked
+ * summary sets summaryLocked on the CV; neither is shown to the AI or changed by its edits.
+ */
+
+const { findLockedLines } = require('./cvLocks');
+
+const STRUCTURE_VERSION = 1;
+const SECTION_HEADING = /^\\textsc\{\\Large\{(.+)\}\}%?$/;
+const SPACING_LINE = /^(\\vspace\*?\{[^{}]*\}%?|\\hrulefill|%.*)$/;
+const LINE_BREAK = /\s*\\\\\s*$/;
+const BLOCK_TYPES = ['entry', 'list', 'lines'];
+const LOW_PRIORITY_COMMENT = '% priority: low';
+const LOW_PRIORITY_PATTERN = /%\s*priority:\s*low\s*$/i;
+const LOW_PRIORITY_SENTINEL = '\u0001';
+
+/**
+ * Find the group closing the brace at openIndex
+ * @param {string} text - LaTeX source
+ * @param {number} openIndex - Index of the opening brace
+ * @returns {Object|null} { content, end } where end is the index of the closing brace
+ */
+function readGroup(text, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}' && --depth === 0) {
+      return { content: text.slice(openIndex + 1, i), end: i };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a leading "\command{...}" from a line
+ * @param {string} line - Line of LaTeX
+ * @param {string} command - Command name without the backslash
+ * @returns {Object|null} { content, rest } or null if the line does not start with the command
+ */
+function readLeadingCommand(line, command) {
+  const prefix = `\\${command}{`;
+  if (!line.startsWith(prefix)) {
+    return null;
+  }
+  const group = readGroup(line, prefix.length - 1);
+  return group ? { content: group.content, rest: line.slice(group.end + 1) } : null;
+}
+
+function stripComment(line) {
+  return line.replace(/(^|[^\\])%.*$/, '$1');
+}
+
+/**
+ * Convert a LaTeX text fragment to plain text with **bold** and *italic* markup
+ * @param {string} latex - LaTeX fragment
+ * @returns {string|null} Plain text, or null if the fragment uses LaTeX that has no plain-text form
+ */
+function latexToText(latex) {
+  const text = latex
+    .replace(/\\textbf\{([^{}]*)\}/g, '**$1**')
+    .replace(/\\(?:textit|emph)\{([^{}]*)\}/g, '*$1*')
+    .replace(/\\textasciitilde(\{\})?|\\~(\{\})?/g, '~')
+    .replace(/\\,/g, ' ')
+    .trim();
+  if (/[\\{}$^]/.test(text.replace(/\\[%&$#_{}]/g, ''))) {
+    return null;
+  }
+  return text.replace(/\\([%&$#_{}])/g, '$1');
+}
+
+const LATEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '&': '\\&',
+  '%': '\\%',
+  '$': '\\$',
+  '#': '\\#',
+  '_': '\\_',
+  '{': '\\{',
+  '}': '\\}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+/**
+ * Convert plain text with **bold** and *italic* markup to LaTeX
+ * @param {string} text - Plain text
+ * @returns {string} LaTeX fragment
+ */
+function textToLatex(text) {
+  return String(text || '')
+    .replace(/[\\&%$#_{}~^]/g, char => LATEX_ESCAPES[char])
+    .replace(/\*\*(.+?)\*\*/g, '\\textbf{$1}')
+    .replace(/\*(.+?)\*/g, '\\textit{$1}');
+}
+
+/**
+ * Split "\textbf{Label:} text" into its label and text
+ * @param {string} latex - LaTeX fragment
+ * @returns {Object} { label, text } in LaTeX (label is null when there is none)
+ */
+function splitLabel(latex) {
+  const bold = readLeadingCommand(latex, 'textbf');
+  return bold && bold.rest.trim() ? { label: bold.content, text: bold.rest.trim() } : { label: null, text: latex };
+}
+
+/**
+ * Parse the personal data commands of a moderncv preamble
+ * @param {string} preamble - LaTeX before \begin{document}
+ * @returns {Object} Header fields (null when absent)
+ */
+function parseHeader(preamble) {
+  const header = { name: null, title: null, address: null, phone: null, email: null, homepage: null, social: [] };
+  const lines = preamble.split('\n').map(line => stripComment(line).trim()).filter(Boolean);
+
+  const readArgs = (line, command) => {
+    const match = line.match(new RegExp(`^\\\\${command}(?:\\[([^\\]]*)\\])?(?=\\{)`));
+    if (!match) {
+      return null;
+    }
+    const args = [];
+    let index = match[0].length;
+    while (line[index] === '{') {
+      const group = readGroup(line, index);
+      if (!group) {
+        break;
+      }
+      args.push(latexToText(group.content.replace(/^\\\w+\{([\s\S]*)\}$/, '$1')) || '');
+      index = group.end + 1;
+    }
+    return { option: match[1] || null, args };
+  };
+
+  for (const line of lines) {
+    let parsed;
+    if ((parsed = readArgs(line, 'name'))) {
+      header.name = parsed.args.filter(Boolean).join(' ') || null;
+    } else if ((parsed = readArgs(line, 'title'))) {
+      header.title = parsed.args[0] || null;
+    } else if ((parsed = readArgs(line, 'address'))) {
+      header.address = parsed.args.filter(Boolean).join(', ') || null;
+    } else if ((parsed = readArgs(line, 'phone'))) {
+      header.phone = parsed.args[0] || null;
+    } else if ((parsed = readArgs(line, 'email'))) {
+      header.email = parsed.args[0] || null;
+    } else if ((parsed = readArgs(line, 'homepage'))) {
+      header.homepage = parsed.args[0] || null;
+    } else if ((parsed = readArgs(line, 'social'))) {
+      header.social.push({ type: parsed.option, handle: parsed.args[0] });
+    }
+  }
+  return header;
+}
+
+/**
+ * Parse the body of one section into blocks
+ * @param {Array<string>} lines - Section body lines
+ * @param {string} sectionId - Section ID (block IDs are derived from it)
+ * @param {Function} isLocked - Whether the body line at an index is locked
+ * @returns {Array<Object>} Blocks
+ */
+function parseSectionBlocks(lines, sectionId, isLocked = () => false) {
+  const blocks = [];
+  let current = null; // Entry or lines block that following lines belong to
+
+  const addBlock = block => {
+    block.source = block.source || [];
+    blocks.push(block);
+    return block;
+  };
+  // A block is locked as soon as one of its lines is
+  const lockFrom = (block, from, to = from) => {
+    for (let index = from; index <= to; index++) {
+      block.locked = block.locked || isLocked(index);
+    }
+    return block;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const rawLine = lines[i];
+    const line = stripComment(rawLine).trim();
+
+    if (!line) {
+      current = null; // A blank line ends the current entry or group of lines
+      continue;
+    }
+    if (SPACING_LINE.test(rawLine.trim())) {
+      continue; // Spacing is the template's job
+    }
+
+    if (line.startsWith('\\begin{itemize}')) {
+      const start = i;
+      const source = [rawLine];
+      while (i + 1 < lines.length && !lines[i].trim().startsWith('\\end{itemize}')) {
+        source.push(lines[++i]);
+      }
+      const inner = source.slice(1, -1)
+        .map(itemLine => itemLine.trim().replace(LOW_PRIORITY_PATTERN, LOW_PRIORITY_SENTINEL))
+        .filter(itemLine => itemLine && !SPACING_LINE.test(itemLine))
+        .map(stripComment)
+        .join(' ');
+      const markedItems = inner.split(/\\item\b/).map(item => item.trim()).filter(Boolean);
+      const items = markedItems.map(item => item.replace(LOW_PRIORITY_SENTINEL, '').trim());
+      const lowPriority = markedItems.flatMap((item, index) => (item.includes(LOW_PRIORITY_SENTINEL) ? [index] : []));
+
+      if (current && current.type === 'entry' && current.bullets.length === 0) {
+        current.bullets = items;
+        current.lowPriority = lowPriority;
+        current.source.push(...source);
+        lockFrom(current, start, i);
+      } else {
+        lockFrom(addBlock({ type: 'list', items: items.map(splitLabel), lowPriority, source }), start, i);
+      }
+      current = null;
+      continue;
+    }
+
+    const bold = readLeadingCommand(line, 'textbf');
+    const hfill = bold && bold.rest.match(/^\s*\\hfill\s*(.*?)(\s*\\\\)?\s*$/);
+    if (hfill) {
+      current = lockFrom(addBlock({ type: 'entry', title: bold.content, date: hfill[1], subtitle: null, subtitleRight: null, details: [], bullets: [], source: [rawLine] }), i);
+      continue;
+    }
+
+    const italic = readLeadingCommand(line, 'textit');
+    if (italic && current && current.type === 'entry' && !current.subtitle && current.details.length === 0) {
+      const right = italic.rest.match(/^\s*\\hfill\s*(.*?)(\s*\\\\)?\s*$/);
+      current.subtitle = italic.content;
+      current.subtitleRight = right ? right[1] : null;
+      current.source.push(rawLine);
+      lockFrom(current, i);
+      continue;
+    }
+
+    const text = line.replace(LINE_BREAK, '');
+    if (current && current.type === 'entry' && current.bullets.length === 0) {
+      current.details.push(text);
+      current.source.push(rawLine);
+      lockFrom(current, i);
+    } else if (current && current.type === 'lines') {
+      current.lines.push(splitLabel(text));
+      current.source.push(rawLine);
+      lockFrom(current, i);
+    } else if (/^\\[a-zA-Z]+/.test(text) && !bold) {
+      addBlock({ type: 'raw', latex: rawLine.trim(), source: [rawLine] });
+      current = null;
+    } else {
+      current = lockFrom(addBlock({ type: 'lines', lines: [splitLabel(text)], source: [rawLine] }), i);
+    }
+  }
+
+  return blocks.map((block, index) => toPlainBlock(block, `${sectionId}-${index + 1}`));
+}
+
+/**
+ * Convert the LaTeX fields of a parsed block to plain text, or keep it as raw LaTeX if that is
+ * not possible. Locked blocks stay plain (raw blocks are left out by most themes) and have no
+ * low-priority bullets, since the page fitter must not drop any of their text.
+ * @param {Object} block - Parsed block (with LaTeX fields and its source lines)
+ * @param {string} id - Block ID
+ * @returns {Object} Block
+ */
+function toPlainBlock(block, id) {
+  if (block.type === 'raw') {
+    return { id, type: 'raw', latex: block.latex };
+  }
+
+  let convertible = true;
+  const text = latex => {
+    if (latex === null || latex === undefined) {
+      return null;
+    }
+    const converted = latexToText(latex);
+    if (converted === null) {
+      convertible = false;
+    }
+    return converted;
+  };
+  const labelled = entry => ({ label: entry.label === null ? null : text(entry.label), text: text(entry.text) });
+
+  let plain;
+  if (block.type === 'entry') {
+    plain = {
+      id,
+      type: 'entry',
+      title: text(block.title),
+      date: text(block.date) || null,
+      subtitle: text(block.subtitle),
+      subtitleRight: text(block.subtitleRight) || null,
+      details: block.details.map(text),
+      bullets: block.bullets.map(text)
+    };
+  } else if (block.type === 'list') {
+    plain = { id, type: 'list', items: block.items.map(labelled) };
+  } else {
+    plain = { id, type: 'lines', lines: block.lines.map(labelled) };
+  }
+
+  const lowPriority = (block.lowPriority || []).map(index => (block.type === 'entry' ? plain.bullets[index] : plain.items[index].text));
+  if (block.locked) {
+    plain.locked = true;
+  } else if (lowPriority.length > 0) {
+    plain.lowPriority = lowPriority;
+  }
+
+  return convertible ? plain : { id, type: 'raw', latex: block.source.join('\n').trim() };
+}
+
+function toSectionId(title, usedIds) {
+  const base = title.toLowerCase().replace(/\\&/g, 'and').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section';
+  let id = base;
+  for (let n = 2; usedIds.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  usedIds.add(id);
+  return id;
+}
+
+/**
+ * Parse a LaTeX CV into the structured model
+ * @param {string} latex - LaTeX source (e.g. original_cv.txt)
+ * @returns {Object} Structured CV
+ * @throws {Error} If the CV does not follow the supported layout
+ */
+function parseCV(latex) {
+  const begin = latex.indexOf('\\begin{document}');
+  const end = latex.lastIndexOf('\\end{document}');
+  if (begin === -1 || end === -1 || end < begin) {
+    throw new Error('Unsupported CV layout: missing \\begin{document} ... \\end{document}');
+  }
+
+  const preamble = latex.slice(0, begin).trimEnd();
+  const lines = latex.slice(begin + '\\begin{document}'.length, end).split('\n');
+  // Locks are found on the whole source; lines[0] is the rest of the \begin{document} line
+  const lockedLines = findLockedLines(latex);
+  const firstLine = latex.slice(0, begin).split('\n').length - 1;
+  const isLocked = index => lockedLines.has(firstLine + index);
+  const headingIndexes = lines
+    .map((line, index) => (SECTION_HEADING.test(line.trim()) ? index : -1))
+    .filter(index => index !== -1);
+  if (headingIndexes.length === 0) {
+    throw new Error('Unsupported CV layout: no \\textsc{\\Large{...}} section headings found');
+  }
+
+  // Everything before the summary paragraph (title, rules, spacing) is kept as is
+  const intro = lines.slice(0, headingIndexes[0]).join('\n');
+  let summary = null;
+  let summaryLocked = false;
+  let titleBlock = intro.trim();
+  const summaryStart = intro.search(/^[ \t]*\\textit\{/m);
+  if (summaryStart !== -1) {
+    const group = readGroup(intro, intro.indexOf('{', summaryStart));
+    const text = group && latexToText(group.content.replace(/\s+/g, ' '));
+    if (text !== null && group) {
+      summary = text;
+      titleBlock = intro.slice(0, summaryStart).trim();
+      const lineOf = offset => intro.slice(0, offset).split('\n').length - 1;
+      for (let index = lineOf(summaryStart); index <= lineOf(group.end); index++) {
+        summaryLocked = summaryLocked || isLocked(index);
+      }
+    }
+  }
+
+  const usedIds = new Set();
+  const sections = headingIndexes.map((headingIndex, n) => {
+    const rawTitle = lines[headingIndex].trim().match(SECTION_HEADING)[1];
+    const title = latexToText(rawTitle) || rawTitle;
+    const id = toSectionId(rawTitle, usedIds);
+    const body = lines.slice(headingIndex + 1, headingIndexes[n + 1] !== undefined ? headingIndexes[n + 1] : lines.length);
+    // The vertical space around each heading is tuned by hand in the source, so it is kept
+    const spacingLine = line => (line !== undefined && /^\\vspace/.test(line.trim()) ? line.trim() : null);
+    const spacing = { before: spacingLine(lines[headingIndex - 1]), after: spacingLine(lines[headingIndex + 1]) };
+    const bodyStart = headingIndex + 1;
+    return { id, title, spacing, blocks: parseSectionBlocks(body, id, index => isLocked(bodyStart + index)) };
+  });
+
+  return {
+    version: STRUCTURE_VERSION,
+    template: 'classic',
+    layout: { preamble, titleBlock },
+    header: parseHeader(preamble),
+    summary,
+    ...(summaryLocked ? { summaryLocked } : {}),
+    sections
+  };
+}
+
+/**
+ * Blocks the AI may not edit: raw LaTeX and locked blocks
+ * @param {Object} block - Block
+ * @returns {boolean}
+ */
+function isFixedBlock(block) {
+  return block.type === 'raw' || Boolean(block.locked);
+}
+
+/**
+ * The part of a CV the AI may edit: the summary (unless locked) and blocks that are neither raw nor locked
+ * @param {Object} cv - Structured CV
+ * @returns {Object} { summary?, sections: [{ id, title, blocks }] }
+ */
+function getEditableCV(cv) {
+  return {
+    ...(cv.summaryLocked ? {} : { summary: cv.summary }),
+    sections: cv.sections.map(section => ({
+      id: section.id,
+      title: section.title,
+      blocks: section.blocks
+        .filter(block => !isFixedBlock(block))
+        .map(({ lowPriority, ...block }) => block)
+    }))
+  };
+}
+
+function cleanText(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  // Models sometimes answer with LaTeX escapes despite being asked for plain text
+  const text = value.replace(/\\([%&$#_{}])/g, '$1').replace(/\\textasciitilde(\{\})?|\\~/g, '~').trim();
+  return text || null;
+}
+
+function cleanLabelled(entries) {
+  return (Array.isArray(entries) ? entries : [])
+    .map(entry => (typeof entry === 'string' ? { label: null, text: entry } : entry || {}))
+    .map(entry => ({ label: cleanText(entry.label), text: cleanText(entry.text) }))
+    .filter(entry => entry.text);
+}
+
+/**
+ * Normalise a block returned by the AI
+ * @param {Object} block - Edited block
+ * @param {string} id - ID to use for the block
+ * @returns {Object|null} Block, or null if it is unusable
+ */
+function cleanBlock(block, id) {
+  if (!block || !BLOCK_TYPES.includes(block.type)) {
+    return null;
+  }
+  if (block.type === 'entry') {
+    const title = cleanText(block.title);
+    if (!title) {
+      return null;
+    }
+    const strings = values => (Array.isArray(values) ? values.map(cleanText).filter(Boolean) : []);
+    return {
+      id,
+      type: 'entry',
+      title,
+      date: cleanText(block.date),
+      subtitle: cleanText(block.subtitle),
+      subtitleRight: cleanText(block.subtitleRight),
+      details: strings(block.details),
+      bullets: strings(block.bullets)
+    };
+  }
+  if (block.type === 'list') {
+    const items = cleanLabelled(block.items);
+    return items.length > 0 ? { id, type: 'list', items } : null;
+  }
+  const lines = cleanLabelled(block.lines);
+  return lines.length > 0 ? { id, type: 'lines', lines } : null;
+}
+
+/**
+ * Apply the AI's edits (in the getEditableCV() shape) to a CV. Sections keep their order and
+ * titles, raw and locked blocks stay where they were (edits to them are ignored), as does a
+ * locked summary, blocks the AI left out are removed and blocks without a known ID are added
+ * as new blocks.
+ * @param {Object} cv - Structured CV
+ * @param {Object} edits - Edited { summary, sections }
+ * @returns {Object} New structured CV
+ */
+function applyCVEdits(cv, edits) {
+  const editedSections = new Map((edits.sections || []).map(section => [section.id, section]));
+
+  const sections = cv.sections.map(section => {
+    const edited = editedSections.get(section.id);
+    if (!edited || !Array.isArray(edited.blocks)) {
+      return section; // A section the AI dropped is kept unchanged
+    }
+
+    const knownIds = new Set(section.blocks.map(block => block.id));
+    let nextId = section.blocks.length + 1;
+    const newId = () => {
+      while (knownIds.has(`${section.id}-${nextId}`)) {
+        nextId++;
+      }
+      knownIds.add(`${section.id}-${nextId}`);
+      return `${section.id}-${nextId}`;
+    };
+
+    const editedBlocks = [];
+    const usedIds = new Set();
+    for (const block of edited.blocks) {
+      if (section.blocks.some(candidate => candidate.id === block?.id && candidate.locked)) {
+        continue;
+      }
+      const original = section.blocks.find(candidate => candidate.id === block?.id && candidate.type !== 'raw');
+      const id = original && !usedIds.has(original.id) ? original.id : newId();
+      const cleaned = cleanBlock(original ? { ...block, type: original.type } : block, id);
+      if (cleaned && original && original.lowPriority) {
+        // Keep the low-priority marks on bullets the AI left unchanged
+        const texts = cleaned.type === 'entry' ? cleaned.bullets : cleaned.items.map(item => item.text);
+        const lowPriority = original.lowPriority.filter(text => texts.includes(text));
+        if (lowPriority.length > 0) {
+          cleaned.lowPriority = lowPriority;
+        }
+      }
+      if (cleaned) {
+        usedIds.add(id);
+        editedBlocks.push(cleaned);
+      }
+    }
+
+    // Raw and locked blocks go back after the nearest block before them in the original that
+    // is still there (at the start of the section if there is none)
+    const anchorOf = index => {
+      for (let i = index - 1; i >= 0; i--) {
+        if (isFixedBlock(section.blocks[i]) || usedIds.has(section.blocks[i].id)) {
+          return section.blocks[i].id;
+        }
+      }
+      return null;
+    };
+    const fixedBlocks = section.blocks
+      .map((block, index) => ({ block, anchor: anchorOf(index) }))
+      .filter(({ block }) => isFixedBlock(block));
+    const blocks = [];
+    const place = block => {
+      blocks.push(block);
+      fixedBlocks.filter(fixed => fixed.anchor === block.id).forEach(fixed => place(fixed.block));
+    };
+    fixedBlocks.filter(fixed => fixed.anchor === null).forEach(fixed => place(fixed.block));
+    editedBlocks.forEach(place);
+
+    return { ...section, blocks };
+  });
+
+  return {
+    ...cv,
+    summary: edits.summary === undefined || cv.summaryLocked ? cv.summary : cleanText(edits.summary),
+    sections
+  };
+}
+
+function formatLabelled({ label, text }) {
+  return label ? `${label} ${text}` : text;
+}
+
+/**
+ * Plain-text rendering of a CV (headings, entries and bullets), e.g. for change summaries
+ * @param {Object} cv - Structured CV
+ * @returns {string} Text
+ */
+function cvToText(cv) {
+  const stripMarkup = text => String(text).replace(/\*\*(.+?)\*\*/g, '$1').replace(/\*(.+?)\*/g, '$1');
+  const out = [];
+  if (cv.header?.name) {
+    out.push(cv.header.name);
+  }
+  if (cv.summary) {
+    out.push('', cv.summary);
+  }
+  for (const section of cv.sections) {
+    out.push('', section.title.toUpperCase());
+    for (const block of section.blocks) {
+      if (block.type === 'entry') {
+        out.push([block.title, block.date].filter(Boolean).join(' | '));
+        if (block.subtitle) {
+          out.push([block.subtitle, block.subtitleRight].filter(Boolean).join(' | '));
+        }
+        out.push(...block.details, ...block.bullets.map(bullet => `- ${bullet}`));
+      } else if (block.type === 'list') {
+        out.push(...block.items.map(item => `- ${formatLabelled(item)}`));
+      } else if (block.type === 'lines') {
+        out.push(...block.lines.map(formatLabelled));
+      }
+    }
+  }
+  return stripMarkup(out.join('\n').trim());
+}
+
+module.exports = {
+  LOW_PRIORITY_COMMENT,
+  parseCV,
+  getEditableCV,
+  applyCVEdits,
+  cvToText,
+  latexToText,
+  textToLatex
+};
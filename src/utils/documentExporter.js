@@ -0,0 +1,291 @@
+/**
+ * Document exporter
+ *
+ * Renders generated documents to formats other than the LaTeX PDF, for application portals
+ * that reject PDFs or mangle LaTeX ligatures:
+ *
+ *   docx  Word document with real headings and bullet lists
+ *   md    Markdown
+ *   html  Self-contained HTML page (inline styles, no external resources)
+ *   txt   ATS-safe plain text: one column, upper-case headings, "-" bullets, ASCII punctuation
+ *
+ * CVs are rendered from the structured model (see cvStructure.js); the cover letter and cold
+ * email are plain text split into paragraphs at blank lines.
+ */
+
+const { Document, Paragraph, TextRun, HeadingLevel, Packer } = require('docx');
+
+const EXPORT_FORMATS = {
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const SOCIAL_URLS = {
+  linkedin: handle => `linkedin.com/in/${handle}`,
+  github: handle => `github.com/${handle}`,
+  twitter: handle => `twitter.com/${handle}`
+};
+
+// Typography that ATS parsers and plain-text portals tend to mangle
+const ASCII_REPLACEMENTS = [
+  [/[‘’‚′]/g, '\''],
+  [/[“”„″]/g, '"'],
+  [/[–—―]/g, '-'],
+  [/[•·▪]/g, '|'],
+  [/…/g, '...'],
+  [/[   ]/g, ' ']
+];
+
+const HTML_STYLE = `body { font-family: Georgia, 'Times New Roman', serif; max-width: 800px; margin: 40px auto; padding: 0 24px; color: #1f2937; line-height: 1.5; }
+h1 { margin-bottom: 4px; }
+h2 { border-bottom: 1px solid #d1d5db; padding-bottom: 4px; margin-top: 28px; font-size: 1.2em; text-transform: uppercase; letter-spacing: 0.05em; }
+h3 { margin: 16px 0 2px; font-size: 1em; }
+.headline { font-size: 1.1em; color: #4b5563; margin: 0; }
+.contact, .meta { color: #4b5563; margin: 2px 0; }
+ul { margin: 4px 0; padding-left: 20px; }`;
+
+function stripMarkup(text) {
+  return String(text || '').replace(/\*\*(.+?)\*\*/g, '$1').replace(/\*(.+?)\*/g, '$1');
+}
+
+function toAscii(text) {
+  return ASCII_REPLACEMENTS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text).normalize('NFKC'));
+}
+
+function escapeHtml(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// **bold** and *italic* as HTML, after escaping
+function markupToHtml(text) {
+  return escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>').replace(/\*(.+?)\*/g, '<em>$1</em>');
+}
+
+// **bold** and *italic* as docx text runs
+function markupToRuns(text, options = {}) {
+  return String(text || '').split(/(\*\*.+?\*\*|\*.+?\*)/).filter(Boolean).map(part => {
+    if (part.startsWith('**') && part.endsWith('**') && part.length > 4) {
+      return new TextRun({ ...options, text: part.slice(2, -2), bold: true });
+    }
+    if (part.startsWith('*') && part.endsWith('*') && part.length > 2) {
+      return new TextRun({ ...options, text: part.slice(1, -1), italics: true });
+    }
+    return new TextRun({ ...options, text: part });
+  });
+}
+
+function contactLine(header) {
+  const social = header.social.map(({ type, handle }) => (SOCIAL_URLS[type] ? SOCIAL_URLS[type](handle) : `${type}: ${handle}`));
+  return [header.address, header.phone, header.email, header.homepage, ...social].filter(Boolean).join(' | ');
+}
+
+function labelled({ label, text }) {
+  return label ? `**${label}** ${text}` : text;
+}
+
+/**
+ * Walk a CV in reading order, calling one visitor per element. Raw LaTeX blocks have no
+ * portable form and are skipped.
+ */
+function walkCV(cv, visit) {
+  const { header } = cv;
+  visit.header(header.name, header.title, contactLine(header));
+  if (cv.summary) {
+    visit.paragraph(cv.summary);
+  }
+  for (const section of cv.sections) {
+    const blocks = section.blocks.filter(block => block.type !== 'raw');
+    if (blocks.length === 0) {
+      continue;
+    }
+    visit.section(section.title);
+    for (const block of blocks) {
+      if (block.type === 'entry') {
+        visit.entry([block.title, block.date].filter(Boolean).join(' | '));
+        const subtitle = [block.subtitle, block.subtitleRight].filter(Boolean).join(' | ');
+        for (const line of [subtitle, ...block.details].filter(Boolean)) {
+          visit.meta(line);
+        }
+        visit.list(block.bullets);
+      } else if (block.type === 'list') {
+        visit.list(block.items.map(labelled));
+      } else {
+        block.lines.forEach(line => visit.paragraph(labelled(line)));
+      }
+    }
+  }
+}
+
+function cvToMarkdown(cv) {
+  const out = [];
+  walkCV(cv, {
+    header: (name, title, contact) => out.push(`# ${name || 'Curriculum Vitae'}`, '', ...(title ? [`**${title}**`, ''] : []), contact, ''),
+    section: title => out.push(`## ${title}`, ''),
+    entry: title => out.push(`### ${title}`, ''),
+    meta: line => out.push(`*${stripMarkup(line)}*`, ''),
+    list: items => items.length > 0 && out.push(...items.map(item => `- ${item}`), ''),
+    paragraph: text => out.push(text, '')
+  });
+  return `${out.join('\n').trim()}\n`;
+}
+
+function cvToHtml(cv) {
+  const out = [];
+  walkCV(cv, {
+    header: (name, title, contact) => out.push(`<h1>${escapeHtml(name || 'Curriculum Vitae')}</h1>`,
+      ...(title ? [`<p class="headline">${escapeHtml(title)}</p>`] : []), `<p class="contact">${escapeHtml(contact)}</p>`),
+    section: title => out.push(`<h2>${escapeHtml(title)}</h2>`),
+    entry: title => out.push(`<h3>${escapeHtml(title)}</h3>`),
+    meta: line => out.push(`<p class="meta"><em>${markupToHtml(stripMarkup(line))}</em></p>`),
+    list: items => items.length > 0 && out.push('<ul>', ...items.map(item => `  <li>${markupToHtml(item)}</li>`), '</ul>'),
+    paragraph: text => out.push(`<p>${markupToHtml(text)}</p>`)
+  });
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(cv.header.name || 'Curriculum Vitae')}</title>`,
+    `<style>\n${HTML_STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    ...out,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+function cvToPlainText(cv) {
+  const out = [];
+  walkCV(cv, {
+    header: (name, title, contact) => out.push(...[name, title, contact].filter(Boolean), ''),
+    section: title => out.push('', title.toUpperCase(), ''),
+    entry: title => out.push(title),
+    meta: line => out.push(line),
+    list: items => items.length > 0 && out.push(...items.map(item => `- ${item}`), ''),
+    paragraph: text => out.push(text, '')
+  });
+  const text = out.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  return `${toAscii(stripMarkup(text))}\n`;
+}
+
+async function cvToDocx(cv) {
+  const children = [];
+  walkCV(cv, {
+    header: (name, title, contact) => {
+      children.push(new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(name || 'Curriculum Vitae')] }));
+      if (title) {
+        children.push(new Paragraph({ children: [new TextRun({ text: title, bold: true })] }));
+      }
+      children.push(new Paragraph({ children: [new TextRun(contact)], spacing: { after: 200 } }));
+    },
+    section: title => children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(title)], spacing: { before: 240 } })),
+    entry: title => children.push(new Paragraph({ heading: HeadingLevel.HEADING_2, children: [new TextRun(title)], spacing: { before: 120 } })),
+    meta: line => children.push(new Paragraph({ children: markupToRuns(stripMarkup(line), { italics: true }) })),
+    list: items => items.forEach(item => children.push(new Paragraph({ bullet: { level: 0 }, children: markupToRuns(item) }))),
+    paragraph: text => children.push(new Paragraph({ children: markupToRuns(text), spacing: { after: 120 } }))
+  });
+  const doc = new Document({
+    creator: cv.header.name || undefined,
+    title: cv.header.name ? `${cv.header.name} - CV` : 'CV',
+    sections: [{ properties: {}, children }]
+  });
+  return Packer.toBuffer(doc);
+}
+
+async function textToDocx(text) {
+  // Paragraphs are separated by blank lines
+  const paragraphs = splitParagraphs(text).map(paragraph => new Paragraph({
+    children: paragraph.split('\n').map((line, index) => new TextRun({ text: line, break: index > 0 ? 1 : 0 })),
+    spacing: {
+      after: 200
+    }
+  }));
+  const doc = new Document({
+    sections: [{
+      properties: {},
+      children: paragraphs
+    }]
+  });
+  return Packer.toBuffer(doc);
+}
+
+function splitParagraphs(text) {
+  return String(text || '').split(/\n\s*\n+/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+function textToHtml(text, title) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>\n${HTML_STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    ...splitParagraphs(text).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>\n')}</p>`),
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+function textToMarkdown(text) {
+  // Single line breaks inside a paragraph are kept with a trailing backslash
+  return `${splitParagraphs(text).map(paragraph => paragraph.replace(/\n/g, '\\\n')).join('\n\n')}\n`;
+}
+
+/**
+ * Render a structured CV in an export format
+ * @param {Object} cv - Structured CV
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<Buffer|string>} File content
+ * @throws {Error} If the format is not supported
+ */
+async function exportCV(cv, format) {
+  switch (format) {
+    case 'docx':
+      return cvToDocx(cv);
+    case 'md':
+      return cvToMarkdown(cv);
+    case 'html':
+      return cvToHtml(cv);
+    case 'txt':
+      return cvToPlainText(cv);
+    default:
+      throw new Error(`Invalid format "${format}". Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+}
+
+/**
+ * Render a plain-text document (cover letter, cold email) in an export format
+ * @param {string} text - Document text
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {string} title - Document title (used by HTML)
+ * @returns {Promise<Buffer|string>} File content
+ * @throws {Error} If the format is not supported
+ */
+async function exportText(text, format, title) {
+  switch (format) {
+    case 'docx':
+      return textToDocx(text);
+    case 'md':
+      return textToMarkdown(text);
+    case 'html':
+      return textToHtml(text, title);
+    case 'txt':
+      return `${toAscii(String(text || '').trim())}\n`;
+    default:
+      throw new Error(`Invalid format "${format}". Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportCV,
+  exportText
+};
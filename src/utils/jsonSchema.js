@@ -0,0 +1,95 @@
+/**
+ * Minimal JSON Schema validator for AI responses
+ * Supports the subset of JSON Schema used in src/promptSchemas.json:
+ * type (single or array, including "null"), properties, required, items,
+ * enum, minItems, minLength and pattern
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} JSON Schema type name
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function matchesType(value, type) {
+  const actual = getJsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema (subset)
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateSchema(value, schema, path = '$') {
+  if (!schema) {
+    return [];
+  }
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be ${types.join(' or ')}, got ${getJsonType(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path} must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (getJsonType(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
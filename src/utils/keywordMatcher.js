@@ -0,0 +1,116 @@
+/**
+ * ATS keyword matcher
+ *
+ * Measures how well a CV covers the keywords of a job posting, the way applicant tracking
+ * systems screen CVs: literal, case-insensitive matches of each keyword in the CV text, where
+ * spaces, hyphens, dots and slashes inside a keyword are optional ("Node.js" matches "NodeJS",
+ * "CI/CD" matches "CI-CD").
+ *
+ * Report:
+ *   { checkedAt, score, totalWords,
+ *     keywords: [{ keyword, importance, matched, occurrences, density, sections }],
+ *     matched: [keyword], missing: [keyword] }
+ *
+ * score is the weighted share of keywords found (required keywords count double), density is
+ * occurrences per 100 words of CV text, and sections lists the CV sections a keyword appears in.
+ */
+
+const IMPORTANCE_WEIGHTS = { required: 2, preferred: 1 };
+// Text before the first section heading (name, title, summary)
+const HEADER_SECTION = 'Header';
+
+function keywordPattern(keyword) {
+  const parts = keyword.trim().toLowerCase().split(/[\s\-./]+/).filter(Boolean)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![a-z0-9])${parts.join('[\\s\\-./]?')}(?![a-z0-9+#])`, 'g');
+}
+
+/**
+ * Split CV text into sections at lines that match a section title
+ * @param {string} text - CV text (e.g. extracted from the PDF)
+ * @param {Array<string>} sectionTitles - Section headings of the CV
+ * @returns {Array<Object>} [{ title, text }], starting with the header
+ */
+function splitSections(text, sectionTitles = []) {
+  const titles = new Map(sectionTitles.map(title => [title.trim().toLowerCase(), title]));
+  const sections = [{ title: HEADER_SECTION, lines: [] }];
+  for (const line of String(text || '').split('\n')) {
+    const heading = titles.get(line.trim().toLowerCase());
+    if (heading) {
+      sections.push({ title: heading, lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+  return sections.map(section => ({ title: section.title, text: section.lines.join('\n') }));
+}
+
+/**
+ * Measure keyword coverage of a CV
+ * @param {Object} keywords - { required: [keyword], preferred: [keyword] }
+ * @param {string} cvText - CV text
+ * @param {Array<string>} sectionTitles - Section headings of the CV, to report where keywords appear
+ * @returns {Object} Keyword report
+ */
+function analyzeKeywordCoverage(keywords, cvText, sectionTitles = []) {
+  const text = String(cvText || '').toLowerCase();
+  const totalWords = text.split(/\s+/).filter(Boolean).length;
+  const sections = splitSections(text, sectionTitles.map(title => title.toLowerCase()));
+  const titleCase = new Map(sectionTitles.map(title => [title.toLowerCase(), title]));
+
+  const seen = new Set();
+  const results = [];
+  for (const importance of Object.keys(IMPORTANCE_WEIGHTS)) {
+    for (const keyword of keywords[importance] || []) {
+      const key = keyword.trim().toLowerCase();
+      if (!key || seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      const pattern = keywordPattern(keyword);
+      const occurrences = (text.match(pattern) || []).length;
+      results.push({
+        keyword: keyword.trim(),
+        importance,
+        matched: occurrences > 0,
+        occurrences,
+        density: totalWords > 0 ? Math.round((occurrences / totalWords) * 10000) / 100 : 0,
+        sections: sections
+          .filter(section => (section.text.match(pattern) || []).length > 0)
+          .map(section => titleCase.get(section.title) || section.title)
+      });
+    }
+  }
+
+  const totalWeight = results.reduce((sum, result) => sum + IMPORTANCE_WEIGHTS[result.importance], 0);
+  const matchedWeight = results.filter(result => result.matched).reduce((sum, result) => sum + IMPORTANCE_WEIGHTS[result.importance], 0);
+  return {
+    checkedAt: new Date().toISOString(),
+    score: totalWeight > 0 ? Math.round((matchedWeight / totalWeight) * 100) : null,
+    totalWords,
+    keywords: results,
+    matched: results.filter(result => result.matched).map(result => result.keyword),
+    missing: results.filter(result => !result.matched).map(result => result.keyword)
+  };
+}
+
+/**
+ * Measure a report's keywords again against a new version of the CV (e.g. after a refinement)
+ * @param {Object} report - Previous keyword report
+ * @param {string} cvText - New CV text
+ * @param {Array<string>} sectionTitles - Section headings of the CV
+ * @returns {Object} Keyword report
+ */
+function rescoreKeywordReport(report, cvText, sectionTitles = []) {
+  const keywords = { required: [], preferred: [] };
+  for (const result of report.keywords) {
+    keywords[result.importance].push(result.keyword);
+  }
+  return analyzeKeywordCoverage(keywords, cvText, sectionTitles);
+}
+
+module.exports = {
+  analyzeKeywordCoverage,
+  rescoreKeywordReport,
+  splitSections
+};
@@ -0,0 +1,51 @@
+/**
+ * TeX engines a CV may be compiled with
+ *
+ * A template (or the base CV, for the classic theme and CVs edited as LaTeX) picks its engine
+ * with the magic comment editors such as TeXShop and TeXstudio use, before \begin{document}:
+ *
+ *   % !TEX program = xelatex
+ *
+ * Without one the CV is compiled with pdflatex. The engine is a property of the template: magic
+ * comments in generated or hand-edited CVs are ignored (see cvRenderer.getCVEngine). Only the engines below can be chosen; each
+ * lists the arguments LatexCompiler runs it with (in the compile's working directory, on
+ * texput.tex, always producing texput.pdf and texput.log) and how many times it runs.
+ */
+
+const JOB_NAME = 'texput';
+const TEX_LIVE_ARGS = ['-no-shell-escape', '-interaction=nonstopmode', '-halt-on-error', `-jobname=${JOB_NAME}`, `${JOB_NAME}.tex`];
+
+const LATEX_ENGINES = {
+  // TeX Live engines run twice so that page references (e.g. "page x of y" footers) settle
+  pdflatex: { passes: 2, args: TEX_LIVE_ARGS },
+  xelatex: { passes: 2, args: TEX_LIVE_ARGS },
+  lualatex: { passes: 2, args: TEX_LIVE_ARGS },
+  // Tectonic reruns TeX itself until references settle; --untrusted disables shell escape
+  tectonic: { passes: 1, args: ['--untrusted', '--keep-logs', '--chatter', 'minimal', '--outdir', '.', `${JOB_NAME}.tex`] }
+};
+const DEFAULT_ENGINE = 'pdflatex';
+const ENGINE_COMMENT = /^\s*%\s*!TeX\s+(?:TS-)?program\s*=\s*(\S+)/i;
+
+/**
+ * Find the engine a LaTeX source asks for
+ * @param {string} latex - LaTeX source or template
+ * @returns {Object} { engine, line } - engine as written (lower-cased; it may not be in
+ *   LATEX_ENGINES) and its 1-based line, or the default engine and null without a magic comment
+ */
+function detectEngine(latex) {
+  const lines = String(latex || '').split('\n');
+  for (let index = 0; index < lines.length && !lines[index].includes('\\begin{document}'); index++) {
+    const match = lines[index].match(ENGINE_COMMENT);
+    if (match) {
+      return { engine: match[1].toLowerCase(), line: index + 1 };
+    }
+  }
+  return { engine: DEFAULT_ENGINE, line: null };
+}
+
+module.exports = {
+  DEFAULT_ENGINE,
+  JOB_NAME,
+  LATEX_ENGINES,
+  detectEngine
+};
@@ -0,0 +1,100 @@
+/**
+ * LaTeX log parser
+ *
+ * Turns the log of a failed pdflatex run into structured errors the AI fix loop can act on:
+ *
+ *   { line, message, snippet, hint }
+ *
+ * line is the source line TeX stopped at (null if the log does not say), snippet is that line
+ * of the source (or the text TeX had read when it stopped) and hint is a short suggestion for
+ * common mistakes such as unescaped special characters (null otherwise).
+ */
+
+const HINTS = [
+  { pattern: /^Misplaced alignment tab character/, hint: 'Escape "&" as "\\&" in text' },
+  { pattern: /^Undefined control sequence/, hint: 'Remove or replace the undefined command, or escape a literal backslash as "\\textbackslash{}"' },
+  { pattern: /^Missing \$ inserted/, hint: 'Escape "_", "^" and "$" in text as "\\_", "\\textasciicircum{}" and "\\$"' },
+  { pattern: /^You can't use `macro parameter character #'/, hint: 'Escape "#" as "\\#"' },
+  { pattern: /^(Runaway argument|Paragraph ended before|File ended while scanning|Missing \} inserted)/, hint: 'Check for unbalanced braces or an unescaped "%" that comments out the rest of the line' },
+  { pattern: /^(Extra \}, or forgotten|Too many \}'s)/, hint: 'Remove the extra "}" or escape a literal brace as "\\}"' },
+  { pattern: /^LaTeX Error: File `[^']+' not found/, hint: 'The package or file is not installed; remove it or use an installed alternative' },
+  { pattern: /^LaTeX Error: Environment \S+ undefined/, hint: 'Use an environment provided by the loaded packages' },
+  { pattern: /^LaTeX Error: \\begin\{[^}]+\} .*ended by \\end/, hint: 'Match every \\begin{...} with the corresponding \\end{...}' }
+];
+
+// Errors TeX reports after an earlier error has already stopped the run
+const FOLLOW_UP_ERRORS = /^(Emergency stop|==> Fatal error occurred)/;
+
+function getHint(message) {
+  const match = HINTS.find(({ pattern }) => pattern.test(message));
+  return match ? match.hint : null;
+}
+
+/**
+ * Parse a pdflatex log (or the "LaTeX Syntax Error" message LatexCompiler builds from it)
+ * @param {string} log - Log text
+ * @param {string} source - LaTeX source that was compiled (optional, used for snippets)
+ * @returns {Array<Object>} Errors in log order ({ line, message, snippet, hint })
+ */
+function parseLatexLog(log, source = '') {
+  const lines = String(log || '').split(/\r?\n/);
+  const sourceLines = source ? source.split('\n') : [];
+  const errors = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    // "! Message" (default) or "./file.tex:12: Message" (-file-line-error)
+    const bang = lines[i].match(/^! (.+)$/);
+    const fileLine = lines[i].match(/^\S*\.tex:(\d+): (.+)$/);
+    if (!bang && !fileLine) {
+      continue;
+    }
+
+    let message = (bang ? bang[1] : fileLine[2]).trim();
+    if (FOLLOW_UP_ERRORS.test(message) && errors.length > 0) {
+      continue;
+    }
+
+    // The context line "l.<n> <text read so far>" follows within a few lines, and the next
+    // line holds the rest of the source line
+    let line = fileLine ? Number(fileLine[1]) : null;
+    let readText = '';
+    for (let j = i + 1; j < Math.min(lines.length, i + 12) && !/^! /.test(lines[j]); j++) {
+      const context = lines[j].match(/^l\.(\d+) ?(.*)$/);
+      if (context) {
+        line = Number(context[1]);
+        readText = context[2];
+        const rest = (lines[j + 1] || '').trim();
+        readText = rest ? `${readText} ${rest}` : readText;
+        if (/^Undefined control sequence/.test(message)) {
+          const command = context[2].match(/(\\[a-zA-Z@]+|\\.)\s*$/);
+          message = command ? `Undefined control sequence ${command[1]}` : message;
+        }
+        break;
+      }
+    }
+
+    const sourceLine = line && sourceLines[line - 1] !== undefined ? sourceLines[line - 1].trim() : null;
+    errors.push({
+      line,
+      message,
+      snippet: sourceLine || readText.trim() || null,
+      hint: getHint(message)
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * One-line description of an error for logs and chat history
+ * @param {Object} error - Error from parseLatexLog()
+ * @returns {string} Description
+ */
+function formatLatexError(error) {
+  return `${error.line ? `Line ${error.line}: ` : ''}${error.message}${error.snippet ? ` (${error.snippet})` : ''}`;
+}
+
+module.exports = {
+  parseLatexLog,
+  formatLatexError
+};
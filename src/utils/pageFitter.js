@@ -0,0 +1,172 @@
+/**
+ * Deterministic page fitting
+ *
+ * Mechanical LaTeX adjustments that move a CV towards the target page count without asking
+ * the AI to rewrite content. Each call to nextAdjustment() applies the next step in order:
+ *
+ *   shrink: tighten list and paragraph spacing, reduce the vertical margins, step the font
+ *           size down, then drop bullets marked "% priority: low" (last one first)
+ *   grow:   step the font size up, loosen list spacing, then increase the vertical margins
+ *
+ * Every step returns { latex, description } so callers can recompile after each one and
+ * report exactly what was changed; null means there is nothing left to adjust. Steps never
+ * change lines marked "% locked" (see cvLocks.js): a step that would is skipped.
+ */
+
+const { findLockedLines, findLockedRegions, findLockViolations } = require('./cvLocks');
+
+const FIT_TAG = '% page-fit';
+const FONT_SIZES = [10, 11, 12];
+const MARGIN_STEP_CM = 0.3;
+const MIN_MARGIN_CM = 1.0;
+const MAX_MARGIN_CM = 2.5;
+// "margin" sets all four margins, so it is split into hmargin (kept) and vmargin (adjusted)
+const VERTICAL_MARGIN_KEYS = ['vmargin', 'margin', 'top', 'bottom', 'tmargin', 'bmargin'];
+const UNIT_CM = { cm: 1, mm: 0.1, in: 2.54, pt: 2.54 / 72.27 };
+
+const LIST_SPACING = {
+  shrink: '\\setlist*[itemize]{itemsep=0pt,topsep=0pt,parsep=0pt}',
+  grow: '\\setlist*[itemize]{itemsep=3pt,topsep=3pt}'
+};
+
+function insertBeforeDocument(latex, line) {
+  const index = latex.indexOf('\\begin{document}');
+  if (index === -1) {
+    return null;
+  }
+  return `${latex.slice(0, index)}${line} ${FIT_TAG}\n${latex.slice(index)}`;
+}
+
+function adjustListSpacing(latex, direction) {
+  if (!/\\usepackage(\[[^\]]*\])?\{enumitem\}/.test(latex) || latex.includes(`{itemsep=0pt,topsep=0pt,parsep=0pt} ${FIT_TAG}`) || latex.includes(`{itemsep=3pt,topsep=3pt} ${FIT_TAG}`)) {
+    return null;
+  }
+  const lines = direction === 'shrink'
+    ? `${LIST_SPACING.shrink} ${FIT_TAG}\n\\setlength{\\parskip}{0pt}`
+    : LIST_SPACING.grow;
+  const adjusted = insertBeforeDocument(latex, lines);
+  return adjusted && {
+    latex: adjusted,
+    description: direction === 'shrink'
+      ? 'Tightened list and paragraph spacing (itemsep, topsep, parsep and parskip set to 0pt)'
+      : 'Loosened list spacing (itemsep and topsep set to 3pt)'
+  };
+}
+
+function adjustMargins(latex, direction) {
+  const geometry = latex.match(/\\usepackage\[([^\]]*)\]\{geometry\}/);
+  if (!geometry) {
+    return null;
+  }
+
+  const changes = [];
+  const options = geometry[1].split(',').map(option => {
+    const match = option.trim().match(/^(\w+)\s*=\s*([\d.]+)\s*(cm|mm|in|pt)$/);
+    if (!match || !VERTICAL_MARGIN_KEYS.includes(match[1])) {
+      return option;
+    }
+    const current = Number(match[2]) * UNIT_CM[match[3]];
+    const next = direction === 'shrink'
+      ? Math.max(MIN_MARGIN_CM, current - MARGIN_STEP_CM)
+      : Math.min(MAX_MARGIN_CM, current + MARGIN_STEP_CM);
+    if (Math.abs(next - current) < 0.01) {
+      return option;
+    }
+    const value = `${Number(next.toFixed(2))}cm`;
+    if (match[1] === 'margin') {
+      changes.push(`vmargin ${match[2]}${match[3]} → ${value}, hmargin kept at ${match[2]}${match[3]}`);
+      return `hmargin=${match[2]}${match[3]},vmargin=${value}`;
+    }
+    changes.push(`${match[1]} ${match[2]}${match[3]} → ${value}`);
+    return `${match[1]}=${value}`;
+  });
+
+  if (changes.length === 0) {
+    return null;
+  }
+  return {
+    latex: latex.replace(geometry[0], `\\usepackage[${options.join(',')}]{geometry}`),
+    description: `${direction === 'shrink' ? 'Reduced' : 'Increased'} vertical margins (${changes.join(', ')})`
+  };
+}
+
+function adjustFontSize(latex, direction) {
+  const documentClass = latex.match(/\\documentclass(?:\[([^\]]*)\])?\{([^}]+)\}/);
+  if (!documentClass) {
+    return null;
+  }
+  const options = documentClass[1] ? documentClass[1].split(',') : [];
+  const sizeIndex = options.findIndex(option => /^\s*\d+pt\s*$/.test(option));
+  const current = sizeIndex === -1 ? 10 : parseInt(options[sizeIndex], 10);
+  const next = FONT_SIZES[FONT_SIZES.indexOf(current) + (direction === 'shrink' ? -1 : 1)];
+  if (!FONT_SIZES.includes(current) || !next) {
+    return null;
+  }
+
+  if (sizeIndex === -1) {
+    options.unshift(`${next}pt`);
+  } else {
+    options[sizeIndex] = `${next}pt`;
+  }
+  return {
+    latex: latex.replace(documentClass[0], `\\documentclass[${options.join(',')}]{${documentClass[2]}}`),
+    description: `${direction === 'shrink' ? 'Reduced' : 'Increased'} font size from ${current}pt to ${next}pt`
+  };
+}
+
+function dropLowPriorityItem(latex) {
+  const lines = latex.split('\n');
+  const locked = findLockedLines(latex);
+  let index = -1;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!locked.has(i) && /^\s*\\item\b.*%\s*priority:\s*low\s*$/i.test(lines[i])) {
+      index = i;
+      break;
+    }
+  }
+  if (index === -1) {
+    return null;
+  }
+
+  const text = lines[index].trim().replace(/^\\item\s*/, '').replace(/\s*%\s*priority:\s*low\s*$/i, '');
+  lines.splice(index, 1);
+
+  // Remove the list itself (and the spacing tweak in front of it) if that was its last item
+  const begin = lines[index - 1];
+  const end = lines[index];
+  if (begin !== undefined && end !== undefined && /^\s*\\begin\{itemize\}/.test(begin) && /^\s*\\end\{itemize\}/.test(end)) {
+    const spacing = /^\s*\\vspace\*?\{[^}]*\}%?\s*$/.test(lines[index - 2] || '');
+    lines.splice(spacing ? index - 2 : index - 1, spacing ? 3 : 2);
+  }
+
+  return {
+    latex: lines.join('\n'),
+    description: `Dropped low-priority bullet "${text.length > 60 ? `${text.slice(0, 57)}...` : text}"`
+  };
+}
+
+const STEPS = {
+  shrink: [adjustListSpacing, adjustMargins, adjustFontSize, dropLowPriorityItem],
+  grow: [adjustFontSize, adjustListSpacing, adjustMargins]
+};
+
+/**
+ * Apply the next mechanical adjustment towards the target page count
+ * @param {string} latex - LaTeX source
+ * @param {string} direction - 'shrink' (too many pages) or 'grow' (too few)
+ * @returns {Object|null} { latex, description }, or null when no adjustment is left
+ */
+function nextAdjustment(latex, direction) {
+  const lockedRegions = findLockedRegions(latex);
+  for (const step of STEPS[direction] || []) {
+    const adjustment = step(latex, direction);
+    if (adjustment && findLockViolations(adjustment.latex, lockedRegions).length === 0) {
+      return adjustment;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  nextAdjustment
+};
@@ -0,0 +1,294 @@
+/**
+ * Prompt template engine for prompts.json
+ *
+ * Supported syntax:
+ *   {{name}}, {{job.title}}                 Variable (missing values render as an empty string, lists as "a, b")
+ *   {{> partialName}}                       Partial from the "_partials" section of prompts.json
+ *   {{#if name}}...{{else}}...{{/if}}       Conditional (empty strings and empty lists are false)
+ *   {{#unless name}}...{{/unless}}          Inverted conditional
+ *   {{#each list}}...{{/each}}              Loop; inside it {{this}} is the item, {{@index}} is 0-based, {{@number}} is 1-based
+ *
+ * Block tags and partials on a line of their own do not leave an empty line behind, and a
+ * partial that renders nothing removes its line. Substituted values are inserted verbatim and
+ * never parsed as template syntax, so CV text or LaTeX containing braces is safe.
+ */
+
+const TAG_PATTERN = /\{\{\s*([#/>]?)\s*([^{}]*?)\s*\}\}/g;
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Split a template into text and tag tokens
+ * @param {string} template - Template source
+ * @returns {Array<Object>} Tokens
+ */
+function tokenize(template) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    tokens.push(createTagToken(match[1], match[2], match[0]));
+    lastIndex = TAG_PATTERN.lastIndex;
+  }
+  if (lastIndex < template.length) {
+    tokens.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  stripStandaloneLines(tokens);
+  return tokens;
+}
+
+function createTagToken(sigil, content, source) {
+  if (sigil === '>') {
+    return { type: 'partial', name: content, source };
+  }
+  if (sigil === '/') {
+    return { type: 'close', name: content, source };
+  }
+  if (sigil === '#') {
+    const [block, path] = content.split(/\s+/);
+    if (!['if', 'unless', 'each'].includes(block) || !path) {
+      throw new Error(`Unknown block tag "${source}"`);
+    }
+    return { type: 'open', block, path, source };
+  }
+  if (content === 'else') {
+    return { type: 'else', source };
+  }
+  return { type: 'var', path: content, source };
+}
+
+/**
+ * Remove the indentation and line break around block tags and partials that sit on a line of their own.
+ * Lines are classified on the original text first, so consecutive tag lines are all detected.
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ */
+function stripStandaloneLines(tokens) {
+  const standalone = tokens.map((token, i) => {
+    if (!['open', 'close', 'else', 'partial'].includes(token.type)) {
+      return false;
+    }
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    const startsLine = !prev || (prev.type === 'text' && (/\n[ \t]*$/.test(prev.value) || (i === 1 && /^[ \t]*$/.test(prev.value))));
+    const endsLine = !next || (next.type === 'text' && (/^[ \t]*\r?\n/.test(next.value) || (i === tokens.length - 2 && /^[ \t]*$/.test(next.value))));
+    return startsLine && endsLine;
+  });
+
+  tokens.forEach((token, i) => {
+    if (!standalone[i]) {
+      return;
+    }
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (prev) {
+      prev.value = prev.value.replace(/[ \t]*$/, '');
+    }
+    if (next) {
+      const lineEnd = next.value.match(/^[ \t]*(\r?\n)?/);
+      next.value = next.value.slice(lineEnd[0].length);
+      // A standalone partial keeps its line break unless it renders nothing
+      if (token.type === 'partial') {
+        token.lineEnd = lineEnd[1] || '';
+      }
+    }
+    token.standalone = true;
+  });
+}
+
+/**
+ * Parse a template into a node tree
+ * @param {string} template - Template source
+ * @returns {Array<Object>} Nodes ({ type: 'text'|'var'|'partial'|'if'|'unless'|'each', ... })
+ * @throws {Error} If block tags are unbalanced or unknown
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokenize(template)) {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.elseChildren : current.children;
+
+    if (token.type === 'text') {
+      if (token.value) {
+        target.push({ type: 'text', value: token.value });
+      }
+    } else if (token.type === 'var') {
+      target.push({ type: 'var', path: token.path });
+    } else if (token.type === 'partial') {
+      target.push({ type: 'partial', name: token.name, standalone: !!token.standalone, lineEnd: token.lineEnd || '' });
+    } else if (token.type === 'open') {
+      const node = { type: token.block, path: token.path, children: [], elseChildren: [], inElse: false };
+      target.push(node);
+      stack.push(node);
+    } else if (token.type === 'else') {
+      if (stack.length === 1 || current.inElse) {
+        throw new Error('Unexpected {{else}} in template');
+      }
+      current.inElse = true;
+    } else if (token.type === 'close') {
+      if (stack.length === 1 || current.type !== token.name) {
+        throw new Error(`Unexpected ${token.source} in template`);
+      }
+      delete current.inElse;
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1];
+    throw new Error(`Unclosed {{#${unclosed.type} ${unclosed.path}}} in template`);
+  }
+  return root.children;
+}
+
+/**
+ * Resolve a variable path against the scope chain (innermost loop item first)
+ * @param {string} path - Variable path, e.g. "contact.name", "this" or "@index"
+ * @param {Object} scope - Current scope ({ value, locals, parent })
+ * @returns {*} Resolved value or undefined
+ */
+function lookup(path, scope) {
+  if (path.startsWith('@')) {
+    return scope.locals[path.slice(1)];
+  }
+
+  const segments = path.split('.');
+  let value;
+  if (segments[0] === 'this') {
+    segments.shift();
+    value = scope.value;
+  } else {
+    let current = scope;
+    while (current && !(current.value !== null && typeof current.value === 'object' && segments[0] in current.value)) {
+      current = current.parent;
+    }
+    if (!current) {
+      return undefined;
+    }
+    value = current.value;
+  }
+
+  for (const segment of segments) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function stringify(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  return String(value);
+}
+
+function renderNodes(nodes, scope, partials, depth) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      output += stringify(lookup(node.path, scope));
+    } else if (node.type === 'partial') {
+      if (typeof partials[node.name] !== 'string') {
+        throw new Error(`Partial "${node.name}" not found`);
+      }
+      if (depth >= MAX_PARTIAL_DEPTH) {
+        throw new Error(`Partials nested more than ${MAX_PARTIAL_DEPTH} levels deep (at "${node.name}")`);
+      }
+      const rendered = renderNodes(parseTemplate(partials[node.name]), scope, partials, depth + 1);
+      output += node.standalone && rendered === '' ? '' : rendered + node.lineEnd;
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const condition = isTruthy(lookup(node.path, scope));
+      const branch = condition === (node.type === 'if') ? node.children : node.elseChildren;
+      output += renderNodes(branch, scope, partials, depth);
+    } else if (node.type === 'each') {
+      const list = lookup(node.path, scope);
+      if (!Array.isArray(list) || list.length === 0) {
+        output += renderNodes(node.elseChildren, scope, partials, depth);
+        continue;
+      }
+      list.forEach((item, index) => {
+        const itemScope = { value: item, locals: { index, number: index + 1 }, parent: scope };
+        output += renderNodes(node.children, itemScope, partials, depth);
+      });
+    }
+  }
+  return output;
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template source
+ * @param {Object} data - Template variables
+ * @param {Object} partials - Partial templates by name
+ * @returns {string} Rendered text
+ * @throws {Error} If the template is malformed or uses an unknown partial
+ */
+function renderTemplate(template, data = {}, partials = {}) {
+  return renderNodes(parseTemplate(template), { value: data, locals: {}, parent: null }, partials, 0);
+}
+
+/**
+ * List the top-level variables a template reads, including those used by its partials.
+ * Variables inside {{#each}} bodies refer to the list items and are not included.
+ * @param {string} template - Template source
+ * @param {Object} partials - Partial templates by name
+ * @returns {string[]} Sorted variable names (first path segment, e.g. "contact" for {{contact.name}})
+ * @throws {Error} If the template is malformed or uses an unknown partial
+ */
+function listVariables(template, partials = {}) {
+  const variables = new Set();
+  const add = variablePath => {
+    const root = variablePath.split('.')[0];
+    if (root !== 'this' && !root.startsWith('@')) {
+      variables.add(root);
+    }
+  };
+
+  const visit = (nodes, inLoop, depth) => {
+    for (const node of nodes) {
+      if (node.type === 'var' && !inLoop) {
+        add(node.path);
+      } else if (node.type === 'partial') {
+        if (typeof partials[node.name] !== 'string') {
+          throw new Error(`Partial "${node.name}" not found`);
+        }
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw new Error(`Partials nested more than ${MAX_PARTIAL_DEPTH} levels deep (at "${node.name}")`);
+        }
+        visit(parseTemplate(partials[node.name]), inLoop, depth + 1);
+      } else if (node.type === 'if' || node.type === 'unless' || node.type === 'each') {
+        if (!inLoop) {
+          add(node.path);
+        }
+        visit(node.children, inLoop || node.type === 'each', depth);
+        visit(node.elseChildren, inLoop, depth);
+      }
+    }
+  };
+
+  visit(parseTemplate(template), false, 0);
+  return [...variables].sort();
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  listVariables
+};
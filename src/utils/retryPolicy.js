@@ -0,0 +1,123 @@
+/**
+ * Retry policy for AI provider calls
+ * Exponential backoff with jitter, honoring server-provided retry delays
+ * (Retry-After headers, Gemini RetryInfo details and "retry in Ns" messages)
+ */
+
+// HTTP statuses worth retrying: timeouts, rate limits and transient server errors
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+// Transient failures that providers report without a usable status code
+const RETRYABLE_MESSAGE_PATTERNS = [
+  /model is overloaded/i,
+  /rate limit/i,
+  /resource (has been )?exhausted/i,
+  /ECONNRESET|ETIMEDOUT|socket hang up/i
+];
+
+/**
+ * Get the HTTP status of a provider error
+ * Provider errors carry .status; older SDK messages embed it as "[503 Service Unavailable]"
+ * @param {Error} error - Provider error
+ * @returns {number|null} HTTP status or null
+ */
+function getErrorStatus(error) {
+  if (Number.isInteger(error.status)) {
+    return error.status;
+  }
+  const match = (error.message || '').match(/\[(\d{3})\b/) || (error.message || '').match(/\b(429|503)\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Check whether a provider error is transient
+ * @param {Error} error - Provider error
+ * @returns {boolean} True if the call should be retried
+ */
+function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status && RETRYABLE_STATUS_CODES.includes(status)) {
+    return true;
+  }
+  return RETRYABLE_MESSAGE_PATTERNS.some(pattern => pattern.test(error.message || ''));
+}
+
+/**
+ * Parse a duration such as "30s" or "1.5s" (Gemini RetryInfo format)
+ * @param {string} value - Duration string
+ * @returns {number|null} Milliseconds or null
+ */
+function parseSecondsDuration(value) {
+  const match = String(value).match(/^([\d.]+)s$/);
+  return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+}
+
+/**
+ * Get the retry delay requested by the server, if any
+ * @param {Error} error - Provider error
+ * @param {number} now - Current time in ms (for HTTP-date Retry-After values)
+ * @returns {number|null} Delay in milliseconds or null
+ */
+function getServerRetryDelay(error, now = Date.now()) {
+  const retryAfter = error.headers?.['retry-after'];
+  if (retryAfter !== undefined && retryAfter !== null) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, Math.round(seconds * 1000));
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  const retryInfo = (error.errorDetails || []).find(detail => detail.retryDelay);
+  if (retryInfo) {
+    const delay = parseSecondsDuration(retryInfo.retryDelay);
+    if (delay !== null) {
+      return delay;
+    }
+  }
+
+  const messageMatch = (error.message || '').match(/retry in ([\d.]+)\s*s/i);
+  return messageMatch ? Math.round(parseFloat(messageMatch[1]) * 1000) : null;
+}
+
+/**
+ * Compute how long to wait before the next attempt
+ * @param {Error} error - Provider error
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Object} policy - { initialDelay, maxDelay, factor, jitter }
+ * @param {Function} random - Random source in [0, 1) (injectable for tests)
+ * @returns {Object} { delay, source } where source is 'server' or 'backoff'
+ */
+function computeRetryDelay(error, attempt, policy, random = Math.random) {
+  const serverDelay = getServerRetryDelay(error);
+  if (serverDelay !== null) {
+    return { delay: serverDelay, source: 'server' };
+  }
+
+  const backoff = Math.min(policy.initialDelay * Math.pow(policy.factor, attempt), policy.maxDelay);
+  // Spread retries by +/- jitter so parallel requests do not retry in lockstep
+  const jittered = backoff * (1 + policy.jitter * (2 * random() - 1));
+  return { delay: Math.round(Math.min(jittered, policy.maxDelay)), source: 'backoff' };
+}
+
+/**
+ * Merge a per-prompt override into the default policy
+ * @param {Object} defaults - Default policy
+ * @param {Object} override - Optional per-prompt override
+ * @returns {Object} Effective policy
+ */
+function resolveRetryPolicy(defaults, override = {}) {
+  return { ...defaults, ...override };
+}
+
+module.exports = {
+  RETRYABLE_STATUS_CODES,
+  getErrorStatus,
+  isRetryableError,
+  getServerRetryDelay,
+  computeRetryDelay,
+  resolveRetryPolicy
+};
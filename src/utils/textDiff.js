@@ -0,0 +1,89 @@
+/**
+ * Text diffs (longest common subsequence), used to preview prompt edits and compare revisions
+ */
+
+/**
+ * Diff two sequences of strings
+ * @param {Array<string>} a - Original sequence
+ * @param {Array<string>} b - New sequence
+ * @returns {Array<Object>} [{ type: 'equal'|'added'|'removed', text, oldIndex, newIndex }] where
+ *   oldIndex is the position in a (null for added parts) and newIndex the position in b (null for removed parts)
+ */
+function diffSequences(a, b) {
+  // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      parts.push({ type: 'equal', text: a[i], oldIndex: i, newIndex: j });
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      parts.push({ type: 'added', text: b[j], oldIndex: null, newIndex: j });
+      j++;
+    } else {
+      parts.push({ type: 'removed', text: a[i], oldIndex: i, newIndex: null });
+      i++;
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} before - Original text
+ * @param {string} after - New text
+ * @returns {Object} { lines: [{ type: 'equal'|'added'|'removed', text }], added, removed }
+ */
+function diffLines(before, after) {
+  const lines = diffSequences(before.split('\n'), after.split('\n')).map(({ type, text }) => ({ type, text }));
+  return {
+    lines,
+    added: lines.filter(line => line.type === 'added').length,
+    removed: lines.filter(line => line.type === 'removed').length
+  };
+}
+
+/**
+ * Diff two short texts word by word, e.g. a reworded bullet
+ * @param {string} before - Original text
+ * @param {string} after - New text
+ * @returns {Array<Object>} [{ type: 'equal'|'added'|'removed', text }] where whitespace is kept
+ *   with the word before it, so the texts of the equal and added parts join up to the new text.
+ *   Replaced words are listed removed first.
+ */
+function diffWords(before, after) {
+  const words = text => String(text || '').match(/\S+\s*/g) || [];
+  const parts = [];
+  for (const { type, text } of diffSequences(words(before), words(after))) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else if (last && last.type === 'added' && type === 'removed') {
+      const previous = parts[parts.length - 2];
+      if (previous && previous.type === 'removed') {
+        previous.text += text;
+      } else {
+        parts.splice(parts.length - 1, 0, { type, text });
+      }
+    } else {
+      parts.push({ type, text });
+    }
+  }
+  return parts;
+}
+
+module.exports = {
+  diffSequences,
+  diffLines,
+  diffWords
+};
@@ -0,0 +1,166 @@
+/**
+ * Tests for the pluggable AI provider layer
+ * Spins up a local HTTP server that mimics the OpenAI-compatible and Ollama APIs,
+ * so no real model or network access is needed
+ */
+
+const http = require('http');
+const OpenAICompatibleProvider = require('../src/services/providers/openAICompatibleProvider');
+const OllamaProvider = require('../src/services/providers/ollamaProvider');
+const { createProvider } = require('../src/services/providers');
+const AIService = require('../src/services/aiService');
+const { runWithAIContext } = require('../src/utils/aiContext');
+
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = body ? JSON.parse(body) : {};
+    requests.push({ url: req.url, headers: req.headers, payload });
+    res.setHeader('Content-Type', 'application/json');
+
+    if (payload.model === 'overloaded-model') {
+      res.statusCode = 503;
+      return res.end(JSON.stringify({ error: { message: 'model is overloaded' } }));
+    }
+    if (payload.stream && req.url === '/v1/chat/completions') {
+      res.setHeader('Content-Type', 'text/event-stream');
+      ['Dear ', 'Hiring ', 'Manager'].forEach(content => res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`));
+      res.write(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 7, completion_tokens: 3 } })}\n\n`);
+      return res.end('data: [DONE]\n\n');
+    }
+    if (payload.stream && req.url === '/api/chat') {
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.write(JSON.stringify({ message: { content: 'Hi ' }, done: false }) + '\n');
+      res.write(JSON.stringify({ message: { content: 'there' }, done: false }) + '\n');
+      return res.end(JSON.stringify({ message: { content: '' }, done: true, prompt_eval_count: 5, eval_count: 2 }) + '\n');
+    }
+    if (req.url === '/v1/chat/completions') {
+      const content = payload.response_format ? '{"companyName":"Acme","jobTitle":"Engineer"}' : `openai:${payload.model}`;
+      return res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+    }
+    if (req.url === '/api/chat') {
+      const content = payload.format === 'json' ? '{"jobTitles":["CTO"]}' : `ollama:${payload.model}`;
+      return res.end(JSON.stringify({ message: { role: 'assistant', content }, done: true }));
+    }
+    res.statusCode = 404;
+    res.end('{}');
+  });
+});
+
+async function runTests() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Test 1: OpenAI-compatible provider maps model tiers and sends bearer token
+  console.log('Test 1: OpenAI-compatible provider...');
+  const openai = new OpenAICompatibleProvider({ baseUrl: `${baseUrl}/v1/`, apiKey: 'secret', proModel: 'big', flashModel: 'small', timeout: 5000 });
+  const proResult = await openai.generate({ prompt: 'hello', modelType: 'pro' });
+  const flashResult = await openai.generate({ prompt: 'hello', modelType: 'flash' });
+  if (proResult.text !== 'openai:big' || flashResult.text !== 'openai:small') {
+    throw new Error(`Unexpected model mapping: ${proResult.text}, ${flashResult.text}`);
+  }
+  if (requests[0].headers.authorization !== 'Bearer secret') {
+    throw new Error('Authorization header was not sent');
+  }
+  const jsonResult = await openai.generate({ prompt: 'json please', modelType: 'flash', json: true });
+  if (requests[2].payload.response_format?.type !== 'json_object' || !jsonResult.text.includes('Acme')) {
+    throw new Error('JSON mode was not requested from the OpenAI-compatible endpoint');
+  }
+  console.log('✓ OpenAI-compatible provider works correctly');
+
+  // Test 2: Ollama provider uses the native chat API and JSON format
+  console.log('\nTest 2: Ollama provider...');
+  const ollama = new OllamaProvider({ baseUrl, proModel: 'llama-big', flashModel: 'llama-small', timeout: 5000 });
+  const ollamaText = await ollama.generate({ prompt: 'hi', modelType: 'pro' });
+  if (ollamaText.text !== 'ollama:llama-big') {
+    throw new Error(`Unexpected Ollama response: ${ollamaText.text}`);
+  }
+  await ollama.generate({ prompt: 'hi', modelType: 'flash', json: true });
+  const lastRequest = requests[requests.length - 1];
+  if (lastRequest.payload.format !== 'json' || lastRequest.payload.stream !== false) {
+    throw new Error('Ollama request should ask for JSON format without streaming');
+  }
+  console.log('✓ Ollama provider works correctly');
+
+  // Test 3: HTTP errors keep their status code so AIService can decide on retries
+  console.log('\nTest 3: Provider error normalisation...');
+  const failing = new OpenAICompatibleProvider({ baseUrl: `${baseUrl}/v1`, proModel: 'overloaded-model', flashModel: 'small', timeout: 5000 });
+  try {
+    await failing.generate({ prompt: 'hi', modelType: 'pro' });
+    throw new Error('Expected the request to fail');
+  } catch (error) {
+    if (error.status !== 503 || !error.message.includes('503')) {
+      throw new Error(`Error was not normalised: ${error.message}`);
+    }
+  }
+  console.log('✓ Provider errors carry the HTTP status');
+
+  // Test 4: AIService dispatches JSON requests through the injected provider
+  console.log('\nTest 4: AIService dispatches through the provider...');
+  const aiService = new AIService(new OllamaProvider({ baseUrl, proModel: 'llama-big', flashModel: 'llama-small', timeout: 5000 }));
+  const titles = await aiService.getIntelligence('Jane Doe', 'Acme');
+  if (titles.length !== 1 || titles[0] !== 'CTO') {
+    throw new Error(`Unexpected intelligence result: ${JSON.stringify(titles)}`);
+  }
+  if (aiService.proModel !== 'llama-big' || aiService.flashModel !== 'llama-small') {
+    throw new Error('AIService did not expose the provider model names');
+  }
+  console.log('✓ AIService uses the configured provider');
+
+  // Test 5: Unknown providers are rejected
+  console.log('\nTest 5: Unknown provider...');
+  try {
+    createProvider('does-not-exist');
+    throw new Error('Expected createProvider to throw');
+  } catch (error) {
+    if (!error.message.includes('Unknown AI provider')) {
+      throw error;
+    }
+  }
+  console.log('✓ Unknown providers are rejected');
+
+  // Test 6: Streaming completions report partial text and the full result
+  console.log('\nTest 6: Streaming...');
+  const openaiDeltas = [];
+  const streamed = await openai.generate({ prompt: 'letter', modelType: 'pro', onDelta: delta => openaiDeltas.push(delta) });
+  if (openaiDeltas.join('|') !== 'Dear |Hiring |Manager' || streamed.text !== 'Dear Hiring Manager' || streamed.usage.outputTokens !== 3) {
+    throw new Error(`Unexpected OpenAI stream: ${JSON.stringify({ openaiDeltas, streamed })}`);
+  }
+  const ollamaDeltas = [];
+  const ollamaStreamed = await ollama.generate({ prompt: 'email', modelType: 'pro', onDelta: delta => ollamaDeltas.push(delta) });
+  if (ollamaDeltas.join('|') !== 'Hi |there' || ollamaStreamed.text !== 'Hi there' || ollamaStreamed.usage.inputTokens !== 5) {
+    throw new Error(`Unexpected Ollama stream: ${JSON.stringify({ ollamaDeltas, ollamaStreamed })}`);
+  }
+  console.log('✓ OpenAI-compatible and Ollama providers stream deltas');
+
+  // Test 7: AIService streams document prompts as delta events over SSE only
+  console.log('\nTest 7: Delta events...');
+  const streamingService = new AIService(new OpenAICompatibleProvider({ baseUrl: `${baseUrl}/v1`, proModel: 'big', flashModel: 'small', timeout: 5000 }));
+  const events = [];
+  const sendEvent = (type, data) => events.push({ type, ...data });
+  const letter = await runWithAIContext({ sendEvent }, () => streamingService.generateWithRetry(streamingService.buildPrompt('generateCoverLetterAdvanced', {})));
+  const deltas = events.filter(event => event.type === 'delta');
+  if (letter !== 'Dear Hiring Manager' || deltas.length !== 4 || !deltas[0].reset || deltas.some(delta => delta.document !== 'coverLetter') ||
+      deltas.map(delta => delta.text).join('') !== letter) {
+    throw new Error(`Unexpected delta events: ${JSON.stringify(events)}`);
+  }
+  const requestCount = requests.length;
+  await runWithAIContext({ sendEvent }, () => streamingService.generateWithRetry(streamingService.buildPrompt('generateCompanyProfile', { companyName: 'Acme' })));
+  if (requests[requestCount].payload.stream || events.filter(event => event.type === 'delta').length !== 4) {
+    throw new Error('Non-document prompts should not be streamed');
+  }
+  console.log('✓ Cover letter streamed as delta events; other prompts are not streamed');
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All AI provider tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ AI provider test failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => server.close());
@@ -0,0 +1,120 @@
+/**
+ * Tests for the AI scheduler
+ * Covers per-model concurrency limits, priority ordering of queued calls and the
+ * queue position events AIService streams through the request's AI context
+ */
+
+const AIScheduler = require('../src/services/aiScheduler');
+const AIService = require('../src/services/aiService');
+const { runWithAIContext } = require('../src/utils/aiContext');
+
+// A task that stays in flight until released
+function deferredTask(label, started) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const task = async () => {
+    started.push(label);
+    await done;
+    return label;
+  };
+  return { task, release: () => release() };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+async function runTests() {
+  // Test 1: Concurrency is capped per model type
+  console.log('Test 1: Per-model concurrency limits...');
+  const scheduler = new AIScheduler({ pro: 1, flash: 2 });
+  const started = [];
+  const pro1 = deferredTask('pro1', started);
+  const pro2 = deferredTask('pro2', started);
+  const flash1 = deferredTask('flash1', started);
+  const flash2 = deferredTask('flash2', started);
+  const runs = [
+    scheduler.run('pro', pro1.task),
+    scheduler.run('pro', pro2.task),
+    scheduler.run('flash', flash1.task),
+    scheduler.run('flash', flash2.task)
+  ];
+  await tick();
+  if (JSON.stringify(started) !== '["pro1","flash1","flash2"]') {
+    throw new Error(`Unexpected calls in flight: ${started}`);
+  }
+  const stats = scheduler.getStats();
+  if (stats.pro.active !== 1 || stats.pro.queued !== 1 || stats.flash.active !== 2 || stats.flash.queued !== 0) {
+    throw new Error(`Unexpected stats: ${JSON.stringify(stats)}`);
+  }
+  pro1.release();
+  await tick();
+  if (!started.includes('pro2')) {
+    throw new Error('Queued call did not start when a slot was freed');
+  }
+  [pro2, flash1, flash2].forEach(deferred => deferred.release());
+  await Promise.all(runs);
+  console.log('✓ Pro and flash slots are limited independently');
+
+  // Test 2: Interactive calls jump ahead of batch calls; FIFO within a priority
+  console.log('\nTest 2: Queue priorities...');
+  const ordered = new AIScheduler({ pro: 1 });
+  const order = [];
+  const blocker = deferredTask('blocker', order);
+  const first = ordered.run('pro', blocker.task);
+  const queued = [
+    ordered.run('pro', async () => order.push('batch1'), { priority: 'batch' }),
+    ordered.run('pro', async () => order.push('batch2')),
+    ordered.run('pro', async () => order.push('interactive'), { priority: 'interactive' })
+  ];
+  blocker.release();
+  await Promise.all([first, ...queued]);
+  if (JSON.stringify(order) !== '["blocker","interactive","batch1","batch2"]') {
+    throw new Error(`Unexpected execution order: ${order}`);
+  }
+  console.log('✓ Interactive calls are served before queued batch calls');
+
+  // Test 3: Failed tasks release their slot
+  console.log('\nTest 3: Failures release slots...');
+  const failing = new AIScheduler({ flash: 1 });
+  await failing.run('flash', async () => { throw new Error('boom'); }).catch(() => {});
+  const after = await failing.run('flash', async () => 'ok');
+  if (after !== 'ok' || failing.getStats().flash.active !== 0) {
+    throw new Error('Slot was not released after a failed task');
+  }
+  console.log('✓ Slots are released when a call fails');
+
+  // Test 4: AIService reports queue positions over the request's SSE sender
+  console.log('\nTest 4: Queue position events...');
+  const started4 = [];
+  const slow = deferredTask('slow', started4);
+  const service = new AIService({
+    name: 'queued',
+    models: { pro: 'p', flash: 'f' },
+    async generate({ promptKey }) {
+      return promptKey === 'generateCompanyProfile' ? { text: await slow.task() } : { text: 'fast' };
+    }
+  });
+  service.scheduler = new AIScheduler({ pro: 1 });
+  const events = [];
+  const sendEvent = (eventType, data) => events.push({ eventType, ...data });
+  const busy = service.generateWithRetry(service.buildPrompt('generateCompanyProfile', { companyName: 'Acme' }));
+  await tick();
+  const waiting = runWithAIContext({ priority: 'batch', sendEvent },
+    () => service.generateWithRetry(service.buildPrompt('generateCompanyProfile', { companyName: 'Beta' })));
+  await tick();
+  slow.release();
+  await Promise.all([busy, waiting]);
+  const positions = events.map(event => event.position);
+  if (JSON.stringify(positions) !== '[1,0]' || events.some(event => event.eventType !== 'queue' || event.modelType !== 'pro' || event.promptKey !== 'generateCompanyProfile')) {
+    throw new Error(`Unexpected queue events: ${JSON.stringify(events)}`);
+  }
+  console.log('✓ Queue positions are streamed to the waiting client');
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All AI scheduler tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ AI scheduler test failed:', err.message);
+    process.exitCode = 1;
+  });
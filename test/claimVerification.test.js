@@ -0,0 +1,193 @@
+/**
+ * Tests for the hallucination guard
+ * Covers matching claims against the source files, the verification report stored in the
+ * session, re-verifying saved documents, resolving claims and blocking approval
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const FileService = require('../src/services/fileService');
+const SessionService = require('../src/services/sessionService');
+const ClaimVerificationService = require('../src/services/claimVerificationService');
+const AIService = require('../src/services/aiService');
+const { findEvidence, extractMetricClaims, locateClaim } = require('../src/utils/claimMatcher');
+
+const SOURCES = [
+  { name: 'extensive_cv', text: 'IBM India -- Application Developer\nSeptember 2022 -- July 2025\nDrove approximately 50\\% of RTL-enablement PRs.\nBuilt a Node.js tool used by 12 teams.' },
+  { name: 'original_cv', text: 'Certified across 9 Adobe domains. MSc in IoT Systems Engineering at UCL.' }
+];
+
+const noopProvider = { name: 'noop', models: { pro: 'p', flash: 'f' }, generate: async () => ({ text: '' }) };
+
+// AI stand-in that "extracts" the claims it was given for each document
+function fakeAIService(claimsByLabel) {
+  return {
+    calls: [],
+    async extractClaims({ documentLabel, content }) {
+      this.calls.push(documentLabel);
+      if (claimsByLabel[documentLabel] instanceof Error) {
+        throw claimsByLabel[documentLabel];
+      }
+      return claimsByLabel[documentLabel] || [];
+    }
+  };
+}
+
+async function runTests() {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'claims-'));
+
+  try {
+    // Test 1: Matching
+    console.log('Test 1: Claim matching...');
+    const supported = [
+      { type: 'metric', value: '50%' },
+      { type: 'metric', value: '12 teams' },
+      { type: 'date', value: 'September 2022 - July 2025' },
+      { type: 'employer', value: 'IBM' },
+      { type: 'education', value: 'MSc IoT Systems Engineering' }
+    ];
+    const unsupported = [
+      { type: 'metric', value: '5%' },
+      { type: 'metric', value: '1.2 teams' },
+      { type: 'date', value: 'March 2022' },
+      { type: 'employer', value: 'Google' },
+      { type: 'technology', value: 'Kubernetes' }
+    ];
+    const misses = supported.filter(claim => !findEvidence(claim, SOURCES));
+    const falseHits = unsupported.filter(claim => findEvidence(claim, SOURCES));
+    if (misses.length > 0 || falseHits.length > 0) {
+      throw new Error(`Unexpected matches: missed ${JSON.stringify(misses)}, matched ${JSON.stringify(falseHits)}`);
+    }
+    // Made-up combinations of words that only appear apart in the sources
+    const split = [
+      { name: 'extensive_cv', text: 'Acme Corp -- Data Analyst\n\\item Migrated reports to Google Sheets.\n\\item Set up cloud storage backups.' },
+      { name: 'original_cv', text: 'Skills: Kubernetes, Terraform. Worked at Initech on billing.' }
+    ];
+    const fabricated = [
+      { type: 'technology', value: 'Google Cloud' },
+      { type: 'employer', value: 'Initech Kubernetes' },
+      { type: 'title', value: 'Cloud Data Analyst' }
+    ].filter(claim => findEvidence(claim, split));
+    if (fabricated.length > 0 || !findEvidence({ type: 'title', value: 'Data Analyst at Acme Corp' }, split)) {
+      throw new Error(`Words from different sentences or bullets should not support a claim: ${JSON.stringify(fabricated)}`);
+    }
+    const evidence = findEvidence({ type: 'education', value: 'UCL' }, SOURCES);
+    if (evidence.source !== 'original_cv' || !evidence.excerpt.includes('iot systems engineering at ucl')) {
+      throw new Error(`Unexpected evidence: ${JSON.stringify(evidence)}`);
+    }
+    console.log('✓ Claim words found apart in the sources (e.g. "Google" and "cloud") do not count as support');
+    const scanned = extractMetricClaims('Cut build times by 40%\nSaved $2.5m across 30 projects\nLed a team');
+    if (scanned.map(claim => claim.value).join('|') !== '40%|$2.5m|30') {
+      throw new Error(`Unexpected metric scan: ${JSON.stringify(scanned)}`);
+    }
+    const location = locateClaim('Summary\n\\item Cut build times by 40\\%', { text: 'Cut build times by 40%', value: '40%' });
+    if (location.line !== 2 || location.excerpt !== '\\item Cut build times by 40\\%') {
+      throw new Error(`Unexpected location: ${JSON.stringify(location)}`);
+    }
+    console.log('✓ Metrics and dates match by number, other claims by phrase, LaTeX escapes ignored');
+
+    // Test 2: Verifying documents
+    console.log('\nTest 2: Verifying documents...');
+    const cvStructure = {
+      sections: [{ title: 'Experience', blocks: [{ title: 'IBM', bullets: ['Drove 50% of RTL PRs', 'Mentored 8 developers'] }] }]
+    };
+    const aiService = fakeAIService({
+      CV: [
+        { type: 'metric', text: 'Drove 50% of RTL PRs', value: '50%' },
+        { type: 'metric', text: 'Mentored 8 developers', value: '8 developers' }
+      ],
+      'cover letter': new Error('AI service unavailable')
+    });
+    const service = new ClaimVerificationService(null, aiService, null);
+    const { claims, warnings } = await service.verifyDocuments({
+      cv: 'Experience\nDrove 50% of RTL PRs\nMentored 8 developers',
+      coverLetter: 'I grew revenue by 300% at IBM.',
+      coldEmail: ''
+    }, { extensiveCV: SOURCES[0].text, originalCV: SOURCES[1].text }, { cvStructure });
+    if (aiService.calls.join() !== 'CV,cover letter') {
+      throw new Error(`Unexpected extraction calls: ${aiService.calls}`);
+    }
+    const byValue = Object.fromEntries(claims.map(claim => [claim.value, claim]));
+    if (claims.length !== 3 || !byValue['50%'].supported || byValue['8 developers'].supported || byValue['300%'].supported) {
+      throw new Error(`Unexpected claims: ${JSON.stringify(claims)}`);
+    }
+    const mentored = byValue['8 developers'];
+    if (mentored.id !== 'cv-2' || mentored.location.line !== 3 || mentored.location.section !== 'Experience' || mentored.location.entry !== 'IBM') {
+      throw new Error(`Unexpected CV claim location: ${JSON.stringify(mentored)}`);
+    }
+    if (warnings.length !== 1 || !warnings[0].includes('only metrics were checked') || byValue['300%'].document !== 'coverLetter') {
+      throw new Error(`Metric scan should stand in for a failed extraction: ${JSON.stringify(warnings)}`);
+    }
+    console.log('✓ Unsupported claims flagged with section, entry and line; metrics still checked when extraction fails');
+
+    // Test 3: Session report, re-verification and resolutions
+    console.log('\nTest 3: Session report and resolutions...');
+    const fileService = new FileService();
+    const sessionService = new SessionService(fileService);
+    sessionService.sessionsDir = tempDir;
+    const session = await sessionService.createSession({ mode: 'standard' });
+    const letterPath = path.join(tempDir, session.id, 'cover_letter.txt');
+    await fs.writeFile(letterPath, 'At IBM I drove approximately 50% of RTL-enablement PRs and cut costs by 73%.');
+    await sessionService.updateSession(session.id, {
+      generatedFiles: { coverLetter: { path: letterPath } },
+      claimVerification: { claims: [{ id: 'cv-1', document: 'cv', type: 'employer', value: 'IBM', supported: true, resolution: null }] }
+    });
+
+    const sessionClaims = new ClaimVerificationService(sessionService, fakeAIService({ 'cover letter': [{ type: 'employer', text: 'At IBM', value: 'IBM' }] }), fileService);
+    sessionClaims.blockApproval = true;
+    let report = await sessionClaims.reverifySession(session.id, ['coverLetter']);
+    const unsupportedClaim = report.claims.find(claim => !claim.supported);
+    if (report.summary.total !== 4 || report.summary.unsupported !== 1 || unsupportedClaim.value !== '73%' || report.claims[0].id !== 'cv-1') {
+      throw new Error(`Unexpected report: ${JSON.stringify(report)}`);
+    }
+    if (!sessionClaims.isApprovalBlocked(await sessionService.getSession(session.id))) {
+      throw new Error('Approval should be blocked while a claim is unresolved');
+    }
+
+    report = await sessionClaims.resolveClaim(session.id, unsupportedClaim.id, 'confirmed');
+    if (report.summary.unresolved !== 0 || sessionClaims.isApprovalBlocked(await sessionService.getSession(session.id))) {
+      throw new Error(`Confirming the claim should unblock approval: ${JSON.stringify(report.summary)}`);
+    }
+    report = await sessionClaims.reverifySession(session.id, ['coverLetter']);
+    if (report.summary.unresolved !== 0 || report.claims.find(claim => claim.value === '73%').resolution !== 'confirmed') {
+      throw new Error('Confirmed claims should stay confirmed when re-verified');
+    }
+
+    const failures = [[session.id, 'cv-9', 'confirmed', 'Claim cv-9 not found'], [session.id, 'cv-1', 'ignored', 'Invalid resolution'], ['missing-session', 'cv-1', 'removed', 'not found']];
+    for (const [sessionId, claimId, resolution, message] of failures) {
+      try {
+        await sessionClaims.resolveClaim(sessionId, claimId, resolution);
+        throw new Error(`Expected ${claimId}/${resolution} to be rejected`);
+      } catch (error) {
+        if (!error.message.includes(message)) {
+          throw error;
+        }
+      }
+    }
+    sessionClaims.enabled = false;
+    if (await sessionClaims.reverifySession(session.id) !== null) {
+      throw new Error('Disabled verification should not produce a report');
+    }
+    console.log('✓ Reports stored in the session; resolutions unblock approval and survive re-verification');
+
+    // Test 4: Extraction prompt
+    console.log('\nTest 4: Extraction prompt...');
+    const prompt = new AIService(noopProvider).buildPrompt('extractClaims', { documentLabel: 'cover letter', content: 'I grew revenue by 300%.' });
+    if (!prompt.text.includes('cover letter') || !prompt.text.includes('I grew revenue by 300%.') || prompt.text.includes('{{')) {
+      throw new Error(`Unexpected prompt: ${prompt.text}`);
+    }
+    console.log('✓ extractClaims prompt renders the document');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All claim verification tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ Claim verification test failed:', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,204 @@
+/**
+ * Tests for the CV diff against original_cv.txt
+ * Covers section, entry and bullet level changes (added, removed, reworded with a word diff),
+ * rejecting individual changes and the diff and reject routes
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const createApiRoutes = require('../src/routes/api_advanced');
+const FileService = require('../src/services/fileService');
+const SessionService = require('../src/services/sessionService');
+const RevisionService = require('../src/services/revisionService');
+const { parseCV, getEditableCV, applyCVEdits } = require('../src/utils/cvStructure');
+const { renderCV } = require('../src/utils/cvRenderer');
+const { diffCV, rejectCVChanges } = require('../src/utils/cvDiff');
+
+// A tailored CV: summary rewritten, a date changed, one bullet reworded, one dropped, one added
+// and a new block at the top of the first section
+function tailor(original) {
+  const edits = JSON.parse(JSON.stringify(getEditableCV(original)));
+  const section = edits.sections.find(candidate => candidate.blocks.some(block => block.type === 'entry' && block.bullets.length > 2));
+  const entry = section.blocks.find(block => block.type === 'entry' && block.bullets.length > 2);
+  edits.summary = 'Full stack developer focused on developer tooling.';
+  entry.date = 'November 2023 to present';
+  entry.bullets[0] = entry.bullets[0].replace(/^\S+/, 'Spearheaded');
+  const dropped = entry.bullets.splice(1, 1)[0];
+  entry.bullets.push('Ran weekly accessibility reviews with the design team.');
+  section.blocks.unshift({ type: 'lines', lines: [{ label: null, text: 'Open to relocation' }] });
+  return { generated: applyCVEdits(original, edits), section, entry, dropped };
+}
+
+function changeIdsOf(diff) {
+  const ids = diff.summaryChange ? [diff.summaryChange.changeId] : [];
+  for (const section of diff.sections) {
+    for (const block of section.blocks) {
+      ids.push(...[block, ...block.fields, ...block.items].map(change => change.changeId).filter(Boolean));
+    }
+  }
+  return ids;
+}
+
+async function runTests() {
+  const originalCV = await fs.readFile(path.join(process.cwd(), 'source_files', 'original_cv.txt'), 'utf-8');
+  const original = parseCV(originalCV);
+
+  // Test 1: Diffing
+  console.log('Test 1: Section, entry and bullet changes...');
+  const { generated, section, entry, dropped } = tailor(original);
+  const diff = diffCV(original, generated);
+  if (JSON.stringify(diff.totals) !== '{"added":2,"removed":1,"reworded":3}' || diff.summaryChange.type !== 'reworded') {
+    throw new Error(`Unexpected totals: ${JSON.stringify(diff.totals)}`);
+  }
+  const changed = diff.sections.filter(candidate => candidate.status !== 'unchanged');
+  if (changed.length !== 1 || changed[0].id !== section.id) {
+    throw new Error(`Only the edited section should be changed: ${changed.map(candidate => candidate.id)}`);
+  }
+  const [added, block] = changed[0].blocks;
+  if (added.status !== 'added' || added.lines.join() !== 'Open to relocation' || block.id !== entry.id || block.status !== 'changed') {
+    throw new Error(`Unexpected blocks: ${JSON.stringify(changed[0].blocks.slice(0, 2))}`);
+  }
+  if (block.fields.length !== 1 || block.fields[0].field !== 'date' || block.fields[0].after !== 'November 2023 to present') {
+    throw new Error(`Unexpected fields: ${JSON.stringify(block.fields)}`);
+  }
+  const types = block.items.map(item => item.type);
+  if (types.join() !== 'reworded,removed,unchanged,unchanged,unchanged,added' || block.items[1].before !== dropped) {
+    throw new Error(`Unexpected bullets: ${types}`);
+  }
+  const words = block.items[0].words;
+  if (words[0].type !== 'removed' || words[1].text !== 'Spearheaded ' || words[2].type !== 'equal' || words.length !== 3) {
+    throw new Error(`Unexpected word diff: ${JSON.stringify(words)}`);
+  }
+  if (diffCV(original, original).totals.reworded !== 0 || diffCV(original, original).sections.some(candidate => candidate.status !== 'unchanged')) {
+    throw new Error('An unchanged CV should have no changes');
+  }
+  console.log('✓ Added, removed and reworded bullets, fields and blocks, in the generated order');
+
+  // Test 2: Rejecting changes
+  console.log('\nTest 2: Rejecting changes...');
+  const partial = rejectCVChanges(original, generated, [block.items[1].changeId, block.items[0].changeId, added.changeId]);
+  const restored = partial.sections.find(candidate => candidate.id === section.id);
+  const restoredEntry = restored.blocks.find(candidate => candidate.id === entry.id);
+  const originalEntry = original.sections.find(candidate => candidate.id === section.id).blocks.find(candidate => candidate.id === entry.id);
+  if (restoredEntry.bullets.slice(0, 2).join() !== originalEntry.bullets.slice(0, 2).join() || restoredEntry.bullets.length !== originalEntry.bullets.length + 1) {
+    throw new Error(`The reworded and dropped bullets should be back in place: ${JSON.stringify(restoredEntry.bullets)}`);
+  }
+  if (restored.blocks[0].id === added.id || restoredEntry.date !== 'November 2023 to present' || partial.summary !== generated.summary) {
+    throw new Error('Only the rejected changes should be undone');
+  }
+  const all = rejectCVChanges(original, { ...generated, template: 'compact' }, changeIdsOf(diff));
+  if (JSON.stringify({ ...all, template: 'classic' }) !== JSON.stringify(original)) {
+    throw new Error('Rejecting every change should give back the original CV in the generated theme');
+  }
+  try {
+    rejectCVChanges(original, generated, ['experience/experience-9/bullets/0']);
+    throw new Error('Expected unknown change IDs to be rejected');
+  } catch (error) {
+    if (!error.message.startsWith('Invalid change ID')) {
+      throw error;
+    }
+  }
+  console.log('✓ Rejected changes restore the original in place; stale change IDs refused');
+
+  // Test 3: Routes
+  console.log('\nTest 3: Diff and reject routes...');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cv-diff-'));
+  let server;
+  try {
+    const fileService = new FileService();
+    const sessionService = new SessionService(fileService);
+    sessionService.sessionsDir = tempDir;
+    const revisionService = new RevisionService(sessionService, fileService);
+    const session = await sessionService.createSession({ mode: 'standard', companyName: 'Acme' });
+    const sessionDir = sessionService.getSessionDirectory(session.id);
+    const texPath = path.join(sessionDir, 'Acme_CV.tex');
+    const structurePath = path.join(sessionDir, 'Acme_CV.json');
+    await fs.writeFile(texPath, renderCV(generated));
+    await fileService.writeJsonFile(structurePath, generated);
+    await sessionService.updateSession(session.id, { generatedFiles: { cv: { texPath, structurePath } } });
+
+    const compiles = [];
+    const documentService = {
+      compileLatexToPdf: async (filePath, outputDir, maxRetries, targetPageCount) => {
+        compiles.push({ filePath, targetPageCount });
+        return { success: true, pageCount: 2, compileErrors: [], message: 'ok' };
+      }
+    };
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createApiRoutes({ fileService, sessionService, revisionService, documentService, aiService: {} }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const request = async (urlPath, method = 'GET', body = undefined) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/${urlPath}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    const compared = await request(`cv-diff/${session.id}`);
+    if (compared.status !== 200 || !compared.body.diff.structured || !compared.body.diff.rejectable || compared.body.diff.totals.reworded !== 3) {
+      throw new Error(`Unexpected diff: ${JSON.stringify(compared.body.diff.totals)}`);
+    }
+    const rejected = await request(`cv-diff/${session.id}/reject`, 'POST', { changeIds: ['summary'] });
+    const saved = await fileService.readJsonFile(structurePath);
+    if (rejected.status !== 200 || saved.summary !== original.summary || rejected.body.diff.summaryChange !== null || rejected.body.diff.totals.reworded !== 2) {
+      throw new Error(`Unexpected reject: ${JSON.stringify(rejected.body)}`);
+    }
+    if (!(await fs.readFile(texPath, 'utf-8')).includes(original.summary.slice(0, 40)) || compiles.length !== 1 || compiles[0].targetPageCount !== null) {
+      throw new Error('The CV should be re-rendered and recompiled');
+    }
+    const revisions = await revisionService.listRevisions(session.id, 'cv');
+    if (revisions.map(revision => revision.source).join() !== 'generate,reject' || rejected.body.revision.number !== 2) {
+      throw new Error(`The tailored CV and the result should be kept as revisions: ${JSON.stringify(revisions)}`);
+    }
+
+    const errors = await Promise.all([
+      request(`cv-diff/${session.id}/reject`, 'POST', { changeIds: ['summary'] }),
+      request(`cv-diff/${session.id}/reject`, 'POST', { changeIds: [] }),
+      request('cv-diff/unknown-session')
+    ]);
+    if (errors.map(error => error.status).join() !== '400,400,404') {
+      throw new Error(`Unexpected error statuses: ${JSON.stringify(errors)}`);
+    }
+
+    // CVs edited as LaTeX can be compared but not rejected change by change
+    await sessionService.updateSession(session.id, { generatedFiles: { cv: { texPath } } });
+    await fs.writeFile(texPath, originalCV.replace('\\begin{document}', '\\begin{document}\n\\textbf{Unparsed}'));
+    const parsed = await request(`cv-diff/${session.id}`);
+    const unstructured = await request(`cv-diff/${session.id}/reject`, 'POST', { changeIds: ['summary'] });
+    if (!parsed.body.diff.structured || parsed.body.diff.rejectable || unstructured.status !== 400) {
+      throw new Error(`Unexpected LaTeX CV handling: ${JSON.stringify([parsed.body.diff.rejectable, unstructured])}`);
+    }
+    await fs.writeFile(texPath, 'Not a CV\n');
+    const lines = await request(`cv-diff/${session.id}`);
+    if (lines.body.diff.structured || lines.body.diff.added !== 1 || !lines.body.diff.lines.some(line => line.type === 'removed')) {
+      throw new Error(`CVs that cannot be parsed should get a line diff: ${JSON.stringify(lines.body.diff).slice(0, 200)}`);
+    }
+
+    await sessionService.updateSession(session.id, { generatedFiles: { cv: { texPath, structurePath } }, locked: true });
+    const locked = await request(`cv-diff/${session.id}/reject`, 'POST', { changeIds: ['summary'] });
+    if (locked.status !== 403) {
+      throw new Error(`Approved sessions cannot be changed: ${locked.status}`);
+    }
+    console.log('✓ Diffed against original_cv.txt, rejections re-rendered, recompiled and saved as a revision');
+  } finally {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+    }
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All CV diff tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ CV diff test failed:', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,138 @@
+/**
+ * Tests for the CV LaTeX editor routes
+ * Covers loading the session's CV source, saving hand edits (recompiled, kept as a revision and
+ * detached from the structure) and the errors for approved sessions and unknown content types
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const createApiRoutes = require('../src/routes/api_advanced');
+const FileService = require('../src/services/fileService');
+const SessionService = require('../src/services/sessionService');
+const RevisionService = require('../src/services/revisionService');
+const { parseCV } = require('../src/utils/cvStructure');
+const { renderCV } = require('../src/utils/cvRenderer');
+
+async function runTests() {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cv-editor-'));
+  let server;
+  try {
+    const fileService = new FileService();
+    const sessionService = new SessionService(fileService);
+    sessionService.sessionsDir = tempDir;
+    const revisionService = new RevisionService(sessionService, fileService);
+    const session = await sessionService.createSession({ mode: 'standard', companyName: 'Acme' });
+    const sessionDir = sessionService.getSessionDirectory(session.id);
+    const texPath = path.join(sessionDir, 'Acme_CV.tex');
+    const structurePath = path.join(sessionDir, 'Acme_CV.json');
+    const structure = { ...parseCV(await fs.readFile(path.join(process.cwd(), 'source_files', 'original_cv.txt'), 'utf-8')), template: 'compact' };
+    const latex = renderCV(structure);
+    await fs.writeFile(texPath, latex);
+    await fileService.writeJsonFile(structurePath, structure);
+    const compileErrors = [{ line: 3, message: 'Undefined control sequence', snippet: '\\bad', hint: 'Check the command name' }];
+    await sessionService.updateSession(session.id, { generatedFiles: { cv: { texPath, structurePath, pageCount: 1, compileErrors } } });
+
+    const compiles = [];
+    const documentService = {
+      TARGET_PAGE_COUNT: 2,
+      compileLatexToPdf: async (filePath, outputDir, maxRetries, targetPageCount, engine) => {
+        compiles.push({ filePath, targetPageCount, engine });
+        const broken = (await fs.readFile(filePath, 'utf-8')).includes('\\broken');
+        return broken
+          ? { success: false, pageCount: 0, compileErrors: [{ line: 2, message: 'Undefined control sequence', snippet: '\\broken', hint: null }], message: 'LaTeX compilation failed' }
+          : { success: true, pageCount: 1, compileErrors: [], message: 'ok' };
+      }
+    };
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createApiRoutes({ fileService, sessionService, revisionService, documentService, aiService: {} }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const request = async (urlPath, method = 'GET', body = undefined) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/${urlPath}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    // Test 1: Loading the source
+    console.log('Test 1: Loading the CV source...');
+    const loaded = await request(`cv-latex/${session.id}`);
+    if (loaded.status !== 200 || loaded.body.content !== latex || !loaded.body.structured || loaded.body.locked) {
+      throw new Error(`Unexpected source: ${JSON.stringify({ ...loaded.body, content: undefined })}`);
+    }
+    if (loaded.body.pageCount !== 1 || loaded.body.targetPageCount !== 1 || loaded.body.compileErrors[0].line !== 3) {
+      throw new Error(`The last compile and the theme's page count should be returned: ${JSON.stringify(loaded.body)}`);
+    }
+    if ((await request('cv-latex/unknown-session')).status !== 404) {
+      throw new Error('Unknown sessions should be 404s');
+    }
+    console.log('✓ Source returned with the last compile errors and the theme page count');
+
+    // Test 2: Saving hand edits
+    console.log('\nTest 2: Saving and compiling hand edits...');
+    // A magic comment in the edited source does not change the engine, which belongs to the theme
+    const edited = `% !TEX program = lualatex\n${latex.replace('\\begin{document}', '\\begin{document}\n\\broken')}`;
+    const saved = await request('save-content', 'POST', { sessionId: session.id, contentType: 'cv', content: edited });
+    if (saved.status !== 200 || saved.body.compile.success || saved.body.compile.compileErrors[0].line !== 2 || saved.body.compile.targetPageCount !== 1) {
+      throw new Error(`Unexpected save: ${JSON.stringify(saved.body)}`);
+    }
+    if (await fs.readFile(texPath, 'utf-8') !== edited || compiles.length !== 1 || compiles[0].targetPageCount !== 1 || compiles[0].engine !== 'pdflatex') {
+      throw new Error(`The edited source should be written and compiled with the theme's page count and engine: ${JSON.stringify(compiles)}`);
+    }
+    const updated = await sessionService.getSession(session.id);
+    if (updated.generatedFiles.cv.structurePath !== null || updated.generatedFiles.cv.template !== 'compact' || updated.generatedFiles.cv.compileErrors[0].line !== 2) {
+      throw new Error(`The CV should be detached from its structure: ${JSON.stringify(updated.generatedFiles.cv)}`);
+    }
+    const revisions = await revisionService.listRevisions(session.id, 'cv');
+    if (revisions.map(revision => revision.source).join() !== 'generate,edit' || saved.body.revision.number !== 2) {
+      throw new Error(`The generated CV and the edit should be kept as revisions: ${JSON.stringify(revisions)}`);
+    }
+
+    // Saving the same source again only recompiles
+    const fixed = await request('save-content', 'POST', { sessionId: session.id, contentType: 'cv', content: latex });
+    const recompiled = await request('save-content', 'POST', { sessionId: session.id, contentType: 'cv', content: latex });
+    if (!fixed.body.compile.success || recompiled.body.revision !== null || compiles.length !== 3 || compiles[2].targetPageCount !== 1) {
+      throw new Error(`Unchanged sources should only be recompiled: ${JSON.stringify(recompiled.body)}`);
+    }
+    if ((await revisionService.listRevisions(session.id, 'cv')).length !== 3 || (await request(`cv-latex/${session.id}`)).body.compileErrors.length !== 0) {
+      throw new Error('Only changed sources should become revisions');
+    }
+    console.log('✓ Edits written, recompiled, kept as revisions and detached from the structure');
+
+    // Test 3: Errors
+    console.log('\nTest 3: Errors...');
+    const errors = await Promise.all([
+      request('save-content', 'POST', { sessionId: session.id, contentType: 'resume', content: latex }),
+      request('save-content', 'POST', { sessionId: session.id, contentType: 'coverLetter', content: 'Dear Acme' }),
+      request('save-content', 'POST', { sessionId: 'unknown-session', contentType: 'cv', content: latex })
+    ]);
+    if (errors.map(error => error.status).join() !== '400,404,404') {
+      throw new Error(`Unexpected error statuses: ${JSON.stringify(errors)}`);
+    }
+    await sessionService.updateSession(session.id, { locked: true });
+    const locked = await request('save-content', 'POST', { sessionId: session.id, contentType: 'cv', content: edited });
+    if (locked.status !== 403 || !(await request(`cv-latex/${session.id}`)).body.locked || await fs.readFile(texPath, 'utf-8') !== latex) {
+      throw new Error(`Approved sessions cannot be changed: ${locked.status}`);
+    }
+    console.log('✓ Unknown content types, missing documents and approved sessions refused');
+  } finally {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+    }
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All CV editor tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ CV editor test failed:', err.message);
+    process.exitCode = 1;
+  });
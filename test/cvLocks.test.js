@@ -0,0 +1,194 @@
+/**
+ * Tests for locked regions of the base CV
+ * Covers "% locked" markers, locked blocks and summary in the structured CV, the page fitter
+ * leaving locked lines alone and generation rejecting AI output that changed them
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const DocumentService = require('../src/services/documentService');
+const FileService = require('../src/services/fileService');
+const { findLockedRegions, findLockViolations, findStructureLockViolations } = require('../src/utils/cvLocks');
+const { parseCV, getEditableCV, applyCVEdits } = require('../src/utils/cvStructure');
+const { renderCV, applyFittedLatex } = require('../src/utils/cvRenderer');
+const { nextAdjustment } = require('../src/utils/pageFitter');
+
+// original_cv.txt with its summary and the SAP BI entry locked
+function lockOriginal(originalCV) {
+  const lines = originalCV.split('\n');
+  const summary = lines.findIndex(line => line.startsWith('\\textit{Web/Application Developer'));
+  lines[summary] += ' % locked';
+  const begin = lines.findIndex(line => line.includes('SAP BI AMS BW Consultant'));
+  const end = lines.findIndex((line, index) => index > begin && line.startsWith('\\end{itemize}'));
+  lines.splice(end + 1, 0, '% locked: end');
+  lines.splice(begin, 0, '% locked: begin');
+  return lines.join('\n');
+}
+
+async function runTests() {
+  // Test 1: Markers
+  console.log('Test 1: Locked lines and regions...');
+  const latex = [
+    '\\documentclass{article}',
+    '\\begin{document}',
+    'Open to work',
+    '\\textbf{Name} \\hfill 2024 % locked',
+    'Saved 50\\% locked',
+    '% locked: begin',
+    '',
+    'First locked line',
+    'Second locked line',
+    '% locked: end',
+    '% locked: begin',
+    'Rest of the file',
+    '\\end{document}'
+  ].join('\n');
+  const regions = findLockedRegions(latex);
+  const summary = regions.map(region => `${region.startLine}-${region.endLine}:${region.text}`);
+  if (summary.join('|') !== '4-4:\\textbf{Name} \\hfill 2024 % locked|8-9:First locked line\nSecond locked line|12-13:Rest of the file\n\\end{document}') {
+    throw new Error(`Unexpected regions: ${JSON.stringify(summary)}`);
+  }
+  const edited = latex.replace('Open to work', 'Open to relocation').replace('Second locked line', 'Second line');
+  if (findLockViolations(latex, regions).length !== 0 || findLockViolations(edited, regions).map(region => region.startLine).join() !== '8') {
+    throw new Error('Only a changed region should count as a violation');
+  }
+  // Markers and trailing spaces are not content, but a locked line must stay a whole line
+  const respaced = latex.replace(' % locked', '   ').replace('% locked: begin\nFirst locked line', 'First locked line ');
+  const extended = latex.replace('\\hfill 2024 % locked', '\\hfill 2024 -- today');
+  if (findLockViolations(respaced, regions).length !== 0 || findLockViolations(extended, regions).map(region => region.startLine).join() !== '4') {
+    throw new Error('Stripped markers and trailing spaces should be accepted, a changed locked line should not');
+  }
+  // Blank lines break paragraphs, so merging locked paragraphs changes them
+  const paragraphs = '\\begin{document}\n% locked: begin\nPara one.\n\nPara two.\n% locked: end\n\\end{document}';
+  const paragraphRegions = findLockedRegions(paragraphs);
+  if (findLockViolations(paragraphs.replace(/ *% locked: (begin|end)\n/g, ''), paragraphRegions).length !== 0
+    || findLockViolations(paragraphs.replace('Para one.\n\n', 'Para one.\n'), paragraphRegions).length !== 1) {
+    throw new Error('Merged locked paragraphs should count as a violation');
+  }
+  console.log('✓ "% locked" lines and begin/end regions found, escaped percent signs ignored');
+
+  // Test 2: Structured CVs
+  console.log('\nTest 2: Locked blocks and summary...');
+  const originalCV = lockOriginal(await fs.readFile(path.join(process.cwd(), 'source_files', 'original_cv.txt'), 'utf-8'));
+  const cv = parseCV(originalCV);
+  const experience = cv.sections.find(section => section.id === 'experience');
+  const lockedIndex = experience.blocks.findIndex(block => block.locked);
+  const locked = experience.blocks[lockedIndex];
+  if (!cv.summaryLocked || experience.blocks.filter(block => block.locked).length !== 1 || !locked.title.includes('SAP BI AMS BW Consultant')) {
+    throw new Error(`Unexpected locks: ${JSON.stringify({ summaryLocked: cv.summaryLocked, locked })}`);
+  }
+  const editable = JSON.parse(JSON.stringify(getEditableCV(cv)));
+  if ('summary' in editable || editable.sections.find(section => section.id === 'experience').blocks.some(block => block.id === locked.id)) {
+    throw new Error('Locked parts should not be shown to the AI');
+  }
+
+  // The AI rewrites everything it can see, edits the locked block by ID and drops the section's first block
+  editable.summary = 'Rewritten summary';
+  const editedExperience = editable.sections.find(section => section.id === 'experience');
+  editedExperience.blocks.shift();
+  editedExperience.blocks.push({ ...locked, title: 'Changed title' });
+  const applied = applyCVEdits(cv, editable);
+  const appliedExperience = applied.sections.find(section => section.id === 'experience');
+  if (applied.summary !== cv.summary || JSON.stringify(appliedExperience.blocks[lockedIndex - 1]) !== JSON.stringify(locked) || appliedExperience.blocks.length !== experience.blocks.length - 1) {
+    throw new Error('Locked blocks should keep their place and content whatever the AI returns');
+  }
+  if (findStructureLockViolations(cv, applied).length !== 0) {
+    throw new Error('Applied edits should never violate locks');
+  }
+  const tampered = JSON.parse(JSON.stringify(applied));
+  tampered.summary = 'Changed';
+  tampered.sections.find(section => section.id === 'experience').blocks[lockedIndex - 1].bullets.pop();
+  if (findStructureLockViolations(cv, tampered).map(violation => violation.title).join() !== `Summary,${locked.title}`) {
+    throw new Error('Changed locked blocks and summary should be reported');
+  }
+  const reparsed = applyFittedLatex(applied, renderCV(applied));
+  if (!reparsed.summaryLocked || findStructureLockViolations(cv, reparsed).length !== 0) {
+    throw new Error('Classic CVs parsed again after page fitting should keep their locks');
+  }
+  console.log('✓ Locked blocks and summary hidden from the AI, kept in place and checked');
+
+  // Test 3: Page fitting
+  console.log('\nTest 3: Page fitting around locked lines...');
+  const fittable = [
+    '\\documentclass{article}',
+    '\\usepackage[top=2cm,bottom=2cm]{geometry} % locked',
+    '\\begin{document}',
+    '\\begin{itemize}',
+    '\\item Optional % priority: low',
+    '% locked: begin',
+    '\\item Kept % priority: low',
+    '% locked: end',
+    '\\end{itemize}',
+    '\\end{document}'
+  ].join('\n');
+  const first = nextAdjustment(fittable, 'shrink');
+  if (!first || !first.description.includes('"Optional"') || nextAdjustment(first.latex, 'shrink') !== null) {
+    throw new Error(`Locked margins and bullets should be left alone: ${first && first.description}`);
+  }
+  console.log('✓ Steps that would change locked lines are skipped');
+
+  // Test 4: Generation
+  console.log('\nTest 4: Generation rejects changed locked regions...');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cv-locks-test-'));
+  try {
+    const documentService = new DocumentService(new FileService());
+    documentService.compileLatexToPdf = async (texPath, outputDir, maxRetries, targetPageCount) => (
+      { success: true, pageCount: targetPageCount, pdfPath: path.join(tempDir, 'cv.pdf'), compileErrors: [], message: 'ok' }
+    );
+    const params = { jobDescription: 'JD', companyName: 'Acme', jobTitle: 'Dev', originalCV: latex, extensiveCV: '', cvStrategy: '', outputDir: tempDir };
+
+    const calls = [];
+    const responses = [edited, latex.replace('Open to work', 'Open to relocation')];
+    const aiService = {
+      generateCVAdvanced: async ({ lockedRegions }) => {
+        calls.push(lockedRegions);
+        return responses[calls.length - 1];
+      }
+    };
+    const logs = [];
+    const result = await documentService.generateCVWithAdvancedRetry(aiService, { ...params, logCallback: message => logs.push(message) });
+    if (!result.success || result.attempts !== 2 || !result.cvContent.includes('Open to relocation') || calls.length !== 2 || calls[0].length !== 3) {
+      throw new Error(`Unexpected generation: ${JSON.stringify({ success: result.success, attempts: result.attempts, calls: calls.length })}`);
+    }
+    if (!logs.includes('✗ Attempt 1 changed locked part(s) of the CV (lines 8-9)')) {
+      throw new Error(`The rejected attempt should be logged: ${JSON.stringify(logs)}`);
+    }
+
+    const stubborn = await documentService.generateCVWithAdvancedRetry({ generateCVAdvanced: async () => edited }, params);
+    if (stubborn.success || stubborn.cvContent !== latex || !stubborn.error.startsWith('Attempt 3 changed locked part(s) of the CV (lines 8-9)')) {
+      throw new Error(`Without a valid response the original CV should be kept: ${stubborn.error}`);
+    }
+
+    // Page fitting that touches a locked region is undone and the next attempt asked for
+    const tooLong = latex.replace('Open to work', 'Open to relocation');
+    documentService.compileLatexToPdf = async (texPath, outputDir, maxRetries, targetPageCount) => (
+      (await fs.readFile(texPath, 'utf-8')) === tooLong
+        ? { success: false, pageCount: targetPageCount + 1, compileErrors: [], message: 'Too long' }
+        : { success: true, pageCount: targetPageCount, pdfPath: path.join(tempDir, 'cv.pdf'), compileErrors: [], message: 'ok' }
+    );
+    documentService.fitPageCount = async (texPath, outputDir, pageCount, logCallback, targetPageCount) => (
+      { success: true, pageCount: targetPageCount, pdfPath: path.join(tempDir, 'cv.pdf'), adjustments: [], cvContent: tooLong.replace('Second locked line', 'Second line') }
+    );
+    const fitLogs = [];
+    const fitted = await documentService.generateCVWithAdvancedRetry(
+      { generateCVAdvanced: async () => tooLong, fixCVPageCount: async () => latex },
+      { ...params, logCallback: message => fitLogs.push(message) }
+    );
+    if (!fitted.success || fitted.cvContent !== latex || !fitLogs.some(message => message.startsWith('✗ Mechanical page fit changed locked part(s) of the CV (lines 8-9)'))) {
+      throw new Error(`A fit that changed a locked region should be undone: ${JSON.stringify({ success: fitted.success, logs: fitLogs })}`);
+    }
+    console.log('✓ Output that changed a locked region retried, the original kept when every attempt does, fits that change one undone');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All CV lock tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ CV lock test failed:', err.message);
+    process.exitCode = 1;
+  });
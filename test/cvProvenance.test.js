@@ -0,0 +1,99 @@
+/**
+ * Tests for bullet provenance
+ * Covers classifying generated CV bullets as kept, reworded, imported or new, saving the
+ * provenance next to the .tex, and grounding the change summary prompt in it
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { parseCV } = require('../src/utils/cvStructure');
+const { buildProvenance, formatProvenance } = require('../src/utils/cvProvenance');
+const GenerationService = require('../src/services/generationService');
+const FileService = require('../src/services/fileService');
+const AIService = require('../src/services/aiService');
+
+const noopProvider = { name: 'noop', models: { pro: 'p', flash: 'f' }, generate: async () => ({ text: '' }) };
+
+async function runTests() {
+  const sourceDir = path.join(__dirname, '..', 'source_files');
+  const originalCV = await fs.readFile(path.join(sourceDir, 'original_cv.txt'), 'utf-8');
+  const extensiveCV = await fs.readFile(path.join(sourceDir, 'extensive_cv.txt'), 'utf-8');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'provenance-'));
+
+  try {
+    // Test 1: An unchanged CV is all kept
+    console.log('Test 1: Unchanged CV...');
+    const unchanged = buildProvenance(parseCV(originalCV), { originalCV, extensiveCV });
+    if (unchanged.bullets.length === 0 || unchanged.summary.kept !== unchanged.bullets.length) {
+      throw new Error(`Unexpected summary: ${JSON.stringify(unchanged.summary)}`);
+    }
+    console.log(`✓ All ${unchanged.bullets.length} bullets and list items kept`);
+
+    // Test 2: Edit types
+    console.log('\nTest 2: Edit types...');
+    const cv = parseCV(originalCV);
+    const block = cv.sections.flatMap(section => section.blocks).find(candidate => candidate.type === 'entry' && candidate.bullets.length > 0);
+    const originalBullet = block.bullets[0];
+    block.bullets[0] = originalBullet.replace(/^\S+/, 'Spearheaded');
+    block.bullets.push('Built a Node.js component-analysis tool to surface sub-components');
+    block.bullets.push('Won the national chess championship');
+    const provenance = buildProvenance(cv, { originalCV, extensiveCV });
+    const forBlock = provenance.bullets.filter(bullet => bullet.blockId === block.id);
+    const [reworded, imported, added] = [forBlock[0], forBlock[forBlock.length - 2], forBlock[forBlock.length - 1]];
+    if (reworded.editType !== 'reworded' || reworded.source.file !== 'original_cv' || reworded.source.passage !== originalBullet.replace(/\*\*?/g, '')) {
+      throw new Error(`Expected a reworded original bullet: ${JSON.stringify(reworded)}`);
+    }
+    if (imported.editType !== 'imported' || imported.source.file !== 'extensive_cv' || !imported.source.passage.includes('improving developer triage efficiency')) {
+      throw new Error(`Expected an imported bullet: ${JSON.stringify(imported)}`);
+    }
+    if (added.editType !== 'new' || added.source !== null || added.entry !== block.title) {
+      throw new Error(`Expected a new bullet: ${JSON.stringify(added)}`);
+    }
+    if (provenance.summary.reworded !== 1 || provenance.summary.imported !== 1 || provenance.summary.new !== 1) {
+      throw new Error(`Unexpected summary: ${JSON.stringify(provenance.summary)}`);
+    }
+    console.log('✓ Reworded, imported and new bullets linked to their source passages');
+
+    // Test 3: Saved next to the .tex
+    console.log('\nTest 3: Saving provenance...');
+    const generationService = new GenerationService({ fileService: new FileService() });
+    const cvResult = { structure: cv, texPath: path.join(tempDir, 'Acme_CV.tex') };
+    const logs = [];
+    await generationService.annotateProvenance(cvResult, { originalCV, extensiveCV }, message => logs.push(message));
+    const saved = JSON.parse(await fs.readFile(path.join(tempDir, 'Acme_CV_provenance.json'), 'utf-8'));
+    if (cvResult.provenancePath !== path.join(tempDir, 'Acme_CV_provenance.json') || saved.summary.new !== 1 || !logs[0].includes('1 imported, 1 new')) {
+      throw new Error(`Unexpected result: ${JSON.stringify({ path: cvResult.provenancePath, logs })}`);
+    }
+    const unparseable = { cvContent: 'not a CV', texPath: path.join(tempDir, 'Other_CV.tex') };
+    await generationService.annotateProvenance(unparseable, { originalCV, extensiveCV });
+    if (unparseable.provenance !== null || unparseable.provenancePath !== null) {
+      throw new Error('A CV without a structure should get no provenance');
+    }
+    console.log('✓ Provenance written next to the .tex; unparseable CVs are skipped');
+
+    // Test 4: Change summary prompt
+    console.log('\nTest 4: Change summary prompt...');
+    const aiService = new AIService(noopProvider);
+    const grounded = aiService.buildPrompt('generateCVChangeSummary', { originalCV: 'A', newCV: 'B', bulletSources: formatProvenance(provenance) });
+    const plain = aiService.buildPrompt('generateCVChangeSummary', { originalCV: 'A', newCV: 'B' });
+    if (!grounded.text.includes('[new] Won the national chess championship') || !grounded.text.includes('call out any bullets marked new')) {
+      throw new Error('Bullet sources missing from the change summary prompt');
+    }
+    if (plain.text.includes('Where each bullet') || plain.text.includes('{{')) {
+      throw new Error('The change summary prompt should not mention bullet sources without them');
+    }
+    console.log('✓ Change summary prompt lists the bullet sources when available');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All CV provenance tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ CV provenance test failed:', err.message);
+    process.exitCode = 1;
+  });
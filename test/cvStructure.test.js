@@ -0,0 +1,168 @@
+/**
+ * Tests for the structured CV model
+ * Covers parsing original_cv.txt, rendering LaTeX from the classic template, escaping,
+ * applying AI edits and the structured CV generation loop in DocumentService
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseCV, getEditableCV, applyCVEdits, cvToText, latexToText, textToLatex } = require('../src/utils/cvStructure');
+const { renderCV } = require('../src/utils/cvRenderer');
+const DocumentService = require('../src/services/documentService');
+const FileService = require('../src/services/fileService');
+
+async function runTests() {
+  const originalCV = await fs.readFile(path.join(__dirname, '..', 'source_files', 'original_cv.txt'), 'utf-8');
+
+  // Test 1: Parsing the base CV
+  console.log('Test 1: Parsing original_cv.txt...');
+  const cv = parseCV(originalCV);
+  const titles = cv.sections.map(section => section.title).join('|');
+  if (titles !== 'Core Skills|Experience|Selected Projects|Education|Leadership & Volunteering|Credentials|Additional') {
+    throw new Error(`Unexpected sections: ${titles}`);
+  }
+  const experience = cv.sections.find(section => section.id === 'experience');
+  const firstRole = experience.blocks[0];
+  if (experience.blocks.length !== 5 || experience.blocks.some(block => block.type !== 'entry')) {
+    throw new Error('Experience entries not parsed');
+  }
+  if (firstRole.subtitleRight !== 'Client: IBM.com' || firstRole.bullets.length !== 5 || !firstRole.bullets[0].includes('roughly 50% of all')) {
+    throw new Error(`Unexpected first role: ${JSON.stringify(firstRole)}`);
+  }
+  const skills = cv.sections[0].blocks[0];
+  if (skills.type !== 'list' || skills.items[0].label !== 'Languages/Frameworks:' || cv.header.name !== 'Ebenezer Isaac') {
+    throw new Error('Skills list or header not parsed');
+  }
+  if (cv.sections.some(section => section.blocks.some(block => block.type === 'raw'))) {
+    throw new Error('Base CV should not need raw blocks');
+  }
+  console.log('✓ Sections, roles, bullets, skill lists and header parsed as plain text');
+
+  // Test 2: Rendering round trip
+  console.log('\nTest 2: Rendering LaTeX...');
+  const rendered = renderCV(cv);
+  if (!rendered.startsWith('\\documentclass') || !rendered.includes('\\makecvtitle') || !rendered.trimEnd().endsWith('\\end{document}')) {
+    throw new Error('Rendered CV is missing the preamble, title block or end of document');
+  }
+  if (!rendered.includes('\\item \\textbf{Languages/Frameworks:} JavaScript') || !rendered.includes('roughly 50\\% of all')) {
+    throw new Error('Rendered CV does not match the source');
+  }
+  if (JSON.stringify(parseCV(rendered)) !== JSON.stringify(cv)) {
+    throw new Error('Parsing the rendered CV does not give the same structure');
+  }
+  console.log('✓ Rendered LaTeX parses back to the same structure');
+
+  // Test 3: Escaping and raw fallback
+  console.log('\nTest 3: Escaping and raw blocks...');
+  const escaped = textToLatex('R&D at 100% for $5_000 ~ #1 {x} **Bold** and *italic*');
+  if (escaped !== 'R\\&D at 100\\% for \\$5\\_000 \\textasciitilde{} \\#1 \\{x\\} \\textbf{Bold} and \\textit{italic}') {
+    throw new Error(`Unexpected escaping: ${escaped}`);
+  }
+  if (latexToText('Cut time by \\~70\\% with \\textbf{Python}') !== 'Cut time by ~70% with **Python**' || latexToText('Scored $x^2$ \\cite{a}') !== null) {
+    throw new Error('LaTeX to text conversion is wrong');
+  }
+  const withMath = parseCV(originalCV.replace('\\item Reduced average ticket closure time', '\\item Reduced $O(n^2)$ ticket closure time'));
+  const rawBlock = withMath.sections[1].blocks[1];
+  if (rawBlock.type !== 'raw' || !rawBlock.latex.includes('$O(n^2)$') || !renderCV(withMath).includes(rawBlock.latex)) {
+    throw new Error('Unconvertible LaTeX was not kept as a raw block');
+  }
+  if (getEditableCV(withMath).sections[1].blocks.some(block => block.id === rawBlock.id)) {
+    throw new Error('Raw blocks must not be editable');
+  }
+  console.log('✓ Text is escaped on render and unconvertible LaTeX is kept verbatim and locked');
+
+  // Test 4: Applying AI edits
+  console.log('\nTest 4: Applying edits...');
+  const edits = getEditableCV(withMath);
+  const editedExperience = edits.sections[1];
+  editedExperience.blocks[0] = { ...editedExperience.blocks[0], bullets: ['Shipped 240+ components with 30\\% less effort'] };
+  editedExperience.blocks.splice(3, 1); // Drop the Rishabh internship (experience-5)
+  editedExperience.blocks.push({ type: 'entry', title: 'Freelance - Web Developer', date: '2021', bullets: ['Built sites'] });
+  editedExperience.blocks.push({ type: 'entry', title: '' });
+  edits.sections = edits.sections.filter(section => section.id !== 'education');
+  const updated = applyCVEdits(withMath, { ...edits, summary: 'New & improved summary' });
+
+  const updatedExperience = updated.sections[1];
+  const blockIds = updatedExperience.blocks.map(block => block.id).join();
+  if (blockIds !== 'experience-1,experience-2,experience-3,experience-4,experience-6') {
+    throw new Error(`Unexpected blocks after edit: ${blockIds}`);
+  }
+  if (updatedExperience.blocks[0].bullets[0] !== 'Shipped 240+ components with 30% less effort' || updatedExperience.blocks[4].title !== 'Freelance - Web Developer') {
+    throw new Error('Edited or added blocks are wrong');
+  }
+  if (updatedExperience.blocks[1] !== rawBlock || updated.sections[3] !== withMath.sections[3] || updated.summary !== 'New & improved summary') {
+    throw new Error('Raw blocks, untouched sections or the summary were not handled');
+  }
+  const text = cvToText(updated);
+  if (!text.includes('EXPERIENCE') || !text.includes('- Shipped 240+ components') || text.includes('Rishabh') || text.includes('\\')) {
+    throw new Error('Plain-text rendering is wrong');
+  }
+  console.log('✓ Edits keep IDs, raw blocks and dropped sections; removed blocks disappear and new ones get IDs');
+
+  // Test 5: Structured generation loop
+  console.log('\nTest 5: Structured generation loop...');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cv-structure-test-'));
+  try {
+    const documentService = new DocumentService(new FileService());
+    const compiled = [];
+    documentService.compileLatexToPdf = async (texPath) => {
+      const content = await fs.readFile(texPath, 'utf-8');
+      compiled.push(content);
+      // Too long until the added bullet is cut, whatever the layout
+      const pageCount = content.includes('Mentored 5 developers') ? 3 : 2;
+      return { success: pageCount === 2, pageCount, pdfPath: null, message: `PDF has ${pageCount} pages` };
+    };
+
+    const calls = [];
+    const aiService = {
+      tailorCVStructure: async (params) => {
+        calls.push(['tailor', params]);
+        const editable = JSON.parse(params.cv);
+        editable.sections[1].blocks[0].bullets.push('Mentored 5 developers');
+        return editable;
+      },
+      fitCVStructure: async (params) => {
+        calls.push(['fit', params]);
+        const editable = JSON.parse(params.cv);
+        editable.sections[1].blocks[0].bullets = editable.sections[1].blocks[0].bullets.slice(0, 2);
+        return editable;
+      },
+      generateCVAdvanced: async () => {
+        calls.push(['legacy']);
+        return '```latex\n\\documentclass{article}\\begin{document}Hi\\end{document}\n```';
+      }
+    };
+    const params = { jobDescription: 'JD', companyName: 'Acme', jobTitle: 'Dev', originalCV, extensiveCV: 'Master', cvStrategy: 'Strategy', outputDir: tempDir };
+
+    const result = await documentService.generateCVWithAdvancedRetry(aiService, params);
+    if (!result.success || result.attempts !== 2 || calls.map(call => call[0]).join() !== 'tailor,fit' || calls[1][1].actualPageCount !== 3) {
+      throw new Error(`Unexpected loop: ${JSON.stringify({ success: result.success, attempts: result.attempts, calls: calls.map(call => call[0]) })}`);
+    }
+    if (!compiled[0].includes('\\item Mentored 5 developers') || compiled[compiled.length - 1].includes('Mentored 5 developers')) {
+      throw new Error('Rendered LaTeX does not follow the structure edits');
+    }
+    const saved = JSON.parse(await fs.readFile(result.structurePath, 'utf-8'));
+    if (saved.sections[1].blocks[0].bullets.length !== 2 || result.cvContent !== renderCV(saved)) {
+      throw new Error('Saved structure does not match the final CV');
+    }
+
+    calls.length = 0;
+    const legacy = await documentService.generateCVWithAdvancedRetry(aiService, { ...params, originalCV: '\\documentclass{article}\\begin{document}Hi\\end{document}' });
+    if (calls.map(call => call[0]).join() !== 'legacy' || legacy.structurePath !== null || legacy.cvContent.includes('```')) {
+      throw new Error('Unparseable CVs should fall back to LaTeX editing');
+    }
+    console.log('✓ Structure edited, rendered, page-fitted and saved; unparseable CVs use the LaTeX prompts');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All CV structure tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ CV structure test failed:', err.message);
+    process.exitCode = 1;
+  });
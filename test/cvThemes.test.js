@@ -0,0 +1,144 @@
+/**
+ * Tests for CV themes
+ * Covers the theme list, rendering the structured CV with each theme, keeping page-fit
+ * adjustments in themed structures and generating a CV with a theme's own page count
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseCV, textToLatex } = require('../src/utils/cvStructure');
+const { renderCV, listThemes, getTheme, applyFittedLatex } = require('../src/utils/cvRenderer');
+const { nextAdjustment } = require('../src/utils/pageFitter');
+const DocumentService = require('../src/services/documentService');
+const FileService = require('../src/services/fileService');
+
+const LOW_PRIORITY_BULLET = '\\item Reduced average ticket closure time';
+
+function bulletsOf(cv) {
+  return cv.sections.flatMap(section => section.blocks.flatMap(block => block.bullets || []));
+}
+
+async function runTests() {
+  const originalCV = await fs.readFile(path.join(__dirname, '..', 'source_files', 'original_cv.txt'), 'utf-8');
+  const lines = originalCV.split('\n');
+  const bulletIndex = lines.findIndex(line => line.trim().startsWith(LOW_PRIORITY_BULLET));
+  lines[bulletIndex] = `${lines[bulletIndex]} % priority: low`;
+  const cv = parseCV(lines.join('\n'));
+
+  // Test 1: Theme list
+  console.log('Test 1: Theme list...');
+  const themes = listThemes();
+  if (themes.map(theme => theme.id).join() !== 'classic,modern,academic,compact,international' || getTheme('compact').pageCount !== 1 || getTheme('modern').pageCount !== null) {
+    throw new Error(`Unexpected themes: ${JSON.stringify(themes)}`);
+  }
+  for (const name of ['fancy', 'constructor']) {
+    try {
+      getTheme(name);
+      throw new Error(`Expected theme "${name}" to be rejected`);
+    } catch (error) {
+      if (!error.message.startsWith('Invalid theme')) {
+        throw error;
+      }
+    }
+  }
+  console.log('✓ Five themes listed; unknown themes rejected');
+
+  // Test 2: Rendering
+  console.log('\nTest 2: Rendering each theme...');
+  if (renderCV(cv) !== renderCV(cv, 'classic') || renderCV({ ...cv, template: 'compact' }) !== renderCV(cv, 'compact')) {
+    throw new Error('The CV\'s own theme should be the default');
+  }
+  for (const { id } of themes.filter(theme => theme.id !== 'classic')) {
+    const latex = renderCV(cv, id);
+    const missing = bulletsOf(cv).filter(bullet => !latex.includes(textToLatex(bullet)));
+    if (!/^(% !TEX program = \w+\n)?\\documentclass\[/.test(latex) || latex.includes('{{') || latex.includes('moderncv') || latex.includes('\\makecvtitle')) {
+      throw new Error(`${id} should build its own preamble and title`);
+    }
+    if (!latex.includes('Ebenezer Isaac') || !latex.includes('ebnezr.isaac@gmail.com') || !latex.includes('linkedin.com/in/ebnezr-isaac') || missing.length > 0) {
+      throw new Error(`${id} is missing content: ${JSON.stringify(missing)}`);
+    }
+    if (!/\\item Reduced average ticket closure time[^\n]* % priority: low\n/.test(latex) || !/\\usepackage\[[^\]]*margin=[^\]]*\]\{geometry\}/.test(latex)) {
+      throw new Error(`${id} should keep what the page fitter needs`);
+    }
+  }
+  const modern = renderCV(cv, 'modern');
+  const columnSwitch = modern.indexOf('\\switchcolumn');
+  if (!(modern.indexOf('\\cvsection{Core Skills}') < columnSwitch && modern.indexOf('\\cvsection{Additional}') < columnSwitch && modern.indexOf('\\cvsection{Experience}') > columnSwitch
+    && modern.indexOf('\\cvsection{Selected Projects}') > columnSwitch)) {
+    throw new Error('Short sections should be in the sidebar and entries in the main column');
+  }
+  console.log('✓ Each theme renders all bullets with its own preamble; modern puts short sections in the sidebar');
+
+  // Test 3: Page-fit adjustments in a themed structure
+  console.log('\nTest 3: Page fit in a themed structure...');
+  const compact = { ...cv, template: 'compact' };
+  let latex = renderCV(compact);
+  const descriptions = [];
+  let adjustment;
+  while ((adjustment = nextAdjustment(latex, 'shrink'))) {
+    descriptions.push(adjustment.description);
+    latex = adjustment.latex;
+  }
+  if (descriptions.length !== 3 || !descriptions[2].startsWith('Dropped low-priority bullet')) {
+    throw new Error(`Unexpected compact fit: ${JSON.stringify(descriptions)}`);
+  }
+  const fitted = applyFittedLatex(compact, latex);
+  if (renderCV(fitted) !== latex || bulletsOf(fitted).length !== bulletsOf(cv).length - 1 || fitted.template !== 'compact') {
+    throw new Error('Fitted structure should render to the fitted LaTeX');
+  }
+  if (!renderCV(fitted, 'academic').startsWith('\\documentclass[11pt,a4paper]{article}')) {
+    throw new Error('A fitted preamble belongs to its own theme only');
+  }
+  if (JSON.stringify(applyFittedLatex(cv, renderCV(cv))) !== JSON.stringify(cv)) {
+    throw new Error('Classic CVs should be parsed again');
+  }
+  console.log('✓ Adjusted preamble kept and dropped bullets removed, so re-rendering keeps the fit');
+
+  // Test 4: Generating with a theme
+  console.log('\nTest 4: Generation with a theme...');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cv-themes-test-'));
+  try {
+    const documentService = new DocumentService(new FileService());
+    const targets = [];
+    documentService.compileLatexToPdf = async (texPath, outputDir, maxRetries, targetPageCount) => {
+      targets.push(targetPageCount);
+      const pageCount = (await fs.readFile(texPath, 'utf-8')).includes('Reduced average ticket') ? 2 : 1;
+      return { success: pageCount === targetPageCount, pageCount, pdfPath: path.join(tempDir, 'cv.pdf'), compileErrors: [], message: `PDF has ${pageCount} pages` };
+    };
+    const aiService = { tailorCVStructure: async ({ cv: editable }) => JSON.parse(editable) };
+    const logs = [];
+    const params = {
+      jobDescription: 'JD', companyName: 'Acme', jobTitle: 'Dev', originalCV: lines.join('\n'), extensiveCV: '', cvStrategy: '', outputDir: tempDir,
+      theme: 'compact', logCallback: message => logs.push(message)
+    };
+
+    const result = await documentService.generateCVWithAdvancedRetry(aiService, params);
+    const saved = JSON.parse(await fs.readFile(result.structurePath, 'utf-8'));
+    if (!result.success || result.pageCount !== 1 || targets.some(target => target !== 1) || !result.cvContent.includes('\\cvsection{Experience}')) {
+      throw new Error(`Unexpected themed generation: ${JSON.stringify({ success: result.success, pageCount: result.pageCount, targets })}`);
+    }
+    if (saved.template !== 'compact' || !saved.layout.fitted || renderCV(saved) !== result.cvContent || !logs.includes('✓ CV generated successfully with exactly 1 page(s)')) {
+      throw new Error('The saved structure should keep the theme and the fit');
+    }
+
+    const unstructured = await documentService.generateCVWithAdvancedRetry({ generateCVAdvanced: async () => '\\documentclass{article}\\begin{document}Reduced average ticket closure time\\end{document}' }, {
+      ...params, originalCV: '\\documentclass{article}\\begin{document}Hi\\end{document}'
+    });
+    if (unstructured.structure !== null || targets[targets.length - 1] !== 2 || !logs.some(message => message.includes('the compact theme needs a structured CV'))) {
+      throw new Error('CVs that cannot be parsed should keep their layout and the default page count');
+    }
+    console.log('✓ Theme stored in the structure and its page count used throughout');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All CV theme tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ CV theme test failed:', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,129 @@
+/**
+ * Tests for document exports
+ * Covers rendering the structured CV to DOCX, Markdown, HTML and ATS-safe plain text,
+ * exporting the cover letter and cold email, and the generic download route
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const { parseCV } = require('../src/utils/cvStructure');
+const { exportCV, exportText } = require('../src/utils/documentExporter');
+const createApiRoutes = require('../src/routes/api_advanced');
+const FileService = require('../src/services/fileService');
+const SessionService = require('../src/services/sessionService');
+
+async function runTests() {
+  const originalCV = await fs.readFile(path.join(__dirname, '..', 'source_files', 'original_cv.txt'), 'utf-8');
+  const cv = parseCV(originalCV);
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'exports-'));
+  let server;
+
+  try {
+    // Test 1: CV formats
+    console.log('Test 1: CV formats...');
+    const markdown = await exportCV(cv, 'md');
+    if (!markdown.startsWith('# Ebenezer Isaac\n') || !markdown.includes('\n## Experience\n\n### IBM India Private Limited - AEM Sites Application Developer | Duration: November 2023 to July 2025\n')
+      || !markdown.includes('\n- **Platforms:** AEM Sites, Sling, OSGi, AWS, GCP KMS\n') || markdown.includes('\\')) {
+      throw new Error(`Unexpected Markdown:\n${markdown.slice(0, 500)}`);
+    }
+    const html = await exportCV(cv, 'html');
+    if (!html.startsWith('<!DOCTYPE html>') || !html.includes('<h2>Experience</h2>') || !html.includes('<li><strong>Data:</strong> Firebase, MySQL, MongoDB</li>')
+      || /<(link|script)|src=|url\(/.test(html)) {
+      throw new Error('HTML should have real headings and lists and no external resources');
+    }
+    const text = await exportCV(cv, 'txt');
+    if (!text.includes('\nEXPERIENCE\n') || !text.includes('\n- Languages/Frameworks: JavaScript') || /[^\x00-\x7f]/.test(text) || text.includes('**')
+      || !text.includes('3 years\' experience') || !text.includes('AEM Developer | Web/Application Developer')) {
+      throw new Error(`Plain text should be single-column ASCII:\n${text.slice(0, 500)}`);
+    }
+    const docx = await exportCV(cv, 'docx');
+    if (!Buffer.isBuffer(docx) || docx.slice(0, 2).toString() !== 'PK') {
+      throw new Error('DOCX export should be a zip package');
+    }
+    try {
+      await exportCV(cv, 'rtf');
+      throw new Error('Expected rtf to be rejected');
+    } catch (error) {
+      if (!error.message.startsWith('Invalid format')) {
+        throw error;
+      }
+    }
+    console.log('✓ Markdown, HTML, ATS plain text and DOCX rendered from the structure');
+
+    // Test 2: Text documents
+    console.log('\nTest 2: Cover letter and cold email...');
+    const letter = 'Dear Hiring Manager,\n\nI built “tools” — fast.\nSecond line.\n\nRegards';
+    if (await exportText(letter, 'md') !== 'Dear Hiring Manager,\n\nI built “tools” — fast.\\\nSecond line.\n\nRegards\n') {
+      throw new Error('Unexpected Markdown letter');
+    }
+    if (await exportText(letter, 'txt') !== 'Dear Hiring Manager,\n\nI built "tools" - fast.\nSecond line.\n\nRegards\n') {
+      throw new Error('Unexpected plain-text letter');
+    }
+    const letterHtml = await exportText('<b>Hi</b> & bye', 'html', 'Cover letter');
+    if (!letterHtml.includes('<p>&lt;b&gt;Hi&lt;/b&gt; &amp; bye</p>') || !letterHtml.includes('<title>Cover letter</title>')) {
+      throw new Error('Letter HTML should be escaped');
+    }
+    console.log('✓ Paragraphs kept, punctuation made ASCII-safe, HTML escaped');
+
+    // Test 3: Download route
+    console.log('\nTest 3: Download route...');
+    const fileService = new FileService();
+    const sessionService = new SessionService(fileService);
+    sessionService.sessionsDir = tempDir;
+    const session = await sessionService.createSession({ mode: 'standard', companyName: 'Acme' });
+    const structurePath = path.join(tempDir, 'Acme_CV.json');
+    const letterPath = path.join(tempDir, 'cover_letter.txt');
+    await fs.writeFile(structurePath, JSON.stringify(cv));
+    await fs.writeFile(letterPath, letter);
+    await sessionService.updateSession(session.id, {
+      generatedFiles: { cv: { structurePath, texPath: path.join(tempDir, 'missing.tex') }, coverLetter: { path: letterPath } }
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createApiRoutes({ fileService, sessionService, aiService: {}, documentService: {} }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const download = urlPath => fetch(`http://127.0.0.1:${server.address().port}/api/download/${urlPath}`);
+
+    let response = await download(`${session.id}/cv/txt`);
+    if (response.status !== 200 || await response.text() !== text || !response.headers.get('content-disposition').includes(`${session.id}_CV.txt`)) {
+      throw new Error(`Unexpected CV download: ${response.status}`);
+    }
+    response = await download(`${session.id}/cover-letter/html`);
+    if (response.status !== 200 || !response.headers.get('content-type').startsWith('text/html') || !(await response.text()).includes('<title>Cover letter - Acme</title>')) {
+      throw new Error(`Unexpected cover letter download: ${response.status}`);
+    }
+    const failures = [
+      [`${session.id}/cv/rtf`, 400],
+      [`${session.id}/cover-letter/pdf`, 400],
+      [`${session.id}/resume/txt`, 400],
+      [`${session.id}/cold-email/txt`, 404],
+      [`${session.id}/cv/tex`, 404],
+      ['..%2Fetc/cv/txt', 400]
+    ];
+    for (const [urlPath, status] of failures) {
+      response = await download(urlPath);
+      if (response.status !== status || response.headers.get('content-disposition')) {
+        throw new Error(`Expected ${urlPath} to fail with ${status}, got ${response.status}`);
+      }
+    }
+    console.log('✓ Documents downloadable per session and format; bad types, formats and sessions rejected');
+  } finally {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+    }
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All document export tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ Document export test failed:', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,106 @@
+/**
+ * Tests for schema-validated JSON responses
+ * Uses a scripted in-memory provider so each test controls exactly what the model returns
+ */
+
+const { validateSchema } = require('../src/utils/jsonSchema');
+const AIService = require('../src/services/aiService');
+
+// Provider that returns the scripted responses in order and records every request
+function createScriptedProvider(responses) {
+  return {
+    name: 'scripted',
+    models: { pro: 'scripted-pro', flash: 'scripted-flash' },
+    requests: [],
+    async generate(request) {
+      this.requests.push(request);
+      return { text: responses.shift() };
+    }
+  };
+}
+
+async function runTests() {
+  // Test 1: Validator reports missing fields, wrong types and nested paths
+  console.log('Test 1: Schema validator...');
+  const schema = {
+    type: 'object',
+    required: ['name', 'tags'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      email: { type: ['string', 'null'] },
+      tags: { type: 'array', minItems: 1, items: { type: 'string' } }
+    }
+  };
+  const errors = validateSchema({ name: '', email: 5, tags: ['ok', 3] }, schema);
+  const expected = ['$.name must not be empty', '$.email must be string or null, got integer', '$.tags[1] must be string, got integer'];
+  if (JSON.stringify(errors) !== JSON.stringify(expected)) {
+    throw new Error(`Unexpected validation errors: ${JSON.stringify(errors)}`);
+  }
+  if (validateSchema({ name: 'A', email: null, tags: ['x'] }, schema).length !== 0) {
+    throw new Error('Valid value was rejected');
+  }
+  console.log('✓ Validator reports precise errors');
+
+  // Test 2: Invalid response is repaired using the validation errors
+  console.log('\nTest 2: Repairing a response that misses a required field...');
+  const repairProvider = createScriptedProvider([
+    '```json\n{"companyName": "Acme"}\n```',
+    '{"companyName": "Acme", "jobTitle": "Engineer"}'
+  ]);
+  const repairService = new AIService(repairProvider);
+  const details = await repairService.extractJobDetails('Acme is hiring an Engineer');
+  if (details.jobTitle !== 'Engineer') {
+    throw new Error(`Repair did not return the corrected response: ${JSON.stringify(details)}`);
+  }
+  const repairRequest = repairProvider.requests[1];
+  if (repairRequest.promptKey !== 'repairJsonResponse' || !repairRequest.prompt.includes('$.jobTitle is required') || !repairRequest.prompt.includes('Acme is hiring an Engineer')) {
+    throw new Error('Repair prompt is missing the validation errors or the original task');
+  }
+  console.log('✓ Invalid response repaired');
+
+  // Test 3: Malformed JSON is repaired instead of failing immediately
+  console.log('\nTest 3: Repairing malformed JSON...');
+  const malformedService = new AIService(createScriptedProvider([
+    '{"jobTitles": ["CTO",]}',
+    '{"jobTitles": ["CTO"]}'
+  ]));
+  const titles = await malformedService.getIntelligence('Jane Doe', 'Acme');
+  if (JSON.stringify(titles) !== '["CTO"]') {
+    throw new Error(`Malformed JSON was not repaired: ${JSON.stringify(titles)}`);
+  }
+  console.log('✓ Malformed JSON repaired');
+
+  // Test 4: Callers fall back once the repair attempts are exhausted
+  console.log('\nTest 4: Fallback after exhausting repairs...');
+  const invalid = '{"company_intelligence": {"description": "Acme"}, "decision_makers": []}';
+  const exhaustedProvider = createScriptedProvider([invalid, invalid, invalid, invalid]);
+  const exhaustedService = new AIService(exhaustedProvider);
+  exhaustedService.jsonRepairAttempts = 2;
+  const research = await exhaustedService.researchCompanyAndIdentifyPeople({ companyName: 'Acme', originalCV: '', reconStrategy: '' });
+  if (exhaustedProvider.requests.length !== 3) {
+    throw new Error(`Expected 1 request and 2 repairs, got ${exhaustedProvider.requests.length} requests`);
+  }
+  if (research.company_intelligence.description !== 'Unable to research company.') {
+    throw new Error('Research did not fall back after failed repairs');
+  }
+  try {
+    await new AIService(createScriptedProvider([invalid, invalid, invalid])).generateJsonWithRetry(
+      exhaustedService.buildPrompt('researchCompanyAndIdentifyPeople', { companyName: 'Acme' })
+    );
+    throw new Error('Expected generateJsonWithRetry to throw');
+  } catch (error) {
+    if (!error.isAIFailure || !error.message.includes('$.company_intelligence.domain is required')) {
+      throw error;
+    }
+  }
+  console.log('✓ Falls back after exhausting repairs');
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All JSON schema repair tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ JSON schema repair test failed:', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,112 @@
+/**
+ * Tests for ATS keyword analysis
+ * Covers keyword matching and the coverage report, the scoring step after CV generation
+ * and re-scoring a refined CV
+ */
+
+const GenerationService = require('../src/services/generationService');
+const AIService = require('../src/services/aiService');
+const { analyzeKeywordCoverage, rescoreKeywordReport, splitSections } = require('../src/utils/keywordMatcher');
+
+const noopProvider = { name: 'noop', models: { pro: 'p', flash: 'f' }, generate: async () => ({ text: '' }) };
+
+const CV_TEXT = [
+  'Jane Doe',
+  'Full-stack developer',
+  'Core Skills',
+  'JavaScript, NodeJS, React, CI-CD pipelines, C++',
+  'Experience',
+  'Built React apps with Node.js and TypeScript for 12 clients.'
+].join('\n');
+const SECTION_TITLES = ['Core Skills', 'Experience'];
+
+async function runTests() {
+  // Test 1: Matching
+  console.log('Test 1: Keyword matching...');
+  const report = analyzeKeywordCoverage({
+    required: ['Node.js', 'React', 'CI/CD', 'Java', 'C', 'react'],
+    preferred: ['TypeScript', 'Kubernetes', 'full stack']
+  }, CV_TEXT, SECTION_TITLES);
+  const byKeyword = Object.fromEntries(report.keywords.map(keyword => [keyword.keyword, keyword]));
+  if (report.matched.join() !== 'Node.js,React,CI/CD,TypeScript,full stack' || report.missing.join() !== 'Java,C,Kubernetes') {
+    throw new Error(`Unexpected matches: ${JSON.stringify({ matched: report.matched, missing: report.missing })}`);
+  }
+  if (byKeyword['Node.js'].occurrences !== 2 || byKeyword['Node.js'].sections.join() !== 'Core Skills,Experience' || byKeyword['full stack'].sections.join() !== 'Header') {
+    throw new Error(`Unexpected occurrences or sections: ${JSON.stringify(report.keywords)}`);
+  }
+  // 6 of 10 weighted points for required keywords, 2 of 3 for preferred ones
+  if (report.score !== 62 || report.totalWords !== 23 || byKeyword.React.density !== 8.7) {
+    throw new Error(`Unexpected score or density: ${JSON.stringify({ score: report.score, totalWords: report.totalWords, density: byKeyword.React.density })}`);
+  }
+  if (analyzeKeywordCoverage({ required: [], preferred: [] }, CV_TEXT).score !== null) {
+    throw new Error('A job without keywords should have no score');
+  }
+  const sections = splitSections(CV_TEXT, SECTION_TITLES);
+  if (sections.map(section => section.title).join() !== 'Header,Core Skills,Experience') {
+    throw new Error(`Unexpected sections: ${JSON.stringify(sections)}`);
+  }
+  console.log('✓ Separators and case ignored, "Java" does not match "JavaScript", duplicates listed once');
+
+  // Test 2: Scoring step after generation
+  console.log('\nTest 2: Scoring after generation...');
+  const updates = [];
+  const prompts = [];
+  const generationService = new GenerationService({
+    aiService: {
+      extractJobKeywords: async params => {
+        prompts.push(params);
+        return { required: ['React', 'GraphQL'], preferred: ['TypeScript'] };
+      }
+    },
+    sessionService: { updateSession: async (sessionId, data) => updates.push({ sessionId, ...data }) }
+  });
+  const logs = [];
+  const jobData = { jobTitle: 'Frontend Engineer', keyQualifications: ['3+ years of React', 'GraphQL APIs'], educationExperience: 'TypeScript a plus' };
+  const stored = await generationService.analyzeKeywords({
+    sessionId: 'session-1',
+    jobData,
+    cvText: CV_TEXT,
+    cvResult: { structure: { sections: SECTION_TITLES.map(title => ({ title })) } },
+    logCallback: (message, level) => logs.push({ message, level })
+  });
+  if (stored.score !== 60 || stored.missing.join() !== 'GraphQL' || updates.length !== 1 || updates[0].keywordReport !== stored) {
+    throw new Error(`Unexpected stored report: ${JSON.stringify({ stored, updates })}`);
+  }
+  if (prompts[0].keyQualifications !== jobData.keyQualifications || logs[1].level !== 'warning' || !logs[1].message.includes('1 required missing')) {
+    throw new Error(`Unexpected prompt or logs: ${JSON.stringify({ prompts, logs })}`);
+  }
+  const skipped = await generationService.analyzeKeywords({ sessionId: 'session-1', jobData: { jobTitle: 'Cold Outreach' }, cvText: CV_TEXT, cvResult: {} });
+  if (skipped !== null || prompts.length !== 1) {
+    throw new Error('Jobs without qualifications should not be scored');
+  }
+  generationService.aiService.extractJobKeywords = async () => { throw new Error('AI service unavailable'); };
+  if (await generationService.analyzeKeywords({ sessionId: 'session-1', jobData, cvText: CV_TEXT, cvResult: {} }) !== null) {
+    throw new Error('A failed keyword extraction should not fail generation');
+  }
+  console.log('✓ Report stored in the session; skipped without qualifications; failures are not fatal');
+
+  // Test 3: Re-scoring a refined CV
+  console.log('\nTest 3: Re-scoring...');
+  const refined = rescoreKeywordReport(stored, `${CV_TEXT}\nDesigned GraphQL APIs.`, SECTION_TITLES);
+  if (refined.score !== 100 || refined.missing.length !== 0 || refined.keywords.find(keyword => keyword.keyword === 'GraphQL').sections.join() !== 'Experience') {
+    throw new Error(`Unexpected refined report: ${JSON.stringify(refined)}`);
+  }
+  console.log('✓ The same keywords are measured against the refined CV');
+
+  // Test 4: Keyword prompt
+  console.log('\nTest 4: Keyword prompt...');
+  const prompt = new AIService(noopProvider).buildPrompt('extractJobKeywords', jobData);
+  if (!prompt.text.includes('- 3+ years of React') || !prompt.text.includes('TypeScript a plus') || prompt.text.includes('{{')) {
+    throw new Error(`Unexpected prompt: ${prompt.text}`);
+  }
+  console.log('✓ extractJobKeywords prompt lists the qualifications');
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All keyword matcher tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ Keyword matcher test failed:', err.message);
+    process.exitCode = 1;
+  });
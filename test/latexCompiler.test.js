@@ -0,0 +1,202 @@
+/**
+ * Tests for the LaTeX sandbox
+ * Uses a shell script standing in for pdflatex to cover forbidden commands, the arguments and
+ * environment the engine runs with, TeX errors, the timeout, the output limit and the queue
+ * (including slots given back when a compile fails before TeX starts)
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LatexCompiler = require('../src/services/latexCompiler');
+
+const DOCUMENT = '\\documentclass{article}\n\\begin{document}\nHello 100\\% % \\input{/etc/passwd} in a comment\n\\end{document}\n';
+
+// Behaviour is chosen by a word in the source: fail, sleep, flood or (by default) succeed. The
+// record path is written into the script since the engine only gets a minimal environment.
+const engineScript = recordPath => `#!/bin/sh
+if grep -q FAIL texput.tex; then
+  printf 'This is pdfTeX\\n! Undefined control sequence.\\nl.3 \\\\foo\\n\\nNo pages of output.\\n' > texput.log
+  exit 1
+fi
+if grep -q SLEEP texput.tex; then exec sleep 30; fi
+if grep -q FLOOD texput.tex; then exec yes flood; fi
+printf '%s\\n' "$*" "$(pwd)" "$shell_escape $openin_any $openout_any \${CV_TEST_API_KEY:-no-key}" >> "${recordPath}"
+printf '%%PDF-1.4 fake' > texput.pdf
+sleep 0.2
+`;
+
+async function expectFailure(promise, check, description) {
+  try {
+    await promise;
+  } catch (error) {
+    if (!check(error)) {
+      throw new Error(`Unexpected error when ${description}: ${error.message}`);
+    }
+    return error;
+  }
+  throw new Error(`Expected compilation to fail when ${description}`);
+}
+
+async function runTests() {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'latex-compiler-test-'));
+  const command = path.join(tempDir, 'fake-pdflatex');
+  const recordPath = path.join(tempDir, 'record.txt');
+  await fs.writeFile(command, engineScript(recordPath), { mode: 0o755 });
+  // Stands in for the provider API keys in the server's environment
+  process.env.CV_TEST_API_KEY = 'secret';
+  const compiler = new LatexCompiler({ commands: { pdflatex: command }, timeoutMs: 1000, maxConcurrent: 1, maxOutputBytes: 64 * 1024 });
+
+  try {
+    // Test 1: Forbidden commands
+    console.log('Test 1: Forbidden commands...');
+    const forbidden = [
+      ['\\input{/etc/passwd}', '\\input'],
+      ['\\immediate\\write18{rm -rf ~}', '\\immediate'],
+      ['\\newread\\file \\openin\\file=secret.txt', '\\openin'],
+      ['\\catcode`\\~=0', '\\catcode'],
+      ['\\csname input\\endcsname{x}', '\\csname'],
+      ['^^5cinput{x}', '^^ character codes'],
+      // Package-level routes around openin_any, which only restricts TeX's own file opens
+      ['\\usepackage{luacode}\\begin{luacode}tex.print(io.open("/etc/passwd"):read("a"))\\end{luacode}', '\\begin{luacode}'],
+      ['\\luadirect{tex.print(io.open("/etc/passwd"):read("a"))}', '\\luadirect'],
+      ['\\VerbatimInput{/etc/passwd}', '\\VerbatimInput'],
+      ['\\inputfrom{/etc/}{passwd}', '\\inputfrom'],
+      ['\\includefrom{/etc/}{passwd}', '\\includefrom'],
+      ['\\subinputfrom{/etc/}{passwd}', '\\subinputfrom'],
+      ['\\subincludefrom{/etc/}{passwd}', '\\subincludefrom'],
+      ['\\pdfobj file {/etc/passwd}', '\\pdfobj'],
+      ['\\embedfile{/etc/passwd}', '\\embedfile'],
+      ['\\begin{filecontents*}{cv.tex}', '\\begin{filecontents*}']
+    ];
+    for (const [line, command] of forbidden) {
+      const error = await expectFailure(compiler.compile(DOCUMENT.replace('Hello', `Hello\n${line}\n`)), e => e.isLatexSandbox, `using ${command}`);
+      if (error.reason !== 'forbidden' || error.line !== 4 || error.snippet !== line || error.message !== `Forbidden command ${command} on line 4` || !error.hint) {
+        throw new Error(`Unexpected error for ${command}: ${JSON.stringify(error)}`);
+      }
+    }
+    LatexCompiler.checkSource(DOCUMENT.replace('Hello', '\\inputenc \\readme \\textbackslash{}input'));
+
+    // Packages outside the allowlist, also in lists spanning lines or without braces
+    const packages = [
+      ['\\usepackage{luacode}', 'luacode', 2],
+      ['\\usepackage[hmargin=1cm]{geometry, % margins\n  fancyvrb}', 'fancyvrb', 2],
+      ['\\RequirePackage{embedfile}', 'embedfile', 2],
+      ['\\usepackage luacode', 'without a {name}', 2]
+    ];
+    for (const [line, name, lineNumber] of packages) {
+      const error = await expectFailure(compiler.compile(DOCUMENT.replace('\\begin{document}', `${line}\n\\begin{document}`)), e => e.isLatexSandbox, `loading ${name}`);
+      if (error.reason !== 'forbidden' || error.message !== `Package ${name} is not allowed on line ${lineNumber}` || !error.hint.includes('geometry')) {
+        throw new Error(`Unexpected error for package ${name}: ${JSON.stringify(error)}`);
+      }
+    }
+    LatexCompiler.checkSource(DOCUMENT.replace('\\begin{document}', '\\usepackage{tikz}\n\\begin{document}'), ['tikz']);
+    // Document classes are allowlisted the same way
+    const classes = [
+      ['\\documentclass[11pt]{evilclass}', 'evilclass', 1],
+      ['\\documentclass{article}\n\\LoadClass{evilclass}', 'evilclass', 2],
+      ['\\documentclass article', 'without a {name}', 1]
+    ];
+    for (const [line, name, lineNumber] of classes) {
+      const error = await expectFailure(compiler.compile(DOCUMENT.replace('\\documentclass{article}', line)), e => e.isLatexSandbox, `loading class ${name}`);
+      if (error.reason !== 'forbidden' || error.message !== `Document class ${name} is not allowed on line ${lineNumber}` || !error.hint.includes('moderncv')) {
+        throw new Error(`Unexpected error for class ${name}: ${JSON.stringify(error)}`);
+      }
+    }
+    const templates = path.join(__dirname, '..', 'src', 'cvTemplates');
+    for (const file of await fs.readdir(templates)) {
+      LatexCompiler.checkSource(await fs.readFile(path.join(templates, file), 'utf-8'));
+    }
+    LatexCompiler.checkSource(await fs.readFile(path.join(__dirname, '..', 'source_files', 'original_cv.txt'), 'utf-8'));
+    console.log('✓ File, shell, Lua and catcode commands rejected with their line; comments and longer names allowed');
+    console.log('✓ Only allowlisted packages and classes load; the templates and the base CV pass');
+
+    // Test 2: Successful compile
+    console.log('\nTest 2: Successful compile...');
+    const pdf = await compiler.compile(DOCUMENT);
+    const [args, workDir, env] = (await fs.readFile(recordPath, 'utf-8')).trim().split('\n');
+    const passes = (await fs.readFile(recordPath, 'utf-8')).split('\n').filter(line => line === args).length;
+    if (pdf.toString() !== '%PDF-1.4 fake' || passes !== 2) {
+      throw new Error(`Expected the PDF after two passes, got ${passes}`);
+    }
+    if (args !== '-no-shell-escape -interaction=nonstopmode -halt-on-error -jobname=texput texput.tex' || env !== 'f p p no-key') {
+      throw new Error(`Unexpected engine arguments or environment: ${args} / ${env}`);
+    }
+    if (!path.basename(workDir).startsWith('latex-') || await fs.stat(workDir).then(() => true, () => false)) {
+      throw new Error(`Working directory should be a temporary directory removed afterwards: ${workDir}`);
+    }
+    console.log('✓ Two passes without shell escape or the server\'s secrets in a temporary directory that is removed');
+
+    // Test 3: TeX errors
+    console.log('\nTest 3: TeX errors...');
+    const logPath = path.join(tempDir, 'cv.log');
+    const syntaxError = await expectFailure(compiler.compile(DOCUMENT.replace('Hello', 'FAIL')), e => !e.isLatexSandbox, 'TeX fails');
+    if (syntaxError.message !== 'LaTeX Syntax Error\n! Undefined control sequence.\nl.3 \\foo') {
+      throw new Error(`Unexpected syntax error: ${syntaxError.message}`);
+    }
+    await expectFailure(compiler.compile(DOCUMENT.replace('Hello', 'FAIL'), { logPath }), e => e.message.startsWith('LaTeX Syntax Error'), 'TeX fails');
+    if (!(await fs.readFile(logPath, 'utf-8')).includes('l.3 \\foo')) {
+      throw new Error('The log should be copied to logPath');
+    }
+    await expectFailure(new LatexCompiler({ commands: { pdflatex: path.join(tempDir, 'missing') }, timeoutMs: 1000, maxConcurrent: 1, maxOutputBytes: 1024 }).compile(DOCUMENT),
+      e => e.message.startsWith('Unable to run'), 'the engine is missing');
+    console.log('✓ Error lines in the message and the log kept for the parser');
+
+    // Test 4: Limits
+    console.log('\nTest 4: Timeout and output limit...');
+    const started = Date.now();
+    const timeout = await expectFailure(compiler.compile(DOCUMENT.replace('Hello', 'SLEEP')), e => e.isLatexSandbox, 'TeX runs too long');
+    if (timeout.reason !== 'timeout' || Date.now() - started > 5000) {
+      throw new Error(`Expected a timeout after about a second: ${timeout.reason} after ${Date.now() - started}ms`);
+    }
+    const flood = await expectFailure(compiler.compile(DOCUMENT.replace('Hello', 'FLOOD')), e => e.isLatexSandbox, 'TeX prints too much');
+    if (flood.reason !== 'output-limit') {
+      throw new Error(`Expected the output limit: ${flood.reason}`);
+    }
+    console.log('✓ Runaway compiles killed');
+
+    // Test 5: Queue
+    console.log('\nTest 5: Queue...');
+    await fs.rm(recordPath);
+    const compiles = [compiler.compile(DOCUMENT), compiler.compile(DOCUMENT), compiler.compile(DOCUMENT)];
+    const stats = compiler.getStats();
+    if (stats.active !== 1 || stats.queued !== 2 || stats.limit !== 1) {
+      throw new Error(`Unexpected queue: ${JSON.stringify(stats)}`);
+    }
+    await Promise.all(compiles);
+    const workDirs = (await fs.readFile(recordPath, 'utf-8')).trim().split('\n').filter((line, index) => index % 3 === 1);
+    if (workDirs.length !== 6 || workDirs[0] !== workDirs[1] || workDirs[1] === workDirs[2] || JSON.stringify(compiler.getStats()) !== '{"active":0,"queued":0,"limit":1}') {
+      throw new Error(`Compiles should run one after another: ${JSON.stringify(workDirs)}`);
+    }
+    console.log('✓ Compiles beyond the limit wait their turn, each in its own directory');
+
+    // A compile that fails before TeX starts gives its slot back
+    const mkdtemp = fs.mkdtemp;
+    fs.mkdtemp = async () => {
+      throw new Error('ENOSPC: no space left on device');
+    };
+    try {
+      for (let i = 0; i < 2; i++) {
+        await expectFailure(compiler.compile(DOCUMENT), e => e.message.startsWith('ENOSPC'), 'the working directory cannot be created');
+      }
+    } finally {
+      fs.mkdtemp = mkdtemp;
+    }
+    if (JSON.stringify(compiler.getStats()) !== '{"active":0,"queued":0,"limit":1}' || (await compiler.compile(DOCUMENT)).toString() !== '%PDF-1.4 fake') {
+      throw new Error(`Failed compiles should release their slot: ${JSON.stringify(compiler.getStats())}`);
+    }
+    console.log('✓ Slots released when the working directory cannot be created');
+  } finally {
+    delete process.env.CV_TEST_API_KEY;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All LaTeX sandbox tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ LaTeX sandbox test failed:', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,146 @@
+/**
+ * Tests for TeX engine selection
+ * Covers reading the engine from a template's "% !TEX program" line, the engine allowlist, taking
+ * the engine from the theme or base CV rather than the generated CV and compiling with each
+ * engine through DocumentService, using shell scripts standing in for the
+ * engines that write a real two-page PDF so the page count is checked the same way for all
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { detectEngine, LATEX_ENGINES } = require('../src/utils/latexEngines');
+const { parseCV } = require('../src/utils/cvStructure');
+const { getCVEngine, getTheme, renderCV } = require('../src/utils/cvRenderer');
+const LatexCompiler = require('../src/services/latexCompiler');
+const DocumentService = require('../src/services/documentService');
+const FileService = require('../src/services/fileService');
+
+const BODY = '\\begin{document}\nHello\n\\end{document}\n';
+
+function makePdf(pageCount) {
+  const kids = Array.from({ length: pageCount }, (_, i) => `${i + 3} 0 R`).join(' ');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${kids}] /Count ${pageCount} >>`,
+    ...Array.from({ length: pageCount }, () => '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] >>')
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  const entries = offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  return `${pdf}xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${entries}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+}
+
+async function runTests() {
+  // Test 1: Reading the engine
+  console.log('Test 1: Engine from the magic comment...');
+  const cases = [
+    ['\\documentclass{article}\n', 'pdflatex', null],
+    ['% !TEX program = xelatex\n\\documentclass{article}\n', 'xelatex', 1],
+    ['\\documentclass{article}\n%!TeX TS-program=LuaLaTeX\n', 'lualatex', 2],
+    ['\\documentclass{article}\n\\begin{document}\n% !TEX program = tectonic\n', 'pdflatex', null]
+  ];
+  for (const [latex, engine, line] of cases) {
+    const detected = detectEngine(latex);
+    if (detected.engine !== engine || detected.line !== line) {
+      throw new Error(`Expected ${engine} on line ${line}, got ${JSON.stringify(detected)}`);
+    }
+  }
+  if (getTheme('international').engine !== 'xelatex' || getTheme('compact').engine !== 'pdflatex' || getTheme('classic').engine !== null) {
+    throw new Error('Themes should report their template\'s engine');
+  }
+  try {
+    LatexCompiler.selectEngine(`\\documentclass{article}\n% !TEX program = bash\n${BODY}`);
+    throw new Error('Expected an engine outside the allowlist to be rejected');
+  } catch (error) {
+    if (!error.isLatexSandbox || error.line !== 2 || error.snippet !== '% !TEX program = bash' || error.hint !== `Use one of: ${Object.keys(LATEX_ENGINES).join(', ')}`) {
+      throw error;
+    }
+  }
+  const baseCV = `\\documentclass{article}\n${BODY}`;
+  const engines = [
+    getCVEngine('international', baseCV),
+    getCVEngine('compact', '% !TEX program = lualatex\n'),
+    getCVEngine('classic', baseCV),
+    getCVEngine('classic', `% !TEX program = lualatex\n${baseCV}`),
+    getCVEngine(null, `% !TEX program = tectonic\n${baseCV}`)
+  ];
+  if (engines.join() !== 'xelatex,pdflatex,pdflatex,lualatex,tectonic') {
+    throw new Error(`CVs should use their theme's engine, or the base CV's for classic and LaTeX CVs: ${engines}`);
+  }
+  console.log('✓ Magic comment read before \\begin{document} only; unknown engines rejected');
+  console.log('✓ Engine taken from the theme, or the base CV for classic and LaTeX CVs');
+
+  // Test 2: Compiling with each engine
+  console.log('\nTest 2: Compiling with each engine...');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'latex-engines-test-'));
+  const recordPath = path.join(tempDir, 'record.txt');
+  const fixturePath = path.join(tempDir, 'two-pages.pdf');
+  try {
+    await fs.writeFile(fixturePath, makePdf(2));
+    const commands = {};
+    for (const engine of Object.keys(LATEX_ENGINES)) {
+      commands[engine] = path.join(tempDir, `fake-${engine}`);
+      await fs.writeFile(commands[engine], `#!/bin/sh\necho "${engine} $*" >> "${recordPath}"\ncp "${fixturePath}" texput.pdf\n`, { mode: 0o755 });
+    }
+    const documentService = new DocumentService(new FileService());
+    documentService.latexCompiler = new LatexCompiler({ commands, timeoutMs: 5000, maxConcurrent: 1, maxOutputBytes: 1024 * 1024 });
+
+    for (const engine of Object.keys(LATEX_ENGINES)) {
+      await fs.rm(recordPath, { force: true });
+      const texPath = path.join(tempDir, `${engine}.tex`);
+      await fs.writeFile(texPath, `\\documentclass{article}\n${BODY}`);
+      const result = await documentService.compileLatexToPdf(texPath, tempDir, 1, 2, engine);
+      const runs = (await fs.readFile(recordPath, 'utf-8')).trim().split('\n');
+      if (!result.success || result.pageCount !== 2 || result.engine !== engine || runs.length !== LATEX_ENGINES[engine].passes) {
+        throw new Error(`Unexpected ${engine} compile: ${JSON.stringify({ ...result, runs })}`);
+      }
+      if (runs[0] !== `${engine} ${LATEX_ENGINES[engine].args.join(' ')}`) {
+        throw new Error(`Unexpected ${engine} arguments: ${runs[0]}`);
+      }
+    }
+    const tectonicArgs = LATEX_ENGINES.tectonic.args;
+    if (!tectonicArgs.includes('--untrusted') || LATEX_ENGINES.xelatex.args[0] !== '-no-shell-escape' || LATEX_ENGINES.tectonic.passes !== 1) {
+      throw new Error('Every engine should run without shell escape');
+    }
+
+    const originalCV = await fs.readFile(path.join(__dirname, '..', 'source_files', 'original_cv.txt'), 'utf-8');
+    const texPath = path.join(tempDir, 'international.tex');
+    await fs.writeFile(texPath, renderCV(parseCV(originalCV), 'international'));
+    const themed = await documentService.compileLatexToPdf(texPath, tempDir, 1, 2, getCVEngine('international', originalCV));
+    if (!themed.success || themed.engine !== 'xelatex') {
+      throw new Error(`The international theme should compile with XeLaTeX: ${themed.engine}`);
+    }
+    console.log('✓ Each engine runs its own passes and the page count is validated the same way');
+
+    // Test 3: Engines chosen by the CV itself
+    console.log('\nTest 3: Magic comments in generated CVs and engines outside the allowlist...');
+    await fs.rm(recordPath, { force: true });
+    await fs.writeFile(texPath, `% !TEX program = lualatex\n\\documentclass{article}\n${BODY}`);
+    const ignored = await documentService.compileLatexToPdf(texPath, tempDir, 1, 2);
+    if (!ignored.success || ignored.engine !== 'pdflatex' || !(await fs.readFile(recordPath, 'utf-8')).startsWith('pdflatex ')) {
+      throw new Error(`A generated CV should not pick its own engine: ${ignored.engine}`);
+    }
+    const rejected = await documentService.compileLatexToPdf(texPath, tempDir, 3, 2, 'sh');
+    if (rejected.success || rejected.compileErrors.length !== 1 || rejected.compileErrors[0].message !== 'LaTeX engine "sh" is not allowed' || !rejected.compileErrors[0].hint.startsWith('Use one of')) {
+      throw new Error(`Unexpected result: ${JSON.stringify(rejected)}`);
+    }
+    console.log('✓ Magic comments in the compiled CV ignored; unknown engines reported as a compile error');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All LaTeX engine tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ LaTeX engine test failed:', err.message);
+    process.exitCode = 1;
+  });
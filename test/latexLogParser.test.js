@@ -0,0 +1,141 @@
+/**
+ * Tests for LaTeX compile error handling
+ * Covers parsing pdflatex logs into structured errors and feeding them into the
+ * fixCVCompileError prompt on the next CV generation attempt
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseLatexLog, formatLatexError } = require('../src/utils/latexLogParser');
+const DocumentService = require('../src/services/documentService');
+const FileService = require('../src/services/fileService');
+const AIService = require('../src/services/aiService');
+
+const SAMPLE_LOG = `This is pdfTeX, Version 3.141592653-2.6-1.40.25 (TeX Live 2023) (preloaded format=pdflatex)
+entering extended mode
+(./texput.tex
+LaTeX2e <2022-11-01> patch level 1
+! Undefined control sequence.
+l.3 Built tools with \\textbff
+                              {Node.js} and Python.
+The control sequence at the end of the top line
+of your error message was never \\def'ed.
+
+! Misplaced alignment tab character &.
+l.4   \\item Led R&
+                    D efforts for the team.
+I can't figure out why you would want to use a tab mark
+here. If you just want an ampersand, the remedy is
+simple: Just type \`I\\&' now.
+
+!  ==> Fatal error occurred, no output PDF file produced!
+`;
+
+const SAMPLE_SOURCE = [
+  '\\documentclass{article}',
+  '\\begin{document}',
+  'Built tools with \\textbff{Node.js} and Python.',
+  '  \\item Led R&D efforts for the team.',
+  '\\end{document}'
+].join('\n');
+
+async function runTests() {
+  // Test 1: Parsing a pdflatex log
+  console.log('Test 1: Parsing a pdflatex log...');
+  const errors = parseLatexLog(SAMPLE_LOG, SAMPLE_SOURCE);
+  if (errors.length !== 2) {
+    throw new Error(`Expected 2 errors, got ${JSON.stringify(errors)}`);
+  }
+  const [undefinedCommand, tab] = errors;
+  if (undefinedCommand.line !== 3 || undefinedCommand.message !== 'Undefined control sequence \\textbff' || undefinedCommand.snippet !== SAMPLE_SOURCE.split('\n')[2]) {
+    throw new Error(`Unexpected first error: ${JSON.stringify(undefinedCommand)}`);
+  }
+  if (tab.line !== 4 || tab.snippet !== '\\item Led R&D efforts for the team.' || !tab.hint.includes('\\&')) {
+    throw new Error(`Unexpected second error: ${JSON.stringify(tab)}`);
+  }
+  console.log('✓ Line numbers, messages, source snippets and hints extracted; fatal follow-up skipped');
+
+  // Test 2: Fallbacks without a source or a full log
+  console.log('\nTest 2: Partial logs...');
+  const withoutSource = parseLatexLog(SAMPLE_LOG);
+  if (withoutSource[1].snippet !== '\\item Led R& D efforts for the team.') {
+    throw new Error(`Snippet should come from the log: ${withoutSource[1].snippet}`);
+  }
+  // LatexCompiler.readFailure puts the error lines after "LaTeX Syntax Error"
+  const fromMessage = parseLatexLog('LaTeX Syntax Error\n! Missing $ inserted.');
+  if (fromMessage.length !== 1 || fromMessage[0].line !== null || !fromMessage[0].hint.includes('\\_')) {
+    throw new Error(`Unexpected errors from the LatexCompiler failure message: ${JSON.stringify(fromMessage)}`);
+  }
+  const fileLine = parseLatexLog('./cv.tex:12: LaTeX Error: File `fontawesome5.sty\' not found.');
+  if (fileLine[0].line !== 12 || formatLatexError(fileLine[0]) !== 'Line 12: LaTeX Error: File `fontawesome5.sty\' not found.') {
+    throw new Error(`Unexpected -file-line-error parsing: ${JSON.stringify(fileLine)}`);
+  }
+  if (parseLatexLog('').length !== 0) {
+    throw new Error('Empty logs should have no errors');
+  }
+  console.log('✓ LatexCompiler failure messages and -file-line-error logs are parsed too');
+
+  // Test 3: Compile errors are rendered into the fix prompt
+  console.log('\nTest 3: Fix prompt...');
+  const aiService = new AIService({ name: 'noop', models: { pro: 'p', flash: 'f' }, generate: async () => ({ text: '' }) });
+  const prompt = aiService.buildPrompt('fixCVCompileError', { failedCV: SAMPLE_SOURCE, compileErrors: errors, jobDescription: 'JD' }).text;
+  if (!prompt.includes('- Line 4: Misplaced alignment tab character &.\n  Source: \\item Led R&D efforts for the team.\n  Hint: Escape "&"') || !prompt.includes(SAMPLE_SOURCE)) {
+    throw new Error('Compile errors missing from the fix prompt');
+  }
+  console.log('✓ Errors, snippets and hints listed in the fixCVCompileError prompt');
+
+  // Test 4: The generation loop fixes compile errors before page count
+  console.log('\nTest 4: Generation loop...');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'latex-log-test-'));
+  try {
+    const documentService = new DocumentService(new FileService());
+    const results = [
+      { success: false, pageCount: null, pdfPath: null, compileErrors: errors, message: 'LaTeX compilation failed' },
+      { success: true, pageCount: 2, pdfPath: path.join(tempDir, 'cv.pdf'), compileErrors: [], message: 'ok' }
+    ];
+    documentService.compileLatexToPdf = async () => results.shift();
+
+    const calls = [];
+    const fakeAI = {
+      tailorCVStructure: async ({ cv }) => {
+        calls.push('tailor');
+        return JSON.parse(cv);
+      },
+      fitCVStructure: async () => {
+        throw new Error('Page count fix should not be used for compile errors');
+      },
+      fixCVCompileError: async (params) => {
+        calls.push(params);
+        return '```latex\n\\documentclass{article}\\begin{document}Fixed\\end{document}\n```';
+      }
+    };
+    const originalCV = await fs.readFile(path.join(__dirname, '..', 'source_files', 'original_cv.txt'), 'utf-8');
+    const result = await documentService.generateCVWithAdvancedRetry(fakeAI, {
+      jobDescription: 'JD', companyName: 'Acme', jobTitle: 'Dev', originalCV, extensiveCV: '', cvStrategy: '', outputDir: tempDir
+    });
+
+    if (!result.success || result.attempts !== 2 || calls[0] !== 'tailor' || calls[1].compileErrors !== errors || !calls[1].failedCV.includes('\\makecvtitle')) {
+      throw new Error(`Unexpected loop: ${JSON.stringify({ success: result.success, attempts: result.attempts })}`);
+    }
+    if (result.cvContent.includes('```') || result.structurePath !== null || result.compileErrors.length !== 0) {
+      throw new Error('Fixed LaTeX should replace the structured CV');
+    }
+    const files = await fs.readdir(tempDir);
+    if (files.some(file => file.endsWith('.json'))) {
+      throw new Error(`Stale structure file left behind: ${files}`);
+    }
+    console.log('✓ Compile errors sent to fixCVCompileError and the fixed LaTeX kept as the CV');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All LaTeX log parser tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ LaTeX log parser test failed:', err.message);
+    process.exitCode = 1;
+  });
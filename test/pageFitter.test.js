@@ -0,0 +1,157 @@
+/**
+ * Tests for deterministic page fitting
+ * Covers the mechanical LaTeX adjustments, "% priority: low" bullets in the structured CV
+ * and the page-fit step DocumentService tries before asking the AI to rewrite the CV
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { nextAdjustment } = require('../src/utils/pageFitter');
+const { parseCV, getEditableCV, applyCVEdits } = require('../src/utils/cvStructure');
+const { renderCV } = require('../src/utils/cvRenderer');
+const DocumentService = require('../src/services/documentService');
+const FileService = require('../src/services/fileService');
+
+const LOW_PRIORITY_BULLET = '\\item Reduced average ticket closure time';
+
+function applyAll(latex, direction) {
+  const descriptions = [];
+  let adjustment;
+  while ((adjustment = nextAdjustment(latex, direction))) {
+    descriptions.push(adjustment.description);
+    latex = adjustment.latex;
+  }
+  return { latex, descriptions };
+}
+
+async function runTests() {
+  const originalCV = await fs.readFile(path.join(__dirname, '..', 'source_files', 'original_cv.txt'), 'utf-8');
+  const lines = originalCV.split('\n');
+  const bulletIndex = lines.findIndex(line => line.trim().startsWith(LOW_PRIORITY_BULLET));
+  lines[bulletIndex] = `${lines[bulletIndex]} % priority: low`;
+  const markedCV = lines.join('\n');
+
+  // Test 1: Shrinking
+  console.log('Test 1: Shrinking adjustments...');
+  const shrunk = applyAll(markedCV, 'shrink');
+  const expected = [
+    'Tightened list and paragraph spacing (itemsep, topsep, parsep and parskip set to 0pt)',
+    'Reduced vertical margins (vmargin 1.9cm → 1.6cm)',
+    'Reduced vertical margins (vmargin 1.6cm → 1.3cm)',
+    'Reduced vertical margins (vmargin 1.3cm → 1cm)',
+    'Reduced font size from 11pt to 10pt'
+  ];
+  if (shrunk.descriptions.slice(0, 5).join('|') !== expected.join('|') || shrunk.descriptions.length !== 6 || !shrunk.descriptions[5].startsWith('Dropped low-priority bullet "Reduced average ticket')) {
+    throw new Error(`Unexpected shrink steps: ${JSON.stringify(shrunk.descriptions)}`);
+  }
+  if (!shrunk.latex.startsWith('\\documentclass[10pt,a4paper,roman]{moderncv}') || !shrunk.latex.includes('\\usepackage[hmargin=1.0cm,vmargin=1cm]{geometry}')
+    || !shrunk.latex.includes('\\setlist*[itemize]{itemsep=0pt,topsep=0pt,parsep=0pt} % page-fit\n\\setlength{\\parskip}{0pt} % page-fit\n\\begin{document}')
+    || shrunk.latex.includes('Reduced average ticket')) {
+    throw new Error('Shrink adjustments not applied to the LaTeX');
+  }
+  const onlyItem = '\\documentclass{article}\n\\begin{document}\n\\vspace*{-0.045\\textwidth}%\n\\begin{itemize}\n  \\item Old hobby % priority: low\n\\end{itemize}\nEnd\n\\end{document}';
+  if (nextAdjustment(onlyItem, 'shrink').latex !== '\\documentclass{article}\n\\begin{document}\nEnd\n\\end{document}') {
+    throw new Error('Emptied lists should be removed');
+  }
+  // "margin" also sets the side margins, which stay as they were
+  const allMargins = '\\documentclass{article}\n\\usepackage[a4paper, margin=2cm]{geometry}\n\\begin{document}\nHi\n\\end{document}';
+  const split = nextAdjustment(allMargins, 'shrink');
+  const again = nextAdjustment(split.latex, 'shrink');
+  if (split.description !== 'Reduced vertical margins (vmargin 2cm → 1.7cm, hmargin kept at 2cm)' || !split.latex.includes('\\usepackage[a4paper,hmargin=2cm,vmargin=1.7cm]{geometry}')
+    || !again.latex.includes('\\usepackage[a4paper,hmargin=2cm,vmargin=1.4cm]{geometry}')) {
+    throw new Error(`margin= should become explicit side and vertical margins: ${split.description}`);
+  }
+  console.log('✓ Spacing, margins, font size and low-priority bullets adjusted in order');
+
+  // Test 2: Growing
+  console.log('\nTest 2: Growing adjustments...');
+  const grown = applyAll(originalCV, 'grow');
+  if (grown.descriptions[0] !== 'Increased font size from 11pt to 12pt' || grown.descriptions[1] !== 'Loosened list spacing (itemsep and topsep set to 3pt)'
+    || grown.descriptions[grown.descriptions.length - 1] !== 'Increased vertical margins (vmargin 2.2cm → 2.5cm)' || grown.latex.includes('Reduced average') === false) {
+    throw new Error(`Unexpected grow steps: ${JSON.stringify(grown.descriptions)}`);
+  }
+  if (nextAdjustment('\\begin{document}Hi\\end{document}', 'grow') !== null) {
+    throw new Error('Documents without a preamble should have nothing to adjust');
+  }
+  console.log('✓ Font size, list spacing and margins increased; content is never removed');
+
+  // Test 3: Low-priority bullets in the structured CV
+  console.log('\nTest 3: Structured CV markers...');
+  const cv = parseCV(markedCV);
+  const experience = cv.sections.findIndex(section => section.id === 'experience');
+  const roleIndex = cv.sections[experience].blocks.findIndex(block => block.lowPriority);
+  const role = cv.sections[experience].blocks[roleIndex] || {};
+  const lowPriorityText = role.lowPriority && role.lowPriority[0];
+  if (!lowPriorityText || !role.bullets.includes(lowPriorityText) || lowPriorityText.includes('priority')) {
+    throw new Error(`Low-priority bullet not parsed: ${JSON.stringify(role.lowPriority)}`);
+  }
+  if (JSON.stringify(parseCV(renderCV(cv))) !== JSON.stringify(cv) || !renderCV(cv).includes('% priority: low')) {
+    throw new Error('Low-priority markers do not survive rendering');
+  }
+  const edits = getEditableCV(cv);
+  if (JSON.stringify(edits).includes('lowPriority')) {
+    throw new Error('Markers should not be shown to the AI');
+  }
+  const kept = applyCVEdits(cv, edits).sections[experience].blocks[roleIndex];
+  const editedRole = edits.sections[experience].blocks[roleIndex];
+  editedRole.bullets = editedRole.bullets.filter(bullet => bullet !== lowPriorityText);
+  const dropped = applyCVEdits(cv, edits).sections[experience].blocks[roleIndex];
+  if (JSON.stringify(kept.lowPriority) !== JSON.stringify([lowPriorityText]) || dropped.lowPriority !== undefined) {
+    throw new Error('Markers should follow the bullets through AI edits');
+  }
+  console.log('✓ Markers parsed, rendered back, hidden from the AI and kept through edits');
+
+  // Test 4: Page fitting in the generation loop
+  console.log('\nTest 4: Generation loop...');
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'page-fit-test-'));
+  try {
+    const documentService = new DocumentService(new FileService());
+    let pagesFor = content => (content.startsWith('\\documentclass[10pt') ? 2 : 3);
+    documentService.compileLatexToPdf = async (texPath) => {
+      const pageCount = pagesFor(await fs.readFile(texPath, 'utf-8'));
+      return { success: pageCount === 2, pageCount, pdfPath: pageCount === 2 ? path.join(tempDir, 'cv.pdf') : null, compileErrors: [], message: `PDF has ${pageCount} pages` };
+    };
+    const calls = [];
+    const aiService = {
+      tailorCVStructure: async ({ cv: editable }) => {
+        calls.push('tailor');
+        return JSON.parse(editable);
+      },
+      fitCVStructure: async ({ cv: editable }) => {
+        calls.push('fit');
+        return JSON.parse(editable);
+      }
+    };
+    const params = { jobDescription: 'JD', companyName: 'Acme', jobTitle: 'Dev', originalCV: markedCV, extensiveCV: '', cvStrategy: '', outputDir: tempDir };
+
+    const result = await documentService.generateCVWithAdvancedRetry(aiService, params);
+    if (!result.success || result.attempts !== 1 || calls.join() !== 'tailor' || JSON.stringify(result.pageFitAdjustments) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected fit: ${JSON.stringify({ success: result.success, calls, adjustments: result.pageFitAdjustments })}`);
+    }
+    const saved = JSON.parse(await fs.readFile(result.structurePath, 'utf-8'));
+    if (!saved.layout.preamble.includes('10pt') || await fs.readFile(result.texPath, 'utf-8') !== result.cvContent) {
+      throw new Error('Saved structure and .tex should include the adjustments');
+    }
+
+    // Overshooting the target restores the LaTeX and hands over to the AI
+    calls.length = 0;
+    pagesFor = content => (content.includes('% page-fit') ? 1 : (calls.length > 1 ? 2 : 3));
+    const escalated = await documentService.generateCVWithAdvancedRetry(aiService, params);
+    if (!escalated.success || escalated.attempts !== 2 || calls.join() !== 'tailor,fit' || escalated.pageFitAdjustments.length !== 0 || escalated.cvContent.includes('% page-fit')) {
+      throw new Error(`Unexpected escalation: ${JSON.stringify({ success: escalated.success, calls, adjustments: escalated.pageFitAdjustments })}`);
+    }
+    console.log('✓ Mechanical adjustments tried and reported first; the AI is used when they fall short');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All page fitter tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ Page fitter test failed:', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,133 @@
+/**
+ * Tests for the prompt editor backend (PromptStore)
+ * Covers placeholder validation, version bumps, edit history, reverts and
+ * hot reload of saved prompts into a running AIService
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PromptStore = require('../src/services/promptStore');
+const AIService = require('../src/services/aiService');
+const { listVariables } = require('../src/utils/promptTemplate');
+const { diffLines } = require('../src/utils/textDiff');
+
+async function runTests() {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-store-test-'));
+  try {
+    const promptsFile = path.join(tempDir, 'prompts.json');
+    const originalContent = await fs.readFile(path.join(__dirname, '..', 'src', 'prompts.json'), 'utf-8');
+    await fs.writeFile(promptsFile, originalContent);
+    const store = new PromptStore({ promptsFile, historyFile: path.join(tempDir, 'prompt_history.jsonl') });
+
+    // Test 1: Variable listing and line diffs
+    console.log('Test 1: Template variables and diffs...');
+    const variables = listVariables('{{> greeting}} {{#each items}}{{this}} {{label}}{{/each}} {{job.title}}', { greeting: 'Hi {{name}}' });
+    if (JSON.stringify(variables) !== '["items","job","name"]') {
+      throw new Error(`Unexpected variables: ${variables}`);
+    }
+    const diff = diffLines('a\nb\nc', 'a\nc\nd');
+    if (diff.added !== 1 || diff.removed !== 1 || diff.lines.map(line => line.type).join() !== 'equal,removed,equal,added') {
+      throw new Error(`Unexpected diff: ${JSON.stringify(diff)}`);
+    }
+    console.log('✓ Variables include partials and skip loop items; diffs mark added and removed lines');
+
+    // Test 2: Listing prompts hides partials
+    console.log('\nTest 2: Listing prompts...');
+    const prompts = store.listPrompts();
+    if (prompts.some(prompt => prompt.key.startsWith('_')) || !prompts.some(prompt => prompt.key === 'generateCoverLetterAdvanced')) {
+      throw new Error('Prompt list is wrong');
+    }
+    const coverLetter = await store.getPrompt('generateCoverLetterAdvanced');
+    const { template, requiredVariables } = coverLetter.templates[0];
+    if (!requiredVariables.includes('jobDescription') || !requiredVariables.includes('extensiveCV')) {
+      throw new Error(`Unexpected required variables: ${requiredVariables}`);
+    }
+    console.log('✓ Prompts listed with their required placeholders');
+
+    // Test 3: Validation rejects missing placeholders and broken syntax
+    console.log('\nTest 3: Validation...');
+    const missing = await store.validate('generateCoverLetterAdvanced', template.replace(/\{\{jobDescription\}\}/g, ''));
+    if (missing.valid || !missing.errors.includes('Missing required placeholder {{jobDescription}}')) {
+      throw new Error(`Missing placeholder not reported: ${JSON.stringify(missing.errors)}`);
+    }
+    const broken = await store.validate('generateCoverLetterAdvanced', `${template}\n{{#if extra}}`);
+    if (broken.valid || !broken.errors[0].startsWith('Template error: Unclosed')) {
+      throw new Error('Syntax error not reported');
+    }
+    const extended = await store.validate('generateCoverLetterAdvanced', `${template}\nTone: {{tone}}`);
+    if (!extended.valid || extended.warnings.length !== 1 || extended.diff.added !== 1) {
+      throw new Error(`Unknown placeholder should only warn: ${JSON.stringify(extended)}`);
+    }
+    let rejected = null;
+    try {
+      await store.updatePrompt('generateCoverLetterAdvanced', template.replace(/\{\{jobDescription\}\}/g, ''));
+    } catch (error) {
+      rejected = error;
+    }
+    if (!rejected || !rejected.isPromptValidation || !rejected.errors.includes('Missing required placeholder {{jobDescription}}')) {
+      throw new Error('Invalid edit was not rejected');
+    }
+    console.log('✓ Missing placeholders and syntax errors block saving; unknown placeholders warn');
+
+    // Test 4: Saving bumps the version, records history and hot-reloads AIService
+    console.log('\nTest 4: Save and hot reload...');
+    const aiService = new AIService({ name: 'noop', models: { pro: 'p', flash: 'f' }, generate: async () => ({ text: '' }) });
+    store.on('change', updated => aiService.setPrompts(updated));
+    const edited = `${template}\nKeep it under 300 words.`;
+    const saved = await store.updatePrompt('generateCoverLetterAdvanced', edited);
+    if (!saved.changed || saved.prompt.version !== coverLetter.version + 1) {
+      throw new Error(`Version not bumped: ${saved.prompt.version}`);
+    }
+    if (aiService.getPromptVersion('generateCoverLetterAdvanced') !== coverLetter.version + 1 ||
+        !aiService.buildPrompt('generateCoverLetterAdvanced', {}).text.includes('Keep it under 300 words.')) {
+      throw new Error('AIService did not pick up the edit');
+    }
+    const onDisk = JSON.parse(await fs.readFile(promptsFile, 'utf-8'));
+    if (onDisk.generateCoverLetterAdvanced.template !== edited || onDisk.researchCompanyAndIdentifyPeople !== store.prompts.researchCompanyAndIdentifyPeople) {
+      throw new Error('prompts.json not written correctly');
+    }
+    console.log('✓ Edit saved to prompts.json, versioned and applied to the running AIService');
+
+    // Test 5: History and revert
+    console.log('\nTest 5: History and revert...');
+    const history = await store.getHistory('generateCoverLetterAdvanced');
+    if (history.map(entry => entry.action).join() !== 'original,edit' || history[0].template !== template) {
+      throw new Error(`Unexpected history: ${JSON.stringify(history.map(entry => entry.action))}`);
+    }
+    const reverted = await store.revert('generateCoverLetterAdvanced', history[0].id);
+    if (reverted.prompt.templates[0].template !== template || reverted.prompt.version !== coverLetter.version + 2) {
+      throw new Error('Revert did not restore the original template as a new version');
+    }
+    if (aiService.buildPrompt('generateCoverLetterAdvanced', {}).text.includes('Keep it under 300 words.')) {
+      throw new Error('AIService did not pick up the revert');
+    }
+    const afterRevert = await store.getHistory('generateCoverLetterAdvanced');
+    if (afterRevert.length !== 3 || afterRevert[2].action !== 'revert' || afterRevert[2].revertedFrom !== history[0].id) {
+      throw new Error('Revert was not recorded in history');
+    }
+    console.log('✓ Original snapshot kept and restored as a new version');
+
+    // Test 6: Unknown prompts and variants
+    console.log('\nTest 6: Unknown prompts...');
+    const failures = await Promise.all([
+      store.getPrompt('_partials').catch(error => error.message),
+      store.validate('generateCoverLetterAdvanced', template, 'B').catch(error => error.message)
+    ]);
+    if (!failures[0].includes('not found') || !failures[1].startsWith('Invalid variant')) {
+      throw new Error(`Unexpected errors: ${failures}`);
+    }
+    console.log('✓ Partials are not editable as prompts and unknown variants are rejected');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All prompt store tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ Prompt store test failed:', err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,100 @@
+/**
+ * Tests for the prompt template engine
+ * Covers variables, partials, conditionals, loops, whitespace handling and
+ * prompt versions being collected for the session
+ */
+
+const { renderTemplate, parseTemplate } = require('../src/utils/promptTemplate');
+const AIService = require('../src/services/aiService');
+const { runWithAIContext } = require('../src/utils/aiContext');
+
+function expectEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+async function runTests() {
+  // Test 1: Variables, nested paths and verbatim substitution
+  console.log('Test 1: Variables...');
+  expectEqual(renderTemplate('Hi {{contact.name}}, {{missing}}!', { contact: { name: 'Jo' } }), 'Hi Jo, !', 'Nested variable');
+  expectEqual(renderTemplate('{{cv}}', { cv: '\\textbf{{{name}}} $& $1' }), '\\textbf{{{name}}} $& $1', 'Verbatim value');
+  expectEqual(renderTemplate('{{skills}}', { skills: ['Node', 'SQL'] }), 'Node, SQL', 'List variable');
+  console.log('✓ Values are substituted verbatim and never re-parsed');
+
+  // Test 2: Conditionals and loops
+  console.log('\nTest 2: Conditionals and loops...');
+  const template = 'Name: {{name}}\n{{#if email}}\nEmail: {{email}}\n{{else}}\nNo email\n{{/if}}\n{{#each skills}}\n{{@number}}. {{this}} ({{name}})\n{{/each}}\nEnd';
+  expectEqual(renderTemplate(template, { name: 'Jo', email: 'jo@acme.com', skills: ['Node', 'SQL'] }),
+    'Name: Jo\nEmail: jo@acme.com\n1. Node (Jo)\n2. SQL (Jo)\nEnd', 'Truthy branch');
+  expectEqual(renderTemplate(template, { name: 'Jo', email: '', skills: [] }), 'Name: Jo\nNo email\nEnd', 'Falsy branch');
+  expectEqual(renderTemplate('{{#unless locked}}editable{{/unless}}', { locked: false }), 'editable', 'Unless');
+  console.log('✓ Block tags on their own line leave no blank lines');
+
+  // Test 3: Partials
+  console.log('\nTest 3: Partials...');
+  const partials = { rules: '{{#if rules}}\nRules:\n{{#each rules}}\n- {{this}}\n{{/each}}\n{{/if}}', sign: 'Regards, {{name}}' };
+  const withPartials = 'Intro\n\n{{> rules}}\nBody\n{{> sign}}';
+  expectEqual(renderTemplate(withPartials, { rules: ['Be brief'], name: 'Jo' }, partials), 'Intro\n\nRules:\n- Be brief\n\nBody\nRegards, Jo', 'Partial with content');
+  expectEqual(renderTemplate(withPartials, { rules: [], name: 'Jo' }, partials), 'Intro\n\nBody\nRegards, Jo', 'Empty partial');
+  console.log('✓ Partials render in the caller scope and empty partials drop their line');
+
+  // Test 4: Malformed templates are rejected
+  console.log('\nTest 4: Template errors...');
+  const malformed = ['{{#if a}}open', '{{/if}}', '{{#if a}}x{{/each}}', '{{#repeat a}}x{{/repeat}}'];
+  for (const source of malformed) {
+    try {
+      parseTemplate(source);
+      throw new Error(`Expected "${source}" to be rejected`);
+    } catch (error) {
+      if (error.message.startsWith('Expected')) {
+        throw error;
+      }
+    }
+  }
+  try {
+    renderTemplate('{{> nope}}');
+    throw new Error('Expected unknown partial to be rejected');
+  } catch (error) {
+    if (!error.message.includes('Partial "nope" not found')) {
+      throw error;
+    }
+  }
+  console.log('✓ Unbalanced blocks and unknown partials throw');
+
+  // Test 5: prompts.json renders with partials and versions are collected for the session
+  console.log('\nTest 5: Prompt versions...');
+  const aiService = new AIService({ name: 'noop', models: { pro: 'p', flash: 'f' }, generate: async () => ({ text: 'ok' }) });
+  const promptVersions = {};
+  const prompt = runWithAIContext({ promptVersions }, () => {
+    aiService.buildPrompt('generateCVChangeSummary', { originalCV: 'a', newCV: 'b' });
+    return aiService.buildPrompt('generateColdEmailAdvanced', {
+      jobTitle: 'Engineer', companyName: 'Acme', jobDescription: 'JD', validatedCVText: 'CV', extensiveCV: 'EXT',
+      coldEmailStrategy: 'Be brief', keyQualifications: ['Node.js', 'PostgreSQL']
+    });
+  });
+  if (!prompt.text.includes('- Node.js\n- PostgreSQL') || !prompt.text.includes('under 150 words') || prompt.text.includes('{{')) {
+    throw new Error('generateColdEmailAdvanced did not render its partials');
+  }
+  if (prompt.version !== 2 || promptVersions.generateColdEmailAdvanced !== 2 || promptVersions.generateCVChangeSummary !== 1) {
+    throw new Error(`Unexpected prompt versions: ${JSON.stringify(promptVersions)}`);
+  }
+  try {
+    aiService.getPrompt('_partials');
+    throw new Error('Expected _partials not to be a prompt');
+  } catch (error) {
+    if (!error.message.includes('not found')) {
+      throw error;
+    }
+  }
+  console.log('✓ Prompt versions are collected in the AI context');
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All prompt template tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ Prompt template test failed:', err.message);
+    process.exitCode = 1;
+  });
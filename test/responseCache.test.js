@@ -0,0 +1,109 @@
+/**
+ * Tests for the AI response cache
+ * Counts calls on an in-memory provider to verify hits, misses, TTL expiry and bypass
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const ResponseCache = require('../src/services/responseCache');
+const AIService = require('../src/services/aiService');
+const { runWithAIContext } = require('../src/utils/aiContext');
+
+function createCountingProvider(jsonText) {
+  return {
+    name: 'counting',
+    models: { pro: 'counting-pro', flash: 'counting-flash' },
+    calls: 0,
+    async generate({ json }) {
+      this.calls++;
+      return { text: json ? jsonText : `draft ${this.calls}` };
+    }
+  };
+}
+
+async function runTests() {
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-cache-'));
+
+  try {
+    const cache = new ResponseCache({ dir: cacheDir, ttls: { extractJobDetails: 3600 }, defaultTtl: 0 });
+    const provider = createCountingProvider('{"companyName": "Acme", "jobTitle": "Engineer"}');
+    const aiService = new AIService(provider, null, cache);
+
+    // Test 1: Identical prompts are served from the cache
+    console.log('Test 1: Cache hit for identical prompt...');
+    const first = await aiService.extractJobDetails('Acme is hiring an Engineer');
+    const second = await aiService.extractJobDetails('Acme is hiring an Engineer');
+    if (provider.calls !== 1 || JSON.stringify(first) !== JSON.stringify(second)) {
+      throw new Error(`Expected 1 provider call, got ${provider.calls}`);
+    }
+    await aiService.extractJobDetails('Globex is hiring a Designer');
+    if (provider.calls !== 2) {
+      throw new Error('Different prompt should miss the cache');
+    }
+    console.log('✓ Identical prompts hit the cache');
+
+    // Test 2: Prompts without a TTL are never cached
+    console.log('\nTest 2: Uncached prompt keys...');
+    const callsBefore = provider.calls;
+    const params = { jobDescription: 'JD', originalCV: 'CV', extensiveCV: '', cvStrategy: '', companyName: 'Acme', jobTitle: 'Engineer' };
+    await aiService.generateCVAdvanced(params);
+    await aiService.generateCVAdvanced(params);
+    if (provider.calls !== callsBefore + 2) {
+      throw new Error('CV generation should not be cached');
+    }
+    console.log('✓ Creative prompts are not cached');
+
+    // Test 3: bypassCache skips the cached entry but refreshes it
+    console.log('\nTest 3: Bypassing the cache...');
+    const callsBeforeBypass = provider.calls;
+    await runWithAIContext({ bypassCache: true }, () => aiService.extractJobDetails('Acme is hiring an Engineer'));
+    if (provider.calls !== callsBeforeBypass + 1) {
+      throw new Error('bypassCache did not call the provider');
+    }
+    await aiService.extractJobDetails('Acme is hiring an Engineer');
+    if (provider.calls !== callsBeforeBypass + 1) {
+      throw new Error('Cache was not used again after a bypassed request');
+    }
+    console.log('✓ bypassCache forces a fresh response');
+
+    // Test 4: Expired entries are ignored and removed
+    console.log('\nTest 4: TTL expiry...');
+    const entryDir = path.join(cacheDir, 'extractJobDetails');
+    for (const file of await fs.readdir(entryDir)) {
+      const entryPath = path.join(entryDir, file);
+      const entry = JSON.parse(await fs.readFile(entryPath, 'utf-8'));
+      entry.expiresAt = new Date(Date.now() - 1000).toISOString();
+      await fs.writeFile(entryPath, JSON.stringify(entry), 'utf-8');
+    }
+    const callsBeforeExpiry = provider.calls;
+    await aiService.extractJobDetails('Acme is hiring an Engineer');
+    if (provider.calls !== callsBeforeExpiry + 1) {
+      throw new Error('Expired entry was served');
+    }
+    console.log('✓ Expired entries are refreshed');
+
+    // Test 5: Invalid JSON responses are not cached
+    console.log('\nTest 5: Invalid responses are not cached...');
+    const badProvider = createCountingProvider('{"companyName": "Acme"}');
+    const badService = new AIService(badProvider, null, new ResponseCache({ dir: cacheDir, ttls: { extractJobDetails: 3600 } }));
+    badService.jsonRepairAttempts = 0;
+    await badService.extractJobDetails('Initech is hiring a Tester');
+    await badService.extractJobDetails('Initech is hiring a Tester');
+    if (badProvider.calls !== 2) {
+      throw new Error('Invalid response was cached');
+    }
+    console.log('✓ Only validated responses are cached');
+  } finally {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All response cache tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ Response cache test failed:', err.message);
+    process.exitCode = 1;
+  });
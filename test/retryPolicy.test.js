@@ -0,0 +1,113 @@
+/**
+ * Tests for the AI retry policy
+ * Covers error classification, backoff/jitter maths, server-provided delays and
+ * the retry events AIService reports through the request's AI context
+ */
+
+const { isRetryableError, getServerRetryDelay, computeRetryDelay, resolveRetryPolicy } = require('../src/utils/retryPolicy');
+const AIService = require('../src/services/aiService');
+const { runWithAIContext } = require('../src/utils/aiContext');
+
+function providerError(status, message, headers = {}) {
+  const error = new Error(`[${status}] ${message}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+async function runTests() {
+  // Test 1: Error classification
+  console.log('Test 1: Retryable errors...');
+  const retryable = [
+    providerError(429, 'Too Many Requests'),
+    providerError(503, 'Service Unavailable'),
+    new Error('Error fetching from https://generativelanguage.googleapis.com: [429 Too Many Requests] Resource has been exhausted'),
+    new Error('[400 Bad Request] The model is overloaded. Please try again later.')
+  ];
+  const permanent = [providerError(400, 'Invalid argument'), providerError(401, 'Unauthorized'), new Error('Prompt key not found')];
+  if (!retryable.every(isRetryableError) || permanent.some(isRetryableError)) {
+    throw new Error('Errors were classified incorrectly');
+  }
+  console.log('✓ 429, 5xx and overload errors are retryable; client errors are not');
+
+  // Test 2: Exponential backoff with bounded jitter
+  console.log('\nTest 2: Exponential backoff...');
+  const policy = { initialDelay: 1000, maxDelay: 5000, factor: 2, jitter: 0.2 };
+  const noJitter = () => 0.5;
+  const delays = [0, 1, 2, 3].map(attempt => computeRetryDelay(new Error('503'), attempt, policy, noJitter).delay);
+  if (JSON.stringify(delays) !== JSON.stringify([1000, 2000, 4000, 5000])) {
+    throw new Error(`Unexpected backoff delays: ${delays}`);
+  }
+  const low = computeRetryDelay(new Error('503'), 1, policy, () => 0).delay;
+  const high = computeRetryDelay(new Error('503'), 1, policy, () => 0.999999).delay;
+  if (low !== 1600 || high !== 2400) {
+    throw new Error(`Jitter bounds wrong: ${low}..${high}`);
+  }
+  console.log('✓ Delays double up to the cap with ±20% jitter');
+
+  // Test 3: Server-provided delays take precedence
+  console.log('\nTest 3: Server retry delays...');
+  if (getServerRetryDelay(providerError(429, 'slow down', { 'retry-after': '7' })) !== 7000) {
+    throw new Error('Retry-After seconds were not honored');
+  }
+  const now = Date.parse('2025-01-01T00:00:00Z');
+  if (getServerRetryDelay(providerError(429, 'slow down', { 'retry-after': 'Wed, 01 Jan 2025 00:00:30 GMT' }), now) !== 30000) {
+    throw new Error('Retry-After HTTP date was not honored');
+  }
+  const geminiError = providerError(429, 'quota');
+  geminiError.errorDetails = [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '12s' }];
+  const fromGemini = computeRetryDelay(geminiError, 0, policy);
+  if (fromGemini.delay !== 12000 || fromGemini.source !== 'server') {
+    throw new Error('Gemini RetryInfo was not honored');
+  }
+  console.log('✓ Retry-After and RetryInfo delays are honored');
+
+  // Test 4: Per-prompt overrides
+  console.log('\nTest 4: Per-prompt overrides...');
+  const service = new AIService({ name: 'noop', models: { pro: 'p', flash: 'f' }, generate: async () => ({ text: '' }) });
+  if (service.getRetryPolicy('getIntelligence').maxRetries !== 2 || service.getRetryPolicy('generateCVAdvanced').maxRetries !== service.maxRetries) {
+    throw new Error('Per-prompt override not applied');
+  }
+  if (resolveRetryPolicy({ maxRetries: 5, jitter: 0.2 }, { maxRetries: 1 }).jitter !== 0.2) {
+    throw new Error('Override should keep unspecified defaults');
+  }
+  console.log('✓ Overrides merge with defaults');
+
+  // Test 5: AIService retries 429s and reports structured retry events
+  console.log('\nTest 5: Retry events...');
+  let calls = 0;
+  const flakyService = new AIService({
+    name: 'flaky',
+    models: { pro: 'p', flash: 'f' },
+    async generate() {
+      calls++;
+      if (calls < 3) {
+        throw providerError(429, 'Too Many Requests', { 'retry-after': '0' });
+      }
+      return { text: 'done' };
+    }
+  });
+  const sleeps = [];
+  flakyService.sleep = async ms => { sleeps.push(ms); };
+  const events = [];
+  const result = await runWithAIContext({ log: (message, level, details) => events.push({ message, level, ...details }) },
+    () => flakyService.generateWithRetry(flakyService.buildPrompt('generateCompanyProfile', { companyName: 'Acme' })));
+  if (result !== 'done' || calls !== 3 || JSON.stringify(sleeps) !== '[0,0]') {
+    throw new Error(`Unexpected retry behaviour: result=${result}, calls=${calls}, sleeps=${sleeps}`);
+  }
+  const [firstRetry] = events;
+  if (events.length !== 2 || firstRetry.level !== 'warning' || firstRetry.event !== 'retry' ||
+      firstRetry.retry.status !== 429 || firstRetry.retry.promptKey !== 'generateCompanyProfile' || firstRetry.retry.delaySource !== 'server') {
+    throw new Error(`Unexpected retry events: ${JSON.stringify(events)}`);
+  }
+  console.log('✓ 429s retried with structured retry events');
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All retry policy tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ Retry policy test failed:', err.message);
+    process.exitCode = 1;
+  });
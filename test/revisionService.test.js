@@ -0,0 +1,170 @@
+/**
+ * Tests for document revisions
+ * Covers numbered revisions of generated documents, baselines for documents from before
+ * revisions were kept, diffs, restores (with the CV structure and a recompile) and the routes
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const createApiRoutes = require('../src/routes/api_advanced');
+const FileService = require('../src/services/fileService');
+const SessionService = require('../src/services/sessionService');
+const RevisionService = require('../src/services/revisionService');
+const GenerationService = require('../src/services/generationService');
+
+async function runTests() {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'revisions-'));
+  let server;
+
+  try {
+    const fileService = new FileService();
+    const sessionService = new SessionService(fileService);
+    sessionService.sessionsDir = tempDir;
+    const revisionService = new RevisionService(sessionService, fileService);
+    const session = await sessionService.createSession({ mode: 'standard', companyName: 'Acme' });
+    const sessionDir = sessionService.getSessionDirectory(session.id);
+    const texPath = path.join(sessionDir, 'Acme_CV.tex');
+    const structurePath = path.join(sessionDir, 'Acme_CV.json');
+    const letterPath = path.join(sessionDir, 'cover_letter.txt');
+    await fs.writeFile(texPath, '\\section{Experience}\nFirst CV\n');
+    await fs.writeFile(structurePath, JSON.stringify({ template: 'compact', summary: 'First' }));
+    await fs.writeFile(letterPath, 'Dear Hiring Manager,\nFirst letter\n');
+    const generatedFiles = { cv: { texPath, structurePath, pdfPath: path.join(sessionDir, 'Acme_CV.pdf') }, coverLetter: { path: letterPath } };
+    await sessionService.updateSession(session.id, { generatedFiles });
+
+    // Test 1: Revisions saved by generation
+    console.log('Test 1: Revisions from generation...');
+    const generationService = new GenerationService({ revisionService });
+    // The cover letter stands in for a document generated before revisions were kept
+    const generated = await generationService.recordRevisions(session.id, { cv: generatedFiles.cv });
+    if (generated.map(revision => `${revision.document}-${revision.number}-${revision.source}`).join() !== 'cv-1-generate') {
+      throw new Error(`Unexpected revisions: ${JSON.stringify(generated)}`);
+    }
+    const first = await revisionService.getRevision(session.id, 'cv', 1);
+    if (first.content !== '\\section{Experience}\nFirst CV\n' || first.structure.summary !== 'First' || first.file !== 'cv-1.tex') {
+      throw new Error(`Unexpected CV revision: ${JSON.stringify(first)}`);
+    }
+    if (await revisionService.ensureBaseline(session.id, 'cv') !== null || (await new GenerationService({}).recordRevisions(session.id, generatedFiles)).length !== 0) {
+      throw new Error('Documents with revisions need no baseline, and revisions are optional for generation');
+    }
+    // Concurrent first edits record a single baseline
+    const baselines = await Promise.all([1, 2, 3].map(() => revisionService.ensureBaseline(session.id, 'coverLetter')));
+    if (baselines.filter(Boolean).length !== 1 || (await revisionService.listRevisions(session.id, 'coverLetter')).length !== 1) {
+      throw new Error(`Only one baseline should be recorded: ${JSON.stringify(baselines)}`);
+    }
+    for (const [call, message] of [
+      [() => revisionService.recordRevision(session.id, 'resume', 'edit'), 'Invalid document'],
+      [() => revisionService.recordRevision(session.id, 'cv', 'typed'), 'Invalid revision source'],
+      [() => revisionService.recordRevision(session.id, 'coldEmail', 'edit'), 'Document coldEmail not found'],
+      [() => revisionService.getRevision(session.id, 'cv', 7), 'Revision 7 of cv not found']
+    ]) {
+      try {
+        await call();
+        throw new Error(`Expected "${message}"`);
+      } catch (error) {
+        if (!error.message.startsWith(message)) {
+          throw error;
+        }
+      }
+    }
+    console.log('✓ One numbered revision per document, with the CV structure; one baseline; bad input rejected');
+
+    // Test 2: Routes
+    console.log('\nTest 2: Save, list and diff routes...');
+    const compiles = [];
+    const documentService = {
+      compileLatexToPdf: async (filePath, outputDir, maxRetries, targetPageCount) => {
+        compiles.push({ filePath, targetPageCount, content: await fs.readFile(filePath, 'utf-8') });
+        return { success: true, pageCount: 1, compileErrors: [], message: 'ok' };
+      }
+    };
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createApiRoutes({ fileService, sessionService, revisionService, documentService, aiService: {} }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const request = async (urlPath, method = 'GET', body = undefined) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/${urlPath}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    const saved = await request('save-content', 'POST', { sessionId: session.id, contentType: 'coverLetter', content: 'Dear Hiring Manager,\nSecond letter\n' });
+    if (saved.status !== 200 || saved.body.revision.number !== 2 || saved.body.revision.source !== 'edit') {
+      throw new Error(`Unexpected save: ${JSON.stringify(saved)}`);
+    }
+    const listed = await request(`revisions/${session.id}/cover-letter`);
+    if (listed.body.revisions.map(revision => `${revision.number}-${revision.source}`).join() !== '2-edit,1-generate') {
+      throw new Error(`The letter as generated should be kept, and revisions listed newest first: ${JSON.stringify(listed.body)}`);
+    }
+    const diff = await request(`revisions/${session.id}/cover-letter/diff?from=1&to=2`);
+    const changed = diff.body.diff.lines.filter(line => line.type !== 'equal').map(line => `${line.type}:${line.text}`);
+    if (diff.body.diff.added !== 1 || diff.body.diff.removed !== 1 || changed.join() !== 'added:Second letter,removed:First letter') {
+      throw new Error(`Unexpected diff: ${JSON.stringify(diff.body)}`);
+    }
+    const shown = await request(`revisions/${session.id}/cover-letter/1`);
+    if (shown.body.revision.content !== 'Dear Hiring Manager,\nFirst letter\n') {
+      throw new Error('A revision should be returned with its content');
+    }
+    const errors = await Promise.all([
+      request(`revisions/${session.id}/resume`),
+      request(`revisions/${session.id}/cover-letter/diff?from=1`),
+      request(`revisions/${session.id}/cover-letter/9`),
+      request(`revisions/${session.id}/cold-email`),
+      request('revisions/unknown-session/cv')
+    ]);
+    if (errors.map(error => error.status).join() !== '400,400,404,404,404') {
+      throw new Error(`Unexpected error statuses: ${JSON.stringify(errors)}`);
+    }
+    console.log('✓ Edits saved as revisions after a baseline, listed newest first and diffed line by line');
+
+    // Test 3: Restores
+    console.log('\nTest 3: Restoring revisions...');
+    await fs.writeFile(texPath, '\\section{Experience}\nBad refinement\n');
+    await fs.writeFile(structurePath, JSON.stringify({ template: 'compact', summary: 'Bad' }));
+    await revisionService.recordRevision(session.id, 'cv', 'refine');
+
+    const restored = await request(`revisions/${session.id}/cv/1/restore`, 'POST');
+    const structure = JSON.parse(await fs.readFile(structurePath, 'utf-8'));
+    if (restored.status !== 200 || restored.body.revision.number !== 3 || restored.body.revision.restoredFrom !== 1 || !restored.body.compile.success) {
+      throw new Error(`Unexpected restore: ${JSON.stringify(restored.body)}`);
+    }
+    if (await fs.readFile(texPath, 'utf-8') !== first.content || structure.summary !== 'First' || compiles.length !== 1 || compiles[0].content !== first.content || compiles[0].targetPageCount !== 1) {
+      throw new Error('The CV and its structure should be restored and recompiled with the theme\'s page count');
+    }
+    const letterRestore = await request(`revisions/${session.id}/cover-letter/1/restore`, 'POST');
+    if (letterRestore.body.compile !== null || await fs.readFile(letterPath, 'utf-8') !== 'Dear Hiring Manager,\nFirst letter\n' || compiles.length !== 1) {
+      throw new Error('Letters are restored without compiling');
+    }
+
+    await sessionService.updateSession(session.id, { locked: true });
+    const locked = await request(`revisions/${session.id}/cv/2/restore`, 'POST');
+    if (locked.status !== 403 || (await revisionService.listRevisions(session.id, 'cv')).length !== 3) {
+      throw new Error('Approved sessions cannot be restored');
+    }
+    revisionService.cleanupSessionMutex(session.id);
+    if (revisionService.mutexes.size !== 0) {
+      throw new Error('The lock of an approved session should be dropped');
+    }
+    console.log('✓ Restores write the revision back as a new one and recompile the CV; locks dropped on approval');
+  } finally {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+    }
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ All revision tests passed!');
+  })
+  .catch(err => {
+    console.error('✗ Revision test failed:', err.message);
+    process.exitCode = 1;
+  });